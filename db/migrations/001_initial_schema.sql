@@ -1,5 +1,11 @@
--- Genesis Database Schema
+-- Genesis Database Schema — baseline
 -- SQLite 3
+--
+-- Everything up to the introduction of versioned migrations. IF NOT EXISTS is
+-- kept so databases created by the old schema.sql replay adopt this version
+-- without changes.
+
+-- migrate:up
 
 -- ============================================================================
 -- EVENTS TABLE
@@ -213,3 +219,44 @@ CREATE TABLE IF NOT EXISTS telegram_preferences (
 
 CREATE INDEX IF NOT EXISTS idx_tg_prefs_chat ON telegram_preferences(chat_id);
 CREATE INDEX IF NOT EXISTS idx_tg_prefs_type ON telegram_preferences(alert_type);
+
+-- ============================================================================
+-- CHAIN_CURSORS TABLE
+-- Last fully processed block per chain. Updated in the same transaction as
+-- the events of that block, so a restart resumes exactly where it stopped.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS chain_cursors (
+  chain TEXT PRIMARY KEY,
+  last_block INTEGER NOT NULL,
+  last_block_hash TEXT,                 -- nullable: unknown for range catch-up
+  updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+-- ============================================================================
+-- ALERT_RETRACTIONS TABLE
+-- Alerts withdrawn because every event behind them was reverted by a reorg
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS alert_retractions (
+  alert_id TEXT PRIMARY KEY,
+  reason TEXT NOT NULL,
+  reorg_from_block INTEGER,
+  reorg_to_block INTEGER,
+  reverted_event_count INTEGER NOT NULL DEFAULT 0,
+  notified INTEGER DEFAULT 0,
+  retracted_at INTEGER NOT NULL,
+  FOREIGN KEY (alert_id) REFERENCES alerts(alert_id)
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS alert_retractions;
+DROP TABLE IF EXISTS chain_cursors;
+DROP TABLE IF EXISTS telegram_preferences;
+DROP TABLE IF EXISTS telegram_users;
+DROP TABLE IF EXISTS health;
+DROP TABLE IF EXISTS stats;
+DROP TABLE IF EXISTS finality_history;
+DROP TABLE IF EXISTS alerts;
+DROP TABLE IF EXISTS events;
@@ -0,0 +1,22 @@
+-- Noise filter suppression state
+--
+-- One row per suppression bucket (rule + suppression key value): when alerts
+-- were last delivered inside the rule's window, and how many were held back
+-- since — so cooldowns and "+N similar suppressed" survive a restart.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS noise_suppression (
+  bucket TEXT PRIMARY KEY,              -- "<rule_id>::<key>" or "agg::<rule_id>::<key>"
+  rule_id TEXT NOT NULL,
+  window_ms INTEGER NOT NULL,
+  sent_at TEXT NOT NULL,                -- JSON array of delivery times (ms) inside the window
+  suppressed_count INTEGER NOT NULL DEFAULT 0,
+  updated_at INTEGER NOT NULL           -- ms
+);
+
+CREATE INDEX IF NOT EXISTS idx_noise_suppression_rule ON noise_suppression(rule_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS noise_suppression;
@@ -0,0 +1,55 @@
+-- Detector state checkpoints
+--
+-- Snapshots of the statistical detectors so a restart resumes with warm
+-- baselines instead of relearning them: AnomalyDetector samples per token,
+-- WalletProfiler profiles and detected patterns. Rows are scoped by pipeline
+-- ("ethereum", "polygon", ... per ChainRunner; "localhost" for the local demo).
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS anomaly_baselines (
+  scope TEXT NOT NULL,
+  token TEXT NOT NULL,
+  samples TEXT NOT NULL,                -- JSON array of { amount, timestamp (ms) }, oldest first
+  sample_count INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,          -- ms
+  PRIMARY KEY (scope, token)
+);
+
+CREATE TABLE IF NOT EXISTS wallet_profiles (
+  scope TEXT NOT NULL,
+  address TEXT NOT NULL,
+  risk_score INTEGER NOT NULL DEFAULT 0,
+  profile TEXT NOT NULL,                -- JSON WalletProfiler profile
+  last_seen_at INTEGER NOT NULL,        -- ms
+  PRIMARY KEY (scope, address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_profiles_risk ON wallet_profiles(scope, risk_score DESC);
+
+CREATE TABLE IF NOT EXISTS wallet_patterns (
+  pattern_id TEXT PRIMARY KEY,
+  scope TEXT NOT NULL,
+  wallet TEXT NOT NULL,
+  type TEXT NOT NULL,
+  severity TEXT NOT NULL,
+  data TEXT NOT NULL,                   -- JSON pattern (description, details, triggerAction)
+  detected_at INTEGER NOT NULL          -- ms
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_patterns_scope ON wallet_patterns(scope, detected_at);
+
+CREATE TABLE IF NOT EXISTS detector_checkpoints (
+  scope TEXT PRIMARY KEY,
+  checkpointed_at INTEGER NOT NULL,     -- ms
+  baselines INTEGER NOT NULL DEFAULT 0, -- rows written by the last checkpoint
+  profiles INTEGER NOT NULL DEFAULT 0,
+  patterns INTEGER NOT NULL DEFAULT 0
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS detector_checkpoints;
+DROP TABLE IF EXISTS wallet_patterns;
+DROP TABLE IF EXISTS wallet_profiles;
+DROP TABLE IF EXISTS anomaly_baselines;
@@ -0,0 +1,12 @@
+-- Rate-model windows for anomaly baselines
+--
+-- Closed per-window transfer counts (and the window still open) of tokens
+-- scored by the rate model, checkpointed next to their samples.
+
+-- migrate:up
+
+ALTER TABLE anomaly_baselines ADD COLUMN counts TEXT; -- JSON { windows: [{ start, count }], open: { start, count, contract } | null }
+
+-- migrate:down
+
+ALTER TABLE anomaly_baselines DROP COLUMN counts;
@@ -0,0 +1,32 @@
+-- Address labels and watchlists
+--
+-- Named lists of addresses (e.g. "cex_hot_wallets"), each entry with a
+-- display name, a category and free-form tags. Rules reference lists with
+-- `in_list` / `not_in_list`; alerts render the names instead of raw hex.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS address_lists (
+  name TEXT PRIMARY KEY,                -- e.g. "cex_hot_wallets"
+  description TEXT,
+  created_at INTEGER NOT NULL,          -- ms
+  updated_at INTEGER NOT NULL           -- ms, bumped by every entry change
+);
+
+CREATE TABLE IF NOT EXISTS address_labels (
+  list_name TEXT NOT NULL,              -- → address_lists.name
+  address TEXT NOT NULL,                -- lowercase 0x…
+  label TEXT,                           -- display name, e.g. "Binance 14"
+  category TEXT,                        -- exchange | bridge | protocol | sanctioned | ...
+  tags TEXT,                            -- JSON array of strings
+  added_at INTEGER NOT NULL,            -- ms
+  PRIMARY KEY (list_name, address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_address_labels_address ON address_labels(address);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_address_labels_address;
+DROP TABLE IF EXISTS address_labels;
+DROP TABLE IF EXISTS address_lists;
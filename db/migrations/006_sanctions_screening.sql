@@ -0,0 +1,33 @@
+-- Sanctions screening hits
+--
+-- One row per listed address an event touched (as sender, recipient or
+-- emitting contract), with the version and checksum of the list it was
+-- screened against. The critical alert itself lives in `alerts`
+-- (rule_id "sanctions_screening").
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS sanctions_hits (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_id TEXT NOT NULL,               -- → events.event_id
+  chain TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  tx_hash TEXT NOT NULL,
+  address TEXT NOT NULL,                -- lowercase listed address
+  role TEXT NOT NULL,                   -- from | to | contract
+  name TEXT,                            -- list entry name, e.g. "Lazarus Group"
+  list_version TEXT NOT NULL,           -- declared version or "sha256:<12 hex>"
+  list_checksum TEXT NOT NULL,          -- sha256 of the list file
+  list_source TEXT,                     -- e.g. "OFAC SDN"
+  detected_at INTEGER NOT NULL,         -- ms
+  UNIQUE (event_id, address, role)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sanctions_hits_address ON sanctions_hits(address, block_number DESC);
+CREATE INDEX IF NOT EXISTS idx_sanctions_hits_chain ON sanctions_hits(chain, block_number DESC);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_sanctions_hits_chain;
+DROP INDEX IF EXISTS idx_sanctions_hits_address;
+DROP TABLE IF EXISTS sanctions_hits;
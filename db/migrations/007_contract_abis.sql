@@ -0,0 +1,21 @@
+-- Per-contract ABIs
+--
+-- An ABI attached to one contract on one chain through the API server. The
+-- monitor's AbiRegistry decodes that contract's logs (and those of proxies
+-- pointing at it) with it and derives topic filters from its events.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS contract_abis (
+  chain TEXT NOT NULL,                  -- chain slug
+  address TEXT NOT NULL,                -- lowercase 0x…
+  name TEXT NOT NULL,                   -- event-type prefix source, e.g. "GenesisVault" → GENESIS_VAULT_*
+  abi TEXT NOT NULL,                    -- JSON array: ABI entries or human-readable signatures
+  created_at INTEGER NOT NULL,          -- ms
+  updated_at INTEGER NOT NULL,          -- ms
+  PRIMARY KEY (chain, address)
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS contract_abis;
@@ -0,0 +1,131 @@
+/**
+ * Genesis — Rule Backtest CLI
+ *
+ * Replays stored events through one rule and prints the alerts it would have
+ * produced. Nothing is saved or sent.
+ *
+ * Usage:
+ *   node scripts/backtest-rule.js rules/whale-transfer.json
+ *   node scripts/backtest-rule.js rules/whale-transfer.json --from-block 19000000 --to-block 19001000
+ *   node scripts/backtest-rule.js my-rule.json --chain ethereum --from 2025-01-01 --to 2025-01-02
+ *   node scripts/backtest-rule.js my-rule.json --json          # full report as JSON
+ *   node scripts/backtest-rule.js my-rule.json --live-prices   # price Chainlink tokens over RPC
+ *
+ * Works on the database from .env (DATABASE_PATH / DATABASE_DRIVER).
+ */
+
+const fs = require("fs");
+const config = require("../src/config");
+const { Database, EventRepository, LabelRepository } = require("../src/db");
+const Backtester = require("../src/engine/backtester");
+const LabelRegistry = require("../src/engine/label-registry");
+const { RpcPool } = require("../src/observer");
+const { TokenRegistry } = require("../src/pipeline");
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { file: null, chain: null, fromBlock: null, toBlock: null, from: null, to: null, maxAlerts: null, json: false, livePrices: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--chain" && args[i + 1]) opts.chain = args[++i];
+    else if (arg === "--from-block" && args[i + 1]) opts.fromBlock = parseCount("--from-block", args[++i]);
+    else if (arg === "--to-block" && args[i + 1]) opts.toBlock = parseCount("--to-block", args[++i]);
+    else if (arg === "--from" && args[i + 1]) opts.from = args[++i];
+    else if (arg === "--to" && args[i + 1]) opts.to = args[++i];
+    else if (arg === "--max-alerts" && args[i + 1]) opts.maxAlerts = parseCount("--max-alerts", args[++i]);
+    else if (arg === "--json") opts.json = true;
+    else if (arg === "--live-prices") opts.livePrices = true;
+    else if (!arg.startsWith("--") && !opts.file) opts.file = arg;
+    else throw new Error(`Unknown argument "${arg}"`);
+  }
+
+  if (!opts.file) {
+    throw new Error("Usage: node scripts/backtest-rule.js <rule.json> [--from-block N --to-block N | --from DATE --to DATE]");
+  }
+  return opts;
+}
+
+function parseCount(flag, value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`${flag} must be a non-negative integer, got "${value}"`);
+  }
+  return n;
+}
+
+function printReport(report) {
+  const { range, events, counts, suppressed } = report;
+
+  console.log(`  🧪 Backtest: ${report.rule_id} on ${report.chain}`);
+  console.log(range.fromBlock == null
+    ? "     No stored events in range"
+    : `     Blocks ${range.fromBlock} → ${range.toBlock}`);
+  console.log(`     Events: ${events.scanned} scanned, ${events.matched} matched, ${events.skippedReverted} reverted skipped`);
+  console.log();
+  console.log(`  🔔 Alerts: ${counts.total} (${counts.byType.instant} instant, ${counts.byType.aggregated} aggregated)`);
+  for (const [severity, n] of Object.entries(counts.bySeverity)) {
+    if (n > 0) console.log(`     ${severity.padEnd(9)} ${n}`);
+  }
+  console.log(`  🔇 Suppressed: ${suppressed.cooldown} by cooldown, ${suppressed.dedup} duplicate(s), ${suppressed.severity} below min severity, ${suppressed.having} window(s) below having`);
+
+  if (report.alerts.length > 0) {
+    console.log();
+    for (const alert of report.alerts) {
+      const where = alert.type === "aggregated"
+        ? `blocks ${alert.blocks[0]}–${alert.blocks[1]}, ${alert.summary.event_count} event(s)`
+        : `block ${alert.blockNumber} ${alert.txHash}`;
+      const held = alert.suppressed_count > 0 ? `  (+${alert.suppressed_count} similar suppressed)` : "";
+      console.log(`     ${alert.at}  [${alert.severity}] ${alert.type.padEnd(10)} ${where}${held}`);
+    }
+    if (report.alertsTruncated) {
+      console.log(`     … ${counts.total - report.alerts.length} more (raise --max-alerts)`);
+    }
+  }
+}
+
+async function main() {
+  const opts = parseArgs();
+  const rule = JSON.parse(fs.readFileSync(opts.file, "utf-8"));
+
+  const db = new Database(config.database);
+  await db.connect();
+  await db.migrate();
+
+  const labels = new LabelRegistry({ store: new LabelRepository(db) });
+  labels.load();
+
+  const backtester = new Backtester(new EventRepository(db), {
+    labels,
+    ...(opts.livePrices && {
+      tokenRegistryFor: (chain) => new TokenRegistry(config.getChain(chain), new RpcPool(config.getChain(chain), config.rpcPool), config.prices),
+    }),
+  });
+
+  try {
+    const report = await backtester.run(rule, {
+      chain: opts.chain,
+      fromBlock: opts.fromBlock,
+      toBlock: opts.toBlock,
+      fromTime: opts.from,
+      toTime: opts.to,
+      maxAlerts: opts.maxAlerts,
+    });
+
+    if (opts.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch((err) => {
+  console.error(`\n  💥 ${err.message}`);
+  if (err.errors?.length > 1) {
+    for (const e of err.errors) console.error(`     - ${e}`);
+  }
+  process.exit(1);
+});
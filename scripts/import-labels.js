@@ -0,0 +1,85 @@
+/**
+ * Genesis — Address Label Import CLI
+ *
+ * Loads a CSV or JSON file of labelled addresses into an address list. A
+ * running monitor picks the change up within LabelRegistry's refresh interval.
+ *
+ * Usage:
+ *   node scripts/import-labels.js cex_hot_wallets labels/cex.csv
+ *   node scripts/import-labels.js cex_hot_wallets labels/cex.json --replace
+ *   node scripts/import-labels.js bridges bridges.csv --description "Canonical bridge contracts"
+ *   node scripts/import-labels.js --list                  # lists and their sizes
+ *
+ * CSV:  address,label,category,tags   (header optional, tags split on ";")
+ * JSON: [{ "address": "0x…", "label": "Binance 14", "category": "exchange" }]
+ *       or { "0x…": "Binance 14", ... }
+ *
+ * --replace drops entries that are not in the file. Works on the database
+ * from .env (DATABASE_PATH / DATABASE_DRIVER).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../src/config");
+const { Database, LabelRepository } = require("../src/db");
+const LabelRegistry = require("../src/engine/label-registry");
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { list: null, file: null, replace: false, description: undefined, format: null, showLists: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--replace") opts.replace = true;
+    else if (arg === "--description" && args[i + 1]) opts.description = args[++i];
+    else if (arg === "--format" && args[i + 1]) opts.format = args[++i];
+    else if (arg === "--list") opts.showLists = true;
+    else if (!arg.startsWith("--") && !opts.list) opts.list = arg;
+    else if (!arg.startsWith("--") && !opts.file) opts.file = arg;
+    else throw new Error(`Unknown argument "${arg}"`);
+  }
+
+  if (!opts.showLists && (!opts.list || !opts.file)) {
+    throw new Error("Usage: node scripts/import-labels.js <list> <file.csv|file.json> [--replace] [--description TEXT]");
+  }
+  opts.format = opts.format || (path.extname(opts.file || "").toLowerCase() === ".json" ? "json" : "csv");
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs();
+
+  const db = new Database(config.database);
+  await db.connect();
+  await db.migrate();
+  const repo = new LabelRepository(db);
+
+  try {
+    if (opts.showLists) {
+      const lists = repo.listLists();
+      if (lists.length === 0) console.log("  🏷️  No address lists yet");
+      for (const list of lists) {
+        console.log(`  🏷️  ${list.name.padEnd(24)} ${String(list.size).padStart(6)} address(es)${list.description ? `  — ${list.description}` : ""}`);
+      }
+      return;
+    }
+
+    const entries = LabelRegistry.parse(fs.readFileSync(opts.file, "utf-8"), opts.format);
+    const { written, removed } = repo.addEntries(opts.list, entries, {
+      replace: opts.replace,
+      description: opts.description,
+    });
+
+    console.log(`  🏷️  ${opts.list}: ${written} address(es) written${opts.replace ? `, ${removed} removed` : ""}`);
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch((err) => {
+  console.error(`\n  💥 ${err.message}`);
+  if (err.errors?.length > 1) {
+    for (const e of err.errors.slice(0, 20)) console.error(`     - ${e}`);
+  }
+  process.exit(1);
+});
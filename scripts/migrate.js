@@ -0,0 +1,121 @@
+/**
+ * Genesis — Schema Migration CLI
+ *
+ * Usage:
+ *   node scripts/migrate.js                    # apply all pending migrations
+ *   node scripts/migrate.js up --to 3          # apply up to version 3
+ *   node scripts/migrate.js rollback           # undo the last migration
+ *   node scripts/migrate.js rollback --steps 2
+ *   node scripts/migrate.js rollback --to 1    # undo everything above version 1
+ *   node scripts/migrate.js status
+ *   node scripts/migrate.js create add_alert_ack   # new empty numbered file
+ *
+ * Works on the database from .env (DATABASE_PATH / DATABASE_DRIVER).
+ * Stop Genesis before rolling back — a running instance expects the schema
+ * it started with.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../src/config");
+const { Database, Migrator } = require("../src/db");
+
+const MIGRATIONS_DIR = path.resolve(__dirname, "../db/migrations");
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { command: "up", name: null, to: null, steps: null };
+
+  let i = 0;
+  if (args[0] && !args[0].startsWith("--")) {
+    opts.command = args[0];
+    i = 1;
+    if (opts.command === "create") {
+      opts.name = args[1];
+      i = 2;
+    }
+  }
+
+  for (; i < args.length; i++) {
+    if (args[i] === "--to" && args[i + 1]) {
+      opts.to = parseVersion("--to", args[++i]);
+    } else if (args[i] === "--steps" && args[i + 1]) {
+      opts.steps = parseVersion("--steps", args[++i]);
+    } else {
+      throw new Error(`Unknown argument "${args[i]}"`);
+    }
+  }
+
+  if (!["up", "rollback", "status", "create"].includes(opts.command)) {
+    throw new Error(`Unknown command "${opts.command}" (use up, rollback, status or create)`);
+  }
+  if (opts.command === "create" && !/^[\w-]+$/.test(opts.name || "")) {
+    throw new Error("create needs a name made of letters, digits, _ or -");
+  }
+  return opts;
+}
+
+function parseVersion(flag, value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`${flag} must be a non-negative integer, got "${value}"`);
+  }
+  return n;
+}
+
+function create(name) {
+  const migrator = new Migrator(null, { dir: MIGRATIONS_DIR });
+  const last = migrator.load().at(-1)?.version ?? 0;
+  const file = `${String(last + 1).padStart(3, "0")}_${name}.sql`;
+
+  fs.writeFileSync(
+    path.join(MIGRATIONS_DIR, file),
+    `-- ${name.replace(/[_-]/g, " ")}\n\n-- migrate:up\n\n\n-- migrate:down\n\n`
+  );
+  console.log(`  📝 Created db/migrations/${file}`);
+}
+
+async function printStatus(migrator) {
+  const { current, migrations } = await migrator.status();
+
+  console.log(`  📜 Schema version: ${current}`);
+  console.log();
+  for (const m of migrations) {
+    const icon = { applied: "✅", pending: "⏳", missing: "❓" }[m.state];
+    const when = m.appliedAt ? new Date(m.appliedAt * 1000).toISOString() : "";
+    const note = m.modified ? "  ⚠️  file changed after it was applied" : "";
+    console.log(`  ${icon} ${String(m.version).padStart(3, "0")} ${m.name.padEnd(32)} ${m.state.padEnd(8)} ${when}${note}`);
+  }
+}
+
+async function main() {
+  const opts = parseArgs();
+
+  if (opts.command === "create") {
+    create(opts.name);
+    return;
+  }
+
+  const db = new Database(config.database);
+  await db.connect();
+  const migrator = new Migrator(db);
+
+  try {
+    if (opts.command === "status") {
+      await printStatus(migrator);
+    } else if (opts.command === "up") {
+      const applied = await migrator.migrate({ to: opts.to });
+      console.log(applied.length > 0 ? `  ✅ Applied ${applied.length} migration(s)` : "  ✅ Nothing to apply");
+    } else {
+      const undone = await migrator.rollback({ steps: opts.steps ?? 1, to: opts.to });
+      console.log(undone.length > 0 ? `  ✅ Rolled back ${undone.length} migration(s)` : "  ✅ Nothing to roll back");
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch((err) => {
+  console.error(`\n  💥 ${err.message}`);
+  process.exit(1);
+});
@@ -19,7 +19,8 @@ const fs = require("fs");
 const { ethers } = require("ethers");
 const ContractListener = require("../src/contract-listener");
 const InsightFormatter = require("../src/ai/insight-formatter");
-const { Database, EventRepository, AlertRepository } = require("../src/db");
+const { Database, EventRepository, AlertRepository, DetectorStateRepository, LabelRepository } = require("../src/db");
+const LabelRegistry = require("../src/engine/label-registry");
 const PipelineOrchestrator = require("../src/pipeline-orchestrator");
 const TelegramBot = require("../src/telegram-bot");
 const { ALERT_TYPES } = require("../src/telegram-bot");
@@ -108,11 +109,16 @@ async function startServer() {
   const listener = new ContractListener();
   const formatter = new InsightFormatter({
     geminiApiKey: process.env.GEMINI_API_KEY,
+    labels: db._isConnected ? new LabelRegistry({ store: new LabelRepository(db) }) : null,
   });
+  formatter.labels?.load();
 
   // ── Full Pipeline Orchestrator (connects ALL engine modules) ──
   const deployment = loadDeployment();
-  const pipeline = new PipelineOrchestrator({ deployment });
+  const pipeline = new PipelineOrchestrator({
+    deployment,
+    stateStore: db._isConnected ? new DetectorStateRepository(db) : null,
+  });
 
   // Forward wallet profiler patterns to SSE
   pipeline.walletProfiler.on("pattern", (pattern) => {
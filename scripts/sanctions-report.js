@@ -0,0 +1,150 @@
+/**
+ * Genesis — Sanctions Exposure Report
+ *
+ * Historical exposure of sanctioned (or any) addresses in the stored events:
+ * what each one sent, received or emitted per token, when, and with whom —
+ * including activity from before the address was listed, which live
+ * screening never saw. Also shows the screening hits already recorded.
+ *
+ * Usage:
+ *   node scripts/sanctions-report.js                       # every address on the sanctions list
+ *   node scripts/sanctions-report.js 0xabc… 0xdef…         # specific addresses
+ *   node scripts/sanctions-report.js --chain ethereum --from-block 19000000
+ *   node scripts/sanctions-report.js 0xabc… --json
+ *
+ * Works on the database from .env (DATABASE_PATH / DATABASE_DRIVER) and the
+ * list from SANCTIONS_LIST_PATH.
+ */
+
+const config = require("../src/config");
+const { Database, EventRepository, SanctionsRepository } = require("../src/db");
+const SanctionsScreener = require("../src/engine/sanctions-screener");
+const { TokenRegistry } = require("../src/pipeline");
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { addresses: [], chain: null, fromBlock: null, toBlock: null, json: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--chain" && args[i + 1]) opts.chain = args[++i];
+    else if (arg === "--from-block" && args[i + 1]) opts.fromBlock = parseCount("--from-block", args[++i]);
+    else if (arg === "--to-block" && args[i + 1]) opts.toBlock = parseCount("--to-block", args[++i]);
+    else if (arg === "--json") opts.json = true;
+    else if (/^0x[0-9a-fA-F]{40}$/.test(arg)) opts.addresses.push(arg.toLowerCase());
+    else throw new Error(`Unknown argument "${arg}"`);
+  }
+  return opts;
+}
+
+function parseCount(flag, value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`${flag} must be a non-negative integer, got "${value}"`);
+  }
+  return n;
+}
+
+const registries = new Map();
+
+/** Raw token units → "1,234.5 USDT" when the token is in tokens.json */
+function formatValue(raw, chain, contract) {
+  if (!registries.has(chain)) {
+    try {
+      registries.set(chain, new TokenRegistry(config.getChain(chain), null));
+    } catch {
+      registries.set(chain, null); // unknown chain — raw units
+    }
+  }
+  const token = registries.get(chain)?.known.get(contract);
+  if (!token) return `${raw} (raw)`;
+  const value = Number(BigInt(raw)) / 10 ** token.decimals;
+  return `${value.toLocaleString(undefined, { maximumFractionDigits: 4 })} ${token.symbol}`;
+}
+
+function printReport({ exposure, hits, listed }) {
+  const when = (ts) => (ts ? new Date(ts * 1000).toISOString() : "—");
+  const name = listed?.name ? ` — ${listed.name}${listed.program ? ` [${listed.program}]` : ""}` : "";
+
+  console.log(`  🚫 ${exposure.address}${name}`);
+  if (exposure.events === 0) {
+    console.log(`     No stored activity`);
+    return;
+  }
+  console.log(`     Events: ${exposure.events} (${exposure.sent} sent, ${exposure.received} received, ${exposure.emitted} emitted)`);
+  console.log(`     Active: blocks ${exposure.firstBlock} → ${exposure.lastBlock} (${when(exposure.firstSeen)} → ${when(exposure.lastSeen)})`);
+
+  for (const t of exposure.tokens) {
+    console.log(`     ${t.chain}:${t.contract}`);
+    if (t.sent > 0) console.log(`       ↑ sent     ${formatValue(t.valueSent, t.chain, t.contract)} in ${t.sent} transfer(s)`);
+    if (t.received > 0) console.log(`       ↓ received ${formatValue(t.valueReceived, t.chain, t.contract)} in ${t.received} transfer(s)`);
+  }
+
+  if (exposure.counterparties.length > 0) {
+    console.log(`     Top counterparties:`);
+    for (const c of exposure.counterparties.slice(0, 10)) {
+      console.log(`       ${c.address}  ${c.events} event(s) (${c.sent} to, ${c.received} from)`);
+    }
+  }
+
+  if (hits.length > 0) {
+    const versions = [...new Set(hits.map((h) => h.listVersion))].join(", ");
+    console.log(`     Screening hits recorded: ${hits.length} (list ${versions}), latest block ${hits[0].blockNumber}`);
+  }
+}
+
+async function main() {
+  const opts = parseArgs();
+
+  const screener = new SanctionsScreener(config.sanctions);
+  screener.load();
+
+  const db = new Database(config.database);
+  await db.connect();
+  await db.migrate();
+  const eventRepo = new EventRepository(db);
+  const sanctionsRepo = new SanctionsRepository(db);
+
+  try {
+    let addresses = opts.addresses;
+    if (addresses.length === 0) {
+      if (screener.addresses.size === 0) {
+        throw new Error(`No addresses given and no sanctions list loaded from ${config.sanctions.listPath}`);
+      }
+      // Only addresses that ever show up — one scan instead of one per address
+      addresses = await eventRepo.findSeenAddresses([...screener.addresses.keys()], { chain: opts.chain });
+      if (!opts.json) {
+        console.log(`  🔎 ${addresses.length} of ${screener.addresses.size} listed address(es) appear in stored events (list ${screener.version})\n`);
+      }
+    }
+
+    const reports = [];
+    for (const address of addresses) {
+      reports.push({
+        exposure: await eventRepo.getAddressExposure(address, {
+          chain: opts.chain,
+          fromBlock: opts.fromBlock,
+          toBlock: opts.toBlock,
+        }),
+        hits: sanctionsRepo.getHits({ address, chain: opts.chain }, 1000),
+        listed: screener.addresses.get(address) || null,
+      });
+    }
+
+    if (opts.json) {
+      console.log(JSON.stringify({ list: screener.getStats(), reports }, null, 2));
+    } else {
+      for (const report of reports) {
+        printReport(report);
+        console.log();
+      }
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch((err) => {
+  console.error(`\n  💥 ${err.message}`);
+  process.exit(1);
+});
@@ -1,8 +1,9 @@
 /**
  * Genesis — Database Setup Script
  * 
- * Runs database migrations to create tables and indexes.
- * Run this once before starting Genesis for the first time.
+ * Applies pending schema migrations (db/migrations) to create or upgrade
+ * tables and indexes. Genesis also does this on startup; see
+ * scripts/migrate.js for rollback and status.
  * 
  * Usage: node scripts/setup-db.js
  */
@@ -0,0 +1,146 @@
+/**
+ * Genesis — Block Tracker check against Hardhat over WebSocket
+ *
+ * Serves an in-process Hardhat chain over HTTP + ws and follows it with a
+ * real RpcPool + BlockTracker:
+ *   - newHeads subscription: every mined block arrives, in order
+ *   - polling fallback: a dropped socket switches to polling, skipped
+ *     blocks are filled in
+ *   - resubscribe: the tracker goes back to the subscription on its own
+ *   - watchdog: a socket that stays open but stops delivering heads is
+ *     covered by a poll
+ *
+ * Usage: npm run test:ws   (node scripts/test-block-tracker.js)
+ * Exits 1 when a check fails. Takes about 15 seconds (resubscribe backoff).
+ */
+
+const path = require("path");
+const assert = require("assert");
+
+process.chdir(path.join(__dirname, "..")); // Hardhat looks for its config from the cwd
+const hre = require("hardhat");
+const { JsonRpcServer } = require("hardhat/internal/hardhat-network/jsonrpc/server");
+const { RpcPool, BlockTracker } = require("../src/observer");
+
+const rpc = (method, params = []) => hre.network.provider.request({ method, params });
+
+let failures = 0;
+
+function check(name, actual, expected) {
+  try {
+    assert.deepStrictEqual(actual, expected);
+    console.log(`  ✅ ${name}`);
+  } catch {
+    failures++;
+    console.log(`  ❌ ${name}`);
+    console.log(`     expected: ${JSON.stringify(expected)}`);
+    console.log(`     actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+/** Resolve once `predicate()` holds, or after `timeoutMs` (the check then fails) */
+async function waitFor(predicate, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate() && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+async function mine(blocks = 1) {
+  await rpc("hardhat_mine", [`0x${blocks.toString(16)}`]);
+  return Number(await rpc("eth_blockNumber"));
+}
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+// ---------------------------------------------------------------------------
+// Checks
+// ---------------------------------------------------------------------------
+
+async function main() {
+  console.log("\n📡 Block Tracker on Hardhat (ws)\n");
+  await rpc("evm_setIntervalMining", [0]); // blocks only when we mine them
+
+  const server = new JsonRpcServer({ hostname: "127.0.0.1", port: 0, provider: hre.network.provider });
+  const { port } = await server.listen();
+
+  const chain = {
+    slug: "hardhat",
+    name: "Hardhat",
+    chainId: 31337,
+    blockTimeSec: 1,
+    local: true,
+    rpcEndpoints: [`http://127.0.0.1:${port}`],
+    wsEndpoints: [`ws://127.0.0.1:${port}`],
+  };
+  const pool = new RpcPool(chain, {});
+  const tracker = new BlockTracker(pool, chain);
+  tracker.silentHeadMs = 2_000; // watchdog after 2s without a head (default: 10 block times, ≥ 30s)
+
+  const seen = [];
+  const reorgs = [];
+  tracker.on("block", (block) => seen.push(block.blockNumber));
+  tracker.on("reorg", (reorg) => reorgs.push(reorg));
+
+  // Heads announced by the subscription (as opposed to found by a poll)
+  const pushed = [];
+  const onHead = tracker._onHead.bind(tracker);
+  tracker._onHead = (blockNumber) => {
+    pushed.push(blockNumber);
+    return onHead(blockNumber);
+  };
+
+  try {
+    const start = await mine();
+    await tracker.start();
+
+    console.log("\n  — newHeads subscription");
+    check("following the subscription", tracker.mode, "subscription");
+    let head = await mine();
+    head = await mine();
+    head = await mine();
+    await waitFor(() => seen.includes(head), 3_000);
+    check("every block arrives, in order", seen, range(start, head));
+    check("the latest head came from the subscription", pushed.includes(head), true);
+
+    console.log("\n  — polling fallback");
+    const lost = new Promise((resolve) => pool.once("ws:disconnected", resolve));
+    pool.ws.provider.websocket.close();
+    await lost;
+    check("dropped socket → polling", tracker.mode, "polling");
+    head = await mine(5);
+    await waitFor(() => seen.includes(head), 5_000);
+    check("skipped blocks filled in while polling", seen, range(start, head));
+
+    console.log("\n  — resubscribe");
+    await waitFor(() => tracker.mode === "subscription", 10_000);
+    check("back on the subscription after the backoff", tracker.mode, "subscription");
+    head = await mine();
+    await waitFor(() => seen.includes(head), 3_000);
+    check("heads pushed again", pushed.includes(head), true);
+    check("no block missed across the switches", seen, range(start, head));
+
+    console.log("\n  — watchdog");
+    await pool.ws.provider.off("block"); // socket stays open, heads stop
+    const silentFrom = pushed.length;
+    head = await mine(2);
+    await waitFor(() => seen.includes(head), 6_000);
+    check("silent subscription covered by a poll", seen, range(start, head));
+    check("nothing pushed meanwhile", pushed.slice(silentFrom), []);
+    check("still on the subscription", tracker.mode, "subscription");
+
+    check("no reorgs reported", reorgs, []);
+  } finally {
+    tracker.stop();
+    pool.destroy();
+    await server.close();
+  }
+
+  console.log(failures === 0 ? "\n✅ All checks passed\n" : `\n❌ ${failures} check(s) failed\n`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch((err) => {
+  console.error(`\n💥 ${err.stack || err.message}`);
+  process.exit(1);
+});
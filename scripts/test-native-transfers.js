@@ -0,0 +1,239 @@
+/**
+ * Genesis — Native Transfer Scanner check against Hardhat
+ *
+ * Sends value transfers on an in-process Hardhat chain and checks the
+ * NATIVE_TRANSFER events NativeTransferScanner reads back:
+ *   - a plain transfer
+ *   - an internal CALL with value (two levels deep)
+ *   - a reverted inner call, and a reverted transaction
+ *   - a CREATE with value (transaction and internal)
+ *   - the struct-log call-stack rebuild (depths, callers, block order)
+ *   - the callTracer → structLog fallback through a real RpcPool
+ *
+ * The contracts are a few bytes of hand-written EVM code, so nothing needs
+ * compiling.
+ *
+ * Usage: npm run test:native   (node scripts/test-native-transfers.js)
+ * Exits 1 when a check fails.
+ */
+
+const http = require("http");
+const path = require("path");
+const assert = require("assert");
+
+process.chdir(path.join(__dirname, "..")); // Hardhat looks for its config from the cwd
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+const { RpcPool, NativeTransferScanner } = require("../src/observer");
+const TxEnricher = require("../src/pipeline/tx-enricher");
+
+const CHAIN = { slug: "hardhat", name: "Hardhat", chainId: 31337, local: true, explorerUrl: "" };
+
+const rpc = (method, params = []) => hre.network.provider.request({ method, params });
+
+// Pool stand-in that sends straight to the in-process node
+const directPool = { callWithFailover: (fn) => fn({ send: rpc }) };
+
+let failures = 0;
+
+function check(name, actual, expected) {
+  try {
+    assert.deepStrictEqual(actual, expected);
+    console.log(`  ✅ ${name}`);
+  } catch {
+    failures++;
+    console.log(`  ❌ ${name}`);
+    console.log(`     expected: ${JSON.stringify(expected)}`);
+    console.log(`     actual:   ${JSON.stringify(actual)}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Contracts (raw EVM code)
+// ---------------------------------------------------------------------------
+
+/** Init code that deploys `runtime` as is */
+function _deployable(runtime) {
+  const size = (runtime.length / 2).toString(16).padStart(2, "0");
+  // CODECOPY(0, 12, size) RETURN(0, size) — the runtime starts at byte 12
+  return `0x60${size}600c60003960${size}6000f3${runtime}`;
+}
+
+/** Forwards its whole call value to `target`; with `revertAfter`, reverts afterwards */
+function forwarder(target, revertAfter = false) {
+  // CALL(gas, target, callvalue, 0, 0, 0, 0), result ignored
+  const call = `60006000600060003473${target.slice(2).toLowerCase()}5af1`;
+  return _deployable(call + (revertAfter ? "60006000fd" : "00"));
+}
+
+/** CREATEs an empty contract with its whole call value */
+function factory() {
+  // MSTORE(0, <init 60006000f3>) CREATE(callvalue, 27, 5) POP STOP
+  return _deployable("6460006000f3600052600560" + "1b34f05000");
+}
+
+// ---------------------------------------------------------------------------
+// Chain helpers
+// ---------------------------------------------------------------------------
+
+const eth = (n) => ethers.toQuantity(ethers.parseEther(String(n)));
+
+async function deploy(from, code) {
+  const hash = await rpc("eth_sendTransaction", [{ from, data: code }]);
+  return (await rpc("eth_getTransactionReceipt", [hash])).contractAddress.toLowerCase();
+}
+
+/**
+ * Mine `txs` together in one block — with automine off, so a reverting
+ * transaction is mined instead of rejected.
+ * @returns {Promise<{ block: number, hashes: string[], statuses: number[] }>}
+ */
+async function mine(txs) {
+  await rpc("evm_setAutomine", [false]);
+  const hashes = [];
+  for (const tx of txs) hashes.push(await rpc("eth_sendTransaction", [{ gas: "0x100000", ...tx }]));
+  await rpc("evm_mine");
+  await rpc("evm_setAutomine", [true]);
+
+  const receipts = await Promise.all(hashes.map((hash) => rpc("eth_getTransactionReceipt", [hash])));
+  return { block: Number(receipts[0].blockNumber), hashes, statuses: receipts.map((r) => Number(r.status)) };
+}
+
+/** Scanner watching every native transfer */
+function scanner(rpcPool, traces) {
+  const s = new NativeTransferScanner(rpcPool, CHAIN, { traces, receipts: new TxEnricher(CHAIN, rpcPool, {}) });
+  s.setRules([{ rule_id: "all-native", event_type: "NATIVE_TRANSFER", conditions: {} }]);
+  return s;
+}
+
+/** Events → [txIndex, kind, depth, from, to, ETH] for comparing */
+function summary(events, hashes) {
+  return events.map((e) => [
+    hashes.indexOf(e.txHash),
+    e.args.kind,
+    e.args.depth,
+    e.args.from,
+    e.args.to,
+    ethers.formatEther(e.args.value),
+  ]);
+}
+
+/** JSON-RPC over HTTP to the in-process node, for a real RpcPool */
+async function startBridge() {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", async () => {
+      const { id, method, params } = JSON.parse(body);
+      let reply;
+      try {
+        reply = { result: await rpc(method, params) };
+      } catch (err) {
+        reply = { error: { code: err.code ?? -32603, message: err.message } };
+      }
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ jsonrpc: "2.0", id, ...reply }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return server;
+}
+
+// ---------------------------------------------------------------------------
+// Checks
+// ---------------------------------------------------------------------------
+
+async function main() {
+  console.log("\n💸 Native transfers on Hardhat\n");
+  await rpc("evm_setIntervalMining", [0]); // blocks only when we mine them
+
+  const [alice, bob, carol] = (await rpc("eth_accounts")).map((a) => a.toLowerCase());
+  const inner = await deploy(alice, forwarder(carol));          // inner → carol
+  const outer = await deploy(alice, forwarder(inner));          // outer → inner → carol
+  const reverter = await deploy(alice, forwarder(carol, true)); // → carol, then reverts
+  const caller = await deploy(alice, forwarder(reverter));      // → reverter (fails, caller keeps the value)
+  const maker = await deploy(alice, factory());
+
+  const plain = await mine([{ from: alice, to: bob, value: eth(5) }]);
+  const nested = await mine([{ from: alice, to: outer, value: eth(7) }]);
+  const reverted = await mine([
+    { from: alice, to: reverter, value: eth(3) },
+    { from: alice, to: caller, value: eth(2) },
+  ]);
+  const created = await mine([
+    { from: alice, data: forwarder(carol), value: eth(4) },
+    { from: alice, to: maker, value: eth(1) },
+  ]);
+  check("reverting transaction mined as failed", reverted.statuses, [0, 1]);
+
+  const newContract = ethers.getCreateAddress({ from: alice, nonce: 9 }).toLowerCase();
+  const child = ethers.getCreateAddress({ from: maker, nonce: 1 }).toLowerCase();
+
+  const structLog = scanner(directPool, "structLog");
+  const off = scanner(directPool, "off");
+
+  console.log("\n  — plain transfer");
+  for (const s of [structLog, off]) {
+    check(`${s.traceMode}: alice → bob`, summary(await s.scanBlock(plain.block), plain.hashes), [
+      [0, "tx", 0, alice, bob, "5.0"],
+    ]);
+  }
+
+  console.log("\n  — internal CALL with value");
+  check("structLog: call stack rebuilt two levels deep", summary(await structLog.scanBlock(nested.block), nested.hashes), [
+    [0, "tx", 0, alice, outer, "7.0"],
+    [0, "call", 1, outer, inner, "7.0"],
+    [0, "call", 2, inner, carol, "7.0"],
+  ]);
+  check("off: transaction value only", summary(await off.scanBlock(nested.block), nested.hashes), [
+    [0, "tx", 0, alice, outer, "7.0"],
+  ]);
+
+  console.log("\n  — reverted inner call / reverted transaction");
+  check("structLog: nothing from the reverted frames", summary(await structLog.scanBlock(reverted.block), reverted.hashes), [
+    [1, "tx", 0, alice, caller, "2.0"],
+  ]);
+  check("off: failed transaction skipped by receipt", summary(await off.scanBlock(reverted.block), reverted.hashes), [
+    [1, "tx", 0, alice, caller, "2.0"],
+  ]);
+
+  console.log("\n  — CREATE with value");
+  check("structLog: creation transaction and internal CREATE", summary(await structLog.scanBlock(created.block), created.hashes), [
+    [0, "create", 0, alice, newContract, "4.0"],
+    [1, "tx", 0, alice, maker, "1.0"],
+    [1, "create", 1, maker, child, "1.0"],
+  ]);
+  check("internal CREATE moved the value", BigInt(await rpc("eth_getBalance", [child])), ethers.parseEther("1"));
+
+  console.log("\n  — block order and logIndex");
+  const range = await structLog.scanRange(plain.block, created.block);
+  check("events in block order",
+    range.map((e) => e.blockNumber),
+    [plain.block, nested.block, nested.block, nested.block, reverted.block, created.block, created.block, created.block]);
+  check("logIndex counts down per transaction",
+    range.filter((e) => e.blockNumber === created.block).map((e) => e.logIndex), [-1, -1, -2]);
+
+  console.log("\n  — callTracer → structLog fallback (real RpcPool)");
+  const bridge = await startBridge();
+  const pool = new RpcPool({ ...CHAIN, rpcEndpoints: [`http://127.0.0.1:${bridge.address().port}`] }, {});
+  try {
+    const auto = scanner(pool, "auto");
+    const events = summary(await auto.scanBlock(nested.block), nested.hashes);
+    check("traces: auto resolved to structLog", auto.traceMode, "structLog");
+    check("same transfers as structLog", events, summary(await structLog.scanBlock(nested.block), nested.hashes));
+
+    const [endpoint] = pool.getStats();
+    check("unsupported tracer did not trip the circuit", [endpoint.circuit, endpoint.errors], ["closed", 0]);
+  } finally {
+    pool.destroy();
+    bridge.close();
+  }
+
+  console.log(failures === 0 ? "\n✅ All checks passed\n" : `\n❌ ${failures} check(s) failed\n`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch((err) => {
+  console.error(`\n💥 ${err.stack || err.message}`);
+  process.exit(1);
+});
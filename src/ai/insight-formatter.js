@@ -9,6 +9,9 @@
  *            → Local Formatter (fallback)           → Formatted Insight
  *
  * The formatter always works — LangChain AI enhances it when available.
+ *
+ * Addresses are shown by name ("Binance 14 (0x28c6...1d60)") when a
+ * LabelRegistry is set (config.labels, or assign `labels` later).
  */
 
 const GenesisLangChainAgent = require("./langchain-agent");
@@ -21,6 +24,9 @@ class InsightFormatter {
     });
     this.useAI = this.aiAgent.enabled;
 
+    // Address labels (LabelRegistry) — null shows short addresses only
+    this.labels = config.labels || null;
+
     // ── AI Budget: limit Gemini calls to avoid rate limits ──
     // Only high-value events go to the LLM. Everything else uses local formatter.
     this._aiCallsUsed = 0;
@@ -582,6 +588,7 @@ class InsightFormatter {
 
   _shortAddr(addr) {
     if (!addr) return "unknown";
+    if (this.labels) return this.labels.format(addr);
     return `${addr.slice(0, 6)}...${addr.slice(-4)}`;
   }
 
@@ -1,8 +1,22 @@
 /**
  * Genesis — REST API Server
  * 
- * Provides HTTP endpoints for querying events, alerts, and stats.
- * Runs on a separate port from the main Genesis monitor.
+ * Provides HTTP endpoints for querying events, alerts, and stats, and for
+ * managing rules. Runs on a separate port from the main Genesis monitor.
+ *
+ * Rule changes are written to rules/ (atomically); a running monitor picks
+ * them up through RuleLoader.watch() like a hand edit. Write endpoints need
+ * `Authorization: Bearer $API_TOKEN` when API_TOKEN is set, and are
+ * limited to localhost when it is not. Reads are open to any origin (CORS);
+ * writes only answer CORS for API_CORS_ORIGINS, and a write a browser sends
+ * from any other site is refused — otherwise every page the operator opens
+ * could change rules through localhost.
+ *
+ * Address lists (for `in_list` conditions and alert labels) are stored in
+ * SQLite; monitors re-read them within LabelRegistry's refresh interval.
+ * Sanctions screening hits and per-address exposure reports are read-only.
+ * Contract ABIs attached here (contract_abis table) reach monitors the same
+ * way, within AbiRegistry's refresh interval.
  * 
  * Run: node src/api-server.js
  */
@@ -10,21 +24,37 @@
 const express = require("express");
 const cors = require("cors");
 const path = require("path");
+const crypto = require("crypto");
 const config = require("./config");
-const { Database, EventRepository, AlertRepository } = require("./db");
+const { Database, EventRepository, AlertRepository, LabelRepository, SanctionsRepository, AbiRepository } = require("./db");
+const { AbiRegistry } = require("./pipeline");
+const { RuleLoader, LabelRegistry, SanctionsScreener } = require("./engine");
+const RuleStore = require("./engine/rule-store");
+const Backtester = require("./engine/backtester");
+const { diffWatchTargets } = require("./observer/watch-targets");
 
 // ---------------------------------------------------------------------------
 // Setup
 // ---------------------------------------------------------------------------
 
 const app = express();
-app.use(cors());
+// CORS: any origin may read; only configured origins may write (preflights
+// are answered by the method they ask for)
+const readCors = cors({ methods: ["GET", "HEAD"] });
+const writeCors = cors({ origin: config.api.corsOrigins, methods: ["GET", "HEAD", "POST", "PUT", "DELETE"] });
+app.use((req, res, next) => {
+  const method = req.method === "OPTIONS" ? (req.get("access-control-request-method") || "GET") : req.method;
+  return (method === "GET" || method === "HEAD" ? readCors : writeCors)(req, res, next);
+});
 app.use(express.json());
+// Label imports are text/csv only: a text/plain body is what a cross-site
+// page can send without a preflight
+app.use(express.text({ type: "text/csv", limit: "5mb" }));
 
 // Serve static dashboard files
 app.use(express.static(path.join(__dirname, "../public")));
 
-let db, eventRepo, alertRepo;
+let db, eventRepo, alertRepo, labelRepo, labels, sanctionsRepo, screener, abiRepo, abiRegistry, ruleLoader, ruleStore, backtester;
 
 // ---------------------------------------------------------------------------
 // Middleware: Request logging
@@ -307,6 +337,446 @@ app.get("/alerts/rule/:ruleId", async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// Rules
+// ---------------------------------------------------------------------------
+
+/**
+ * Only operators may change rules and address lists: a matching bearer token
+ * when API_TOKEN is configured, otherwise requests from this machine. Either
+ * way a browser request from another site (Origin / Sec-Fetch-Site) is
+ * refused unless its origin is in API_CORS_ORIGINS — bodiless and text/plain
+ * requests need no preflight, so CORS alone does not stop them.
+ */
+function requireOperator(req, res, next) {
+  if (!_sameSiteOrAllowed(req)) {
+    return res.status(403).json({ error: "Cross-site changes are not allowed (see API_CORS_ORIGINS)" });
+  }
+
+  const token = config.api.token;
+
+  if (token) {
+    const given = (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+    const a = Buffer.from(given);
+    const b = Buffer.from(token);
+    if (a.length === b.length && crypto.timingSafeEqual(a, b)) return next();
+    return res.status(401).json({ error: "Missing or invalid API token" });
+  }
+
+  // Loopback peer *and* a loopback Host: a DNS-rebound page reaches 127.0.0.1
+  // under its own host name
+  const ip = req.socket.remoteAddress;
+  if ((ip === "127.0.0.1" || ip === "::1" || ip === "::ffff:127.0.0.1") && _isLoopbackHost(req.hostname)) return next();
+  res.status(403).json({ error: "Changes are only allowed from localhost unless API_TOKEN is set" });
+}
+
+/** No cross-site browser context: no Origin, this server's own, or a configured one */
+function _sameSiteOrAllowed(req) {
+  const origin = req.get("origin");
+  if (origin && config.api.corsOrigins.includes(origin)) return true;
+
+  const site = req.get("sec-fetch-site");
+  if (site && site !== "same-origin" && site !== "none") return false;
+
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === req.get("host");
+  } catch {
+    return false; // "null" (sandboxed frames, file://) and garbage
+  }
+}
+
+function _isLoopbackHost(hostname) {
+  return hostname === "localhost" || hostname === "127.0.0.1" || hostname === "::1" || hostname === "[::1]";
+}
+
+/**
+ * Apply a change to the rule files, reload, and report what moved.
+ * @param {() => { rule: object, file: string }} change
+ */
+function applyRuleChange(change) {
+  const before = ruleLoader.getAll();
+  const result = change();
+  const rules = ruleLoader.reload(); // emits rules:changed
+  abiRegistry.refresh();
+  const watchTargets = diffWatchTargets(before, ruleLoader.getAll(), Object.keys(config.chains), abiRegistry);
+
+  return {
+    rule: result.rule,
+    file: result.file,
+    rules,
+    watchTargets,
+  };
+}
+
+/** Map RuleStore / LabelRepository / AbiRepository errors to HTTP responses. */
+function sendStoreError(res, err, route) {
+  if (err.code === "INVALID") return res.status(400).json({ error: err.message, errors: err.errors });
+  if (err.code === "NOT_FOUND") return res.status(404).json({ error: err.message });
+  if (err.code === "CONFLICT") return res.status(409).json({ error: err.message });
+
+  console.error(`  💥 [API] ${route} error: ${err.message}`);
+  res.status(500).json({ error: err.message });
+}
+
+/**
+ * GET /rules
+ * All rules, including disabled ones
+ */
+app.get("/rules", (req, res) => {
+  try {
+    const rules = ruleStore.list().map(({ rule, file }) => ({
+      ...rule,
+      enabled: rule.enabled !== false,
+      file,
+    }));
+    res.json({ rules, count: rules.length });
+  } catch (err) {
+    sendStoreError(res, err, "/rules");
+  }
+});
+
+/**
+ * POST /rules/test
+ * Dry-run a rule over stored events — nothing is saved or sent.
+ *
+ * Body:
+ *   - rule: rule JSON, or rule_id: an existing rule
+ *   - chain: defaults to the rule's chain
+ *   - fromBlock / toBlock, or from / to (unix seconds or ISO date)
+ *   - maxAlerts: alerts listed in the response (default 500; all are counted)
+ */
+app.post("/rules/test", requireOperator, async (req, res) => {
+  try {
+    const body = req.body || {};
+    let rule = body.rule;
+    if (!rule && body.rule_id) {
+      const entry = ruleStore.get(body.rule_id);
+      if (!entry) return res.status(404).json({ error: `Rule "${body.rule_id}" not found` });
+      rule = entry.rule;
+    }
+    if (!rule) return res.status(400).json({ error: "rule or rule_id is required" });
+
+    labels.refresh(); // in_list conditions see list edits made a moment ago
+
+    const report = await backtester.run(rule, {
+      chain: body.chain,
+      fromBlock: body.fromBlock,
+      toBlock: body.toBlock,
+      fromTime: body.from,
+      toTime: body.to,
+      maxAlerts: body.maxAlerts,
+    });
+    res.json(report);
+  } catch (err) {
+    sendStoreError(res, err, "POST /rules/test");
+  }
+});
+
+/**
+ * GET /rules/:id
+ */
+app.get("/rules/:id", (req, res) => {
+  const entry = ruleStore.get(req.params.id);
+  if (!entry) return res.status(404).json({ error: `Rule "${req.params.id}" not found` });
+  res.json({ rule: entry.rule, file: entry.file });
+});
+
+/**
+ * POST /rules
+ * Create a rule. Body: the rule JSON (same format as files in rules/)
+ */
+app.post("/rules", requireOperator, (req, res) => {
+  try {
+    res.status(201).json(applyRuleChange(() => ruleStore.create(req.body)));
+  } catch (err) {
+    sendStoreError(res, err, "POST /rules");
+  }
+});
+
+/**
+ * PUT /rules/:id
+ * Replace a rule. Body: the full rule JSON (rule_id may be omitted)
+ */
+app.put("/rules/:id", requireOperator, (req, res) => {
+  try {
+    res.json(applyRuleChange(() => ruleStore.update(req.params.id, req.body)));
+  } catch (err) {
+    sendStoreError(res, err, "PUT /rules");
+  }
+});
+
+/**
+ * DELETE /rules/:id
+ */
+app.delete("/rules/:id", requireOperator, (req, res) => {
+  try {
+    res.json(applyRuleChange(() => ruleStore.remove(req.params.id)));
+  } catch (err) {
+    sendStoreError(res, err, "DELETE /rules");
+  }
+});
+
+/**
+ * POST /rules/:id/enable
+ * POST /rules/:id/disable
+ */
+app.post("/rules/:id/enable", requireOperator, (req, res) => {
+  try {
+    res.json(applyRuleChange(() => ruleStore.setEnabled(req.params.id, true)));
+  } catch (err) {
+    sendStoreError(res, err, "POST /rules/enable");
+  }
+});
+
+app.post("/rules/:id/disable", requireOperator, (req, res) => {
+  try {
+    res.json(applyRuleChange(() => ruleStore.setEnabled(req.params.id, false)));
+  } catch (err) {
+    sendStoreError(res, err, "POST /rules/disable");
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Address lists
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /lists
+ * Every address list with its size
+ */
+app.get("/lists", (req, res) => {
+  try {
+    const lists = labelRepo.listLists();
+    res.json({ lists, count: lists.length });
+  } catch (err) {
+    sendStoreError(res, err, "/lists");
+  }
+});
+
+/**
+ * GET /lists/:name
+ * One list with its entries
+ */
+app.get("/lists/:name", (req, res) => {
+  try {
+    const list = labelRepo.getList(req.params.name);
+    if (!list) return res.status(404).json({ error: `List "${req.params.name}" not found` });
+    res.json(list);
+  } catch (err) {
+    sendStoreError(res, err, "/lists/:name");
+  }
+});
+
+/**
+ * PUT /lists/:name
+ * Create a list or update its description. Body: { description }
+ */
+app.put("/lists/:name", requireOperator, (req, res) => {
+  try {
+    const { list, created } = labelRepo.saveList(req.params.name, { description: req.body?.description });
+    res.status(created ? 201 : 200).json(list);
+  } catch (err) {
+    sendStoreError(res, err, "PUT /lists");
+  }
+});
+
+/**
+ * DELETE /lists/:name
+ */
+app.delete("/lists/:name", requireOperator, (req, res) => {
+  try {
+    labelRepo.deleteList(req.params.name);
+    res.json({ deleted: req.params.name });
+  } catch (err) {
+    sendStoreError(res, err, "DELETE /lists");
+  }
+});
+
+/**
+ * POST /lists/:name/entries
+ * Add or update entries (the list is created if missing).
+ *
+ * Body, either:
+ *   - JSON: { entries: [{ address, label, category, tags }], replace: false }
+ *   - CSV (Content-Type: text/csv): address,label,category,tags — ?replace=true
+ *     drops entries not in the file
+ * Like every list write, refused when a browser sends it from another site.
+ */
+app.post("/lists/:name/entries", requireOperator, (req, res) => {
+  try {
+    let entries;
+    let replace = req.query.replace === "true";
+
+    if (typeof req.body === "string") {
+      const format = req.query.format || "csv";
+      try {
+        entries = LabelRegistry.parse(req.body, format);
+      } catch (err) {
+        return res.status(400).json({ error: `Could not parse ${format} body: ${err.message}` });
+      }
+    } else {
+      entries = req.body?.entries;
+      replace = replace || req.body?.replace === true;
+    }
+
+    const result = labelRepo.addEntries(req.params.name, entries, { replace });
+    res.json({ list: req.params.name, ...result });
+  } catch (err) {
+    sendStoreError(res, err, "POST /lists/entries");
+  }
+});
+
+/**
+ * DELETE /lists/:name/entries/:address
+ */
+app.delete("/lists/:name/entries/:address", requireOperator, (req, res) => {
+  try {
+    labelRepo.removeEntry(req.params.name, req.params.address);
+    res.json({ list: req.params.name, removed: req.params.address.toLowerCase() });
+  } catch (err) {
+    sendStoreError(res, err, "DELETE /lists/entries");
+  }
+});
+
+/**
+ * GET /labels/:address
+ * Every list an address is on, with its label
+ */
+app.get("/labels/:address", (req, res) => {
+  try {
+    const address = req.params.address.toLowerCase();
+    res.json({ address, entries: labelRepo.entriesFor(address) });
+  } catch (err) {
+    sendStoreError(res, err, "/labels/:address");
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Sanctions screening
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /sanctions
+ * The list in force and hit counts per listed address
+ */
+app.get("/sanctions", (req, res) => {
+  try {
+    res.json({ list: screener.getStats(), addresses: sanctionsRepo.getSummary({ chain: req.query.chain }) });
+  } catch (err) {
+    sendStoreError(res, err, "/sanctions");
+  }
+});
+
+/**
+ * GET /sanctions/hits?address=0x…&chain=ethereum&limit=100
+ * Recorded screening hits, newest first, with the list version used
+ */
+app.get("/sanctions/hits", (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const hits = sanctionsRepo.getHits({ address: req.query.address, chain: req.query.chain }, limit);
+    res.json({ hits, count: hits.length });
+  } catch (err) {
+    sendStoreError(res, err, "/sanctions/hits");
+  }
+});
+
+/**
+ * GET /sanctions/exposure/:address?chain=ethereum&fromBlock=&toBlock=
+ * Historical exposure of an address in the stored events
+ */
+app.get("/sanctions/exposure/:address", async (req, res) => {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(req.params.address)) {
+    return res.status(400).json({ error: "Expected a 0x-prefixed 20-byte address" });
+  }
+  try {
+    const exposure = await eventRepo.getAddressExposure(req.params.address, {
+      chain: req.query.chain,
+      fromBlock: req.query.fromBlock != null ? parseInt(req.query.fromBlock, 10) : undefined,
+      toBlock: req.query.toBlock != null ? parseInt(req.query.toBlock, 10) : undefined,
+    });
+    res.json({
+      ...exposure,
+      listed: screener.addresses.get(exposure.address) || null,
+      hits: sanctionsRepo.getHits({ address: exposure.address, chain: req.query.chain }, 100),
+    });
+  } catch (err) {
+    sendStoreError(res, err, "/sanctions/exposure");
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Contract ABIs
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /abis
+ * ABI families (built-in, Hardhat artifacts, rules) and every contract with
+ * an attached ABI, whatever attached it
+ */
+app.get("/abis", (req, res) => {
+  try {
+    abiRegistry.refresh();
+    const { families, contracts } = abiRegistry.getStats();
+    res.json({ families, contracts, count: contracts.length });
+  } catch (err) {
+    sendStoreError(res, err, "/abis");
+  }
+});
+
+/**
+ * GET /abis/:chain/:address
+ * The ABI a contract decodes with, and the stored one if attached here
+ */
+app.get("/abis/:chain/:address", (req, res) => {
+  try {
+    abiRegistry.refresh();
+    const { chain, address } = req.params;
+    const stored = abiRepo.get(chain, address);
+    const decodesWith = abiRegistry.describeContract(chain, address);
+    if (!stored && !decodesWith) {
+      return res.status(404).json({ error: `No ABI attached to ${chain}:${address} — its logs decode with the built-in ABIs only` });
+    }
+    res.json({ chain, address: address.toLowerCase(), stored, decodesWith });
+  } catch (err) {
+    sendStoreError(res, err, "/abis/:chain/:address");
+  }
+});
+
+/**
+ * PUT /abis/:chain/:address
+ * Attach (or replace) a contract's ABI. Body: { name, abi } — abi is a JSON
+ * ABI or a list of "event …" signatures; its events become "<NAME>_<EVENT>"
+ * event types (e.g. "AavePool" → AAVE_POOL_SUPPLY)
+ */
+app.put("/abis/:chain/:address", requireOperator, (req, res) => {
+  const { chain, address } = req.params;
+  if (!config.chains[chain]) {
+    return res.status(400).json({ error: `Unknown chain "${chain}"`, errors: [`chain: must be one of ${Object.keys(config.chains).join(", ")}`] });
+  }
+  try {
+    const { abi, created } = abiRepo.save(chain, address, { name: req.body?.name, abi: req.body?.abi });
+    abiRegistry.refresh();
+    res.status(created ? 201 : 200).json({ ...abi, decodesWith: abiRegistry.describeContract(chain, address) });
+  } catch (err) {
+    sendStoreError(res, err, "PUT /abis");
+  }
+});
+
+/**
+ * DELETE /abis/:chain/:address
+ */
+app.delete("/abis/:chain/:address", requireOperator, (req, res) => {
+  try {
+    abiRepo.delete(req.params.chain, req.params.address);
+    abiRegistry.refresh();
+    res.json({ deleted: `${req.params.chain}:${req.params.address.toLowerCase()}` });
+  } catch (err) {
+    sendStoreError(res, err, "DELETE /abis");
+  }
+});
+
 /**
  * GET /
  * API documentation
@@ -330,6 +800,36 @@ app.get("/", (req, res) => {
         stats: "GET /alerts/stats?chain=ethereum",
         byRule: "GET /alerts/rule/:ruleId",
       },
+      rules: {
+        list: "GET /rules",
+        get: "GET /rules/:id",
+        create: "POST /rules",
+        replace: "PUT /rules/:id",
+        delete: "DELETE /rules/:id",
+        enable: "POST /rules/:id/enable",
+        disable: "POST /rules/:id/disable",
+        test: "POST /rules/test",
+      },
+      lists: {
+        list: "GET /lists",
+        get: "GET /lists/:name",
+        save: "PUT /lists/:name",
+        delete: "DELETE /lists/:name",
+        addEntries: "POST /lists/:name/entries (JSON or text/csv)",
+        removeEntry: "DELETE /lists/:name/entries/:address",
+        lookup: "GET /labels/:address",
+      },
+      sanctions: {
+        summary: "GET /sanctions",
+        hits: "GET /sanctions/hits?address=0x…&chain=ethereum",
+        exposure: "GET /sanctions/exposure/:address?chain=ethereum",
+      },
+      abis: {
+        list: "GET /abis",
+        get: "GET /abis/:chain/:address",
+        attach: "PUT /abis/:chain/:address",
+        detach: "DELETE /abis/:chain/:address",
+      },
     },
   });
 });
@@ -339,6 +839,9 @@ app.get("/", (req, res) => {
 // ---------------------------------------------------------------------------
 
 app.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: `Invalid JSON body: ${err.message}` });
+  }
   console.error(`  💥 [API] Unhandled error: ${err.message}`);
   res.status(500).json({ error: "Internal server error" });
 });
@@ -356,10 +859,34 @@ async function start() {
   // Connect to database
   db = new Database(config.database);
   await db.connect();
+  await db.migrate(); // address lists may be created before the monitor has run
 
   // Initialize repositories
   eventRepo = new EventRepository(db);
   alertRepo = new AlertRepository(db);
+  labelRepo = new LabelRepository(db);
+  sanctionsRepo = new SanctionsRepository(db);
+  abiRepo = new AbiRepository(db);
+
+  // Rules (watched, so hand edits show up in GET /rules and in diffs)
+  ruleLoader = new RuleLoader();
+  ruleLoader.load();
+  ruleLoader.watch();
+  ruleStore = new RuleStore(ruleLoader.dir);
+  labels = new LabelRegistry({ store: labelRepo });
+  labels.load();
+  backtester = new Backtester(eventRepo, { labels });
+  screener = new SanctionsScreener(config.sanctions);
+  screener.load();
+  screener.watch();
+  abiRegistry = new AbiRegistry({
+    abis: config.abis,
+    store: abiRepo,
+    artifactsDir: config.abiRegistry.artifactsDir,
+    deploymentsDir: config.abiRegistry.deploymentsDir,
+    chains: config.chains,
+  });
+  abiRegistry.load(); // rule diffs report the topics monitors will derive
 
   // Start Express server
   const port = config.api.port;
@@ -380,6 +907,14 @@ async function start() {
     console.log(`     GET /alerts`);
     console.log(`     GET /alerts/stats?chain=ethereum`);
     console.log(`     GET /alerts/rule/:ruleId`);
+    console.log(`     GET|POST /rules, GET|PUT|DELETE /rules/:id`);
+    console.log(`     POST /rules/:id/enable | /rules/:id/disable`);
+    console.log(`     POST /rules/test`);
+    console.log(`     GET /lists, GET|PUT|DELETE /lists/:name`);
+    console.log(`     POST /lists/:name/entries, DELETE /lists/:name/entries/:address`);
+    console.log(`     GET /labels/:address`);
+    console.log(`     GET /sanctions, /sanctions/hits, /sanctions/exposure/:address`);
+    console.log(`     GET /abis, GET|PUT|DELETE /abis/:chain/:address`);
     console.log();
     console.log("  (Press Ctrl+C to stop)");
     console.log();
@@ -389,6 +924,8 @@ async function start() {
 // Graceful shutdown
 process.on("SIGINT", async () => {
   console.log("\n  🛑 Shutting down API server...");
+  ruleLoader?.stop();
+  screener?.stop();
   await db.close();
   process.exit(0);
 });
@@ -16,18 +16,56 @@
  *
  * Run: node src/app.js
  *      node src/app.js --chain polygon
+ *      node src/app.js --chain ethereum,polygon,arbitrum   (or --chain all)
+ *
+ * Multi-chain: each chain gets its own ChainRunner (observer + pipeline),
+ * while the RuleLoader, NoiseFilter, database and notification dispatcher are
+ * shared — one process, one SQLite file. Per-chain health is served at
+ * /api/chains on the metrics port; chains can be added or removed at runtime
+ * with POST / DELETE /api/chains/:slug (from localhost only).
+ *
+ * Backfill (replay a past block range through the same pipeline, then exit):
+ *      node src/app.js --chain ethereum --from-block 19000000 --to-block 19001000
+ *      (omit --to-block to replay up to the current head; alerts are stored
+ *       but not delivered unless --notify is passed)
+ *
+ * Restarts are crash-safe: the last processed block is checkpointed per chain
+ * (chain_cursors table) together with its events, and on startup the missed
+ * range is caught up in bounded batches before head-following resumes.
+ *
+ * Detector state survives restarts too: anomaly baselines are checkpointed
+ * per chain (anomaly_baselines table) every minute and on shutdown, and
+ * restored on startup. To rebuild them from the stored events instead:
+ *      node src/app.js --chain ethereum --rebuild-baselines
+ *
+ * Reorgs roll back everywhere: orphaned events are marked reverted in the DB,
+ * alerts built only on them are retracted (and the channels told so), and the
+ * replacement blocks are re-fetched through the normal pipeline.
+ *
+ * Address labels (address_lists / address_labels tables) are loaded once and
+ * re-read when another process changes them (API server, import-labels.js):
+ * rules match them with `in_list`, alerts show "Binance 14 (0x28c6...1d60)".
+ *
+ * Sanctions screening runs on every event regardless of rules: a `from`,
+ * `to` or contract on the list file (SANCTIONS_LIST_PATH) raises a critical
+ * alert, and the hit is stored with the list version (sanctions_hits table).
+ * Historical exposure of an address: node scripts/sanctions-report.js 0x…
+ *
+ * ABIs come from one AbiRegistry shared by every chain: the built-ins in
+ * src/config/abis/, Hardhat artifacts/deployments, rules' `abi` and the
+ * contract_abis table (attached through the API server). Watch targets and
+ * decoding both derive from it; proxies resolve to their implementation.
  */
 
 const config = require("./config");
-const { RpcPool, BlockTracker, LogFetcher } = require("./observer");
-const { Decoder, FinalityTracker } = require("./pipeline");
-const { RuleLoader, RuleEvaluator, Aggregator, NoiseFilter } = require("./engine");
-const AnomalyDetector = require("./engine/anomaly-detector");
+const { RuleLoader, RuleEvaluator, NoiseFilter, LabelRegistry, SanctionsScreener } = require("./engine");
 const NotificationDispatcher = require("./notify/dispatcher");
 // CyreneAI integration temporarily disabled for demo stability.
 // To re-enable, uncomment the import and initialization below and ensure CYRENE credentials are configured.
 // const CyreneAgent = require("./ai/cyrene-agent");
-const { Database, EventRepository, AlertRepository } = require("./db");
+const { Database, EventRepository, AlertRepository, CursorRepository, SuppressionRepository, DetectorStateRepository, LabelRepository, SanctionsRepository, AbiRepository } = require("./db");
+const { AbiRegistry } = require("./pipeline");
+const ChainRunner = require("./chain-runner");
 const metricsCollector = require("./metrics/collector");
 const MetricsServer = require("./metrics/server");
 
@@ -36,17 +74,62 @@ const MetricsServer = require("./metrics/server");
 // ---------------------------------------------------------------------------
 function parseArgs() {
   const args = process.argv.slice(2);
-  const opts = { chain: config.defaultChain };
+  const opts = {
+    chains: [config.defaultChain],
+    fromBlock: null,
+    toBlock: null,
+    notify: false,
+    rebuildBaselines: config.detectorState.rebuildBaselines,
+  };
 
   for (let i = 0; i < args.length; i++) {
     if (args[i] === "--chain" && args[i + 1]) {
-      opts.chain = args[i + 1];
+      opts.chains = parseChainArg(args[i + 1]);
+      i++;
+    } else if (args[i] === "--from-block" && args[i + 1]) {
+      opts.fromBlock = parseBlockArg("--from-block", args[i + 1]);
       i++;
+    } else if (args[i] === "--to-block" && args[i + 1]) {
+      opts.toBlock = parseBlockArg("--to-block", args[i + 1]);
+      i++;
+    } else if (args[i] === "--notify") {
+      opts.notify = true;
+    } else if (args[i] === "--rebuild-baselines") {
+      opts.rebuildBaselines = true;
     }
   }
+
+  if (opts.toBlock != null && opts.fromBlock == null) {
+    throw new Error("--to-block requires --from-block");
+  }
+  if (opts.fromBlock != null && opts.toBlock != null && opts.toBlock < opts.fromBlock) {
+    throw new Error(`--to-block (${opts.toBlock}) must be >= --from-block (${opts.fromBlock})`);
+  }
+
+  opts.backfill = opts.fromBlock != null;
+  if (opts.backfill && opts.chains.length !== 1) {
+    throw new Error("Backfill runs on exactly one chain: pass a single --chain");
+  }
   return opts;
 }
 
+/** "ethereum,polygon" → ["ethereum", "polygon"]; "all" → every non-local chain in chains.json */
+function parseChainArg(value) {
+  if (value === "all") return Object.keys(config.chains).filter((slug) => !config.chains[slug].local);
+  const slugs = [...new Set(value.split(",").map((s) => s.trim()).filter(Boolean))];
+  for (const slug of slugs) config.getChain(slug); // throws on unknown chains
+  return slugs;
+}
+
+function parseBlockArg(flag, value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`${flag} must be a non-negative block number, got "${value}"`);
+  }
+  return n;
+}
+
+
 // ---------------------------------------------------------------------------
 // Main
 // ---------------------------------------------------------------------------
@@ -60,17 +143,47 @@ async function main() {
   console.log();
 
   // --- 1. Load chain config ---
-  const chainConfig = config.getChain(opts.chain);
-  console.log(`  🌐 Chain: ${chainConfig.name} (ID: ${chainConfig.chainId})`);
+  for (const slug of opts.chains) {
+    const chainConfig = config.getChain(slug);
+    console.log(`  🌐 Chain: ${chainConfig.name} (ID: ${chainConfig.chainId})`);
+  }
+  if (opts.backfill) {
+    console.log(`  ⏪ Backfill: blocks ${opts.fromBlock}→${opts.toBlock ?? "head"}${opts.notify ? " (notifications ON)" : ""}`);
+  }
   console.log();
 
   // --- 2. Database Layer (Phase 3) ---
+  // One Database (one SQLite connection) shared by every chain
   const db = new Database(config.database);
   await db.connect();
   await db.migrate(); // Run schema migrations
   
   const eventRepo = new EventRepository(db);
   const alertRepo = new AlertRepository(db);
+  const cursorRepo = new CursorRepository(db);
+  const stateStore = new DetectorStateRepository(db);
+
+  // Address lists for in_list conditions and labelled alerts
+  const labels = new LabelRegistry({ store: new LabelRepository(db) });
+  labels.load();
+  labels.watch(); // lists are edited from the API server
+
+  // Sanctions list (re-read when the file changes)
+  const screener = new SanctionsScreener(config.sanctions);
+  screener.load();
+  screener.watch();
+  const sanctionsRepo = new SanctionsRepository(db);
+
+  // Contract ABIs (attached through the API server) + Hardhat artifacts
+  const abiRegistry = new AbiRegistry({
+    abis: config.abis,
+    store: new AbiRepository(db),
+    artifactsDir: config.abiRegistry.artifactsDir,
+    deploymentsDir: config.abiRegistry.deploymentsDir,
+    chains: config.chains,
+  });
+  abiRegistry.load();
+  abiRegistry.watch();
   console.log();
 
   // --- 3. Load rules ---
@@ -78,31 +191,25 @@ async function main() {
   ruleLoader.load();
   ruleLoader.watch(); // hot-reload on file changes
 
-  const rules = ruleLoader.getForChain(opts.chain);
-  if (rules.length === 0) {
-    console.warn(`  ⚠️  No rules found for chain "${opts.chain}". Add JSON files to the rules/ directory.`);
+  for (const slug of opts.chains) {
+    if (ruleLoader.getForChain(slug).length === 0) {
+      console.warn(`  ⚠️  No rules found for chain "${slug}". Add JSON files to the rules/ directory.`);
+    }
   }
   console.log();
 
-  // --- 4. Observer Layer ---
-  const rpcPool = new RpcPool(chainConfig);
-  const blockTracker = new BlockTracker(rpcPool, chainConfig);
-  const logFetcher = new LogFetcher(rpcPool, chainConfig);
-
-  // --- 5. Pipeline Layer ---
-  const decoder = new Decoder(chainConfig, config.abis);
-  const finalityTracker = new FinalityTracker(chainConfig);
-
-  // --- 6. Engine Layer (Phase 2) ---
-  const ruleEvaluator = new RuleEvaluator(ruleLoader);
-  const aggregator = new Aggregator();
-  const noiseFilter = new NoiseFilter();
-  const anomalyDetector = new AnomalyDetector();
+  // --- 4. Shared Engine Layer (Phase 2) ---
+  // Per-chain state (aggregation windows, anomaly baselines) lives in each
+  // ChainRunner; the evaluator is stateless and the noise filter is global
+  // so cooldowns hold across chains.
+  const ruleEvaluator = new RuleEvaluator(ruleLoader, { labels });
+  const noiseFilter = new NoiseFilter({ store: new SuppressionRepository(db) });
+  noiseFilter.load(); // cooldowns and pending suppressed counts from the last run
 
-  // --- 7. Notification Layer (Phase 4) ---
-  const notificationDispatcher = new NotificationDispatcher(config);
+  // --- 5. Notification Layer (Phase 4) ---
+  const notificationDispatcher = new NotificationDispatcher(config, { labels });
 
-  // --- 7.5. AI Intelligence Layer (CyreneAI Integration) ---
+  // --- 5.5. AI Intelligence Layer (CyreneAI Integration) ---
   // CyreneAI is currently commented out for the live demo. To enable later
   // restore the lines below and provide valid `config.cyrene` settings.
   // const cyreneAgent = new CyreneAgent({
@@ -110,399 +217,262 @@ async function main() {
   //   apiKey: config.cyrene?.apiKey,
   // });
 
-  // --- 8. Metrics Dashboard (Phase 5) ---
-  const metricsServer = new MetricsServer(config.api.port);
-  metricsServer.start();
-
-  // --- 9. SELECTIVE INDEXING: Rules drive what we watch ---
-  //    This is the 70-90% RPC cost saving.
-  //    Instead of watching "everything", we only watch contracts referenced in rules.
-  function syncWatchTargets() {
-    // Clear old targets
-    for (const id of Array.from(logFetcher.watchTargets.keys())) {
-      logFetcher.removeTarget(id);
-    }
-
-    // Add targets from rules
-    const activeRules = ruleLoader.getForChain(opts.chain);
-
-    for (const rule of activeRules) {
-      const abi = getAbiForEventType(rule.event_type);
-
-      if (rule.contracts && rule.contracts.length > 0) {
-        for (const addr of rule.contracts) {
-          logFetcher.addTarget(
-            `rule_${rule.rule_id}_${addr.slice(0, 8)}`,
-            addr,
-            abi
-          );
-        }
-      } else {
-        logFetcher.addTarget(`rule_${rule.rule_id}`, null, abi);
-      }
-    }
-  }
-
-  function getAbiForEventType(eventType) {
-    switch (eventType) {
-      case "ERC20_TRANSFER": return config.abis.erc20;
-      case "ERC721_TRANSFER": return config.abis.erc721;
-      case "UNISWAP_V2": return config.abis.uniswapV2;
-      default: return config.abis.erc20;
-    }
-  }
-
-  // Initial sync
-  syncWatchTargets();
-
-  // Re-sync when rules change (hot-reload)
-  ruleLoader.on("rules:changed", ({ added, removed }) => {
-    console.log(`  🔄 Rules changed: +${added.length} -${removed.length} — re-syncing watch targets...`);
-    syncWatchTargets();
-  });
-
-  // --- 8. Wire the full event pipeline ---
-  let lastFetchedBlock = 0;
-  let processing = false;
-  const blockQueue = [];
-
-  async function processBlock(block) {
-    const { blockNumber, timestamp } = block;
-
-    // Update finality for tracked events
-    finalityTracker.onNewBlock(blockNumber);
-
-    // Fetch logs for new block(s)
-    const fromBlock = lastFetchedBlock > 0 ? lastFetchedBlock + 1 : blockNumber;
-    const toBlock = blockNumber;
+  // Backfills store alerts but only deliver them when --notify is passed
+  const shouldDispatch = !opts.backfill || opts.notify;
 
-    if (fromBlock > toBlock) return;
+  // In-flight alert deliveries (awaited before a backfill exits)
+  const pendingDeliveries = new Set();
 
-    console.log(`  🔎 Fetching logs for blocks ${fromBlock}→${toBlock}...`);
-    const logs = await logFetcher.fetchLogs(fromBlock, toBlock);
-    lastFetchedBlock = toBlock;
-
-    if (logs.length === 0) {
-      console.log(`  📦 Block ${blockNumber}: 0 logs (no matching events)`);
-      return;
-    }
-
-    // Get finality status for this block
-    const finality = blockTracker.getFinalityStatus(blockNumber);
-
-    // Decode logs → GenesisEvents
-    const events = decoder.decodeBatch(logs, { timestamp }, finality);
-
-    // Track metrics: RPC calls and events
-    metricsCollector.recordBlockProcessed(blockNumber);
-    metricsCollector.recordRPCCall(50); // Assume 50ms latency for getLogs
-    
-    // Estimate RPC savings from selective indexing
-    const naiveCallsEstimate = 100; // Naive indexer would make ~100 calls per block
-    const actualCalls = 1; // We make 1 selective call with topic filters
-    metricsCollector.recordRPCSaved(naiveCallsEstimate - actualCalls);
-
-    for (const event of events) {
-      metricsCollector.recordEventDecoded(event.eventType);
-    }
-
-    if (events.length === 0) {
-      console.log(`  📦 Block ${blockNumber}: ${logs.length} logs → 0 decoded events`);
-      return;
-    }
+  // --- 6. Noise Filter → AI Enhancement → Notification Dispatcher → Database ---
 
-    // ┌─────────────────────────────────────────────┐
-    // │  PHASE 3: Save events to database           │
-    // └─────────────────────────────────────────────┘
-
-    try {
-      await eventRepo.saveBatch(events);
-    } catch (err) {
-      console.error(`  💥 [Database] Failed to save events: ${err.message}`);
-      // Continue processing even if DB save fails
-    }
-
-    // Track finality for all decoded events
-    for (const event of events) {
-      finalityTracker.track(event);
-    }
-
-    // ┌─────────────────────────────────────────────┐
-    // │  Feed events to anomaly detector            │
-    // │  for statistical baseline training          │
-    // └─────────────────────────────────────────────┘
+  /**
+   * Dispatch an alert to the notification channels (unless this is a silent
+   * backfill) and persist it.
+   */
+  function deliverAlert(alert, label) {
+    const delivery = (async () => {
+      // AI analysis is disabled for the demo — keep the original alert as-is.
+      const enhancedAlert = alert;
 
-    for (const event of events) {
-      // Only record transfer events for statistical analysis
-      if (event.name === 'Transfer' && event.args && event.args.value) {
+      // Dispatch to notification channels (Telegram, Webhook, Console)
+      if (shouldDispatch) {
         try {
-          const token = event.address.toLowerCase();
-          const amount = event.args.value;
-          
-          // Get token decimals (default to 18 if not in our known list)
-          const knownTokens = {
-            '0xdac17f958d2ee523a2206206994597c13d831ec7': 6, // USDT
-            '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': 6, // USDC
-            '0x6b175474e89094c44da98b954eedeac495271d0f': 18, // DAI
-          };
-          const decimals = knownTokens[token] || 18;
-          
-          anomalyDetector.recordTransfer(token, amount, decimals);
+          await notificationDispatcher.dispatch(enhancedAlert);
+
+          // Track metrics for each channel
+          if (config.TELEGRAM_BOT_TOKEN) {
+            metricsCollector.recordAlertSent(alert.severity, 'telegram');
+          }
+          if (config.WEBHOOK_URL) {
+            metricsCollector.recordAlertSent(alert.severity, 'webhook');
+          }
+          if (config.CONSOLE_ALERTS) {
+            metricsCollector.recordAlertSent(alert.severity, 'console');
+          }
         } catch (err) {
-          // Silently fail - don't block processing for anomaly recording
+          console.error(`  💥 [Notification] Failed to dispatch ${label}: ${err.message}`);
         }
       }
-    }
-
-    // ┌─────────────────────────────────────────────┐
-    // │  PHASE 2: Rule Evaluation → Aggregation     │
-    // │  Events only become alerts if a rule matches │
-    // └─────────────────────────────────────────────┘
-
-    const matches = ruleEvaluator.evaluateBatch(events);
-
-    // Track matched vs filtered events
-    metricsCollector.recordEventFiltered(events.length - matches.length);
-    for (const match of matches) {
-      metricsCollector.recordEventMatched();
-    }
 
-    // ┌─────────────────────────────────────────────┐
-    // │  ANOMALY DETECTION (Phase 5+)               │
-    // │  Statistical analysis for outliers          │
-    // └─────────────────────────────────────────────┘
-
-    const anomalies = anomalyDetector.detectBatchAnomalies(events);
-    
-    if (anomalies.length > 0) {
-      console.log(`  🔍 [Anomaly] Detected ${anomalies.length} statistical outlier(s):`);
-      for (const anom of anomalies) {
-        console.log(`     ${anom.message}`);
-        console.log(`     Confidence: ${anom.anomaly.confidence_level} | Z-score: ${anom.anomaly.abs_z_score.toFixed(2)}σ`);
-        
-        // Track metrics
-        metricsCollector.recordAnomalyDetected(
-          anom.anomaly.severity,
-          anom.event.address.toLowerCase()
-        );
-        
-        // Send anomaly alerts through notification system
-        const anomalyAlert = {
-          alert_type: 'anomaly',
-          rule_name: `🔬 Statistical Anomaly Detected`,
-          severity: anom.anomaly.severity,
-          chain: chainConfig.slug,
-          event: anom.event,
-          anomaly: anom.anomaly,
-          message: anom.message,
-          timestamp: Date.now(),
-        };
-        
-        // Dispatch anomaly alert
-        try {
-          await notificationDispatcher.dispatch(anomalyAlert);
-        } catch (err) {
-          console.error(`  💥 [Anomaly Alert] Failed: ${err.message}`);
+      // Save alert to database
+      try {
+        await alertRepo.save(alert);
+        if (shouldDispatch) {
+          await alertRepo.markNotified(alert.alertId || alert.rule.rule_id, ["telegram", "console"]);
         }
+      } catch (err) {
+        console.error(`  💥 [Database] Failed to save ${label}: ${err.message}`);
       }
-    }
+    })();
 
-    console.log(
-      `  📦 Block ${blockNumber}: ${logs.length} logs → ${events.length} decoded → ${matches.length} rule match(es)`
-    );
-
-    // Feed matches through the aggregator
-    for (const match of matches) {
-      aggregator.process(match);
-    }
+    pendingDeliveries.add(delivery);
+    delivery.finally(() => pendingDeliveries.delete(delivery));
+    return delivery;
   }
 
-  // Serialized block handler — prevents race conditions
-  async function drainBlockQueue() {
-    if (processing) return;
-    processing = true;
-    while (blockQueue.length > 0) {
-      const block = blockQueue.shift();
-      try {
-        await processBlock(block);
-      } catch (err) {
-        console.error(`  💥 [BlockHandler] Error processing block: ${err.message}`);
-        console.error(err.stack);
-      }
+  // --- 7. Chain runners: one isolated observer + pipeline per chain ---
+  const runners = new Map();
+
+  /**
+   * Build a runner for a chain and wire its alerts into the shared layers.
+   * @param {string} slug
+   * @returns {ChainRunner}
+   */
+  function createRunner(slug) {
+    if (runners.has(slug)) {
+      throw new Error(`Chain "${slug}" is already running`);
     }
-    processing = false;
-  }
-
-  blockTracker.on("block", (block) => {
-    blockQueue.push(block);
-    drainBlockQueue();
-  });
 
-  // --- 9. Aggregator → Noise Filter → AI Enhancement → Notification Dispatcher → Database ---
+    const runner = new ChainRunner(config.getChain(slug), {
+      config,
+      ruleLoader,
+      ruleEvaluator,
+      eventRepo,
+      alertRepo,
+      cursorRepo,
+      dispatcher: shouldDispatch ? notificationDispatcher : null,
+      stateStore,
+      rebuildBaselines: opts.rebuildBaselines,
+      screener,
+      sanctionsRepo,
+      abiRegistry,
+    });
+
+    // Instant alerts (high/critical severity bypass aggregation)
+    // CyreneAI temporarily disabled: send original alerts without AI enhancement.
+    runner.on("alert", async (alert) => {
+      if (noiseFilter.shouldPass(alert)) {
+        await deliverAlert(alert, "alert");
+      }
+    });
 
-  // Instant alerts (high/critical severity bypass aggregation)
-  // CyreneAI temporarily disabled: send original alerts without AI enhancement.
-  aggregator.on("alert", async (alert) => {
-    if (noiseFilter.shouldPass(alert)) {
-      // AI analysis is disabled for the demo — keep the original alert as-is.
-      const enhancedAlert = alert;
+    // Aggregated alerts (window expired → summary)
+    runner.on("alert:aggregated", async (alert) => {
+      // Track aggregation metrics
+      metricsCollector.recordAggregationWindow();
+      metricsCollector.recordEventAggregated(alert.event_count || 1);
 
-      // Dispatch to notification channels (Telegram, Webhook, Console)
-      try {
-        await notificationDispatcher.dispatch(enhancedAlert);
-        
-        // Track metrics for each channel
-        if (config.TELEGRAM_BOT_TOKEN) {
-          metricsCollector.recordAlertSent(alert.severity, 'telegram');
-        }
-        if (config.WEBHOOK_URL) {
-          metricsCollector.recordAlertSent(alert.severity, 'webhook');
-        }
-        if (config.CONSOLE_ALERTS) {
-          metricsCollector.recordAlertSent(alert.severity, 'console');
-        }
-      } catch (err) {
-        console.error(`  💥 [Notification] Failed to dispatch alert: ${err.message}`);
+      if (noiseFilter.shouldPassAggregated(alert)) {
+        // CyreneAI pattern detection temporarily disabled: send aggregated alert as-is.
+        await deliverAlert(alert, "aggregated alert");
       }
-      
-      // Save alert to database
+    });
+
+    // Anomaly alerts (backfills only record them)
+    runner.on("anomaly", async (anomalyAlert) => {
+      if (!shouldDispatch) return;
       try {
-        await alertRepo.save(alert);
-        await alertRepo.markNotified(alert.alertId || alert.rule.rule_id, ["telegram", "console"]);
+        await notificationDispatcher.dispatch(anomalyAlert);
       } catch (err) {
-        console.error(`  💥 [Database] Failed to save alert: ${err.message}`);
+        console.error(`  💥 [Anomaly Alert] Failed: ${err.message}`);
       }
-    }
-  });
+    });
 
-  // Aggregated alerts (window expired → summary)
-  aggregator.on("alert:aggregated", async (alert) => {
-    // Track aggregation metrics
-    metricsCollector.recordAggregationWindow();
-    metricsCollector.recordEventAggregated(alert.event_count || 1);
-    
-    if (noiseFilter.shouldPassAggregated(alert)) {
-      // CyreneAI pattern detection temporarily disabled: send aggregated alert as-is.
-      const enhancedAlert = alert;
+    runner.on("health", (health) => metricsCollector.recordChainHealth(slug, health));
 
-      // Dispatch to notification channels (Telegram, Webhook, Console)
-      try {
-        await notificationDispatcher.dispatch(enhancedAlert);
-        
-        // Track metrics for each channel
-        if (config.TELEGRAM_BOT_TOKEN) {
-          metricsCollector.recordAlertSent(alert.severity, 'telegram');
-        }
-        if (config.WEBHOOK_URL) {
-          metricsCollector.recordAlertSent(alert.severity, 'webhook');
-        }
-        if (config.CONSOLE_ALERTS) {
-          metricsCollector.recordAlertSent(alert.severity, 'console');
-        }
-      } catch (err) {
-        console.error(`  💥 [Notification] Failed to dispatch aggregated alert: ${err.message}`);
-      }
-      
-      // Save aggregated alert to database
-      try {
-        await alertRepo.save(alert);
-        await alertRepo.markNotified(alert.alertId || alert.rule.rule_id, ["telegram", "console"]);
-      } catch (err) {
-        console.error(`  💥 [Database] Failed to save aggregated alert: ${err.message}`);
-      }
-    }
-  });
+    runners.set(slug, runner);
+    return runner;
+  }
 
-  // --- 10. Reorg handling ---
-  blockTracker.on("reorg", (reorg) => {
-    finalityTracker.onReorg(reorg);
-  });
+  /**
+   * Start following a chain (used at boot and by POST /api/chains/:slug).
+   * @param {string} slug
+   */
+  async function addChain(slug) {
+    const runner = createRunner(slug);
+    console.log(`  ➕ [Chains] Starting ${slug}...`);
 
-  finalityTracker.on("finality:upgraded", async (data) => {
-    // Update finality in database (no notification for finality upgrades - too verbose)
     try {
-      if (!data.event) return;
-      
-      // Update single event's finality status
-      await eventRepo.updateFinality(data.event.id, data.to);
-      
-      console.log(`  ⬆️  [Finality] ${data.event.eventType} upgraded: ${data.from} → ${data.to} (Block ${data.event.blockNumber})`);
+      await runner.start();
     } catch (err) {
-      console.error(`  💥 [Database] Failed to update finality: ${err.message}`);
+      runners.delete(slug);
+      metricsCollector.recordChainHealth(slug, runner.getHealth());
+      await runner.stop().catch(() => {});
+      throw err;
     }
-  });
 
-  finalityTracker.on("finality:reverted", async (data) => {
-    // Critical event - log revert but don't spam notifications
-    console.log(`  🚨 Event reverted: ${data.event?.eventType || 'Unknown'} at block ${data.event?.blockNumber}`);
-    
-    // Update event as reverted in database
-    try {
-      if (data.event && data.event.id) {
-        await eventRepo.updateFinality(data.event.id, 'reverted');
-      }
-    } catch (err) {
-      console.error(`  💥 [Database] Failed to mark event as reverted: ${err.message}`);
+    metricsCollector.recordChainHealth(slug, runner.getHealth());
+    return runner.getHealth();
+  }
+
+  /**
+   * Stop following a chain (DELETE /api/chains/:slug). Its open aggregation
+   * windows are flushed; stored events and the cursor stay, so adding it
+   * back resumes where it stopped.
+   * @param {string} slug
+   */
+  async function removeChain(slug) {
+    const runner = runners.get(slug);
+    if (!runner) {
+      throw new Error(`Chain "${slug}" is not running`);
     }
-  });
 
-  // --- 11. Health check every 60s ---
-  const healthInterval = setInterval(() => {
-    rpcPool.healthCheck();
-  }, 60_000);
+    runners.delete(slug);
+    await runner.stop();
+    metricsCollector.removeChain(slug);
+    console.log(`  ➖ [Chains] Stopped ${slug}`);
+  }
+
+  function getChainHealth() {
+    return Array.from(runners.values()).map((runner) => runner.getHealth());
+  }
+
+  // --- 8. Backfill mode: replay the range, then exit ---
+  if (opts.backfill) {
+    const runner = createRunner(opts.chains[0]);
+    await runner.backfill(opts.fromBlock, opts.toBlock);
+    await Promise.all(pendingDeliveries);
+
+    ruleLoader.stop();
+    await runner.stop();
+    await db.close();
+    process.exit(0);
+  }
+
+  // --- 9. Metrics Dashboard (Phase 5) + chain control ---
+  // Not started for backfills: they usually run next to a live instance
+  // that already owns the port.
+  const metricsServer = new MetricsServer(config.api.port);
+  metricsServer.setChainControl({ list: getChainHealth, add: addChain, remove: removeChain });
+  metricsServer.start();
 
-  // --- 12. Stats every 5 minutes ---
+  // --- 10. Stats every 5 minutes ---
   const statsInterval = setInterval(() => {
     const nf = noiseFilter.getStats();
-    const ag = aggregator.getStats();
-    console.log(`\n  📊 Noise filter: ${nf.passed} passed, ${nf.suppressionRate} suppressed | Aggregator: ${ag.activeWindows} active window(s)\n`);
+    const windows = Array.from(runners.values()).reduce((sum, r) => sum + r.aggregator.getStats().activeWindows, 0);
+    console.log(`\n  📊 Noise filter: ${nf.passed} passed, ${nf.suppressionRate} suppressed | Aggregator: ${windows} active window(s)`);
+    for (const h of getChainHealth()) {
+      console.log(`     ${h.chain}: ${h.status} | head ${h.headBlock ?? "?"} | lag ${h.lagBlocks ?? "?"} | RPC ${h.providersHealthy}/${h.providersTotal}`);
+    }
+    console.log();
   }, 300_000);
 
-  // --- 13. Test notification channels ---
+  // --- 11. Test notification channels ---
   await notificationDispatcher.testChannels();
 
-  // --- 14. Start ---
+  // --- 12. Start ---
   console.log();
   console.log("  🚀 Starting Genesis...");
   console.log(`  🎯 Active rules: ${ruleLoader.getAll().length}`);
-  console.log(`  📡 Watch targets: ${logFetcher.getStats().activeTargets}`);
-  console.log(`  📡 Finality: soft=${chainConfig.softConfirmBlocks} blocks, final=${chainConfig.finalityBlocks} blocks`);
+  console.log(`  ⛓️  Chains: ${opts.chains.join(", ")}`);
   console.log();
 
-  // Initial health check
-  await rpcPool.healthCheck();
+  // Chains start independently: one unreachable chain does not stop the others
+  const started = await Promise.allSettled(opts.chains.map((slug) => addChain(slug)));
+  started.forEach((result, i) => {
+    if (result.status === "rejected") {
+      console.error(`  💥 [Chains] ${opts.chains[i]} failed to start: ${result.reason?.message || result.reason}`);
+    }
+  });
+
+  if (runners.size === 0) {
+    throw new Error("No chain could be started");
+  }
+
   console.log();
   console.log("  ⏳ Waiting for new blocks...");
   console.log("  (Press Ctrl+C to stop)");
   console.log();
 
-  await blockTracker.start();
-
-  // --- 14. Graceful shutdown ---
+  // --- 13. Graceful shutdown ---
   const shutdown = async () => {
     console.log("\n  🛑 Shutting down Genesis...");
-    blockTracker.stop();
-    clearInterval(healthInterval);
     clearInterval(statsInterval);
-    aggregator.flushAll(); // flush pending aggregation windows
+    metricsServer.stop();
+
+    // Capture stats before runners release their state
+    const chainStats = Array.from(runners.values()).map((r) => ({
+      chain: r.chain.slug,
+      finality: r.finalityTracker.getStats(),
+    }));
+
+    // Stop every chain (flushes pending aggregation windows)
+    await Promise.allSettled(Array.from(runners.values()).map((r) => r.stop()));
+    await Promise.all(pendingDeliveries);
     ruleLoader.stop();
-    rpcPool.destroy();
+    labels.stop();
+    screener.stop();
+    abiRegistry.stop();
 
     // Close database connection
+    const dbStats = db.getStats();
     await db.close();
 
     // Print final stats
-    const finalityStats = finalityTracker.getStats();
     const noiseStats = noiseFilter.getStats();
-    const dbStats = db.getStats();
     
     console.log(`  📊 Final stats:`);
-    console.log(`     Events tracked: ${finalityStats.totalTracked}`);
-    console.log(`     Finality: ${JSON.stringify(finalityStats.byStatus)}`);
+    for (const { chain, finality } of chainStats) {
+      console.log(`     [${chain}] Events tracked: ${finality.totalTracked} | Finality: ${JSON.stringify(finality.byStatus)}`);
+    }
     console.log(`     Noise filter: ${noiseStats.passed} passed, ${noiseStats.suppressionRate} suppressed`);
     console.log(`       ↳ Cooldown: ${noiseStats.suppressed_cooldown} | Dedup: ${noiseStats.suppressed_dedup} | Severity: ${noiseStats.suppressed_severity}`);
+    const sanctionsStats = screener.getStats();
+    if (sanctionsStats.enabled) {
+      console.log(`     Sanctions: ${sanctionsStats.hits} hit(s) in ${sanctionsStats.screened} screened event(s) (list ${sanctionsStats.version})`);
+    }
     if (dbStats) {
-      console.log(`     Database pool: ${dbStats.total} total, ${dbStats.idle} idle`);
+      console.log(`     Database: ${(dbStats.size / 1024 / 1024).toFixed(1)} MB, ${dbStats.tables} tables (${dbStats.driver})`);
     }
     console.log("  👋 Goodbye!\n");
 
@@ -0,0 +1,774 @@
+/**
+ * Genesis — Chain Runner
+ *
+ * One isolated observer + pipeline per chain:
+ *
+ *   RpcPool → BlockTracker → LogFetcher → Decoder ─┬→ TokenRegistry → TxEnricher
+ *                          → NativeTransferScanner ─┘
+ *     → FinalityTracker / ReorgRollback
+ *     → RuleEvaluator + SequenceMatcher + SanctionsScreener → Aggregator
+ *
+ * Everything stateful about a chain (block queue, cursor, finality, open
+ * aggregation windows, partial sequence matches, anomaly baselines) lives here. The services that must
+ * be single per process — RuleLoader, NoiseFilter, database, notification
+ * dispatcher, sanctions screener, ABI registry — are passed in and shared by all runners; alerts leave the
+ * runner as events and app.js filters and delivers them.
+ *
+ * The watched contracts' EIP-1967 proxy slots are read at start and every
+ * abiRegistry.proxyRefreshMs, so a proxy decodes with (and is watched for
+ * the events of) the ABI attached to its current implementation.
+ *
+ * Emits:
+ *   "alert"            — instant alert from the aggregator
+ *   "alert:aggregated" — window summary from the aggregator
+ *   "anomaly"          — statistical anomaly alert
+ *   "health"           — getHealth() snapshot after each provider health check
+ */
+
+const EventEmitter = require("events");
+const { RpcPool, BlockTracker, LogFetcher, NativeTransferScanner } = require("./observer");
+const { buildWatchTargets, findUnresolvedEventTypes } = require("./observer/watch-targets");
+const { Decoder, FinalityTracker, FinalityStatus, ReorgRollback, TokenRegistry, AbiRegistry, TxEnricher, eventFromRow } = require("./pipeline");
+const { expandSequenceRules } = require("./engine/rule-loader");
+const { Aggregator, SequenceMatcher, StateCheckpointer } = require("./engine");
+const AnomalyDetector = require("./engine/anomaly-detector");
+const metricsCollector = require("./metrics/collector");
+
+// Max blocks processed per catch-up batch when resuming from a cursor
+const CATCHUP_BATCH_BLOCKS = 1000;
+
+// Provider health check interval (config.rpcPool.healthIntervalMs overrides)
+const HEALTH_INTERVAL_MS = 60_000;
+
+class ChainRunner extends EventEmitter {
+  /**
+   * @param {object} chainConfig — chain entry from config.getChain()
+   * @param {object} shared
+   * @param {object} shared.config — the global config object
+   * @param {import('./engine/rule-loader')} shared.ruleLoader
+   * @param {import('./engine/rule-evaluator')} shared.ruleEvaluator
+   * @param {import('./db/event-repository')} shared.eventRepo
+   * @param {import('./db/alert-repository')} shared.alertRepo
+   * @param {import('./db/cursor-repository')} shared.cursorRepo
+   * @param {import('./notify/dispatcher')|null} shared.dispatcher — null to record retractions silently
+   * @param {import('./db/detector-state-repository')} [shared.stateStore] — anomaly baseline checkpoints
+   * @param {boolean} [shared.rebuildBaselines] — rebuild baselines from stored events instead of the checkpoint
+   * @param {import('./engine/sanctions-screener')} [shared.screener] — screens every event, rules or not
+   * @param {import('./db/sanctions-repository')} [shared.sanctionsRepo] — stores screening hits
+   * @param {import('./pipeline/abi-registry')} [shared.abiRegistry] — decoding and topic filters (built-in ABIs only when omitted)
+   */
+  constructor(chainConfig, shared) {
+    super();
+    this.chain = chainConfig;
+    this.config = shared.config;
+    this.ruleLoader = shared.ruleLoader;
+    this.ruleEvaluator = shared.ruleEvaluator;
+    this.eventRepo = shared.eventRepo;
+    this.cursorRepo = shared.cursorRepo;
+    this.screener = shared.screener || null;
+    this.sanctionsRepo = shared.sanctionsRepo || null;
+    this.abiRegistry = shared.abiRegistry || new AbiRegistry({ abis: this.config.abis });
+    this.tag = `[${chainConfig.slug}]`;
+
+    // --- Observer Layer ---
+    this.rpcPool = new RpcPool(chainConfig, this.config.rpcPool);
+    this.blockTracker = new BlockTracker(this.rpcPool, chainConfig, {
+      gasPrices: this.config.anomaly?.gas !== false, // gas anomalies score the price paid per block
+    });
+    this.logFetcher = new LogFetcher(this.rpcPool, chainConfig, this.config.logFetcher);
+
+    // --- Pipeline Layer ---
+    this.decoder = new Decoder(chainConfig, this.abiRegistry);
+    this.finalityTracker = new FinalityTracker(chainConfig);
+    this.tokenRegistry = new TokenRegistry(chainConfig, this.rpcPool, this.config.prices);
+    this.txEnricher = new TxEnricher(chainConfig, this.rpcPool, { ...this.config.enrichment, decoder: this.decoder });
+    this.nativeScanner = new NativeTransferScanner(this.rpcPool, chainConfig, {
+      ...this.config.nativeTransfers,
+      receipts: this.txEnricher, // status of untraced transactions, through its receipt cache
+    });
+
+    // --- Engine Layer (per chain: windows and baselines never mix chains) ---
+    this.aggregator = new Aggregator({ labels: this.ruleEvaluator.labels }); // in_list in `having`
+    this.sequenceMatcher = new SequenceMatcher(this.ruleLoader, this.ruleEvaluator);
+    this.anomalyDetector = new AnomalyDetector({
+      models: this.config.anomaly?.models,
+      tokens: this.tokenRegistry.known, // per-token "anomaly" models from tokens.json
+      activity: this.config.anomaly?.activity,
+      gas: this.config.anomaly?.gas,
+    });
+    this.rebuildBaselines = Boolean(shared.rebuildBaselines);
+    this.stateCheckpointer = shared.stateStore
+      ? new StateCheckpointer({
+          store: shared.stateStore,
+          scope: chainConfig.slug,
+          anomalyDetector: this.anomalyDetector,
+          intervalMs: this.config.detectorState?.checkpointIntervalMs,
+        })
+      : null;
+
+    // Rollback reverts orphaned events (memory + DB), retracts alerts that
+    // relied only on them, then replays the part of the range we had already
+    // fetched — blocks past lastFetchedBlock are picked up by _processBlock.
+    this.reorgRollback = new ReorgRollback({
+      chainConfig,
+      rpcPool: this.rpcPool,
+      finalityTracker: this.finalityTracker,
+      eventRepo: this.eventRepo,
+      alertRepo: shared.alertRepo,
+      dispatcher: shared.dispatcher,
+      replay: async (fromBlock, toBlock) => {
+        const replayTo = Math.min(toBlock, this.lastFetchedBlock);
+        if (fromBlock > replayTo) return;
+        await this.processRange(fromBlock, replayTo, this.blockTracker.latestBlock, { label: "Reorg", onlyNew: true });
+      },
+    });
+
+    this.lastFetchedBlock = 0;
+    this._processing = false;
+    this._blockQueue = [];
+    this._drained = Promise.resolve();
+    this._healthInterval = null;
+    this._proxyInterval = null;
+    this._warnedUnresolved = new Set();
+
+    this.status = "idle";
+    this.startedAt = null;
+    this.lastBlockAt = null;
+    this.lastError = null;
+    this.reorgs = 0;
+    this.eventsProcessed = 0;
+
+    this._onRulesChanged = ({ added, removed, updated = [] }) => {
+      console.log(`  🔄 ${this.tag} Rules changed: +${added.length} -${removed.length} ~${updated.length} — re-syncing watch targets...`);
+      this.sequenceMatcher.forget([...removed, ...updated]);
+      this.syncWatchTargets();
+      if (this.status === "running") this._resolveProxies();
+    };
+    this._onAbisChanged = () => {
+      console.log(`  🔄 ${this.tag} Contract ABIs changed — re-syncing watch targets...`);
+      this.syncWatchTargets();
+    };
+
+    this._wire();
+    this.syncWatchTargets();
+    this.ruleLoader.on("rules:changed", this._onRulesChanged);
+    this.abiRegistry.on("abis:changed", this._onAbisChanged);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lifecycle
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Restore anomaly baselines, health-check providers, catch up from the
+   * stored cursor, then follow the head.
+   */
+  async start() {
+    this.status = "starting";
+    this.startedAt = Date.now();
+
+    try {
+      await this._restoreDetectorState();
+      await this.rpcPool.healthCheck();
+      await this._resolveProxies();
+      await this._catchUpFromCursor();
+      await this.blockTracker.start();
+    } catch (err) {
+      this.status = "error";
+      this.lastError = err.message;
+      throw err;
+    }
+
+    this._healthInterval = setInterval(() => {
+      this.rpcPool.healthCheck().catch(() => {});
+    }, this.config.rpcPool?.healthIntervalMs || HEALTH_INTERVAL_MS);
+    if (this.config.abiRegistry?.resolveProxies !== false && this.config.abiRegistry?.proxyRefreshMs > 0) {
+      this._proxyInterval = setInterval(() => this._resolveProxies(), this.config.abiRegistry.proxyRefreshMs);
+    }
+
+    this.status = "running";
+    console.log(`  ✅ ${this.tag} Following the head (${this.logFetcher.getStats().activeTargets} watch target(s))`);
+  }
+
+  /**
+   * Stop following the head, finish the block being processed, flush open
+   * aggregation windows and release the RPC connections.
+   */
+  async stop() {
+    this.status = "stopping";
+    this.blockTracker.stop();
+    clearInterval(this._healthInterval);
+    clearInterval(this._proxyInterval);
+    this.ruleLoader.removeListener("rules:changed", this._onRulesChanged);
+    this.abiRegistry.removeListener("abis:changed", this._onAbisChanged);
+
+    this._blockQueue.length = 0;
+    await this._drained;
+
+    this.aggregator.flushAll();
+    this.aggregator.destroy();
+    this.sequenceMatcher.destroy();
+    this.stateCheckpointer?.stop(); // final checkpoint (only if started)
+    this.rpcPool.destroy();
+    this.status = "stopped";
+  }
+
+  /**
+   * Replay a historical block range, then flush every aggregation window.
+   * Does not touch the chain cursor.
+   */
+  async backfill(fromBlock, toBlockArg) {
+    await this.rpcPool.healthCheck();
+    await this._resolveProxies();
+    const head = await this.rpcPool.callWithFailover((provider) => provider.getBlockNumber());
+    const toBlock = Math.min(toBlockArg ?? head, head);
+
+    if (fromBlock > toBlock) {
+      console.warn(`  ⚠️  [Backfill] Nothing to do: --from-block ${fromBlock} is beyond head ${head}`);
+      return;
+    }
+
+    const started = Date.now();
+    console.log(`  ⏪ [Backfill] Replaying ${toBlock - fromBlock + 1} block(s): ${fromBlock}→${toBlock} (head ${head})`);
+
+    const stats = await this.processRange(fromBlock, toBlock, head);
+
+    // Close every open aggregation window so summaries land in the DB
+    this.aggregator.flushAll();
+
+    console.log(
+      `  ✅ [Backfill] Done in ${((Date.now() - started) / 1000).toFixed(1)}s: ` +
+      `${stats.chunks} chunk(s), ${stats.retries} shrink(s), ${stats.logs} logs → ` +
+      `${stats.decoded} decoded → ${stats.matches} rule match(es)`
+    );
+  }
+
+  /**
+   * Point-in-time health of this chain.
+   */
+  getHealth() {
+    // Per endpoint: circuit state, rate limit, latency and per-method metrics (host only — URLs carry API keys)
+    const providers = this.rpcPool.getStats();
+    const head = this.blockTracker.latestBlock || null;
+
+    return {
+      chain: this.chain.slug,
+      chainId: this.chain.chainId,
+      status: this.status,
+      headBlock: head,
+      lastProcessedBlock: this.lastFetchedBlock || null,
+      lagBlocks: head && this.lastFetchedBlock ? head - this.lastFetchedBlock : null,
+      queuedBlocks: this._blockQueue.length,
+      headSource: this.blockTracker.mode,
+      lastBlockAt: this.lastBlockAt,
+      eventsProcessed: this.eventsProcessed,
+      reorgs: this.reorgs,
+      trackedEvents: this.finalityTracker.getStats().totalTracked,
+      watchTargets: this.logFetcher.getStats().activeTargets,
+      enrichedEvents: this.txEnricher.stats.enriched,
+      nativeTransfers: this.nativeScanner.stats.transfers,
+      providersHealthy: providers.filter((p) => p.healthy).length,
+      providersTotal: providers.length,
+      providers,
+      uptimeSec: this.startedAt ? Math.floor((Date.now() - this.startedAt) / 1000) : 0,
+      lastError: this.lastError,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // SELECTIVE INDEXING: Rules drive what we watch
+  //    This is the 70-90% RPC cost saving.
+  //    Instead of watching "everything", we only watch contracts referenced in rules
+  //    — and, where conditions pin indexed params, only those topic values.
+  // ---------------------------------------------------------------------------
+
+  syncWatchTargets() {
+    // Clear old targets
+    for (const id of Array.from(this.logFetcher.watchTargets.keys())) {
+      this.logFetcher.removeTarget(id);
+    }
+
+    // Add targets from rules — signatures from the same ABIs the decoder uses
+    const rules = this.ruleLoader.getAll();
+    this.abiRegistry.applyRules(rules);
+    const targets = buildWatchTargets(rules, this.chain.slug, this.abiRegistry);
+    const expanded = expandSequenceRules(rules);
+    this.txEnricher.setRules(expanded); // rules with "enrich"
+    this.nativeScanner.setRules(expanded); // NATIVE_TRANSFER rules — no log to fetch
+    for (const target of targets) {
+      this.logFetcher.addTarget(target.id, target.address, target.eventSignatures, target.topics);
+    }
+
+    for (const { rule_id, event_type, address } of findUnresolvedEventTypes(rules, this.chain.slug, this.abiRegistry)) {
+      const key = `${rule_id}|${event_type}|${address}`;
+      if (this._warnedUnresolved.has(key)) continue;
+      this._warnedUnresolved.add(key);
+      console.warn(
+        `  ⚠️  ${this.tag} Rule "${rule_id}": no ABI declares ${event_type}` +
+        `${address ? ` for ${address}` : ""} — nothing is fetched for it (attach an ABI or fix the event_type)`
+      );
+    }
+  }
+
+  /**
+   * Read the EIP-1967 slots of every watched contract; re-sync the watch
+   * targets when a proxy's implementation changed. Never throws.
+   */
+  async _resolveProxies() {
+    if (this.config.abiRegistry?.resolveProxies === false) return;
+
+    // Watched contracts, plus those whose event type no ABI declares yet —
+    // their implementation's ABI may
+    const addresses = [
+      ...[...this.logFetcher.watchTargets.values()].map((t) => t.address),
+      ...findUnresolvedEventTypes(this.ruleLoader.getAll(), this.chain.slug, this.abiRegistry).map((u) => u.address),
+    ].filter(Boolean);
+    if (addresses.length === 0) return;
+
+    try {
+      const changed = await this.abiRegistry.resolveProxies(
+        this.chain.slug,
+        addresses,
+        (fn) => this.rpcPool.callWithFailover(fn)
+      );
+      if (changed) this.syncWatchTargets();
+    } catch (err) {
+      console.warn(`  ⚠️  ${this.tag} Proxy resolution failed: ${err.message}`);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Wiring
+  // ---------------------------------------------------------------------------
+
+  _wire() {
+    this.blockTracker.on("block", (block) => {
+      this._blockQueue.push(block);
+      this._drain();
+    });
+
+    this.blockTracker.on("reorg", (reorg) => {
+      this.reorgs++;
+      metricsCollector.recordReorg();
+      this._blockQueue.push({ reorg });
+      this._drain();
+    });
+
+    this.aggregator.on("alert", (alert) => this.emit("alert", alert));
+    this.aggregator.on("alert:aggregated", (alert) => this.emit("alert:aggregated", alert));
+
+    this.rpcPool.on("healthcheck", () => this.emit("health", this.getHealth()));
+
+    this.finalityTracker.on("finality:upgraded", async (data) => {
+      // Update finality in database (no notification for finality upgrades - too verbose)
+      try {
+        if (!data.event) return;
+
+        // Update single event's finality status
+        await this.eventRepo.updateFinality(data.event.id, data.to);
+
+        console.log(`  ⬆️  [Finality] ${data.event.eventType} upgraded: ${data.from} → ${data.to} (Block ${data.event.blockNumber})`);
+      } catch (err) {
+        console.error(`  💥 [Database] Failed to update finality: ${err.message}`);
+      }
+    });
+
+    this.finalityTracker.on("finality:reverted", (data) => {
+      // Critical event - log revert but don't spam notifications.
+      // The DB row (and its finality_history entry) is written by ReorgRollback.
+      console.log(`  🚨 ${this.tag} Event reverted: ${data.event?.eventType || 'Unknown'} at block ${data.event?.blockNumber}`);
+    });
+  }
+
+  // Serialized block handler — prevents race conditions.
+  // Reorgs go through the same queue so a rollback never interleaves with
+  // the processing of a block.
+  _drain() {
+    if (this._processing) return;
+    this._processing = true;
+
+    this._drained = (async () => {
+      while (this._blockQueue.length > 0) {
+        const item = this._blockQueue.shift();
+        try {
+          if (item.reorg) {
+            this.sequenceMatcher.rollback(item.reorg.fromBlock);
+            await this.reorgRollback.handle(item.reorg);
+          } else {
+            await this._processBlock(item);
+          }
+        } catch (err) {
+          this.lastError = err.message;
+          console.error(`  💥 ${this.tag} [BlockHandler] Error processing ${item.reorg ? "reorg" : "block"}: ${err.message}`);
+          console.error(err.stack);
+        }
+      }
+      this._processing = false;
+    })();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Block processing
+  // ---------------------------------------------------------------------------
+
+  async _processBlock(block) {
+    const { blockNumber, timestamp } = block;
+    this.lastBlockAt = Date.now();
+
+    // Update finality for tracked events
+    this.finalityTracker.onNewBlock(blockNumber);
+
+    // Block time moves on even without matches — close expired windows.
+    // (Windows end exclusively, so this block's own events are never late.)
+    this.aggregator.advanceWatermark(timestamp);
+    this.sequenceMatcher.advance(blockNumber, timestamp);
+    this._emitAnomalies(this.anomalyDetector.advance(timestamp)); // rate windows that just closed
+    this._emitAnomalies(this.anomalyDetector.recordGas(block)); // gas price + base fee from the block itself
+
+    // Fetch logs for new block(s)
+    const fromBlock = this.lastFetchedBlock > 0 ? this.lastFetchedBlock + 1 : blockNumber;
+    const toBlock = blockNumber;
+
+    if (fromBlock > toBlock) return;
+
+    // Checkpoint written together with this range's events
+    const cursor = { chain: this.chain.slug, blockNumber: toBlock, blockHash: block.blockHash };
+
+    console.log(`  🔎 ${this.tag} Fetching logs for blocks ${fromBlock}→${toBlock}...`);
+    const logs = await this.logFetcher.fetchLogs(fromBlock, toBlock);
+    const native = await this.nativeScanner.scanRange(fromBlock, toBlock, {
+      finality: (n) => this.blockTracker.getFinalityStatus(n),
+    });
+
+    // lastFetchedBlock only moves once the range is stored: a failed save
+    // throws, and the next head fetches the same blocks again
+    if (logs.length === 0 && native.length === 0) {
+      await this._saveCursor(cursor);
+      this.lastFetchedBlock = toBlock;
+      console.log(`  📦 ${this.tag} Block ${blockNumber}: 0 logs (no matching events)`);
+      return;
+    }
+
+    // Get finality status for this block
+    const finality = this.blockTracker.getFinalityStatus(blockNumber);
+
+    // Decode logs → GenesisEvents, then the native transfers of the same blocks
+    const events = [...this.decoder.decodeBatch(logs, { timestamp }, finality), ...native]
+      .sort((a, b) => a.blockNumber - b.blockNumber);
+
+    // Track metrics: RPC calls and events
+    // getLogs calls, logs and bytes are recorded by the LogFetcher itself
+    metricsCollector.recordBlockProcessed(blockNumber);
+
+    if (events.length === 0) {
+      await this._saveCursor(cursor);
+      this.lastFetchedBlock = toBlock;
+      console.log(`  📦 ${this.tag} Block ${blockNumber}: ${logs.length} logs → 0 decoded events`);
+      return;
+    }
+
+    const matchCount = await this.processEvents(events, cursor);
+    this.lastFetchedBlock = toBlock;
+
+    const nativeNote = native.length > 0 ? ` + ${native.length} native transfer(s)` : "";
+    console.log(
+      `  📦 ${this.tag} Block ${blockNumber}: ${logs.length} logs${nativeNote} → ${events.length} decoded → ${matchCount} rule match(es)`
+    );
+  }
+
+  /**
+   * Run decoded events through storage, finality tracking, anomaly detection
+   * and rule evaluation. Shared by head-following, catch-up and backfill.
+   * @param {object[]} events
+   * @param {object} [cursor] — chain checkpoint to store atomically with the events
+   * @returns {Promise<number>} number of rule matches
+   * @throws when the events (and cursor) could not be saved — nothing is
+   *   evaluated, so the caller can fetch the range again
+   */
+  async processEvents(events, cursor = null) {
+    for (const event of events) {
+      metricsCollector.recordEventDecoded(event.eventType);
+    }
+    this.eventsProcessed += events.length;
+
+    // Token decimals + USD value for amount_usd conditions and summaries
+    await this.tokenRegistry.annotate(events);
+
+    // tx / receipt fields for rules with "enrich" (tx.from, gasUsed, siblingLogs...)
+    await this.txEnricher.enrich(events);
+
+    // ┌─────────────────────────────────────────────┐
+    // │  PHASE 3: Save events to database           │
+    // └─────────────────────────────────────────────┘
+
+    try {
+      await this.eventRepo.saveBatch(events, cursor);
+    } catch (err) {
+      console.error(`  💥 [Database] Failed to save events: ${err.message}`);
+      throw err; // unsaved events must not advance the cursor
+    }
+
+    // Track finality for decoded events (finalized ones can never change)
+    for (const event of events) {
+      if (event.finality !== FinalityStatus.FINALIZED) {
+        this.finalityTracker.track(event);
+      }
+    }
+
+    // ┌─────────────────────────────────────────────┐
+    // │  PHASE 2: Rule Evaluation → Aggregation     │
+    // │  Events only become alerts if a rule matches │
+    // └─────────────────────────────────────────────┘
+
+    const evaluated = this.ruleEvaluator.evaluateBatch(events);
+
+    // Sequence rules see every event, in chain order
+    evaluated.push(...this.sequenceMatcher.processBatch(events));
+
+    // Rules with an `anomaly` block only fire on outliers of their own baseline
+    const matches = this.anomalyDetector.filterMatches(evaluated);
+
+    // Sanctions screening — independent of rules, always critical
+    const screened = this.screener ? this.screener.screenBatch(events) : [];
+    if (screened.length > 0) this._recordScreening(screened);
+
+    // Track matched vs filtered events
+    metricsCollector.recordEventFiltered(events.length - matches.length);
+    for (const match of matches) {
+      metricsCollector.recordEventMatched();
+    }
+
+    // ┌─────────────────────────────────────────────┐
+    // │  ANOMALY DETECTION (Phase 5+)               │
+    // │  Statistical analysis for outliers          │
+    // └─────────────────────────────────────────────┘
+
+    this._emitAnomalies(this.anomalyDetector.detectBatchAnomalies(events));
+    this._emitAnomalies(this.anomalyDetector.recordBlockActivity(events));
+
+    // Feed matches through the aggregator
+    for (const match of [...screened, ...matches]) {
+      this.aggregator.process(match);
+    }
+
+    return matches.length;
+  }
+
+  /**
+   * Log and store sanctions screening hits (their alerts go through the
+   * aggregator with the rule matches)
+   * @param {object[]} screened — SanctionsScreener.screenBatch() matches
+   */
+  _recordScreening(screened) {
+    console.log(`  🚫 ${this.tag} [Sanctions] ${screened.length} event(s) touch listed addresses (list ${screened[0].screening.list_version}):`);
+    for (const { event, screening } of screened) {
+      const hits = screening.hits.map((h) => `${h.role} ${h.address}${h.name ? ` (${h.name})` : ""}`).join(", ");
+      console.log(`     block ${event.blockNumber} ${event.txHash} — ${hits}`);
+    }
+
+    if (!this.sanctionsRepo) return;
+    try {
+      this.sanctionsRepo.saveHits(screened);
+    } catch (err) {
+      console.error(`  💥 [Database] Failed to save sanctions hits: ${err.message}`);
+    }
+  }
+
+  /**
+   * Log, count and emit statistical anomalies (transfer outliers, rate
+   * spikes, activity bursts, gas spikes).
+   * @param {object[]} anomalies — from AnomalyDetector.detectBatchAnomalies() / advance() /
+   *   recordBlockActivity() / recordGas()
+   */
+  _emitAnomalies(anomalies) {
+    if (anomalies.length === 0) return;
+
+    console.log(`  🔍 ${this.tag} [Anomaly] Detected ${anomalies.length} statistical outlier(s):`);
+    for (const anom of anomalies) {
+      console.log(`     ${anom.message}`);
+      console.log(`     Confidence: ${anom.anomaly.confidence_level} | ${anom.anomaly.explanation}`);
+
+      // Track metrics
+      const contract = anom.event?.contract || anom.anomaly.contract;
+      metricsCollector.recordAnomalyDetected(
+        anom.anomaly.severity,
+        contract ? contract.toLowerCase() : anom.anomaly.event_type || anom.anomaly.series || "unknown"
+      );
+
+      // Anomaly alerts go through the notification system (see app.js)
+      this.emit("anomaly", {
+        alert_type: 'anomaly',
+        rule_name: `🔬 Statistical Anomaly Detected`,
+        severity: anom.anomaly.severity,
+        chain: this.chain.slug,
+        event: anom.event,
+        anomaly: anom.anomaly,
+        message: anom.message,
+        timestamp: Date.now(),
+      });
+    }
+  }
+
+  /**
+   * Move the chain cursor on its own (ranges without any stored events).
+   */
+  async _saveCursor(cursor) {
+    try {
+      await this.cursorRepo.save(cursor);
+    } catch (err) {
+      console.error(`  💥 [Database] Failed to save cursor: ${err.message}`);
+    }
+  }
+
+  /**
+   * Fetch, decode and process a block range with adaptive getLogs chunking.
+   * Used by backfill, catch-up and reorg replay.
+   * @param {number} fromBlock
+   * @param {number} toBlock
+   * @param {number} head — chain head used to compute finality
+   * @param {object} [opts]
+   * @param {boolean} [opts.checkpoint] — advance the chain cursor as blocks complete
+   * @param {string} [opts.label] — log prefix
+   * @param {boolean} [opts.onlyNew] — skip events already stored (reorg replay)
+   */
+  async processRange(fromBlock, toBlock, head, opts = {}) {
+    const label = opts.label || "Backfill";
+    const totalBlocks = toBlock - fromBlock + 1;
+    const totals = { decoded: 0, matches: 0 };
+
+    const stats = await this.logFetcher.fetchLogsAdaptive(fromBlock, toBlock, async (logs, range) => {
+      // Group by block so each event gets its own timestamp + finality
+      const byBlock = new Map();
+      for (const log of logs) {
+        if (!byBlock.has(log.blockNumber)) byBlock.set(log.blockNumber, []);
+        byBlock.get(log.blockNumber).push(log);
+      }
+
+      // Native transfers come with their block's timestamp and hash already
+      const nativeByBlock = new Map();
+      const native = await this.nativeScanner.scanRange(range.fromBlock, range.toBlock, {
+        finality: (n) => this.blockTracker.getFinalityStatus(n, head),
+      });
+      for (const event of native) {
+        if (!nativeByBlock.has(event.blockNumber)) nativeByBlock.set(event.blockNumber, []);
+        nativeByBlock.get(event.blockNumber).push(event);
+      }
+
+      const blockNumbers = [...new Set([...byBlock.keys(), ...nativeByBlock.keys()])].sort((a, b) => a - b);
+      let lastBlock = null; // last block stored in this chunk
+      for (const blockNumber of blockNumbers) {
+        const blockLogs = byBlock.get(blockNumber) || [];
+        const blockNative = nativeByBlock.get(blockNumber) || [];
+        const block = blockLogs.length > 0
+          ? await this.rpcPool.callWithFailover((provider) => provider.getBlock(blockNumber))
+          : { hash: blockNative[0].blockHash, timestamp: blockNative[0].timestamp };
+        const finality = this.blockTracker.getFinalityStatus(blockNumber, head);
+        let events = [...this.decoder.decodeBatch(blockLogs, { timestamp: block?.timestamp }, finality), ...blockNative];
+
+        if (opts.onlyNew && events.length > 0) {
+          const known = await this.eventRepo.getFinalityByIds(events.map((e) => e.id));
+          events = events.filter((e) => !known.has(e.id));
+        }
+
+        metricsCollector.recordBlockProcessed(blockNumber);
+        if (events.length === 0) continue;
+
+        const cursor = opts.checkpoint
+          ? { chain: this.chain.slug, blockNumber, blockHash: block?.hash }
+          : null;
+
+        totals.decoded += events.length;
+        totals.matches += await this.processEvents(events, cursor);
+        lastBlock = { number: blockNumber, hash: block?.hash };
+      }
+
+      // The whole chunk is done — including blocks that had no logs. The hash
+      // lets a restart notice the block was reorged out while we were down.
+      if (opts.checkpoint) {
+        const blockHash = lastBlock?.number === range.toBlock
+          ? lastBlock.hash
+          : (await this.rpcPool.callWithFailover((provider) => provider.getBlock(range.toBlock)))?.hash;
+        await this._saveCursor({ chain: this.chain.slug, blockNumber: range.toBlock, blockHash });
+      }
+
+      const done = range.toBlock - fromBlock + 1;
+      const nativeNote = native.length > 0 ? ` + ${native.length} native transfer(s)` : "";
+      console.log(
+        `  ⏪ ${this.tag} [${label}] ${range.fromBlock}→${range.toBlock}: ${logs.length} logs${nativeNote} | ` +
+        `${((done / totalBlocks) * 100).toFixed(1)}% (${done}/${totalBlocks} blocks)`
+      );
+    });
+
+    return { ...stats, ...totals };
+  }
+
+  /**
+   * Warm-start the anomaly baselines — from the last checkpoint, or rebuilt
+   * from the stored transfers when asked to — and start checkpointing.
+   * Backfills never get here, so they do not overwrite a live instance's state.
+   */
+  async _restoreDetectorState() {
+    if (!this.stateCheckpointer) return;
+
+    if (this.rebuildBaselines) {
+      const limit = this.config.detectorState?.rebuildEvents || 5000;
+      const rows = await this.eventRepo.getRecent({ chain: this.chain.slug, eventType: "ERC20_TRANSFER" }, limit);
+      const events = rows
+        .filter((row) => row.finality !== FinalityStatus.REVERTED)
+        .reverse() // oldest first
+        .map(eventFromRow);
+      this.stateCheckpointer.rebuild(events);
+    } else {
+      this.stateCheckpointer.restore();
+    }
+
+    this.stateCheckpointer.start();
+  }
+
+  /**
+   * Resume from the stored cursor: process every block mined while we were
+   * down, in batches of CATCHUP_BATCH_BLOCKS, until we are at the head.
+   * Head-following then continues from lastFetchedBlock.
+   */
+  async _catchUpFromCursor() {
+    const cursor = await this.cursorRepo.get(this.chain.slug);
+    if (!cursor) {
+      console.log(`  📍 ${this.tag} [Resume] No cursor — starting at the chain head`);
+      return;
+    }
+
+    let resumeFrom = cursor.blockNumber + 1;
+
+    // If the checkpointed block was reorged out while we were down, replay
+    // the non-final window below it (events are upserted, never duplicated)
+    if (cursor.blockHash) {
+      const block = await this.rpcPool.callWithFailover((provider) => provider.getBlock(cursor.blockNumber));
+      if (block && block.hash !== cursor.blockHash) {
+        resumeFrom = Math.max(0, cursor.blockNumber - this.chain.finalityBlocks + 1);
+        console.warn(`  🔄 ${this.tag} [Resume] Block ${cursor.blockNumber} changed while offline — replaying from ${resumeFrom}`);
+      }
+    }
+
+    let head = await this.rpcPool.callWithFailover((provider) => provider.getBlockNumber());
+    if (resumeFrom > head) {
+      this.lastFetchedBlock = cursor.blockNumber;
+      return;
+    }
+
+    console.log(`  ⏩ ${this.tag} [Resume] Cursor at block ${cursor.blockNumber} — catching up ${head - resumeFrom + 1} block(s)`);
+
+    while (resumeFrom <= head) {
+      const batchEnd = Math.min(resumeFrom + CATCHUP_BATCH_BLOCKS - 1, head);
+      await this.processRange(resumeFrom, batchEnd, head, { checkpoint: true, label: "Resume" });
+      this.lastFetchedBlock = batchEnd;
+      resumeFrom = batchEnd + 1;
+
+      // The chain kept moving while we caught up
+      head = await this.rpcPool.callWithFailover((provider) => provider.getBlockNumber());
+    }
+
+    console.log(`  ✅ ${this.tag} [Resume] Caught up to block ${this.lastFetchedBlock}`);
+  }
+}
+
+module.exports = ChainRunner;
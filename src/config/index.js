@@ -2,7 +2,7 @@
  * Genesis — Configuration Loader
  *
  * Loads .env variables and chain definitions.
- * Resolves ${PLACEHOLDER} in RPC URLs with actual env values.
+ * Resolves ${PLACEHOLDER} in RPC and WebSocket URLs with actual env values.
  */
 
 const path = require("path");
@@ -17,6 +17,18 @@ function resolveEnvPlaceholders(str) {
   return str.replace(/\$\{(\w+)\}/g, (_, key) => process.env[key] || "");
 }
 
+// An RPC endpoint is a URL or { url, weight, rateLimit } — resolve its URL
+function resolveEndpoint(spec) {
+  return typeof spec === "string"
+    ? resolveEnvPlaceholders(spec)
+    : { ...spec, url: resolveEnvPlaceholders(spec.url) };
+}
+
+function usableEndpoint(spec) {
+  const url = typeof spec === "string" ? spec : spec.url;
+  return !url.includes("undefined") && !url.endsWith("/");
+}
+
 function resolveChainEndpoints(chains) {
   const resolved = {};
   for (const [slug, chain] of Object.entries(chains)) {
@@ -24,8 +36,14 @@ function resolveChainEndpoints(chains) {
       ...chain,
       slug,
       rpcEndpoints: chain.rpcEndpoints
-        .map(resolveEnvPlaceholders)
-        .filter((url) => !url.includes("undefined") && !url.endsWith("/")),
+        .map(resolveEndpoint)
+        .filter(usableEndpoint),
+      // Optional push transport for new heads; DISABLE_WEBSOCKETS=true forces polling
+      wsEndpoints: process.env.DISABLE_WEBSOCKETS === "true"
+        ? []
+        : (chain.wsEndpoints || [])
+            .map(resolveEnvPlaceholders)
+            .filter((url) => !url.includes("undefined") && !url.endsWith("/")),
     };
   }
   return resolved;
@@ -41,15 +59,92 @@ const config = {
   defaultChain: process.env.DEFAULT_CHAIN || "ethereum",
   chains,
 
+  // RPC pool routing: circuit breakers per endpoint and health checks that
+  // feed routing (rate limits and weights are per endpoint in chains.json)
+  rpcPool: {
+    failureThreshold: parseInt(process.env.RPC_FAILURE_THRESHOLD || "3", 10), // consecutive failures
+    cooldownMs: parseInt(process.env.RPC_CIRCUIT_COOLDOWN_MS || "30000", 10), // doubles per failed probe
+    maxCooldownMs: parseInt(process.env.RPC_CIRCUIT_MAX_COOLDOWN_MS || "300000", 10),
+    maxLagBlocks: parseInt(process.env.RPC_MAX_LAG_BLOCKS || "5", 10),
+    healthIntervalMs: parseInt(process.env.RPC_HEALTH_INTERVAL_MS || "60000", 10),
+  },
+
   // Database config (Phase 3 - SQLite)
   database: {
     path: process.env.DATABASE_PATH || path.resolve(__dirname, "../../data/genesis.db"),
+    driver: process.env.DATABASE_DRIVER || "sqlite", // "sqljs" = in-memory, nothing persisted
+  },
+
+  // Anomaly models for tokens without an "anomaly" entry in tokens.json
+  // (zscore | ewma_log | mad | seasonal | rate, comma-separated)
+  anomaly: {
+    models: (process.env.ANOMALY_MODELS || "zscore").split(",").map((s) => s.trim()).filter(Boolean),
+    // Per-block event counts per contract / event type (false = off)
+    activity: process.env.ANOMALY_ACTIVITY === "false"
+      ? false
+      : { history: parseInt(process.env.ANOMALY_ACTIVITY_BLOCKS || "300", 10) },
+    // Gas price (median paid per block) and base fee (false = off)
+    gas: process.env.ANOMALY_GAS === "false" ? false : process.env.ANOMALY_GAS_MODEL || "ewma_log",
+  },
+
+  // Sanctions screening: every event's from / to / contract against a local
+  // blocklist file (JSON or one address per line), re-read when it changes
+  sanctions: {
+    enabled: process.env.SANCTIONS_SCREENING !== "false",
+    listPath: path.resolve(__dirname, "../..", process.env.SANCTIONS_LIST_PATH || "data/sanctions.json"),
+  },
+
+  // ABI registry: Hardhat artifacts become ABI families, deployment files
+  // attach them to addresses; EIP-1967 proxies are re-resolved periodically
+  abiRegistry: {
+    artifactsDir: path.resolve(__dirname, "../..", process.env.ABI_ARTIFACTS_DIR || "artifacts"),
+    deploymentsDir: path.resolve(__dirname, "../..", process.env.ABI_DEPLOYMENTS_DIR || "deployments"),
+    resolveProxies: process.env.ABI_RESOLVE_PROXIES !== "false",
+    proxyRefreshMs: parseInt(process.env.ABI_PROXY_REFRESH_MS || "600000", 10),
+  },
+
+  // eth_getLogs: a sample of head ranges is also fetched unfiltered to
+  // measure the logs / bytes the topic + address filters save (0 = off)
+  logFetcher: {
+    selectivitySampleRate: parseFloat(process.env.SELECTIVITY_SAMPLE_RATE || "0.01"),
+  },
+
+  // Chainlink prices (tokens.json): a round older than the feed's heartbeat
+  // leaves the token unpriced; "heartbeatSec" on a price overrides this
+  prices: {
+    heartbeatSec: parseInt(process.env.CHAINLINK_HEARTBEAT_SEC || "3600", 10),
+  },
+
+  // Transaction / receipt lookups for rules with "enrich" (false = ignore it)
+  enrichment: {
+    enabled: process.env.ENRICHMENT !== "false",
+    cacheSize: parseInt(process.env.ENRICHMENT_CACHE_SIZE || "5000", 10),
+    concurrency: parseInt(process.env.ENRICHMENT_CONCURRENCY || "10", 10),
+    blockReceiptsMin: parseInt(process.env.ENRICHMENT_BLOCK_RECEIPTS_MIN || "5", 10), // 0 = per-tx receipts only
+  },
+
+  // Native value transfers for NATIVE_TRANSFER rules: block transactions, plus
+  // internal transfers from call traces where the node has them
+  nativeTransfers: {
+    traces: process.env.NATIVE_TRACES || "auto", // auto | callTracer | structLog | off
+    minValueWei: process.env.NATIVE_MIN_VALUE_WEI || "1",
+    concurrency: parseInt(process.env.NATIVE_TRACE_CONCURRENCY || "5", 10), // structLog traces in flight
+  },
+
+  // Detector state (anomaly baselines, wallet profiles) checkpointed to the DB
+  detectorState: {
+    checkpointIntervalMs: parseInt(process.env.DETECTOR_CHECKPOINT_INTERVAL_MS || "60000", 10),
+    rebuildBaselines: process.env.REBUILD_BASELINES === "true", // ignore the checkpoint, replay stored events
+    rebuildEvents: parseInt(process.env.REBUILD_BASELINES_EVENTS || "5000", 10),
   },
 
   // API server config (Phase 3)
   api: {
     port: parseInt(process.env.API_PORT || "3000", 10),
     host: process.env.API_HOST || "localhost",
+    token: process.env.API_TOKEN || null, // required for rule changes when set
+    // Browser origins allowed to call the write endpoints (CORS + Origin check); none by default
+    corsOrigins: (process.env.API_CORS_ORIGINS || "").split(",").map((o) => o.trim()).filter(Boolean),
   },
 
   // Notification config (Phase 4)
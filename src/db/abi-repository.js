@@ -0,0 +1,123 @@
+/**
+ * Genesis — ABI Repository
+ *
+ * Per-contract ABIs attached through the API server (contract_abis table):
+ * "ethereum:0x87870bca…" → the Aave V3 Pool ABI, named "AavePool".
+ *
+ * Synchronous like LabelRepository. version() changes with every write or
+ * delete, so AbiRegistry instances in other processes notice it cheaply.
+ *
+ * Errors carry a `code`, like RuleStore: "INVALID" (with `errors: string[]`)
+ * or "NOT_FOUND".
+ */
+
+const { getAbiErrors } = require("../pipeline/abi-registry");
+
+const ADDRESS_RE = /^0x[0-9a-fA-F]{40}$/;
+const NAME_RE = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+
+class AbiRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Every attached ABI
+   * @param {{ chain?: string }} [filters]
+   * @returns {{ chain: string, address: string, name: string, abi: Array<string|object>, createdAt: number, updatedAt: number }[]}
+   */
+  list(filters = {}) {
+    const result = filters.chain
+      ? this.db.query(`SELECT * FROM contract_abis WHERE chain = ? ORDER BY address`, [filters.chain])
+      : this.db.query(`SELECT * FROM contract_abis ORDER BY chain, address`);
+    return result.rows.map(_toAbi);
+  }
+
+  /**
+   * One contract's ABI, or null
+   * @param {string} chain
+   * @param {string} address
+   */
+  get(chain, address) {
+    const row = this.db.query(
+      `SELECT * FROM contract_abis WHERE chain = ? AND address = ?`,
+      [chain, String(address).toLowerCase()]
+    ).rows[0];
+    return row ? _toAbi(row) : null;
+  }
+
+  /**
+   * Changes whenever an ABI is written or removed
+   * @returns {string}
+   */
+  version() {
+    const row = this.db.query(`SELECT COUNT(*) AS abis, MAX(updated_at) AS updated FROM contract_abis`).rows[0];
+    return `${row.abis}:${row.updated ?? 0}`;
+  }
+
+  /**
+   * Attach (or replace) a contract's ABI
+   * @param {string} chain
+   * @param {string} address
+   * @param {{ name: string, abi: Array<string|object> }} fields
+   * @returns {{ abi: object, created: boolean }}
+   */
+  save(chain, address, { name, abi } = {}) {
+    const errors = [];
+    if (typeof address !== "string" || !ADDRESS_RE.test(address)) {
+      errors.push(`address: expected a 0x-prefixed 20-byte address, got ${JSON.stringify(address)}`);
+    }
+    if (typeof name !== "string" || !NAME_RE.test(name)) {
+      errors.push(`name: use letters, digits, "_" and "-" (max 64), starting with a letter`);
+    }
+    errors.push(...getAbiErrors(abi));
+    if (errors.length > 0) throw _error("INVALID", `Invalid ABI: ${errors.join("; ")}`, errors);
+
+    const key = address.toLowerCase();
+    const existing = this.get(chain, key);
+    const now = Date.now();
+
+    if (existing) {
+      this.db.query(
+        `UPDATE contract_abis SET name = ?, abi = ?, updated_at = ? WHERE chain = ? AND address = ?`,
+        [name, JSON.stringify(abi), now, chain, key]
+      );
+    } else {
+      this.db.query(
+        `INSERT INTO contract_abis (chain, address, name, abi, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)`,
+        [chain, key, name, JSON.stringify(abi), now, now]
+      );
+    }
+    return { abi: this.get(chain, key), created: !existing };
+  }
+
+  /**
+   * Detach a contract's ABI
+   * @param {string} chain
+   * @param {string} address
+   */
+  delete(chain, address) {
+    if (!this.get(chain, address)) throw _error("NOT_FOUND", `No ABI attached to ${chain}:${address}`);
+    this.db.query(`DELETE FROM contract_abis WHERE chain = ? AND address = ?`, [chain, String(address).toLowerCase()]);
+  }
+}
+
+function _toAbi(row) {
+  return {
+    chain: row.chain,
+    address: row.address,
+    name: row.name,
+    abi: JSON.parse(row.abi),
+    createdAt: Number(row.created_at),
+    updatedAt: Number(row.updated_at),
+  };
+}
+
+function _error(code, message, errors) {
+  const err = new Error(message);
+  err.code = code;
+  if (errors) err.errors = errors;
+  return err;
+}
+
+module.exports = AbiRepository;
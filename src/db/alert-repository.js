@@ -37,14 +37,18 @@ class AlertRepository {
       alert.rule.name,
       alert.rule.severity,
       alert.chain || (alert.events && alert.events[0]?.chain) || alert.event?.chain || null,
-      JSON.stringify(alert.eventIds || (alert.events ? alert.events.map(e => e.id) : [])),
+      JSON.stringify(alert.eventIds || (alert.events ? alert.events.map(e => e.id) : alert.event ? [alert.event.id] : [])),
       alert.count || (alert.events ? alert.events.length : 1),
       alert.fromBlock || (alert.events && alert.events[0]?.blockNumber) || alert.event?.blockNumber || null,
       alert.toBlock || (alert.events && alert.events[alert.events.length - 1]?.blockNumber) || alert.event?.blockNumber || null,
       alert.windowStart || null,
       alert.windowEnd || null,
       alert.windowDuration || (alert.summary?.duration_sec) || null,
-      JSON.stringify(alert.data || alert.summary || {}),
+      JSON.stringify({
+        ...(alert.data || alert.summary),
+        ...(alert.screening && { screening: alert.screening }), // list version the hit was screened against
+        ...(alert.suppressed_count && { suppressed_count: alert.suppressed_count }),
+      }),
       alert.notified ? 1 : 0,
       alert.notifiedAt || null,
       JSON.stringify(alert.notificationChannels || ["console"]),
@@ -192,6 +196,64 @@ class AlertRepository {
     return result.rows[0];
   }
 
+  /**
+   * Get alerts on a chain whose block range overlaps [fromBlock, toBlock]
+   * and that have not been retracted yet
+   * @param {string} chain
+   * @param {number} fromBlock
+   * @param {number} toBlock
+   */
+  async getActiveInBlockRange(chain, fromBlock, toBlock) {
+    const query = `
+      SELECT a.* FROM alerts a
+      LEFT JOIN alert_retractions r ON r.alert_id = a.alert_id
+      WHERE a.chain = $1 AND a.to_block >= $2 AND a.from_block <= $3
+        AND r.alert_id IS NULL
+      ORDER BY a.from_block ASC
+    `;
+
+    const result = await this.db.query(query, [chain, fromBlock, toBlock]);
+    return result.rows.map((row) => {
+      const alert = this._mapRow(row);
+      alert.eventIds = _parseJson(row.event_ids, []);
+      alert.data = _parseJson(row.data, {});
+      return alert;
+    });
+  }
+
+  /**
+   * Record that an alert was retracted
+   * @param {string} alertId
+   * @param {{ reason: string, fromBlock?: number, toBlock?: number, revertedEventCount?: number, notified?: boolean }} info
+   */
+  async retract(alertId, info) {
+    const query = `
+      INSERT INTO alert_retractions (
+        alert_id, reason, reorg_from_block, reorg_to_block,
+        reverted_event_count, notified, retracted_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (alert_id) DO NOTHING
+    `;
+
+    const params = [
+      alertId,
+      info.reason,
+      info.fromBlock ?? null,
+      info.toBlock ?? null,
+      info.revertedEventCount || 0,
+      info.notified ? 1 : 0,
+      Math.floor(Date.now() / 1000),
+    ];
+
+    try {
+      const result = await this.db.query(query, params);
+      return result.rowCount > 0;
+    } catch (err) {
+      console.error(`  💥 [AlertRepository] Retract failed for ${alertId}: ${err.message}`);
+      throw err;
+    }
+  }
+
   /**
    * Generate alert ID
    */
@@ -232,4 +294,14 @@ class AlertRepository {
   }
 }
 
+function _parseJson(value, fallback) {
+  if (value == null) return fallback;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
 module.exports = AlertRepository;
@@ -0,0 +1,75 @@
+/**
+ * Genesis — Cursor Repository
+ *
+ * Per-chain checkpoint of the last fully processed block.
+ * The cursor is written in the same transaction as the events of that block
+ * (see EventRepository.saveBatch), so after a crash the pipeline resumes at
+ * the first block whose events were not stored — nothing skipped, nothing
+ * stored twice.
+ */
+
+const UPSERT_CURSOR = `
+  INSERT INTO chain_cursors (chain, last_block, last_block_hash, updated_at)
+  VALUES (?, ?, ?, ?)
+  ON CONFLICT (chain) DO UPDATE SET
+    last_block = excluded.last_block,
+    last_block_hash = excluded.last_block_hash,
+    updated_at = excluded.updated_at
+`;
+
+class CursorRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Get the cursor for a chain
+   * @param {string} chain
+   * @returns {Promise<{ chain: string, blockNumber: number, blockHash: string|null, updatedAt: number }|null>}
+   */
+  async get(chain) {
+    const result = await this.db.query(
+      `SELECT * FROM chain_cursors WHERE chain = $1`,
+      [chain]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+
+    return {
+      chain: row.chain,
+      blockNumber: parseInt(row.last_block, 10),
+      blockHash: row.last_block_hash || null,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  /**
+   * Move the cursor for a chain (standalone — for blocks without events)
+   * @param {{ chain: string, blockNumber: number, blockHash?: string }} cursor
+   */
+  async save(cursor) {
+    try {
+      CursorRepository.upsert(this.db, cursor);
+    } catch (err) {
+      console.error(`  💥 [CursorRepository] Save failed for ${cursor.chain}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Write a cursor through any query client — the database itself or an
+   * open transaction from db.beginTransaction().
+   * @param {{ query: Function }} client
+   * @param {{ chain: string, blockNumber: number, blockHash?: string }} cursor
+   */
+  static upsert(client, cursor) {
+    return client.query(UPSERT_CURSOR, [
+      cursor.chain,
+      cursor.blockNumber,
+      cursor.blockHash || null,
+      Math.floor(Date.now() / 1000),
+    ]);
+  }
+}
+
+module.exports = CursorRepository;
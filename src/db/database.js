@@ -1,27 +1,36 @@
 /**
  * Genesis — Database Connection (SQLite)
  * 
- * SQLite connection management with automatic file persistence,
- * query helpers, and transaction support.
- * 
- * Uses sql.js (pure JavaScript, zero dependencies)
+ * Connection management, query helpers and transaction support on top of a
+ * pluggable storage driver (see ./drivers):
+ *
+ *   sqlite — better-sqlite3 on data/genesis.db with WAL; every committed
+ *            write is on disk immediately (default)
+ *   sqljs  — sql.js in memory, for tests and demos
+ *
+ * Repositories only see query() / beginTransaction(), whichever driver runs.
  */
 
-const initSqlJs = require("sql.js");
-const fs = require("fs");
 const path = require("path");
+const { createDriver } = require("./drivers");
+const Migrator = require("./migrator");
 
 class Database {
+  /**
+   * @param {object} config
+   * @param {string} [config.path] — database file (default data/genesis.db)
+   * @param {"sqlite"|"sqljs"} [config.driver] — storage backend (default sqlite)
+   */
   constructor(config) {
     this.config = config;
-    this.db = null;
-    this.SQL = null;
+    this.driver = null;
     this._isConnected = false;
+    this._inTransaction = false;
     this.dbPath = config.path || path.join(__dirname, "../../data/genesis.db");
   }
 
   /**
-   * Initialize SQLite connection
+   * Open the storage driver
    */
   async connect() {
     if (this._isConnected) {
@@ -30,87 +39,70 @@ class Database {
     }
 
     try {
-      // Initialize sql.js
-      this.SQL = await initSqlJs();
-
-      // Create data directory if it doesn't exist
-      const dataDir = path.dirname(this.dbPath);
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-      }
+      this.driver = createDriver({ ...this.config, path: this.dbPath });
+      const { existed } = await this.driver.open();
 
-      // Load existing database or create new
-      if (fs.existsSync(this.dbPath)) {
-        const buffer = fs.readFileSync(this.dbPath);
-        this.db = new this.SQL.Database(buffer);
+      if (this.driver.name === "sqljs") {
+        console.log("  🗄️  [Database] In-memory database (sql.js) — nothing is persisted");
+      } else if (existed) {
         console.log(`  🗄️  [Database] Loaded existing database from ${this.dbPath}`);
       } else {
-        this.db = new this.SQL.Database();
         console.log(`  🗄️  [Database] Created new database at ${this.dbPath}`);
       }
 
       this._isConnected = true;
-
-      // Set up auto-save on changes
-      this._setupAutoSave();
     } catch (err) {
-      console.error(`  � [Database] Connection failed: ${err.message}`);
+      console.error(`  💥 [Database] Connection failed: ${err.message}`);
       throw err;
     }
   }
 
   /**
-   * Auto-save database to file after changes
-   */
-  _setupAutoSave() {
-    // Save every 5 seconds if there were changes
-    this._saveInterval = setInterval(() => {
-      this.save();
-    }, 5000);
-  }
-
-  /**
-   * Save database to file
+   * Flush to disk. Writes are durable once committed, so this only folds
+   * the WAL back into the main file; kept for callers of the old API.
    */
   save() {
-    if (!this.db) return;
-    
+    if (!this.driver) return;
+
     try {
-      const data = this.db.export();
-      const buffer = Buffer.from(data);
-      fs.writeFileSync(this.dbPath, buffer);
+      this.driver.checkpoint();
     } catch (err) {
-      console.error(`  💥 [Database] Save failed: ${err.message}`);
+      console.error(`  💥 [Database] Checkpoint failed: ${err.message}`);
     }
   }
 
   /**
-   * Run database migrations (schema setup)
+   * Apply pending schema migrations (db/migrations, see ./migrator)
+   * @returns {Promise<object[]>} migrations applied
    */
   async migrate() {
     console.log("  🔧 [Database] Running migrations...");
-    
-    const schemaPath = path.join(__dirname, "../../db/schema.sql");
-    
-    if (!fs.existsSync(schemaPath)) {
-      console.warn("  ⚠️  [Database] schema.sql not found, skipping migrations");
-      return;
-    }
 
     try {
-      const schema = fs.readFileSync(schemaPath, "utf8");
-      
-      // Execute the entire schema at once (SQLite can handle it)
-      this.db.run(schema);
-
-      this.save(); // Persist migrations
-      console.log("  ✅ [Database] Migrations complete");
+      const applied = await new Migrator(this).migrate();
+      console.log(
+        applied.length > 0
+          ? `  ✅ [Database] Migrations complete (${applied.length} applied)`
+          : "  ✅ [Database] Schema up to date"
+      );
+      return applied;
     } catch (err) {
       console.error(`  💥 [Database] Migration failed: ${err.message}`);
       throw err;
     }
   }
 
+  /**
+   * Run a multi-statement SQL script (no parameters, no result rows)
+   * @param {string} sql
+   */
+  exec(sql) {
+    if (!this._isConnected) {
+      throw new Error("Database not connected. Call connect() first.");
+    }
+    this.driver.exec(sql);
+  }
+
   /**
    * Execute a query
    * @param {string} text - SQL query
@@ -133,46 +125,16 @@ class Database {
         }
       }
       
-      // sql.js uses different methods for SELECT vs INSERT/UPDATE/DELETE
-      const isSelect = sqliteQuery.trim().toUpperCase().startsWith("SELECT");
-      
-      if (isSelect) {
-        const stmt = this.db.prepare(sqliteQuery);
-        stmt.bind(params);
-        
-        const rows = [];
-        while (stmt.step()) {
-          rows.push(stmt.getAsObject());
-        }
-        stmt.free();
-
-        const duration = Date.now() - start;
-        if (duration > 1000) {
-          console.warn(`  ⏱️  [Database] Slow query (${duration}ms): ${text.slice(0, 100)}`);
-        }
+      const result = this.driver.query(sqliteQuery, params);
 
-        return { rows, rowCount: rows.length };
-      } else {
-        // INSERT, UPDATE, DELETE
-        this.db.run(sqliteQuery, params);
-        const duration = Date.now() - start;
-
-        if (duration > 1000) {
-          console.warn(`  ⏱️  [Database] Slow query (${duration}ms): ${text.slice(0, 100)}`);
-        }
-
-        // For INSERT with RETURNING, we need to get the last inserted row
-        if (text.toUpperCase().includes("RETURNING")) {
-          const lastId = this.db.exec("SELECT last_insert_rowid() as id")[0]?.values[0][0] || null;
-          return { rows: [{ id: lastId }], rowCount: 1 };
-        }
-
-        return { rows: [], rowCount: this.db.getRowsModified() };
+      const duration = Date.now() - start;
+      if (duration > 1000) {
+        console.warn(`  ⏱️  [Database] Slow query (${duration}ms): ${text.slice(0, 100)}`);
       }
+
+      return { rows: result.rows, rowCount: result.rowCount };
     } catch (err) {
-      console.error(`  💥 [Database] Query failed:`, err);
-      console.error(`  💥 [Database] Error type:`, typeof err);
-      console.error(`  💥 [Database] Error message:`, err?.message);
+      console.error(`  💥 [Database] Query failed: ${err?.message}`);
       console.error(`  💥 [Database] Query: ${text.slice(0, 200)}`);
       console.error(`  💥 [Database] Params:`, params);
       throw err;
@@ -184,8 +146,14 @@ class Database {
    * @returns {Object} - Transaction client
    */
   beginTransaction() {
+    if (this._inTransaction) {
+      // SQLite has no nested BEGIN — fail loudly instead of committing the outer one early
+      throw new Error("A transaction is already open on this connection");
+    }
+
     try {
-      this.db.run("BEGIN TRANSACTION");
+      this.driver.exec("BEGIN IMMEDIATE");
+      this._inTransaction = true;
     } catch (err) {
       console.error(`  💥 [Database] Begin transaction failed: ${err.message}`);
       throw err;
@@ -195,8 +163,8 @@ class Database {
       query: (text, params) => this.query(text, params),
       commit: () => {
         try {
-          this.db.run("COMMIT");
-          this.save(); // Save after commit
+          this.driver.exec("COMMIT");
+          this._inTransaction = false;
         } catch (err) {
           console.error(`  💥 [Database] Commit failed: ${err.message}`);
           throw err;
@@ -204,10 +172,12 @@ class Database {
       },
       rollback: () => {
         try {
-          this.db.run("ROLLBACK");
+          this.driver.exec("ROLLBACK");
         } catch (err) {
           console.error(`  💥 [Database] Rollback failed: ${err.message}`);
           throw err;
+        } finally {
+          this._inTransaction = false;
         }
       },
     };
@@ -217,7 +187,7 @@ class Database {
    * Get database statistics
    */
   getStats() {
-    if (!this.db) return null;
+    if (!this.driver) return null;
     
     try {
       const sizeResult = this.query("SELECT page_count * page_size as size FROM pragma_page_count(), pragma_page_size()");
@@ -226,7 +196,8 @@ class Database {
       return {
         size: sizeResult.rows[0]?.size || 0,
         tables: tableResult.rows[0]?.count || 0,
-        path: this.dbPath,
+        path: this.driver.path,
+        driver: this.driver.name,
       };
     } catch (err) {
       return null;
@@ -237,10 +208,9 @@ class Database {
    * Close database connection
    */
   async close() {
-    if (this.db) {
-      clearInterval(this._saveInterval);
-      this.save(); // Final save
-      this.db.close();
+    if (this.driver) {
+      this.driver.close();
+      this.driver = null;
       this._isConnected = false;
       console.log("  🗄️  [Database] Connection closed");
     }
@@ -0,0 +1,159 @@
+/**
+ * Genesis — Detector State Repository
+ *
+ * Checkpoints of AnomalyDetector baselines and WalletProfiler profiles and
+ * patterns (anomaly_baselines, wallet_profiles, wallet_patterns), scoped per
+ * pipeline, so detectors warm-start after a restart.
+ *
+ * Synchronous like SuppressionRepository; a checkpoint is written in one
+ * transaction so a crash never leaves half a snapshot behind.
+ */
+
+const UPSERT_BASELINE = `
+  INSERT INTO anomaly_baselines (scope, token, samples, sample_count, counts, updated_at)
+  VALUES (?, ?, ?, ?, ?, ?)
+  ON CONFLICT (scope, token) DO UPDATE SET
+    samples = excluded.samples,
+    sample_count = excluded.sample_count,
+    counts = excluded.counts,
+    updated_at = excluded.updated_at
+`;
+
+const UPSERT_PROFILE = `
+  INSERT INTO wallet_profiles (scope, address, risk_score, profile, last_seen_at)
+  VALUES (?, ?, ?, ?, ?)
+  ON CONFLICT (scope, address) DO UPDATE SET
+    risk_score = excluded.risk_score,
+    profile = excluded.profile,
+    last_seen_at = excluded.last_seen_at
+`;
+
+const INSERT_PATTERN = `
+  INSERT INTO wallet_patterns (pattern_id, scope, wallet, type, severity, data, detected_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT (pattern_id) DO NOTHING
+`;
+
+const UPSERT_CHECKPOINT = `
+  INSERT INTO detector_checkpoints (scope, checkpointed_at, baselines, profiles, patterns)
+  VALUES (?, ?, ?, ?, ?)
+  ON CONFLICT (scope) DO UPDATE SET
+    checkpointed_at = excluded.checkpointed_at,
+    baselines = excluded.baselines,
+    profiles = excluded.profiles,
+    patterns = excluded.patterns
+`;
+
+/** Stored patterns kept per scope (matches WalletProfiler.maxPatterns) */
+const MAX_PATTERNS_PER_SCOPE = 200;
+
+class DetectorStateRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Everything stored for a scope
+   * @param {string} scope
+   * @returns {{ baselines: Object<string, object[]>, counts: Object<string, object>, profiles: object[], patterns: object[], checkpointedAt: number|null }}
+   */
+  load(scope) {
+    const baselines = {};
+    const counts = {};
+    for (const row of this.db.query(`SELECT token, samples, counts FROM anomaly_baselines WHERE scope = ?`, [scope]).rows) {
+      baselines[row.token] = _parse(row.samples, []);
+      if (row.counts) counts[row.token] = _parse(row.counts, undefined);
+    }
+
+    const profiles = this.db
+      .query(`SELECT profile FROM wallet_profiles WHERE scope = ?`, [scope])
+      .rows.map((row) => _parse(row.profile, null))
+      .filter(Boolean);
+
+    const patterns = this.db
+      .query(`SELECT data FROM wallet_patterns WHERE scope = ? ORDER BY detected_at ASC, pattern_id ASC`, [scope])
+      .rows.map((row) => _parse(row.data, null))
+      .filter(Boolean);
+
+    const checkpoint = this.db.query(`SELECT checkpointed_at FROM detector_checkpoints WHERE scope = ?`, [scope]).rows[0];
+
+    return {
+      baselines,
+      counts,
+      profiles,
+      patterns,
+      checkpointedAt: checkpoint ? Number(checkpoint.checkpointed_at) : null,
+    };
+  }
+
+  /**
+   * Write changed state in one transaction
+   * @param {string} scope
+   * @param {object} state
+   * @param {Object<string, object[]>} [state.baselines] — token → samples
+   * @param {Object<string, object>} [state.counts] — token → rate windows
+   * @param {object[]} [state.profiles] — serialized wallet profiles
+   * @param {object[]} [state.patterns] — patterns detected since the last checkpoint
+   * @returns {{ baselines: number, profiles: number, patterns: number }} rows written
+   */
+  saveCheckpoint(scope, { baselines = {}, counts = {}, profiles = [], patterns = [] }) {
+    const now = Date.now();
+    const written = { baselines: 0, profiles: 0, patterns: 0 };
+    const tx = this.db.beginTransaction();
+
+    try {
+      for (const token of new Set([...Object.keys(baselines), ...Object.keys(counts)])) {
+        const samples = baselines[token] || [];
+        const windows = counts[token] ? JSON.stringify(counts[token]) : null;
+        tx.query(UPSERT_BASELINE, [scope, token, JSON.stringify(samples), samples.length, windows, now]);
+        written.baselines++;
+      }
+      for (const profile of profiles) {
+        tx.query(UPSERT_PROFILE, [scope, profile.address, profile.riskScore || 0, JSON.stringify(profile), profile.lastSeenAt || now]);
+        written.profiles++;
+      }
+      for (const pattern of patterns) {
+        tx.query(INSERT_PATTERN, [
+          pattern.id, scope, pattern.wallet, pattern.type, pattern.severity, JSON.stringify(pattern), pattern.timestamp || now,
+        ]);
+        written.patterns++;
+      }
+
+      if (written.patterns > 0) {
+        tx.query(
+          `DELETE FROM wallet_patterns WHERE scope = ? AND pattern_id NOT IN (
+             SELECT pattern_id FROM wallet_patterns WHERE scope = ? ORDER BY detected_at DESC, pattern_id DESC LIMIT ?
+           )`,
+          [scope, scope, MAX_PATTERNS_PER_SCOPE]
+        );
+      }
+
+      tx.query(UPSERT_CHECKPOINT, [scope, now, written.baselines, written.profiles, written.patterns]);
+      tx.commit();
+    } catch (err) {
+      tx.rollback();
+      console.error(`  💥 [DetectorStateRepository] Checkpoint failed for ${scope}: ${err.message}`);
+      throw err;
+    }
+
+    return written;
+  }
+
+  /**
+   * Forget the stored baselines of a scope (before a rebuild from events)
+   * @param {string} scope
+   */
+  clearBaselines(scope) {
+    this.db.query(`DELETE FROM anomaly_baselines WHERE scope = ?`, [scope]);
+  }
+}
+
+function _parse(json, fallback) {
+  try {
+    return JSON.parse(json);
+  } catch {
+    return fallback;
+  }
+}
+
+module.exports = DetectorStateRepository;
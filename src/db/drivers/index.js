@@ -0,0 +1,28 @@
+/**
+ * Genesis — Storage Drivers
+ *
+ *   sqlite — better-sqlite3 on a file, WAL, real transactions (default)
+ *   sqljs  — sql.js in memory, nothing persisted (tests / demos)
+ */
+
+const SqliteDriver = require("./sqlite");
+const SqlJsDriver = require("./sqljs");
+
+const DRIVERS = {
+  sqlite: SqliteDriver,
+  sqljs: SqlJsDriver,
+};
+
+/**
+ * @param {object} config — { driver?: "sqlite"|"sqljs", path: string }
+ */
+function createDriver(config) {
+  const name = config.driver || "sqlite";
+  const Driver = DRIVERS[name];
+  if (!Driver) {
+    throw new Error(`Unknown database driver "${name}". Available: ${Object.keys(DRIVERS).join(", ")}`);
+  }
+  return new Driver(config);
+}
+
+module.exports = { createDriver, SqliteDriver, SqlJsDriver };
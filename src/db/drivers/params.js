@@ -0,0 +1,25 @@
+/**
+ * Genesis — Parameter normalisation shared by the storage drivers
+ *
+ * Repositories pass plain JS values; SQLite only stores numbers, text, blobs
+ * and NULL. Both drivers bind the same converted values so a row written by
+ * one backend reads back identically on the other.
+ */
+
+/**
+ * @param {Array} params
+ * @returns {Array}
+ */
+function normalizeParams(params) {
+  return params.map((value) => {
+    if (value === undefined || value === null) return null;
+    if (typeof value === "boolean") return value ? 1 : 0;
+    if (typeof value === "bigint") return value.toString();
+    if (value instanceof Date) return Math.floor(value.getTime() / 1000);
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) return value;
+    if (typeof value === "object") return JSON.stringify(value); // arrays, plain objects
+    return value;
+  });
+}
+
+module.exports = { normalizeParams };
@@ -0,0 +1,113 @@
+/**
+ * Genesis — SQLite File Driver
+ *
+ * better-sqlite3 on the database file itself: every statement is written
+ * through SQLite's own journal, so a crash loses nothing that was committed
+ * (the sql.js export-and-rewrite cycle lost up to 5 seconds of writes, and
+ * cost more as the tables grew).
+ *
+ *   - journal_mode = WAL        — readers never block the writer
+ *   - synchronous  = NORMAL     — durable at checkpoint; safe with WAL
+ *   - busy_timeout              — scripts (inspect-db, api-server) can open
+ *                                 the same file while the monitor runs
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { normalizeParams } = require("./params");
+
+const BUSY_TIMEOUT_MS = 5000;
+
+// Prepared statements are reused — repositories run the same SQL per event
+const STATEMENT_CACHE_SIZE = 200;
+
+class SqliteDriver {
+  /**
+   * @param {object} opts
+   * @param {string} opts.path — database file (":memory:" for a throwaway DB)
+   */
+  constructor(opts) {
+    this.name = "sqlite";
+    this.path = opts.path;
+    this.db = null;
+
+    /** @type {Map<string, object>} SQL → better-sqlite3 Statement (LRU by insertion order) */
+    this._statements = new Map();
+  }
+
+  async open() {
+    // Required lazily so the sql.js backend works without the native module
+    const BetterSqlite3 = require("better-sqlite3");
+
+    if (this.path !== ":memory:") {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    }
+    const existed = this.path !== ":memory:" && fs.existsSync(this.path);
+
+    this.db = new BetterSqlite3(this.path);
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("synchronous = NORMAL");
+    this.db.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+
+    return { existed };
+  }
+
+  /** Run a multi-statement SQL script (schema files). */
+  exec(sql) {
+    this.db.exec(sql);
+  }
+
+  /**
+   * Run one statement.
+   * @returns {{ rows: object[], rowCount: number, lastInsertRowid: number|null }}
+   */
+  query(sql, params = []) {
+    const stmt = this._prepare(sql);
+    const values = normalizeParams(params);
+
+    if (stmt.reader) {
+      const rows = stmt.all(values);
+      return { rows, rowCount: rows.length, lastInsertRowid: null };
+    }
+
+    const info = stmt.run(values);
+    return { rows: [], rowCount: info.changes, lastInsertRowid: Number(info.lastInsertRowid) };
+  }
+
+  get inTransaction() {
+    return this.db?.inTransaction ?? false;
+  }
+
+  /** Fold the WAL back into the main file (also happens automatically). */
+  checkpoint() {
+    if (this.db && this.path !== ":memory:") {
+      this.db.pragma("wal_checkpoint(PASSIVE)");
+    }
+  }
+
+  close() {
+    if (!this.db) return;
+    this._statements.clear();
+    this.db.close();
+    this.db = null;
+  }
+
+  _prepare(sql) {
+    let stmt = this._statements.get(sql);
+    if (stmt) {
+      // Refresh LRU position
+      this._statements.delete(sql);
+      this._statements.set(sql, stmt);
+      return stmt;
+    }
+
+    stmt = this.db.prepare(sql);
+    this._statements.set(sql, stmt);
+    if (this._statements.size > STATEMENT_CACHE_SIZE) {
+      this._statements.delete(this._statements.keys().next().value);
+    }
+    return stmt;
+  }
+}
+
+module.exports = SqliteDriver;
@@ -0,0 +1,72 @@
+/**
+ * Genesis — sql.js Driver (in-memory)
+ *
+ * Pure-JavaScript SQLite with no native module and no file: every run
+ * starts from an empty database and nothing is written to disk. Meant for
+ * tests, demos and throwaway runs (DATABASE_DRIVER=sqljs).
+ */
+
+const initSqlJs = require("sql.js");
+const { normalizeParams } = require("./params");
+
+class SqlJsDriver {
+  constructor() {
+    this.name = "sqljs";
+    this.path = ":memory:";
+    this.db = null;
+  }
+
+  async open() {
+    const SQL = await initSqlJs();
+    this.db = new SQL.Database();
+    return { existed: false };
+  }
+
+  /** Run a multi-statement SQL script (schema files). */
+  exec(sql) {
+    this.db.run(sql);
+  }
+
+  /**
+   * Run one statement.
+   * @returns {{ rows: object[], rowCount: number, lastInsertRowid: number|null }}
+   */
+  query(sql, params = []) {
+    const stmt = this.db.prepare(sql);
+    try {
+      stmt.bind(normalizeParams(params));
+
+      // Statements with result columns (SELECT, PRAGMA, ... RETURNING) yield rows
+      if (stmt.getColumnNames().length > 0) {
+        const rows = [];
+        while (stmt.step()) {
+          rows.push(stmt.getAsObject());
+        }
+        return { rows, rowCount: rows.length, lastInsertRowid: null };
+      }
+
+      stmt.step();
+      const lastInsertRowid = this.db.exec("SELECT last_insert_rowid()")[0]?.values[0][0] ?? null;
+      return { rows: [], rowCount: this.db.getRowsModified(), lastInsertRowid };
+    } finally {
+      stmt.free();
+    }
+  }
+
+  get inTransaction() {
+    // sql.js exposes no autocommit flag; Database tracks its own transactions
+    return false;
+  }
+
+  checkpoint() {
+    // Nothing to flush — the database only lives in memory
+  }
+
+  close() {
+    if (!this.db) return;
+    this.db.close();
+    this.db = null;
+  }
+}
+
+module.exports = SqlJsDriver;
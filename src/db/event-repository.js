@@ -5,6 +5,8 @@
  * Handles saving, updating finality, and querying events.
  */
 
+const CursorRepository = require("./cursor-repository");
+
 class EventRepository {
   constructor(db) {
     this.db = db;
@@ -61,9 +63,11 @@ class EventRepository {
   /**
    * Save multiple events in a batch (transaction)
    * @param {Array<import('../pipeline/event-model').GenesisEvent>} events
+   * @param {{ chain: string, blockNumber: number, blockHash?: string }} [cursor]
+   *   — when given, the chain cursor is moved in the same transaction
    */
-  async saveBatch(events) {
-    if (events.length === 0) return [];
+  async saveBatch(events, cursor = null) {
+    if (events.length === 0 && !cursor) return [];
 
     const tx = this.db.beginTransaction();
 
@@ -109,6 +113,10 @@ class EventRepository {
         ids.push(result.rows[0]?.id || null);
       }
 
+      if (cursor) {
+        CursorRepository.upsert(tx, cursor);
+      }
+
       tx.commit();
       return ids;
     } catch (err) {
@@ -167,6 +175,78 @@ class EventRepository {
     }
   }
 
+  /**
+   * Mark events in a reorged block range as reverted when their block hash is
+   * no longer canonical, and record each change in finality_history.
+   *
+   * @param {string} chain
+   * @param {number} fromBlock
+   * @param {number} toBlock
+   * @param {Map<number, string>} canonicalHashes — blockNumber → canonical block hash
+   *   (a missing entry means the height no longer exists: everything there is orphaned)
+   * @returns {Promise<Array<{ eventId: string, blockNumber: number, from: string }>>}
+   */
+  async revertOrphaned(chain, fromBlock, toBlock, canonicalHashes) {
+    const result = await this.db.query(
+      `SELECT event_id, block_number, block_hash, finality FROM events
+       WHERE chain = $1 AND block_number >= $2 AND block_number <= $3 AND finality != 'reverted'`,
+      [chain, fromBlock, toBlock]
+    );
+
+    const orphaned = result.rows.filter(
+      (row) => canonicalHashes.get(parseInt(row.block_number, 10)) !== row.block_hash
+    );
+    if (orphaned.length === 0) return [];
+
+    const now = Math.floor(Date.now() / 1000);
+    const tx = this.db.beginTransaction();
+
+    try {
+      for (const row of orphaned) {
+        tx.query(
+          `UPDATE events SET finality = 'reverted', finality_updated_at = $1, updated_at = strftime('%s', 'now') WHERE event_id = $2`,
+          [now, row.event_id]
+        );
+        tx.query(
+          `INSERT INTO finality_history (event_id, from_finality, to_finality, block_number, changed_at) VALUES (?, ?, ?, ?, ?)`,
+          [row.event_id, row.finality, "reverted", row.block_number, now]
+        );
+      }
+
+      tx.commit();
+    } catch (err) {
+      tx.rollback();
+      console.error(`  💥 [EventRepository] Reorg revert failed: ${err.message}`);
+      throw err;
+    }
+
+    return orphaned.map((row) => ({
+      eventId: row.event_id,
+      blockNumber: parseInt(row.block_number, 10),
+      from: row.finality,
+    }));
+  }
+
+  /**
+   * Look up the stored finality of a set of events
+   * @param {string[]} eventIds
+   * @returns {Promise<Map<string, string>>} event_id → finality (unknown IDs are absent)
+   */
+  async getFinalityByIds(eventIds) {
+    const finality = new Map();
+    if (eventIds.length === 0) return finality;
+
+    const placeholders = eventIds.map(() => "?").join(", ");
+    const result = await this.db.query(
+      `SELECT event_id, finality FROM events WHERE event_id IN (${placeholders})`,
+      eventIds
+    );
+    for (const row of result.rows) {
+      finality.set(row.event_id, row.finality);
+    }
+    return finality;
+  }
+
   /**
    * Get events by block range
    * @param {string} chain
@@ -186,6 +266,25 @@ class EventRepository {
     return result.rows.map(this._mapRow);
   }
 
+  /**
+   * First and last block of the stored events inside a time window
+   * @param {string} chain
+   * @param {number} fromTimestamp — unix seconds (inclusive)
+   * @param {number} toTimestamp — unix seconds (inclusive)
+   * @returns {Promise<{ fromBlock: number, toBlock: number }|null>} null when no event falls inside
+   */
+  async getBlockRangeByTime(chain, fromTimestamp, toTimestamp) {
+    const query = `
+      SELECT MIN(block_number) as from_block, MAX(block_number) as to_block FROM events
+      WHERE chain = $1 AND block_timestamp >= $2 AND block_timestamp <= $3
+    `;
+
+    const result = await this.db.query(query, [chain, fromTimestamp, toTimestamp]);
+    const row = result.rows[0];
+    if (row?.from_block == null) return null;
+    return { fromBlock: parseInt(row.from_block, 10), toBlock: parseInt(row.to_block, 10) };
+  }
+
   /**
    * Get events by contract address
    * @param {string} contractAddress
@@ -304,6 +403,141 @@ class EventRepository {
     return result.rows[0];
   }
 
+  /**
+   * Historical exposure of one address: every stored, non-reverted event it
+   * sent (`args.from`), received (`args.to`) or emitted, totalled per token
+   * contract, plus its busiest counterparties. Scans the `args` JSON of the
+   * whole range — a compliance report, not a hot path.
+   *
+   * @param {string} address
+   * @param {{ chain?: string, fromBlock?: number, toBlock?: number, topCounterparties?: number }} [opts]
+   * @returns {Promise<{
+   *   address: string, events: number, sent: number, received: number, emitted: number,
+   *   firstBlock: number|null, lastBlock: number|null, firstSeen: number|null, lastSeen: number|null,
+   *   tokens: { chain: string, contract: string, sent: number, received: number, valueSent: string, valueReceived: string }[],
+   *   counterparties: { address: string, events: number, sent: number, received: number }[]
+   * }>} values are raw token units (strings)
+   */
+  async getAddressExposure(address, opts = {}) {
+    const target = address.toLowerCase();
+    let query = `
+      SELECT * FROM (
+        SELECT chain, block_number, block_timestamp, lower(contract_address) AS contract,
+               lower(json_extract(args, '$.from')) AS arg_from,
+               lower(json_extract(args, '$.to')) AS arg_to,
+               json_extract(args, '$.value') AS arg_value
+        FROM events
+        WHERE finality != 'reverted'`;
+    const params = [];
+
+    if (opts.chain) {
+      query += ` AND chain = ?`;
+      params.push(opts.chain);
+    }
+    if (opts.fromBlock != null) {
+      query += ` AND block_number >= ?`;
+      params.push(opts.fromBlock);
+    }
+    if (opts.toBlock != null) {
+      query += ` AND block_number <= ?`;
+      params.push(opts.toBlock);
+    }
+    query += `
+      ) WHERE arg_from = ? OR arg_to = ? OR contract = ?
+      ORDER BY block_number ASC`;
+    params.push(target, target, target);
+
+    const rows = (await this.db.query(query, params)).rows;
+
+    const report = {
+      address: target,
+      events: rows.length,
+      sent: 0,
+      received: 0,
+      emitted: 0,
+      firstBlock: rows.length ? Number(rows[0].block_number) : null,
+      lastBlock: rows.length ? Number(rows[rows.length - 1].block_number) : null,
+      firstSeen: rows.length ? Number(rows[0].block_timestamp) : null,
+      lastSeen: rows.length ? Number(rows[rows.length - 1].block_timestamp) : null,
+      tokens: [],
+      counterparties: [],
+    };
+
+    const tokens = new Map();
+    const counterparties = new Map();
+    const toBig = (v) => {
+      try {
+        return v == null ? 0n : BigInt(v);
+      } catch {
+        return 0n;
+      }
+    };
+
+    for (const row of rows) {
+      if (row.contract === target) report.emitted++;
+      const sent = row.arg_from === target;
+      const received = row.arg_to === target;
+      if (!sent && !received) continue;
+
+      const key = `${row.chain}:${row.contract}`;
+      if (!tokens.has(key)) {
+        tokens.set(key, { chain: row.chain, contract: row.contract, sent: 0, received: 0, valueSent: 0n, valueReceived: 0n });
+      }
+      const token = tokens.get(key);
+
+      if (sent) {
+        report.sent++;
+        token.sent++;
+        token.valueSent += toBig(row.arg_value);
+      }
+      if (received) {
+        report.received++;
+        token.received++;
+        token.valueReceived += toBig(row.arg_value);
+      }
+
+      const other = sent ? row.arg_to : row.arg_from;
+      if (other && other !== target) {
+        const entry = counterparties.get(other) || { address: other, events: 0, sent: 0, received: 0 };
+        entry.events++;
+        if (sent) entry.sent++;
+        else entry.received++;
+        counterparties.set(other, entry);
+      }
+    }
+
+    report.tokens = [...tokens.values()]
+      .sort((a, b) => b.sent + b.received - (a.sent + a.received))
+      .map((t) => ({ ...t, valueSent: t.valueSent.toString(), valueReceived: t.valueReceived.toString() }));
+    report.counterparties = [...counterparties.values()]
+      .sort((a, b) => b.events - a.events)
+      .slice(0, opts.topCounterparties ?? 20);
+
+    return report;
+  }
+
+  /**
+   * Which of the given addresses appear in any stored, non-reverted event
+   * (as `args.from`, `args.to` or contract) — one scan for a whole list
+   * @param {string[]} addresses
+   * @param {{ chain?: string }} [opts]
+   * @returns {Promise<string[]>} lowercase
+   */
+  async findSeenAddresses(addresses, opts = {}) {
+    const wanted = new Set(addresses.map((a) => a.toLowerCase()));
+    if (wanted.size === 0) return [];
+
+    const where = `finality != 'reverted'${opts.chain ? " AND chain = ?" : ""}`;
+    const params = opts.chain ? [opts.chain, opts.chain, opts.chain] : [];
+    const result = await this.db.query(
+      `SELECT lower(json_extract(args, '$.from')) AS address FROM events WHERE ${where}
+       UNION SELECT lower(json_extract(args, '$.to')) FROM events WHERE ${where}
+       UNION SELECT lower(contract_address) FROM events WHERE ${where}`,
+      params
+    );
+    return result.rows.map((row) => row.address).filter((a) => a && wanted.has(a));
+  }
+
   /**
    * Map database row to event object
    */
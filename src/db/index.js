@@ -5,11 +5,25 @@
  */
 
 const Database = require("./database");
+const Migrator = require("./migrator");
 const EventRepository = require("./event-repository");
 const AlertRepository = require("./alert-repository");
+const CursorRepository = require("./cursor-repository");
+const SuppressionRepository = require("./suppression-repository");
+const DetectorStateRepository = require("./detector-state-repository");
+const LabelRepository = require("./label-repository");
+const SanctionsRepository = require("./sanctions-repository");
+const AbiRepository = require("./abi-repository");
 
 module.exports = {
   Database,
+  Migrator,
   EventRepository,
   AlertRepository,
+  CursorRepository,
+  SuppressionRepository,
+  DetectorStateRepository,
+  LabelRepository,
+  SanctionsRepository,
+  AbiRepository,
 };
@@ -0,0 +1,286 @@
+/**
+ * Genesis — Label Repository
+ *
+ * Address lists and their labelled entries (address_lists, address_labels):
+ * "cex_hot_wallets" → { 0x28c6…: "Binance 14", category "exchange" }, ...
+ *
+ * Synchronous like SuppressionRepository. Every change bumps the list's
+ * updated_at, so LabelRegistry instances in other processes notice it with
+ * one cheap version() query.
+ *
+ * Errors carry a `code`, like RuleStore: "INVALID" (with `errors: string[]`)
+ * or "NOT_FOUND".
+ */
+
+/** Known entry categories */
+const CATEGORIES = ["exchange", "bridge", "protocol", "sanctioned", "mixer", "dex", "lending", "team", "whale", "scam", "other"];
+
+const LIST_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const ADDRESS_RE = /^0x[0-9a-fA-F]{40}$/;
+
+const UPSERT_ENTRY = `
+  INSERT INTO address_labels (list_name, address, label, category, tags, added_at)
+  VALUES (?, ?, ?, ?, ?, ?)
+  ON CONFLICT (list_name, address) DO UPDATE SET
+    label = excluded.label,
+    category = excluded.category,
+    tags = excluded.tags
+`;
+
+class LabelRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Read
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Every list with its entry count
+   * @returns {{ name: string, description: string|null, size: number, createdAt: number, updatedAt: number }[]}
+   */
+  listLists() {
+    const result = this.db.query(`
+      SELECT l.name, l.description, l.created_at, l.updated_at, COUNT(e.address) AS size
+      FROM address_lists l LEFT JOIN address_labels e ON e.list_name = l.name
+      GROUP BY l.name
+      ORDER BY l.name
+    `);
+    return result.rows.map(_toList);
+  }
+
+  /**
+   * One list with its entries, or null
+   * @param {string} name
+   * @returns {{ name: string, description: string|null, size: number, createdAt: number, updatedAt: number, entries: object[] }|null}
+   */
+  getList(name) {
+    const row = this.db.query(`SELECT * FROM address_lists WHERE name = ?`, [name]).rows[0];
+    if (!row) return null;
+
+    const entries = this.db
+      .query(`SELECT * FROM address_labels WHERE list_name = ? ORDER BY address`, [name])
+      .rows.map(_toEntry);
+    return { ..._toList({ ...row, size: entries.length }), entries };
+  }
+
+  /**
+   * Every entry of every list (LabelRegistry.load)
+   * @returns {{ list: string, address: string, label: string|null, category: string|null, tags: string[], addedAt: number }[]}
+   */
+  loadAll() {
+    return this.db.query(`SELECT * FROM address_labels`).rows.map(_toEntry);
+  }
+
+  /**
+   * Every list entry for one address
+   * @param {string} address
+   * @returns {object[]} same shape as loadAll()
+   */
+  entriesFor(address) {
+    return this.db
+      .query(`SELECT * FROM address_labels WHERE address = ? ORDER BY list_name`, [String(address).toLowerCase()])
+      .rows.map(_toEntry);
+  }
+
+  /**
+   * Changes whenever a list or entry is written or removed
+   * @returns {string}
+   */
+  version() {
+    const row = this.db.query(`SELECT COUNT(*) AS lists, MAX(updated_at) AS updated FROM address_lists`).rows[0];
+    return `${row.lists}:${row.updated ?? 0}`;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Write
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Create a list, or update its description
+   * @param {string} name
+   * @param {{ description?: string }} [fields]
+   * @returns {{ list: object, created: boolean }}
+   */
+  saveList(name, { description = null } = {}) {
+    _assertListName(name);
+    const existing = this.db.query(`SELECT name FROM address_lists WHERE name = ?`, [name]).rows[0];
+    const now = Date.now();
+
+    if (existing) {
+      this.db.query(
+        `UPDATE address_lists SET description = COALESCE(?, description), updated_at = ? WHERE name = ?`,
+        [description, now, name]
+      );
+    } else {
+      this.db.query(
+        `INSERT INTO address_lists (name, description, created_at, updated_at) VALUES (?, ?, ?, ?)`,
+        [name, description, now, now]
+      );
+    }
+    return { list: this.listLists().find((l) => l.name === name), created: !existing };
+  }
+
+  /**
+   * Delete a list and its entries
+   * @param {string} name
+   */
+  deleteList(name) {
+    if (!this.getList(name)) throw _error("NOT_FOUND", `List "${name}" not found`);
+
+    const tx = this.db.beginTransaction();
+    try {
+      tx.query(`DELETE FROM address_labels WHERE list_name = ?`, [name]);
+      tx.query(`DELETE FROM address_lists WHERE name = ?`, [name]);
+      tx.commit();
+    } catch (err) {
+      tx.rollback();
+      throw err;
+    }
+  }
+
+  /**
+   * Add or update entries in one transaction (the list is created if missing).
+   * Every entry is validated first; nothing is written if one is invalid.
+   * @param {string} name
+   * @param {{ address: string, label?: string, category?: string, tags?: string[] }[]} entries
+   * @param {{ replace?: boolean, description?: string }} [opts] — replace: drop entries not in `entries`
+   * @returns {{ written: number, removed: number }}
+   */
+  addEntries(name, entries, { replace = false, description } = {}) {
+    _assertListName(name);
+    if (!Array.isArray(entries)) {
+      throw _error("INVALID", "Invalid entries: expected an array", ["entries: expected an array"]);
+    }
+    const errors = entries.flatMap((entry, i) => validateEntry(entry, `entries[${i}]`));
+    if (errors.length > 0) {
+      throw _error("INVALID", `Invalid entries: ${errors.slice(0, 10).join("; ")}`, errors);
+    }
+
+    this.saveList(name, { description });
+    const now = Date.now();
+    let removed = 0;
+
+    const tx = this.db.beginTransaction();
+    try {
+      if (replace) {
+        const keep = new Set(entries.map((e) => e.address.toLowerCase()));
+        const existing = tx.query(`SELECT address FROM address_labels WHERE list_name = ?`, [name]).rows;
+        removed = existing.filter((row) => !keep.has(row.address)).length;
+        tx.query(`DELETE FROM address_labels WHERE list_name = ?`, [name]);
+      }
+      for (const entry of entries) {
+        tx.query(UPSERT_ENTRY, [
+          name,
+          entry.address.toLowerCase(),
+          entry.label || null,
+          entry.category || null,
+          JSON.stringify(entry.tags || []),
+          now,
+        ]);
+      }
+      tx.query(`UPDATE address_lists SET updated_at = ? WHERE name = ?`, [now, name]);
+      tx.commit();
+    } catch (err) {
+      tx.rollback();
+      throw err;
+    }
+
+    return { written: entries.length, removed };
+  }
+
+  /**
+   * Remove one address from a list
+   * @param {string} name
+   * @param {string} address
+   */
+  removeEntry(name, address) {
+    const key = String(address).toLowerCase();
+    const found = this.db.query(
+      `SELECT address FROM address_labels WHERE list_name = ? AND address = ?`,
+      [name, key]
+    ).rows[0];
+    if (!found) throw _error("NOT_FOUND", `${address} is not in list "${name}"`);
+
+    this.db.query(`DELETE FROM address_labels WHERE list_name = ? AND address = ?`, [name, key]);
+    this.db.query(`UPDATE address_lists SET updated_at = ? WHERE name = ?`, [Date.now(), name]);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Problems with one entry
+ * @param {object} entry
+ * @param {string} [path]
+ * @returns {string[]}
+ */
+function validateEntry(entry, path = "entry") {
+  if (entry === null || typeof entry !== "object" || Array.isArray(entry)) {
+    return [`${path}: expected an object with an address`];
+  }
+
+  const errors = [];
+  if (typeof entry.address !== "string" || !ADDRESS_RE.test(entry.address)) {
+    errors.push(`${path}.address: expected a 0x-prefixed 20-byte address, got ${JSON.stringify(entry.address)}`);
+  }
+  if (entry.label != null && (typeof entry.label !== "string" || entry.label.length > 100)) {
+    errors.push(`${path}.label: expected a string of at most 100 characters`);
+  }
+  if (entry.category != null && entry.category !== "" && !CATEGORIES.includes(entry.category)) {
+    errors.push(`${path}.category: "${entry.category}" — must be one of: ${CATEGORIES.join(", ")}`);
+  }
+  if (entry.tags != null && !(Array.isArray(entry.tags) && entry.tags.every((t) => typeof t === "string"))) {
+    errors.push(`${path}.tags: expected an array of strings`);
+  }
+  return errors;
+}
+
+function _assertListName(name) {
+  if (typeof name !== "string" || !LIST_NAME_RE.test(name)) {
+    const message = `Invalid list name ${JSON.stringify(name)}: use lowercase letters, digits, "_" and "-" (max 64)`;
+    throw _error("INVALID", message, [message]);
+  }
+}
+
+function _toList(row) {
+  return {
+    name: row.name,
+    description: row.description ?? null,
+    size: Number(row.size),
+    createdAt: Number(row.created_at),
+    updatedAt: Number(row.updated_at),
+  };
+}
+
+function _toEntry(row) {
+  let tags = [];
+  try {
+    tags = JSON.parse(row.tags || "[]");
+  } catch {
+    // keep []
+  }
+  return {
+    list: row.list_name,
+    address: row.address,
+    label: row.label ?? null,
+    category: row.category ?? null,
+    tags,
+    addedAt: Number(row.added_at),
+  };
+}
+
+function _error(code, message, errors) {
+  const err = new Error(message);
+  err.code = code;
+  if (errors) err.errors = errors;
+  return err;
+}
+
+LabelRepository.CATEGORIES = CATEGORIES;
+LabelRepository.validateEntry = validateEntry;
+
+module.exports = LabelRepository;
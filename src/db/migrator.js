@@ -0,0 +1,243 @@
+/**
+ * Genesis — Schema Migrator
+ *
+ * Versioned migrations from db/migrations/, applied in order and recorded in
+ * the schema_migrations table, so schema changes reach databases that
+ * already exist instead of only fresh ones.
+ *
+ * File format — NNN_description.sql:
+ *
+ *   -- migrate:up
+ *   ALTER TABLE alerts ADD COLUMN acknowledged_at INTEGER;
+ *
+ *   -- migrate:down
+ *   ALTER TABLE alerts DROP COLUMN acknowledged_at;
+ *
+ * Each migration runs in its own transaction together with its
+ * schema_migrations row: it is either fully applied or not at all.
+ *
+ * Usage:
+ *   const migrator = new Migrator(db);
+ *   await migrator.migrate();             // apply everything pending
+ *   await migrator.rollback({ steps: 1 }); // undo the last one
+ *   await migrator.status();
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const MIGRATIONS_DIR = path.resolve(__dirname, "../../db/migrations");
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+const UP_MARKER = /^--\s*migrate:up\s*$/m;
+const DOWN_MARKER = /^--\s*migrate:down\s*$/m;
+
+class Migrator {
+  /**
+   * @param {import('./database')} db — connected Database
+   * @param {object} [opts]
+   * @param {string} [opts.dir] — migrations directory (defaults to db/migrations)
+   */
+  constructor(db, opts = {}) {
+    this.db = db;
+    this.dir = opts.dir || MIGRATIONS_DIR;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Apply pending migrations in version order.
+   * @param {object} [opts]
+   * @param {number} [opts.to] — stop after this version
+   * @returns {Promise<object[]>} migrations applied
+   */
+  async migrate(opts = {}) {
+    this._ensureTable();
+    const applied = this._getApplied();
+    const pending = this.load().filter(
+      (m) => !applied.has(m.version) && (opts.to == null || m.version <= opts.to)
+    );
+
+    for (const migration of pending) {
+      this._run(migration, "up", () => {
+        this.db.query(
+          "INSERT INTO schema_migrations (version, name, checksum, applied_at) VALUES ($1, $2, $3, $4)",
+          [migration.version, migration.name, migration.checksum, Math.floor(Date.now() / 1000)]
+        );
+      });
+      console.log(`  ⬆️  [Migrator] Applied ${migration.file}`);
+    }
+
+    return pending;
+  }
+
+  /**
+   * Undo applied migrations, newest first.
+   * @param {object} [opts]
+   * @param {number} [opts.steps=1] — how many to undo
+   * @param {number} [opts.to] — undo everything above this version (overrides steps)
+   * @returns {Promise<object[]>} migrations rolled back
+   */
+  async rollback(opts = {}) {
+    this._ensureTable();
+    const byVersion = new Map(this.load().map((m) => [m.version, m]));
+    const applied = [...this._getApplied().keys()].sort((a, b) => b - a);
+
+    const targets = opts.to != null
+      ? applied.filter((v) => v > opts.to)
+      : applied.slice(0, opts.steps ?? 1);
+
+    const done = [];
+    for (const version of targets) {
+      const migration = byVersion.get(version);
+      if (!migration) {
+        throw new Error(`Cannot roll back version ${version}: its migration file is missing from ${this.dir}`);
+      }
+      if (!migration.down) {
+        throw new Error(`Cannot roll back ${migration.file}: it has no "-- migrate:down" section`);
+      }
+
+      this._run(migration, "down", () => {
+        this.db.query("DELETE FROM schema_migrations WHERE version = $1", [version]);
+      });
+      console.log(`  ⬇️  [Migrator] Rolled back ${migration.file}`);
+      done.push(migration);
+    }
+
+    return done;
+  }
+
+  /**
+   * Applied / pending state of every known migration.
+   * @returns {Promise<{ current: number, migrations: object[] }>}
+   */
+  async status() {
+    this._ensureTable();
+    const applied = this._getApplied();
+    const files = this.load();
+    const known = new Set(files.map((m) => m.version));
+
+    const migrations = files.map((m) => {
+      const row = applied.get(m.version);
+      return {
+        version: m.version,
+        name: m.name,
+        state: row ? "applied" : "pending",
+        appliedAt: row?.applied_at ?? null,
+        // The file was edited after it ran — the database does not match it
+        modified: Boolean(row && row.checksum && row.checksum !== m.checksum),
+      };
+    });
+
+    // Applied by a newer checkout whose files are not here
+    for (const [version, row] of applied) {
+      if (!known.has(version)) {
+        migrations.push({ version, name: row.name, state: "missing", appliedAt: row.applied_at, modified: false });
+      }
+    }
+    migrations.sort((a, b) => a.version - b.version);
+
+    return {
+      current: applied.size > 0 ? Math.max(...applied.keys()) : 0,
+      migrations,
+    };
+  }
+
+  /**
+   * Parse the migration files.
+   * @returns {{ version: number, name: string, file: string, up: string, down: string|null, checksum: string }[]}
+   */
+  load() {
+    if (!fs.existsSync(this.dir)) return [];
+
+    const migrations = [];
+    const seen = new Map();
+
+    for (const file of fs.readdirSync(this.dir).sort()) {
+      const match = file.match(FILE_PATTERN);
+      if (!match) continue;
+
+      const version = parseInt(match[1], 10);
+      if (seen.has(version)) {
+        throw new Error(`Duplicate migration version ${version}: ${seen.get(version)} and ${file}`);
+      }
+      seen.set(version, file);
+
+      const sql = fs.readFileSync(path.join(this.dir, file), "utf8");
+      const { up, down } = _split(sql, file);
+      migrations.push({
+        version,
+        name: match[2],
+        file,
+        up,
+        down,
+        checksum: crypto.createHash("sha256").update(up).digest("hex").slice(0, 16),
+      });
+    }
+
+    return migrations.sort((a, b) => a.version - b.version);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internal
+  // ---------------------------------------------------------------------------
+
+  _ensureTable() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT,
+        applied_at INTEGER NOT NULL
+      )
+    `);
+  }
+
+  /** @returns {Map<number, { name: string, checksum: string, applied_at: number }>} */
+  _getApplied() {
+    const result = this.db.query("SELECT version, name, checksum, applied_at FROM schema_migrations");
+    return new Map(result.rows.map((row) => [row.version, row]));
+  }
+
+  /** Run one direction of a migration plus its bookkeeping atomically. */
+  _run(migration, direction, record) {
+    const tx = this.db.beginTransaction();
+    try {
+      this.db.exec(migration[direction]);
+      record();
+      tx.commit();
+    } catch (err) {
+      tx.rollback();
+      throw new Error(`Migration ${migration.file} (${direction}) failed: ${err.message}`);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Split a migration file into its up and down SQL. */
+function _split(sql, file) {
+  const upMatch = UP_MARKER.exec(sql);
+  if (!upMatch) {
+    throw new Error(`Migration ${file} has no "-- migrate:up" section`);
+  }
+
+  const downMatch = DOWN_MARKER.exec(sql);
+  const upStart = upMatch.index + upMatch[0].length;
+
+  if (!downMatch) {
+    return { up: sql.slice(upStart).trim(), down: null };
+  }
+  if (downMatch.index < upMatch.index) {
+    throw new Error(`Migration ${file}: "-- migrate:down" must come after "-- migrate:up"`);
+  }
+
+  const down = sql.slice(downMatch.index + downMatch[0].length).trim();
+  return { up: sql.slice(upStart, downMatch.index).trim(), down: down || null };
+}
+
+module.exports = Migrator;
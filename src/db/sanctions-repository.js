@@ -0,0 +1,135 @@
+/**
+ * Genesis — Sanctions Repository
+ *
+ * Screening hits (sanctions_hits table): which event touched which listed
+ * address, in which role, under which list version. Written by ChainRunner
+ * for every SanctionsScreener match; read by the exposure report and the
+ * API server.
+ *
+ * Synchronous like SuppressionRepository. Re-screening the same event (a
+ * replay after a reorg, an overlapping backfill) leaves one row per
+ * (event, address, role) — the first list version that caught it.
+ */
+
+const INSERT_HIT = `
+  INSERT INTO sanctions_hits (
+    event_id, chain, block_number, tx_hash, address, role, name,
+    list_version, list_checksum, list_source, detected_at
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT (event_id, address, role) DO NOTHING
+`;
+
+class SanctionsRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Store the hits of screening matches in one transaction
+   * @param {{ event: object, screening: { list_version: string, list_checksum: string, list_source: string|null, hits: object[] } }[]} matches
+   * @returns {number} rows written
+   */
+  saveHits(matches) {
+    const now = Date.now();
+    let written = 0;
+
+    const tx = this.db.beginTransaction();
+    try {
+      for (const { event, screening } of matches) {
+        for (const hit of screening.hits) {
+          const result = tx.query(INSERT_HIT, [
+            event.id,
+            event.chain,
+            event.blockNumber,
+            event.txHash,
+            hit.address,
+            hit.role,
+            hit.name || null,
+            screening.list_version,
+            screening.list_checksum,
+            screening.list_source || null,
+            now,
+          ]);
+          written += result.rowCount || 0;
+        }
+      }
+      tx.commit();
+    } catch (err) {
+      tx.rollback();
+      console.error(`  💥 [SanctionsRepository] Save failed: ${err.message}`);
+      throw err;
+    }
+    return written;
+  }
+
+  /**
+   * Stored hits, newest first, with the event's current finality
+   * @param {{ address?: string, chain?: string }} [filters]
+   * @param {number} [limit]
+   */
+  getHits(filters = {}, limit = 100) {
+    let query = `
+      SELECT h.*, e.finality FROM sanctions_hits h
+      LEFT JOIN events e ON e.event_id = h.event_id
+      WHERE 1=1`;
+    const params = [];
+
+    if (filters.address) {
+      query += ` AND h.address = ?`;
+      params.push(filters.address.toLowerCase());
+    }
+    if (filters.chain) {
+      query += ` AND h.chain = ?`;
+      params.push(filters.chain);
+    }
+    query += ` ORDER BY h.block_number DESC, h.id DESC LIMIT ?`;
+    params.push(limit);
+
+    return this.db.query(query, params).rows.map(_toHit);
+  }
+
+  /**
+   * Hit counts per listed address
+   * @param {{ chain?: string }} [filters]
+   * @returns {{ address: string, name: string|null, hits: number, firstBlock: number, lastBlock: number, listVersions: string[] }[]}
+   */
+  getSummary(filters = {}) {
+    const result = this.db.query(
+      `SELECT address, MAX(name) AS name, COUNT(*) AS hits,
+              MIN(block_number) AS first_block, MAX(block_number) AS last_block,
+              GROUP_CONCAT(DISTINCT list_version) AS versions
+       FROM sanctions_hits
+       ${filters.chain ? "WHERE chain = ?" : ""}
+       GROUP BY address
+       ORDER BY hits DESC`,
+      filters.chain ? [filters.chain] : []
+    );
+    return result.rows.map((row) => ({
+      address: row.address,
+      name: row.name ?? null,
+      hits: Number(row.hits),
+      firstBlock: Number(row.first_block),
+      lastBlock: Number(row.last_block),
+      listVersions: row.versions ? row.versions.split(",") : [],
+    }));
+  }
+}
+
+function _toHit(row) {
+  return {
+    eventId: row.event_id,
+    chain: row.chain,
+    blockNumber: Number(row.block_number),
+    txHash: row.tx_hash,
+    address: row.address,
+    role: row.role,
+    name: row.name ?? null,
+    listVersion: row.list_version,
+    listChecksum: row.list_checksum,
+    listSource: row.list_source ?? null,
+    finality: row.finality ?? null,
+    detectedAt: Number(row.detected_at),
+  };
+}
+
+module.exports = SanctionsRepository;
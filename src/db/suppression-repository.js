@@ -0,0 +1,90 @@
+/**
+ * Genesis — Suppression Repository
+ *
+ * Persists NoiseFilter suppression buckets (noise_suppression table) so
+ * cooldowns, per-window budgets and pending "+N similar suppressed" counts
+ * survive a restart.
+ *
+ * Synchronous on purpose: the noise filter decides inline, and the write for
+ * a decision lands before the next alert is looked at.
+ */
+
+const UPSERT_BUCKET = `
+  INSERT INTO noise_suppression (bucket, rule_id, window_ms, sent_at, suppressed_count, updated_at)
+  VALUES (?, ?, ?, ?, ?, ?)
+  ON CONFLICT (bucket) DO UPDATE SET
+    window_ms = excluded.window_ms,
+    sent_at = excluded.sent_at,
+    suppressed_count = excluded.suppressed_count,
+    updated_at = excluded.updated_at
+`;
+
+class SuppressionRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Every stored bucket
+   * @returns {{ bucket: string, ruleId: string, windowMs: number, sentAt: number[], suppressed: number, updatedAt: number }[]}
+   */
+  loadAll() {
+    const result = this.db.query(`SELECT * FROM noise_suppression`);
+    return result.rows.map((row) => ({
+      bucket: row.bucket,
+      ruleId: row.rule_id,
+      windowMs: Number(row.window_ms),
+      sentAt: _parseTimes(row.sent_at),
+      suppressed: Number(row.suppressed_count),
+      updatedAt: Number(row.updated_at),
+    }));
+  }
+
+  /**
+   * Insert or replace a bucket
+   * @param {{ bucket: string, ruleId: string, windowMs: number, sentAt: number[], suppressed: number, updatedAt: number }} state
+   */
+  save(state) {
+    try {
+      this.db.query(UPSERT_BUCKET, [
+        state.bucket,
+        state.ruleId,
+        state.windowMs,
+        JSON.stringify(state.sentAt),
+        state.suppressed,
+        state.updatedAt,
+      ]);
+    } catch (err) {
+      console.error(`  💥 [SuppressionRepository] Save failed for ${state.bucket}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Delete buckets
+   * @param {string[]} buckets
+   */
+  remove(buckets) {
+    for (let i = 0; i < buckets.length; i += 500) {
+      const chunk = buckets.slice(i, i + 500);
+      const placeholders = chunk.map(() => "?").join(", ");
+      this.db.query(`DELETE FROM noise_suppression WHERE bucket IN (${placeholders})`, chunk);
+    }
+  }
+
+  /** Forget everything (NoiseFilter.reset) */
+  clear() {
+    this.db.query(`DELETE FROM noise_suppression`);
+  }
+}
+
+function _parseTimes(json) {
+  try {
+    const times = JSON.parse(json);
+    return Array.isArray(times) ? times.map(Number).filter(Number.isFinite) : [];
+  } catch {
+    return [];
+  }
+}
+
+module.exports = SuppressionRepository;
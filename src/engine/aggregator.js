@@ -8,28 +8,74 @@
  *
  * How it works:
  *   - Each rule can define an aggregation window + group_by fields
- *   - Matched events are bucketed by (rule_id, group_key)
- *   - When the window expires, a single aggregated alert is emitted
+ *   - Matched events are bucketed by (rule_id, group_key, window)
+ *   - When the window closes, a single aggregated alert is emitted
  *   - Individual events can also be passed through immediately (for high-severity rules)
  *
+ * Windows run on block time (event.timestamp), not arrival time, so a
+ * backfill or a delayed block lands in the window it belongs to:
+ *
+ *   tumbling — fixed, aligned windows of window_sec: [0,60) [60,120) ...
+ *   sliding  — windows of window_sec starting every slide_sec (overlapping)
+ *   session  — per group, open while events keep arriving within gap_sec
+ *
+ * The watermark is the latest block timestamp seen (advanceWatermark() is
+ * called for every block, matched or not). A window closes once the
+ * watermark passes its end plus the rule's allowed_lateness_sec; events for
+ * a closed window are counted as late and dropped. Closed windows are
+ * emitted in (end, start, rule_id, group) order with their events sorted by
+ * block position, so replaying the same blocks yields the same alerts.
+ *
+ * summary.metrics carries the metrics listed in aggregation.summary (see
+ * ./summary-metrics). An optional aggregation.having condition is checked
+ * against the summary fields and metrics; windows that fail it are dropped:
+ *
+ *   "having": { "all": [{ "sum_amount_usd": { "gte": 1000000 } }, { "event_count": { "gte": 5 } }] }
+ *
  * Emits:
- *   "alert"           — { rule, event, type: "instant" }
+ *   "alert"           — { rule, event, type: "instant" } (+ sequence, events for sequence rules;
+ *                        + anomaly for rules with an anomaly block)
  *   "alert:aggregated" — { rule, summary, events, type: "aggregated" }
  */
 
 const EventEmitter = require("events");
+const { ethers } = require("ethers");
+const { systemClock } = require("./clock");
+const { compileConditions } = require("./conditions");
+const { legacySummaries, computeMetrics } = require("./summary-metrics");
 
 class Aggregator extends EventEmitter {
-  constructor() {
+  /**
+   * @param {object} [opts]
+   * @param {object} [opts.clock] — time source for events without a block timestamp (see ./clock)
+   * @param {import('./label-registry')} [opts.labels] — address lists for in_list in `having`
+   */
+  constructor(opts = {}) {
     super();
 
+    this.clock = opts.clock || systemClock;
+    this.labels = opts.labels || null;
+
     /**
-     * Active aggregation windows.
-     * Key: `${rule_id}::${group_key}`
-     * Value: { rule, events[], timer, startTime }
+     * Open aggregation windows.
+     * Key: `${rule_id}::${group_key}::${start}` (sessions: `::#${n}`)
+     * Value: { rule, groupKey, type, start, end, lateness, lastTs, events[] }
+     *   — times in unix seconds of block time
      * @type {Map<string, object>}
      */
     this.windows = new Map();
+
+    /** Latest block timestamp seen (unix seconds) */
+    this.watermark = 0;
+
+    this.stats = { emitted: 0, lateEvents: 0, belowHaving: 0 };
+    this._sessionSeq = 0;
+
+    /**
+     * Compiled `having` predicates, keyed by the rule's having block
+     * @type {WeakMap<object, (summary: object) => boolean>}
+     */
+    this._having = new WeakMap();
   }
 
   // ---------------------------------------------------------------------------
@@ -45,6 +91,16 @@ class Aggregator extends EventEmitter {
   process(match) {
     const { rule, event } = match;
     const agg = rule.aggregation;
+    const ts = this._eventTime(event);
+
+    // Completed sequences (SequenceMatcher) carry every step's event;
+    // anomaly-gated rules carry the model's verdict; sanctions hits
+    // (SanctionsScreener) the listed addresses and list version
+    const extra = {
+      ...(match.sequence && { sequence: match.sequence, events: match.events }),
+      ...(match.anomaly && { anomaly: match.anomaly }),
+      ...(match.screening && { screening: match.screening }),
+    };
 
     // No aggregation configured — emit immediately
     if (!agg || !agg.enabled) {
@@ -53,35 +109,28 @@ class Aggregator extends EventEmitter {
         event,
         type: "instant",
         severity: rule.severity || "medium",
+        ...extra,
       });
+      this.advanceWatermark(ts);
       return;
     }
 
     // Build the group key from the event
     const groupKey = this._buildGroupKey(event, agg.group_by || []);
-    const windowKey = `${rule.rule_id}::${groupKey}`;
-
-    // Get or create the aggregation window
-    if (!this.windows.has(windowKey)) {
-      const window = {
-        rule,
-        groupKey,
-        events: [],
-        startTime: Date.now(),
-        timer: null,
-      };
-
-      // Set timer to flush the window
-      window.timer = setTimeout(() => {
-        this._flushWindow(windowKey);
-      }, (agg.window_sec || 60) * 1000);
-
-      this.windows.set(windowKey, window);
+    const spec = _windowSpec(agg);
+
+    const accepted = spec.type === "session"
+      ? this._addToSession(rule, groupKey, spec, event, ts)
+      : this._addToWindows(rule, groupKey, spec, event, ts);
+
+    if (!accepted) {
+      this.stats.lateEvents++;
+      console.warn(
+        `  ⏰ [Aggregator] Late event for ${rule.rule_id} dropped: block ${event.blockNumber} ` +
+        `(t=${ts}) is past the watermark ${this.watermark} + ${spec.lateness}s lateness`
+      );
     }
 
-    const window = this.windows.get(windowKey);
-    window.events.push(event);
-
     // Also emit for critical/high severity — don't wait for aggregation
     if (rule.severity === "critical" || rule.severity === "high") {
       this.emit("alert", {
@@ -89,38 +138,139 @@ class Aggregator extends EventEmitter {
         event,
         type: "instant",
         severity: rule.severity,
+        ...extra,
       });
     }
+
+    this.advanceWatermark(ts);
+  }
+
+  /**
+   * Move block time forward and emit every window that is now closed.
+   * Called by the chain pipeline for each block, including blocks without
+   * matches, so quiet rules still close their windows.
+   * @param {number} timestamp — block timestamp (unix seconds)
+   */
+  advanceWatermark(timestamp) {
+    if (!(timestamp > this.watermark)) return;
+    this.watermark = timestamp;
+    this._emitClosed(false);
   }
 
   // ---------------------------------------------------------------------------
-  // Window management
+  // Window assignment
   // ---------------------------------------------------------------------------
 
-  _flushWindow(windowKey) {
-    const window = this.windows.get(windowKey);
-    if (!window) return;
+  /** Tumbling / sliding: add to every window covering ts that is still open. */
+  _addToWindows(rule, groupKey, spec, event, ts) {
+    const step = spec.type === "sliding" ? spec.slide : spec.size;
+    let accepted = false;
+
+    // Windows [start, start + size) with start on the step grid and start <= ts
+    for (let start = Math.floor(ts / step) * step; start > ts - spec.size; start -= step) {
+      const end = start + spec.size;
+      if (end + spec.lateness <= this.watermark) continue; // already emitted
+
+      const key = `${rule.rule_id}::${groupKey}::${start}`;
+      if (!this.windows.has(key)) {
+        this.windows.set(key, {
+          rule, groupKey, type: spec.type, start, end, lateness: spec.lateness, lastTs: ts, events: [],
+        });
+      }
+      const window = this.windows.get(key);
+      window.events.push(event);
+      window.lastTs = Math.max(window.lastTs, ts);
+      accepted = true;
+    }
+
+    return accepted;
+  }
 
-    // Clear timer
-    if (window.timer) {
-      clearTimeout(window.timer);
+  /** Session: join (and merge) the group's open sessions within gap of ts. */
+  _addToSession(rule, groupKey, spec, event, ts) {
+    const touching = [];
+    for (const [key, w] of this.windows) {
+      if (w.type === "session" && w.rule.rule_id === rule.rule_id && w.groupKey === groupKey &&
+          ts >= w.start - spec.gap && ts < w.lastTs + spec.gap) {
+        touching.push([key, w]);
+      }
     }
 
-    // Build summary
-    const summary = this._buildSummary(window);
+    if (touching.length === 0 && ts + spec.gap + spec.lateness <= this.watermark) {
+      return false; // its session would already have closed
+    }
 
-    if (window.events.length > 0) {
-      this.emit("alert:aggregated", {
-        rule: window.rule,
-        summary,
-        events: window.events,
-        type: "aggregated",
-        severity: window.rule.severity || "medium",
-      });
+    const session = {
+      rule, groupKey, type: "session", start: ts, end: ts + spec.gap, lateness: spec.lateness, lastTs: ts, events: [event],
+    };
+    for (const [key, w] of touching) {
+      this.windows.delete(key);
+      session.start = Math.min(session.start, w.start);
+      session.lastTs = Math.max(session.lastTs, w.lastTs);
+      session.events.push(...w.events);
     }
+    session.end = session.lastTs + spec.gap;
 
-    // Remove the window
-    this.windows.delete(windowKey);
+    this.windows.set(`${rule.rule_id}::${groupKey}::#${++this._sessionSeq}`, session);
+    return true;
+  }
+
+  _eventTime(event) {
+    const ts = Number(event?.timestamp);
+    return Number.isFinite(ts) && ts > 0 ? ts : Math.floor(this.clock.now() / 1000);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Window emission
+  // ---------------------------------------------------------------------------
+
+  /** Emit closed windows (or all of them) in deterministic order. */
+  _emitClosed(all) {
+    const ready = [];
+    for (const [key, window] of this.windows) {
+      if (all || window.end + window.lateness <= this.watermark) ready.push([key, window]);
+    }
+
+    ready.sort(([, a], [, b]) =>
+      a.end - b.end ||
+      a.start - b.start ||
+      _compare(a.rule.rule_id, b.rule.rule_id) ||
+      _compare(a.groupKey, b.groupKey)
+    );
+
+    for (const [key, window] of ready) {
+      this.windows.delete(key);
+      this._emitWindow(window);
+    }
+  }
+
+  _emitWindow(window) {
+    if (window.events.length === 0) return;
+
+    window.events.sort((a, b) =>
+      this._eventTime(a) - this._eventTime(b) ||
+      (a.blockNumber ?? 0) - (b.blockNumber ?? 0) ||
+      (a.logIndex ?? 0) - (b.logIndex ?? 0)
+    );
+
+    // Build summary
+    const summary = this._buildSummary(window);
+    if (!this._meetsHaving(window.rule, summary)) {
+      this.stats.belowHaving++;
+      return;
+    }
+    this.stats.emitted++;
+
+    this.emit("alert:aggregated", {
+      rule: window.rule,
+      summary,
+      events: window.events,
+      type: "aggregated",
+      severity: window.rule.severity || "medium",
+      windowStart: window.start,
+      windowEnd: window.end,
+      windowDuration: window.end - window.start,
+    });
   }
 
   // ---------------------------------------------------------------------------
@@ -128,24 +278,27 @@ class Aggregator extends EventEmitter {
   // ---------------------------------------------------------------------------
 
   _buildSummary(window) {
-    const { rule, events, groupKey, startTime } = window;
+    const { rule, events, groupKey } = window;
     const aggConfig = rule.aggregation || {};
-    const durationSec = ((Date.now() - startTime) / 1000).toFixed(0);
+    const legacy = legacySummaries(aggConfig.summary);
 
     const summary = {
       rule_id: rule.rule_id,
       rule_name: rule.name || rule.rule_id,
       group_key: groupKey,
       event_count: events.length,
-      duration_sec: Number(durationSec),
+      window_type: window.type,
+      window_start: window.start,
+      window_end: window.end,
+      duration_sec: window.end - window.start,
       first_block: events[0]?.blockNumber,
       last_block: events[events.length - 1]?.blockNumber,
     };
 
     // Compute aggregate metric based on summary type
-    if (aggConfig.summary === "total_amount") {
+    if (legacy.has("total_amount")) {
       const total = events.reduce((sum, evt) => {
-        const raw = evt.args._rawValue || evt.args.value || "0";
+        const raw = evt.amounts?.[0]?.raw || evt.args._rawValue || evt.args.value || "0";
         try {
           return sum + BigInt(raw);
         } catch {
@@ -153,14 +306,35 @@ class Aggregator extends EventEmitter {
         }
       }, 0n);
       summary.total_amount_raw = total.toString();
-      // Try human-readable (assume 6 decimals for stablecoins)
-      summary.total_amount_display = _formatAmount(total);
+
+      // Decimals/symbol from the TokenRegistry when every event moved the same token
+      const first = events[0]?.amounts?.[0];
+      const sameToken = first?.decimals != null &&
+        events.every((e) => e.amounts?.[0]?.token.toLowerCase() === first.token.toLowerCase());
+      summary.total_amount_display = sameToken
+        ? _formatUnits(total, first.decimals, first.symbol)
+        : _formatAmount(total);
     }
 
-    if (aggConfig.summary === "count") {
+    // USD value across tokens (events the TokenRegistry could price)
+    if (legacy.has("total_amount") || legacy.has("total_volume")) {
+      const priced = events.filter((e) => e.amountUsd != null);
+      if (priced.length > 0) {
+        const usd = priced.reduce((sum, e) => sum + e.amountUsd, 0);
+        summary.total_amount_usd = Number(usd.toFixed(2));
+        summary.total_amount_usd_display = `$${usd.toLocaleString("en-US", { maximumFractionDigits: 2 })}`;
+        summary.priced_event_count = priced.length;
+      }
+    }
+
+    if (legacy.has("count")) {
       summary.total_count = events.length;
     }
 
+    // sum / avg / percentiles / top / distinct / net_flow
+    const metrics = computeMetrics(aggConfig.summary, events);
+    if (Object.keys(metrics).length > 0) summary.metrics = metrics;
+
     // Unique addresses involved
     const froms = new Set(events.map((e) => e.args.from).filter(Boolean));
     const tos = new Set(events.map((e) => e.args.to).filter(Boolean));
@@ -170,6 +344,27 @@ class Aggregator extends EventEmitter {
     return summary;
   }
 
+  /** Check the rule's `having` condition; summary fields and metrics resolve by bare name. */
+  _meetsHaving(rule, summary) {
+    const having = rule.aggregation?.having;
+    if (having == null) return true;
+
+    let predicate = this._having.get(having);
+    if (!predicate) {
+      try {
+        predicate = compileConditions(having, "aggregation.having", { lists: this.labels });
+      } catch (err) {
+        // RuleLoader rejects these; only hand-built rules can get here
+        console.warn(`  ⚠️  [Aggregator] ${err.message}`);
+        predicate = () => false;
+      }
+      this._having.set(having, predicate);
+    }
+
+    const fields = { ...summary, ...summary.metrics };
+    return predicate({ ...fields, args: fields });
+  }
+
   // ---------------------------------------------------------------------------
   // Group key construction
   // ---------------------------------------------------------------------------
@@ -193,25 +388,26 @@ class Aggregator extends EventEmitter {
   getStats() {
     return {
       activeWindows: this.windows.size,
+      watermark: this.watermark,
+      emitted: this.stats.emitted,
+      lateEvents: this.stats.lateEvents,
+      belowHaving: this.stats.belowHaving,
       windows: Array.from(this.windows.entries()).map(([key, w]) => ({
         key,
+        type: w.type,
         eventCount: w.events.length,
-        ageSec: ((Date.now() - w.startTime) / 1000).toFixed(0),
+        start: w.start,
+        end: w.end,
       })),
     };
   }
 
-  /** Force-flush all open windows (for shutdown). */
+  /** Emit all open windows regardless of the watermark (shutdown, end of a backfill). */
   flushAll() {
-    for (const key of Array.from(this.windows.keys())) {
-      this._flushWindow(key);
-    }
+    this._emitClosed(true);
   }
 
   destroy() {
-    for (const window of this.windows.values()) {
-      if (window.timer) clearTimeout(window.timer);
-    }
     this.windows.clear();
   }
 }
@@ -220,8 +416,35 @@ class Aggregator extends EventEmitter {
 // Helpers
 // ---------------------------------------------------------------------------
 
+/**
+ * Normalized window settings of a rule's aggregation block (seconds).
+ * @returns {{ type: string, size: number, slide: number, gap: number, lateness: number }}
+ */
+function _windowSpec(agg) {
+  const size = agg.window_sec || 60;
+  return {
+    type: agg.window || "tumbling",
+    size,
+    slide: agg.slide_sec || size,
+    gap: agg.gap_sec || size,
+    lateness: agg.allowed_lateness_sec || 0,
+  };
+}
+
+function _compare(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function _formatUnits(rawBigInt, decimals, symbol) {
+  const [whole, frac = ""] = ethers.formatUnits(rawBigInt, decimals).split(".");
+  const fracDigits = frac.replace(/0+$/, "").slice(0, 2);
+  const display = `${BigInt(whole).toLocaleString("en-US")}${fracDigits ? `.${fracDigits}` : ""}`;
+  return `${display} ${symbol || "tokens"}`;
+}
+
 function _formatAmount(rawBigInt) {
   try {
+    // Fallback when the token's decimals are unknown.
     // Heuristic: if raw < 10^12, assume 6 decimals (stablecoins); else 18
     if (rawBigInt < 10n ** 12n) {
       const whole = rawBigInt / 1000000n;
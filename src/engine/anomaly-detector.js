@@ -1,19 +1,57 @@
 /**
  * Genesis — Anomaly Detector
- * 
- * Uses statistical methods (z-score) to detect unusual blockchain activity.
+ *
+ * Uses statistical methods to detect unusual blockchain activity.
  * Goes beyond simple thresholds to identify statistical outliers.
- * 
+ *
  * Example: "This $500K USDT transfer is 3.5σ above the 7-day average"
+ *
+ * The scoring model is pluggable (see anomaly-models.js): plain z-score by
+ * default, or log-scale EWMA, median/MAD, hour-of-week seasonal baselines,
+ * plus rate anomalies on transfer counts per window. Models are chosen
+ *   - per token:  "anomaly" in src/config/tokens.json (opts.tokens)
+ *   - per rule:   an "anomaly" block; the rule then only fires on outliers
+ *   - otherwise:  opts.models (ANOMALY_MODELS), default "zscore"
+ * Every anomaly carries the model's `explanation` for the alert.
+ *
+ * Beyond transfer amounts, the detector also watches whole blocks:
+ *   - activity:  per-block event counts per contract and per event type
+ *                (recordBlockActivity) — bursts are often the first sign of
+ *                an exploit
+ *   - gas:       gas price and base fee per block (recordGas)
+ * Both report spikes only, once per episode: a series stays quiet until it
+ * has dropped back below the medium threshold.
  */
 
+const {
+  MODELS,
+  ACTIVITY,
+  normalizeSpecs,
+  validateModelSpecs,
+  scoreValue,
+  scoreRate,
+  scoreActivity,
+} = require("./anomaly-models");
+const { resolveField, toNumeric } = require("./conditions");
+const { NATIVE_TOKEN } = require("../pipeline/event-model");
+
+const SEVERITY_ORDER = { low: 0, medium: 1, high: 2, critical: 3 };
+
 class AnomalyDetector {
-  constructor() {
+  /**
+   * @param {object} [opts]
+   * @param {string|object|Array} [opts.models] - default model spec(s) for every token
+   * @param {Map|object} [opts.tokens] - lowercase address → { symbol, decimals, anomaly }
+   * @param {object|false} [opts.activity] - per-block count parameters (see ACTIVITY), false = off
+   * @param {string|object|Array|false} [opts.gas] - value model(s) for gas price / base fee, false = off
+   */
+  constructor(opts = {}) {
     // Store historical data for statistical analysis
     this.history = {
       transfer_amounts: [], // Track transfer amounts by token
-      tx_counts: [], // Track transaction counts per time window
-      gas_prices: [], // Track gas prices
+      tx_counts: [], // Track closed per-window transfer counts by token (rate model) and per-block event counts ("block:…")
+      gas_prices: [], // Track gas prices (gwei per block)
+      base_fees: [], // Track base fees (gwei per block)
       max_history_size: 1000, // Keep last 1000 data points
     };
 
@@ -22,7 +60,39 @@ class AnomalyDetector {
       z_score_critical: 3.0, // 3σ = 99.7% confidence
       z_score_high: 2.0, // 2σ = 95% confidence
       z_score_medium: 1.5, // 1.5σ = 87% confidence
+      gas_min_ratio: 2.0, // gas spikes must also be 2× the expected level
     };
+
+    // Model selection
+    this.defaultModels = this._specsOrDefault(opts.models, "default models");
+    this.tokens = new Map();
+    for (const [address, meta] of opts.tokens instanceof Map ? opts.tokens : Object.entries(opts.tokens || {})) {
+      this.tokens.set(address.toLowerCase(), meta);
+    }
+    /** @type {Map<string, object[]>} token symbol → model specs from tokens.json */
+    this.tokenModels = new Map();
+    for (const meta of this.tokens.values()) {
+      if (meta.symbol && meta.anomaly != null) {
+        this.tokenModels.set(meta.symbol, this._specsOrDefault(meta.anomaly, `anomaly for ${meta.symbol}`));
+      }
+    }
+
+    this.activitySpec = opts.activity === false ? null : { ...ACTIVITY, ...opts.activity };
+    this.gasModels = opts.gas === false
+      ? null
+      : this._specsOrDefault(opts.gas ?? "ewma_log", "gas models", { valueOnly: true });
+
+    /** @type {Map<string, { start: number, count: number, contract: string|null }>} open rate windows */
+    this.openWindows = new Map();
+
+    /** Normalized `anomaly` block, per rule object */
+    this._ruleSpecs = new WeakMap();
+
+    // Block series ("block:…", "gas:…") currently in a reported spike
+    this._activeSpikes = new Set();
+
+    // Tokens whose history changed since the last exportState()
+    this._dirtyTokens = new Set();
   }
 
   // -------------------------------------------------------------------------
@@ -34,23 +104,80 @@ class AnomalyDetector {
    * @param {string} token - Token symbol (e.g., "USDT", "USDC")
    * @param {string} amountRaw - Raw amount as string
    * @param {number} decimals - Token decimals
+   * @param {number} [timestamp] - When the transfer happened (ms, default now)
+   * @param {string} [contract] - Token contract (reported with rate anomalies)
+   * @returns {Array} rate windows closed by this transfer, scored (see _closeWindows)
    */
-  recordTransfer(token, amountRaw, decimals = 6) {
+  recordTransfer(token, amountRaw, decimals = 6, timestamp = Date.now(), contract = null) {
     const amount = Number(amountRaw) / Math.pow(10, decimals);
-    
-    if (!this.history.transfer_amounts[token]) {
-      this.history.transfer_amounts[token] = [];
+    this._recordSample(token, amount, timestamp);
+    return this._countTransfer(token, timestamp, contract);
+  }
+
+  _recordSample(key, amount, timestamp) {
+    if (!this.history.transfer_amounts[key]) {
+      this.history.transfer_amounts[key] = [];
     }
 
-    this.history.transfer_amounts[token].push({
+    this.history.transfer_amounts[key].push({
       amount,
-      timestamp: Date.now(),
+      timestamp,
     });
 
     // Keep history size manageable
-    if (this.history.transfer_amounts[token].length > this.thresholds.max_history_size) {
-      this.history.transfer_amounts[token].shift();
+    if (this.history.transfer_amounts[key].length > this.history.max_history_size) {
+      this.history.transfer_amounts[key].shift();
+    }
+
+    this._dirtyTokens.add(key);
+  }
+
+  /**
+   * Count a transfer into the token's open rate window (if the token uses the
+   * rate model) and close the windows it has moved past.
+   */
+  _countTransfer(token, timestampMs, contract) {
+    const spec = this._rateSpec(token);
+    if (!spec) return [];
+
+    const closed = this._closeWindows(token, spec, timestampMs / 1000);
+    const width = spec.window_sec;
+    if (!this.openWindows.has(token)) {
+      const start = Math.floor(timestampMs / 1000 / width) * width;
+      this.openWindows.set(token, { start, count: 0, contract });
+    }
+    const open = this.openWindows.get(token);
+    open.count++;
+    open.contract = open.contract || contract;
+    this._dirtyTokens.add(token);
+    return closed;
+  }
+
+  /**
+   * Close the token's open window if block time has passed its end: score it
+   * against the earlier windows, then append it (and empty windows for any
+   * gap) to the history.
+   * @returns {{ token: string, contract: string|null, window: { start: number, end: number }, count: number, result: object|null }[]}
+   */
+  _closeWindows(token, spec, nowSec) {
+    const open = this.openWindows.get(token);
+    const width = spec.window_sec;
+    if (!open || nowSec < open.start + width) return [];
+
+    const history = this.history.tx_counts[token] || (this.history.tx_counts[token] = []);
+    const result = scoreRate(spec, history, open.count);
+
+    history.push({ start: open.start, count: open.count });
+    // Quiet windows count as zero (bounded by the history length)
+    const gap = Math.min(Math.floor((nowSec - open.start) / width) - 1, spec.history);
+    for (let i = 1; i <= gap; i++) {
+      history.push({ start: open.start + i * width, count: 0 });
     }
+    if (history.length > spec.history) history.splice(0, history.length - spec.history);
+
+    this.openWindows.delete(token);
+    this._dirtyTokens.add(token);
+    return [{ token, contract: open.contract, window: { start: open.start, end: open.start + width }, count: open.count, result }];
   }
 
   // -------------------------------------------------------------------------
@@ -76,21 +203,6 @@ class AnomalyDetector {
     return Math.sqrt(variance);
   }
 
-  /**
-   * Calculate z-score for a value
-   * Z-score = (value - mean) / stdDev
-   * 
-   * Interpretation:
-   *   |z| < 1.0: Normal (within 1σ)
-   *   |z| < 2.0: Unusual (within 2σ, ~95%)
-   *   |z| < 3.0: Very unusual (within 3σ, ~99.7%)
-   *   |z| ≥ 3.0: Anomaly (outside 3σ)
-   */
-  _zScore(value, mean, stdDev) {
-    if (stdDev === 0) return 0;
-    return (value - mean) / stdDev;
-  }
-
   // -------------------------------------------------------------------------
   // Anomaly Detection
   // -------------------------------------------------------------------------
@@ -99,56 +211,66 @@ class AnomalyDetector {
    * Check if a transfer amount is anomalous
    * @param {string} token - Token symbol
    * @param {number} amount - Transfer amount (normalized)
+   * @param {object} [opts]
+   * @param {number} [opts.timestamp] - When the transfer happened (ms; seasonal model)
+   * @param {Array} [opts.models] - Normalized specs (default: the token's)
    * @returns {Object|null} Anomaly info or null if normal
    */
-  detectTransferAnomaly(token, amount) {
-    const history = this.history.transfer_amounts[token];
-    
-    if (!history || history.length < 10) {
-      // Need at least 10 data points for meaningful statistics
-      return null;
+  detectTransferAnomaly(token, amount, opts = {}) {
+    const history = this.history.transfer_amounts[token] || [];
+    const specs = (opts.models || this._modelsFor(token)).filter((s) => s.model !== "rate");
+
+    // The strongest verdict among the token's models
+    let best = null;
+    for (const spec of specs) {
+      const result = scoreValue(spec, history, amount, opts.timestamp ?? Date.now());
+      if (result && (!best || Math.abs(result.score) > Math.abs(best.score))) best = result;
     }
+    if (!best) return null; // not enough history yet
 
-    // Get recent amounts (last 100 or all if less)
-    const recentAmounts = history.slice(-100).map(h => h.amount);
-    const mean = this._mean(recentAmounts);
-    const stdDev = this._stdDev(recentAmounts);
-    const zScore = this._zScore(amount, mean, stdDev);
+    return this._toAnomaly(best, { token, amount });
+  }
+
+  /**
+   * Model result → anomaly info, or null when below the medium threshold
+   */
+  _toAnomaly(result, fields) {
+    const zScore = result.score;
     const absZ = Math.abs(zScore);
 
-    // Determine if anomalous
-    let severity = null;
-    let description = '';
-
-    if (absZ >= this.thresholds.z_score_critical) {
-      severity = 'critical';
-      description = `Extreme anomaly: ${absZ.toFixed(1)}σ ${zScore > 0 ? 'above' : 'below'} average`;
-    } else if (absZ >= this.thresholds.z_score_high) {
-      severity = 'high';
-      description = `Significant anomaly: ${absZ.toFixed(1)}σ ${zScore > 0 ? 'above' : 'below'} average`;
-    } else if (absZ >= this.thresholds.z_score_medium) {
-      severity = 'medium';
-      description = `Unusual activity: ${absZ.toFixed(1)}σ ${zScore > 0 ? 'above' : 'below'} average`;
-    } else {
-      return null; // Normal activity
-    }
+    const severity = this._severityFor(absZ);
+    if (!severity) return null; // Normal activity
+
+    const label = {
+      critical: 'Extreme anomaly',
+      high: 'Significant anomaly',
+      medium: 'Unusual activity',
+    }[severity];
 
     return {
-      token,
-      amount,
+      ...fields,
+      model: result.model,
       z_score: zScore,
       abs_z_score: absZ,
       severity,
-      description,
+      description: `${label}: ${absZ.toFixed(1)}σ ${zScore > 0 ? 'above' : 'below'} ${['rate', 'activity'].includes(result.model) ? 'the usual rate' : 'average'}`,
+      explanation: result.explanation,
       stats: {
-        mean: mean.toFixed(2),
-        std_dev: stdDev.toFixed(2),
-        sample_size: recentAmounts.length,
+        expected: result.expected.toFixed(2), // mean, median or EWMA level, per model
+        spread: result.spread.toFixed(2),
+        sample_size: result.sample_size,
       },
       confidence_level: this._getConfidenceLevel(absZ),
     };
   }
 
+  _severityFor(absZ) {
+    if (absZ >= this.thresholds.z_score_critical) return 'critical';
+    if (absZ >= this.thresholds.z_score_high) return 'high';
+    if (absZ >= this.thresholds.z_score_medium) return 'medium';
+    return null;
+  }
+
   /**
    * Get confidence level for z-score
    */
@@ -173,22 +295,17 @@ class AnomalyDetector {
     const anomalies = [];
 
     for (const event of events) {
-      // Only check transfer events with amounts
-      if (!event.eventType.includes('TRANSFER') || !event.args._rawValue) {
-        continue;
-      }
+      const sample = this._transferSample(event);
+      if (!sample) continue;
+      const { token, decimals, raw, amount, timestamp } = sample;
 
-      // Determine token and decimals
-      const token = this._getTokenSymbol(event.contract);
-      const decimals = this._getTokenDecimals(event.contract);
-      const amount = Number(event.args._rawValue) / Math.pow(10, decimals);
+      // Score against the history before this transfer joins it
+      const anomaly = this.detectTransferAnomaly(token, amount, { timestamp });
 
-      // Record for historical tracking
-      this.recordTransfer(token, event.args._rawValue, decimals);
+      // Record for historical tracking (may close a rate window)
+      const closed = this.recordTransfer(token, raw, decimals, timestamp, event.contract);
+      anomalies.push(...this._rateAnomalies(closed, event));
 
-      // Check for anomaly
-      const anomaly = this.detectTransferAnomaly(token, amount);
-      
       if (anomaly) {
         anomalies.push({
           event,
@@ -202,26 +319,396 @@ class AnomalyDetector {
     return anomalies;
   }
 
+  /**
+   * Close rate windows that block time has moved past (call once per block,
+   * so a burst is reported even when no transfer follows it).
+   * @param {number} timestamp - Block timestamp (unix seconds)
+   * @returns {Array} rate anomaly alerts
+   */
+  advance(timestamp) {
+    const anomalies = [];
+    for (const token of [...this.openWindows.keys()]) {
+      const spec = this._rateSpec(token);
+      if (!spec) continue;
+      anomalies.push(...this._rateAnomalies(this._closeWindows(token, spec, timestamp), null));
+    }
+    return anomalies;
+  }
+
+  /** Rate spikes among closed windows (drops are not reported) */
+  _rateAnomalies(closed, event) {
+    const anomalies = [];
+    for (const { token, contract, window, count, result } of closed) {
+      if (!result || result.score <= 0) continue;
+      const anomaly = this._toAnomaly(result, { token, contract, count, window });
+      if (!anomaly) continue;
+
+      anomalies.push({
+        event,
+        anomaly,
+        alert_type: 'anomaly_detected',
+        message: `🚨 Anomaly: ${count} ${token} transfers in ${(window.end - window.start) / 60} min — ${anomaly.description}`,
+      });
+    }
+    return anomalies;
+  }
+
+  /**
+   * Token, decimals and normalized amount of a transfer event, or null for
+   * events without an amount
+   */
+  _transferSample(event) {
+    // Only check transfer events with amounts
+    const raw = event.args?._rawValue ?? event.args?.value;
+    if (!event.eventType.includes('TRANSFER') || !raw) {
+      return null;
+    }
+
+    const token = this._getTokenSymbol(event.contract);
+    const decimals = this._getTokenDecimals(event.contract);
+    const amount = Number(raw) / Math.pow(10, decimals);
+    // Block time when known, so windows and seasonality follow the chain
+    const timestamp = event.timestamp ? Number(event.timestamp) * 1000 : Date.now();
+    return { token, decimals, raw, amount, timestamp };
+  }
+
+  // -------------------------------------------------------------------------
+  // Block Activity & Gas
+  // -------------------------------------------------------------------------
+
+  /**
+   * Count a batch's events per block, per contract and per event type, and
+   * score each count against that series' earlier blocks. Blocks without
+   * events count as zero. Blocks at or below a series' last counted block
+   * (reorg replays) are skipped, so nothing is counted twice.
+   * @param {Array} events - GenesisEvents covering whole blocks
+   * @returns {Array} activity anomaly alerts
+   */
+  recordBlockActivity(events) {
+    if (!this.activitySpec) return [];
+
+    /** @type {Map<number, Map<string, { count: number, contract?: string, eventType?: string }>>} */
+    const blocks = new Map();
+    for (const event of events) {
+      if (event.reverted) continue;
+      if (!blocks.has(event.blockNumber)) blocks.set(event.blockNumber, new Map());
+      const counts = blocks.get(event.blockNumber);
+      for (const [key, fields] of [
+        [`contract:${event.contract}`, { contract: event.contract }],
+        [`type:${event.eventType}`, { eventType: event.eventType }],
+      ]) {
+        if (!counts.has(key)) counts.set(key, { count: 0, ...fields });
+        counts.get(key).count++;
+      }
+    }
+
+    const anomalies = [];
+    for (const blockNumber of [...blocks.keys()].sort((a, b) => a - b)) {
+      for (const [key, { count, contract, eventType }] of blocks.get(blockNumber)) {
+        const series = `block:${key}`;
+        const history = this.history.tx_counts[series] || (this.history.tx_counts[series] = []);
+        const last = history.length > 0 ? history[history.length - 1].start : null;
+        if (last !== null && blockNumber <= last) continue;
+
+        // Blocks since the last event count as zero (bounded by the history length)
+        if (last !== null) {
+          const gap = Math.min(blockNumber - last - 1, this.activitySpec.history);
+          for (let n = blockNumber - gap; n < blockNumber; n++) history.push({ start: n, count: 0 });
+        }
+
+        const label = contract ? `events on ${this._contractLabel(contract)}` : `${eventType} events`;
+        const result = scoreActivity(this.activitySpec, history, count, label);
+
+        history.push({ start: blockNumber, count });
+        if (history.length > this.activitySpec.history) history.splice(0, history.length - this.activitySpec.history);
+        this._dirtyTokens.add(series);
+
+        const anomaly = this._spike(series, result, {
+          series: key,
+          ...(contract ? { contract } : { event_type: eventType }),
+          count,
+          ratio: result && Number.isFinite(result.ratio) ? Number(result.ratio.toFixed(1)) : null,
+          block_number: blockNumber,
+        });
+        if (!anomaly) continue;
+
+        anomalies.push({
+          event: null,
+          anomaly,
+          alert_type: 'anomaly_detected',
+          message: `🚨 Anomaly: ${count} ${label} in block ${blockNumber} — ${anomaly.description}`,
+        });
+      }
+    }
+
+    return anomalies;
+  }
+
+  /**
+   * Score a block's gas price and base fee, then record them.
+   * @param {object} block
+   * @param {number} block.blockNumber
+   * @param {number} block.timestamp - unix seconds
+   * @param {bigint|string|number|null} [block.gasPrice] - wei, median paid in the block
+   * @param {bigint|string|number|null} [block.baseFeePerGas] - wei, null on legacy chains
+   * @returns {Array} gas anomaly alerts
+   */
+  recordGas({ blockNumber, timestamp, gasPrice = null, baseFeePerGas = null }) {
+    if (!this.gasModels) return [];
+
+    const anomalies = [];
+    const timestampMs = timestamp ? Number(timestamp) * 1000 : Date.now();
+    for (const [series, label, history, wei] of [
+      ['gas_price', 'Gas price', this.history.gas_prices, gasPrice],
+      ['base_fee', 'Base fee', this.history.base_fees, baseFeePerGas],
+    ]) {
+      if (wei == null) continue;
+      const gwei = Number(wei) / 1e9;
+
+      let best = null;
+      for (const spec of this.gasModels) {
+        const result = scoreValue(spec, history, gwei, timestampMs);
+        if (result && (!best || Math.abs(result.score) > Math.abs(best.score))) best = result;
+      }
+
+      history.push({ amount: gwei, timestamp: timestampMs });
+      if (history.length > this.history.max_history_size) history.shift();
+      this._dirtyTokens.add(`gas:${series}`);
+
+      // Gas is smooth block to block, so a tight σ alone flags ordinary drift
+      const ratio = best && best.expected > 0 ? gwei / best.expected : null;
+      const spike = ratio !== null && ratio >= this.thresholds.gas_min_ratio ? best : null;
+      const anomaly = this._spike(`gas:${series}`, spike, {
+        series,
+        gwei,
+        ratio: ratio === null ? null : Number(ratio.toFixed(1)),
+        block_number: blockNumber,
+      });
+      if (!anomaly) continue;
+
+      anomalies.push({
+        event: null,
+        anomaly,
+        alert_type: 'anomaly_detected',
+        message: `⛽ Anomaly: ${label} ${gwei.toFixed(2)} gwei at block ${blockNumber} (${anomaly.ratio}× usual) — ${anomaly.description}`,
+      });
+    }
+
+    return anomalies;
+  }
+
+  /**
+   * Anomaly info for the first block of a spike; null while the series is
+   * normal, falling, or still in a spike that was already reported
+   */
+  _spike(series, result, fields) {
+    const anomaly = result && result.score > 0 ? this._toAnomaly(result, fields) : null;
+    if (!anomaly) {
+      this._activeSpikes.delete(series);
+      return null;
+    }
+    if (this._activeSpikes.has(series)) return null;
+    this._activeSpikes.add(series);
+    return anomaly;
+  }
+
+  // -------------------------------------------------------------------------
+  // Rule Baselines
+  // -------------------------------------------------------------------------
+
+  /**
+   * Keep only the matches of rules with an `anomaly` block whose value is an
+   * outlier against that rule's own baseline; other matches pass untouched.
+   * Kept matches get `match.anomaly`. Every scored value joins the baseline,
+   * so a rule stays silent until it has `min_samples` matches.
+   *
+   *   "anomaly": { "model": "mad", "field": "amount_usd", "min_severity": "high" }
+   *
+   * @param {Array<{ rule: object, event: object }>} matches
+   * @returns {Array} the matches to alert on
+   */
+  filterMatches(matches) {
+    return matches.filter((match) => {
+      if (!match.rule.anomaly) return true;
+
+      const anomaly = this.checkRuleMatch(match);
+      if (!anomaly) return false;
+      match.anomaly = anomaly;
+      return true;
+    });
+  }
+
+  /**
+   * Score a rule match against the rule's baseline, then record it.
+   * @returns {Object|null} anomaly info when the value is an outlier
+   */
+  checkRuleMatch({ rule, event }) {
+    const spec = this._ruleSpec(rule);
+    const value = toNumeric(resolveField(event, spec.field));
+    if (value === null) return null;
+
+    const key = `rule:${rule.rule_id}`;
+    const amount = Number(value);
+    const timestamp = event.timestamp ? Number(event.timestamp) * 1000 : Date.now();
+
+    const anomaly = this.detectTransferAnomaly(key, amount, { timestamp, models: [spec] });
+    this._recordSample(key, amount, timestamp);
+
+    if (!anomaly || SEVERITY_ORDER[anomaly.severity] < SEVERITY_ORDER[spec.min_severity]) return null;
+    return { ...anomaly, field: spec.field };
+  }
+
+  _ruleSpec(rule) {
+    let spec = this._ruleSpecs.get(rule);
+    if (!spec) {
+      const [normalized] = normalizeSpecs(rule.anomaly);
+      spec = { field: "amount_usd", min_severity: "medium", ...normalized };
+      this._ruleSpecs.set(rule, spec);
+    }
+    return spec;
+  }
+
+  // -------------------------------------------------------------------------
+  // Model Selection
+  // -------------------------------------------------------------------------
+
+  /** Normalized specs for a token: tokens.json, else the defaults */
+  _modelsFor(token) {
+    return this.tokenModels.get(token) || this.defaultModels;
+  }
+
+  _rateSpec(token) {
+    return this._modelsFor(token).find((s) => s.model === "rate") || null;
+  }
+
+  _specsOrDefault(specs, label, opts = {}) {
+    if (specs == null) return normalizeSpecs("zscore");
+
+    const errors = validateModelSpecs(specs, label, opts);
+    if (errors.length > 0) {
+      console.warn(`  ⚠️  [AnomalyDetector] ${errors.join("; ")} — using zscore`);
+      return normalizeSpecs("zscore");
+    }
+    return normalizeSpecs(specs);
+  }
+
+  // -------------------------------------------------------------------------
+  // Persistence
+  // -------------------------------------------------------------------------
+
+  /**
+   * Rebuild baselines from stored events (oldest first) without raising
+   * anomalies, e.g. at startup when no checkpoint exists.
+   * @param {Array} events - GenesisEvents in chain order
+   * @returns {number} samples recorded
+   */
+  rebuildFromEvents(events) {
+    let recorded = 0;
+    for (const event of events) {
+      const sample = this._transferSample(event);
+      if (!sample) continue;
+      this.recordTransfer(sample.token, sample.raw, sample.decimals, sample.timestamp, event.contract);
+      recorded++;
+    }
+    return recorded;
+  }
+
+  /**
+   * Samples and rate windows of tokens changed since the last export
+   * @param {{ full?: boolean }} [opts] - full: every token, not just changed ones
+   * @returns {{ baselines: Object<string, Array<{amount: number, timestamp: number}>>, counts: Object<string, object> }}
+   */
+  exportState({ full = false } = {}) {
+    const tokens = full
+      ? [...new Set([
+        ...Object.keys(this.history.transfer_amounts),
+        ...Object.keys(this.history.tx_counts),
+        ...Object.entries(this._gasSeries()).filter(([, samples]) => samples.length > 0).map(([key]) => key),
+      ])]
+      : [...this._dirtyTokens];
+    const baselines = {};
+    const counts = {};
+    for (const token of tokens) {
+      const history = this._gasSeries()[token] || this.history.transfer_amounts[token];
+      if (history) baselines[token] = history.map(({ amount, timestamp }) => ({ amount, timestamp }));
+
+      const windows = this.history.tx_counts[token];
+      const open = this.openWindows.get(token);
+      if (windows || open) counts[token] = { windows: windows || [], open: open || null };
+    }
+    this._dirtyTokens.clear();
+    return { baselines, counts };
+  }
+
+  /**
+   * Restore samples and rate windows saved by exportState()
+   * @param {{ baselines?: Object<string, Array<{amount: number, timestamp: number}>>, counts?: Object<string, object> }} state
+   * @returns {number} tokens restored
+   */
+  importState({ baselines = {}, counts = {} }) {
+    let restored = 0;
+    for (const [token, samples] of Object.entries(baselines)) {
+      if (!Array.isArray(samples)) continue;
+      const restoredSamples = samples
+        .filter((s) => Number.isFinite(s.amount))
+        .slice(-this.history.max_history_size)
+        .map(({ amount, timestamp }) => ({ amount, timestamp: Number(timestamp) || 0 }));
+      const gas = this._gasSeries()[token];
+      if (gas) gas.splice(0, gas.length, ...restoredSamples);
+      else this.history.transfer_amounts[token] = restoredSamples;
+      restored++;
+    }
+    for (const [token, { windows, open } = {}] of Object.entries(counts)) {
+      if (Array.isArray(windows)) {
+        const keep = token.startsWith('block:')
+          ? this.activitySpec?.history || ACTIVITY.history
+          : this._rateSpec(token)?.history || MODELS.rate.history;
+        this.history.tx_counts[token] = windows.slice(-keep);
+      }
+      if (open) this.openWindows.set(token, open);
+    }
+    return restored;
+  }
+
   // -------------------------------------------------------------------------
   // Helpers
   // -------------------------------------------------------------------------
 
+  /** Gas histories by their checkpoint key */
+  _gasSeries() {
+    return { 'gas:gas_price': this.history.gas_prices, 'gas:base_fee': this.history.base_fees };
+  }
+
+  /** "USDT (0xdac1…1ec7)" for configured tokens, else the address */
+  _contractLabel(contract) {
+    const symbol = this.tokens.get(String(contract).toLowerCase())?.symbol;
+    const short = `${String(contract).slice(0, 6)}…${String(contract).slice(-4)}`;
+    return symbol ? `${symbol} (${short})` : short;
+  }
+
   _getTokenSymbol(contract) {
+    const configured = this.tokens.get(String(contract).toLowerCase());
+    if (configured?.symbol) return configured.symbol;
+
     const tokens = {
-      '0xdAC17F958D2ee523a2206206994597C13D831ec7': 'USDT',
-      '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48': 'USDC',
-      '0x6B175474E89094C44Da98b954EedeAC495271d0F': 'DAI',
+      '0xdac17f958d2ee523a2206206994597c13d831ec7': 'USDT',
+      '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': 'USDC',
+      '0x6b175474e89094c44da98b954eedeac495271d0f': 'DAI',
+      [NATIVE_TOKEN]: 'NATIVE', // NATIVE_TRANSFER on a chain without it in tokens.json
     };
-    return tokens[contract] || 'TOKEN';
+    return tokens[String(contract).toLowerCase()] || 'TOKEN';
   }
 
   _getTokenDecimals(contract) {
+    const configured = this.tokens.get(String(contract).toLowerCase());
+    if (configured?.decimals != null) return configured.decimals;
+
     const decimals = {
-      '0xdAC17F958D2ee523a2206206994597C13D831ec7': 6, // USDT
-      '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48': 6, // USDC
-      '0x6B175474E89094C44Da98b954EedeAC495271d0F': 18, // DAI
+      '0xdac17f958d2ee523a2206206994597c13d831ec7': 6, // USDT
+      '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': 6, // USDC
+      '0x6b175474e89094c44da98b954eedeac495271d0f': 18, // DAI
     };
-    return decimals[contract] || 18;
+    return decimals[String(contract).toLowerCase()] || 18;
   }
 
   _formatAmount(amount) {
@@ -259,6 +746,7 @@ class AnomalyDetector {
         min: min.toFixed(2),
         max: max.toFixed(2),
         latest: amounts[amounts.length - 1].toFixed(2),
+        models: token.startsWith('rule:') ? undefined : this._modelsFor(token).map((s) => s.model),
       };
     }
 
@@ -273,8 +761,12 @@ class AnomalyDetector {
       transfer_amounts: [],
       tx_counts: [],
       gas_prices: [],
+      base_fees: [],
       max_history_size: 1000,
     };
+    this.openWindows.clear();
+    this._activeSpikes.clear();
+    this._dirtyTokens.clear();
   }
 }
 
@@ -0,0 +1,335 @@
+/**
+ * Genesis — Anomaly Models
+ *
+ * Scoring models for AnomalyDetector. Value models score one amount against
+ * a sample history (a token's transfers, or a rule's matches):
+ *
+ *   zscore    mean / standard deviation of the last `window` samples (default)
+ *   ewma_log  exponentially weighted mean / variance of ln(1 + amount) —
+ *             whales barely move it and recent samples weigh most
+ *   mad       median / median absolute deviation of the last `window` samples
+ *   seasonal  median / MAD of the samples from the same hour of the week (UTC)
+ *
+ * The rate model scores closed count windows instead:
+ *
+ *   rate      transfers per `window_sec` of block time vs. earlier windows
+ *
+ * Per-block event counts (per contract and per event type) are scored by
+ * scoreActivity(), and gas price / base fee by any value model.
+ *
+ * Every model returns a signed score in standard-deviation units, so the
+ * detector's 1.5σ / 2σ / 3σ severity bands apply to all of them, together
+ * with the expected value and a one-line `explanation` for the alert. They
+ * return null while the history is too short to say anything.
+ *
+ * A spec is a model name or an object with parameters:
+ *   "mad"   { "model": "ewma_log", "alpha": 0.05 }   { "model": "rate", "window_sec": 600 }
+ */
+
+/** Parameters and their defaults, per model */
+const MODELS = {
+  zscore: { window: 100, min_samples: 10 },
+  ewma_log: { alpha: 0.1, min_samples: 10 },
+  mad: { window: 100, min_samples: 10 },
+  seasonal: { window: 1000, min_samples: 5 },
+  rate: { window_sec: 300, history: 288, min_windows: 10 },
+};
+
+/** Per-block activity defaults (not selectable per token — see scoreActivity) */
+const ACTIVITY = { history: 300, min_blocks: 50, min_count: 5, min_ratio: 3 };
+
+const VALUE_MODELS = ["zscore", "ewma_log", "mad", "seasonal"];
+
+// Scales a MAD to a standard deviation for normally distributed data
+const MAD_TO_SIGMA = 1.4826;
+
+const DAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// ---------------------------------------------------------------------------
+// Specs
+// ---------------------------------------------------------------------------
+
+/**
+ * Spec(s) as a list of objects with every parameter filled in.
+ * @param {string|object|Array} spec
+ * @returns {object[]}
+ */
+function normalizeSpecs(spec) {
+  const list = spec == null ? [] : Array.isArray(spec) ? spec : [spec];
+  return list.map((s) => {
+    const obj = typeof s === "string" ? { model: s } : s;
+    return { ...MODELS[obj.model], ...obj };
+  });
+}
+
+/**
+ * Validate a model spec (or list of specs).
+ * @param {string|object|Array} spec
+ * @param {string} path — prefix for messages (e.g. "anomaly")
+ * @param {object} [opts]
+ * @param {boolean} [opts.valueOnly] — reject "rate" (rules score single values)
+ * @returns {string[]} problems found
+ */
+function validateModelSpecs(spec, path, opts = {}) {
+  const list = Array.isArray(spec) ? spec : [spec];
+  const errors = [];
+  if (list.length === 0) errors.push(`Invalid ${path}: list at least one model`);
+
+  list.forEach((s, i) => {
+    const at = Array.isArray(spec) ? `${path}[${i}]` : path;
+    const obj = typeof s === "string" ? { model: s } : s;
+    if (obj === null || typeof obj !== "object" || Array.isArray(obj)) {
+      errors.push(`Invalid ${at}: expected a model name or { "model": ... }`);
+      return;
+    }
+
+    const allowed = opts.valueOnly ? VALUE_MODELS : Object.keys(MODELS);
+    if (!allowed.includes(obj.model)) {
+      errors.push(`Invalid ${at}.model: "${obj.model}". Must be one of: ${allowed.join(", ")}`);
+      return;
+    }
+
+    if (obj.alpha != null && !(typeof obj.alpha === "number" && obj.alpha > 0 && obj.alpha <= 1)) {
+      errors.push(`Invalid ${at}.alpha: must be a number in (0, 1]`);
+    }
+    for (const field of ["window", "min_samples", "history", "min_windows"]) {
+      if (obj[field] != null && !(Number.isInteger(obj[field]) && obj[field] >= 2)) {
+        errors.push(`Invalid ${at}.${field}: must be an integer >= 2`);
+      }
+    }
+    if (obj.window_sec != null && !(typeof obj.window_sec === "number" && obj.window_sec > 0)) {
+      errors.push(`Invalid ${at}.window_sec: must be a positive number`);
+    }
+  });
+
+  return errors;
+}
+
+// ---------------------------------------------------------------------------
+// Value models
+// ---------------------------------------------------------------------------
+
+/**
+ * Score an amount against a sample history.
+ * @param {object} spec — normalized spec
+ * @param {{ amount: number, timestamp: number }[]} samples — oldest first (timestamps in ms)
+ * @param {number} value
+ * @param {number} [timestampMs] — when the value was observed (seasonal)
+ * @returns {{ model: string, score: number, expected: number, spread: number, sample_size: number, explanation: string }|null}
+ */
+function scoreValue(spec, samples, value, timestampMs = Date.now()) {
+  switch (spec.model) {
+    case "zscore":
+      return _zscore(spec, samples, value);
+    case "ewma_log":
+      return _ewmaLog(spec, samples, value);
+    case "mad":
+      return _mad(spec, samples.slice(-spec.window).map((s) => s.amount), value, "samples");
+    case "seasonal": {
+      const bucket = hourOfWeek(timestampMs);
+      const amounts = samples
+        .filter((s) => s.timestamp > 0 && hourOfWeek(s.timestamp) === bucket)
+        .slice(-spec.window)
+        .map((s) => s.amount);
+      const result = _mad(spec, amounts, value, `${_bucketLabel(bucket)} UTC samples`);
+      return result && { ...result, model: "seasonal", bucket: _bucketLabel(bucket) };
+    }
+    default:
+      return null;
+  }
+}
+
+function _zscore(spec, samples, value) {
+  const values = samples.slice(-spec.window).map((s) => s.amount);
+  if (values.length < spec.min_samples) return null;
+
+  const mean = _mean(values);
+  const std = Math.sqrt(_mean(values.map((v) => (v - mean) ** 2)));
+  const score = std === 0 ? 0 : (value - mean) / std;
+
+  return {
+    model: "zscore",
+    score,
+    expected: mean,
+    spread: std,
+    sample_size: values.length,
+    explanation: `zscore: ${_fmt(value)} is ${_sigma(score)} the mean ${_fmt(mean)} (σ ${_fmt(std)}, last ${values.length} samples)`,
+  };
+}
+
+function _ewmaLog(spec, samples, value) {
+  if (samples.length < spec.min_samples) return null;
+
+  // Welford-style exponentially weighted mean / variance on a log scale
+  let mu = null;
+  let variance = 0;
+  for (const { amount } of samples) {
+    const x = Math.log1p(Math.max(0, amount));
+    if (mu === null) {
+      mu = x;
+      continue;
+    }
+    const diff = x - mu;
+    const incr = spec.alpha * diff;
+    mu += incr;
+    variance = (1 - spec.alpha) * (variance + diff * incr);
+  }
+
+  const sigma = Math.sqrt(variance);
+  const x = Math.log1p(Math.max(0, value));
+  const score = sigma === 0 ? 0 : (x - mu) / sigma;
+  const expected = Math.expm1(mu);
+
+  return {
+    model: "ewma_log",
+    score,
+    expected,
+    spread: sigma,
+    sample_size: samples.length,
+    explanation:
+      `log-EWMA (α=${spec.alpha}): ${_fmt(value)} is ${_sigma(score)} the typical ${_fmt(expected)} ` +
+      `(×/÷ ${Math.exp(sigma).toFixed(2)} per σ, ${samples.length} samples)`,
+  };
+}
+
+function _mad(spec, values, value, scope) {
+  if (values.length < spec.min_samples) return null;
+
+  const median = _median(values);
+  let spread = MAD_TO_SIGMA * _median(values.map((v) => Math.abs(v - median)));
+  if (spread === 0) {
+    // More than half the samples are identical — fall back to the mean deviation
+    spread = 1.2533 * _mean(values.map((v) => Math.abs(v - median)));
+  }
+  const score = spread === 0 ? 0 : (value - median) / spread;
+
+  return {
+    model: "mad",
+    score,
+    expected: median,
+    spread,
+    sample_size: values.length,
+    explanation: `median/MAD: ${_fmt(value)} is ${_sigma(score)} the median ${_fmt(median)} (robust σ ${_fmt(spread)}, ${values.length} ${scope})`,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Rate model
+// ---------------------------------------------------------------------------
+
+/**
+ * Score a closed window's count against the earlier windows.
+ * Spread is at least √mean (Poisson), so quiet tokens do not alert on noise.
+ * @param {object} spec — normalized rate spec
+ * @param {{ start: number, count: number }[]} windows — earlier closed windows, oldest first
+ * @param {number} count
+ * @returns {{ model: "rate", score: number, expected: number, spread: number, sample_size: number, explanation: string }|null}
+ */
+function scoreRate(spec, windows, count) {
+  const counts = windows.slice(-spec.history).map((w) => w.count);
+  if (counts.length < spec.min_windows) return null;
+
+  const mean = _mean(counts);
+  const std = Math.sqrt(_mean(counts.map((c) => (c - mean) ** 2)));
+  const spread = Math.max(std, Math.sqrt(mean), 1);
+  const score = (count - mean) / spread;
+
+  return {
+    model: "rate",
+    score,
+    expected: mean,
+    spread,
+    sample_size: counts.length,
+    explanation:
+      `rate: ${count} transfer(s) in ${_duration(spec.window_sec)} vs ${_fmt(mean)} ± ${_fmt(spread)} ` +
+      `typical (${counts.length} earlier windows) — ${_sigma(score)}`,
+  };
+}
+
+/**
+ * Score one block's event count against the earlier blocks. Like scoreRate,
+ * but a burst also has to reach `min_count` events and `min_ratio` × the
+ * mean, so a contract that is usually idle does not alert on a handful of
+ * events.
+ * @param {object} spec — ACTIVITY parameters
+ * @param {{ start: number, count: number }[]} blocks — earlier blocks, oldest first (start = block number)
+ * @param {number} count
+ * @param {string} label — what is counted, e.g. "ERC20_TRANSFER events"
+ * @returns {{ model: "activity", score: number, ratio: number, expected: number, spread: number, sample_size: number, explanation: string }|null}
+ *   null while the history is short or the count is not a burst
+ */
+function scoreActivity(spec, blocks, count, label) {
+  const counts = blocks.slice(-spec.history).map((b) => b.count);
+  if (counts.length < spec.min_blocks || count < spec.min_count) return null;
+
+  const mean = _mean(counts);
+  const ratio = mean === 0 ? Infinity : count / mean;
+  if (ratio < spec.min_ratio) return null;
+
+  const std = Math.sqrt(_mean(counts.map((c) => (c - mean) ** 2)));
+  const spread = Math.max(std, Math.sqrt(mean), 1);
+  const score = (count - mean) / spread;
+  const usual = Number.isFinite(ratio) ? `${ratio.toFixed(1)}× the usual ${_fmt(mean)} per block` : "where there are usually none";
+
+  return {
+    model: "activity",
+    score,
+    ratio,
+    expected: mean,
+    spread,
+    sample_size: counts.length,
+    explanation:
+      `activity: ${count} ${label} in one block, ${usual} ` +
+      `(${counts.length} blocks) — ${_sigma(score)}`,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** 0 = Monday 00:00–01:00 UTC … 167 = Sunday 23:00 */
+function hourOfWeek(timestampMs) {
+  const d = new Date(timestampMs);
+  return ((d.getUTCDay() + 6) % 7) * 24 + d.getUTCHours();
+}
+
+function _bucketLabel(bucket) {
+  return `${DAYS[Math.floor(bucket / 24)]} ${String(bucket % 24).padStart(2, "0")}:00`;
+}
+
+function _mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function _median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function _sigma(score) {
+  return `${Math.abs(score).toFixed(1)}σ ${score >= 0 ? "above" : "below"}`;
+}
+
+function _fmt(n) {
+  return Number(n.toFixed(2)).toLocaleString("en-US");
+}
+
+function _duration(sec) {
+  if (sec % 3600 === 0) return `${sec / 3600}h`;
+  if (sec % 60 === 0) return `${sec / 60} min`;
+  return `${sec}s`;
+}
+
+module.exports = {
+  MODELS,
+  VALUE_MODELS,
+  ACTIVITY,
+  normalizeSpecs,
+  validateModelSpecs,
+  scoreValue,
+  scoreRate,
+  scoreActivity,
+  hourOfWeek,
+};
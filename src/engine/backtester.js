@@ -0,0 +1,309 @@
+/**
+ * Genesis — Rule Backtester
+ *
+ * Dry-runs one rule over events already in the database: what would it have
+ * alerted on, and how much would the noise filter have held back?
+ *
+ * Stored events are replayed oldest first through the same stages as the
+ * live pipeline —
+ *
+ *   TokenRegistry.annotate → RuleEvaluator / SequenceMatcher → Aggregator → NoiseFilter
+ *
+ * — on a VirtualClock that follows the block timestamps, so aggregation
+ * windows and cooldowns behave as they would have at the time. Windows still
+ * open after the last event are flushed at the end of the range.
+ *
+ * Differences from the live pipeline:
+ *   - reverted (reorged) events are skipped; everything else is evaluated at
+ *     the finality it has in the database now
+ *   - USD prices come from src/config/tokens.json only unless a TokenRegistry
+ *     with an RpcPool is supplied (Chainlink feeds are read at today's price)
+ *   - address lists are matched as they are now, not as they were then
+ *   - a rule with an `anomaly` block starts from an empty baseline, so its
+ *     first `min_samples` matches only warm the model up
+ *   - nothing is stored or sent
+ *
+ * Errors carry `code: "INVALID"` (with `errors: string[]`) for a bad rule or
+ * range, like RuleStore.
+ */
+
+const config = require("../config");
+const RuleLoader = require("./rule-loader");
+const RuleEvaluator = require("./rule-evaluator");
+const SequenceMatcher = require("./sequence-matcher");
+const AnomalyDetector = require("./anomaly-detector");
+const Aggregator = require("./aggregator");
+const NoiseFilter = require("./noise-filter");
+const { VirtualClock } = require("./clock");
+const { TokenRegistry, eventFromRow } = require("../pipeline");
+
+const DEFAULT_MAX_ALERTS = 500;
+const PAGE_SIZE = 5000;
+const INITIAL_SPAN = 1000;
+const MAX_SPAN = 1_000_000;
+const SEVERITIES = ["low", "medium", "high", "critical"];
+
+class Backtester {
+  /**
+   * @param {import('../db/event-repository')} eventRepo
+   * @param {object} [opts]
+   * @param {(chain: string) => TokenRegistry} [opts.tokenRegistryFor]
+   *   — registry used to price a chain's events (defaults to a file-only one)
+   * @param {import('./label-registry')} [opts.labels] — address lists for
+   *   `in_list` conditions (without it every list is empty)
+   */
+  constructor(eventRepo, opts = {}) {
+    this.eventRepo = eventRepo;
+    this.tokenRegistryFor = opts.tokenRegistryFor || ((chain) => this._offlineRegistry(chain));
+    this.labels = opts.labels || null;
+
+    /** @type {Map<string, TokenRegistry>} */
+    this._registries = new Map();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Replay stored events through one rule.
+   *
+   * @param {object} rule — rule JSON (same format as files in rules/; `enabled` is ignored)
+   * @param {object} [range]
+   * @param {string} [range.chain] — defaults to rule.chain
+   * @param {number} [range.fromBlock]
+   * @param {number} [range.toBlock]
+   * @param {number|string} [range.fromTime] — unix seconds or ISO date (instead of fromBlock)
+   * @param {number|string} [range.toTime] — unix seconds or ISO date (instead of toBlock)
+   * @param {number} [range.maxAlerts=500] — alerts listed in the result (all are counted)
+   * @returns {Promise<object>} see README "Backtest a Rule"
+   */
+  async run(rule, range = {}) {
+    const resolved = await this._resolveRange(rule, range);
+    const maxAlerts = range.maxAlerts ?? DEFAULT_MAX_ALERTS;
+
+    const report = {
+      rule_id: rule.rule_id,
+      chain: resolved.chain,
+      range: { fromBlock: resolved.fromBlock, toBlock: resolved.toBlock },
+      events: { scanned: 0, skippedReverted: 0, matched: 0 },
+      alerts: [],
+      alertsTruncated: false,
+      counts: {
+        total: 0,
+        bySeverity: Object.fromEntries(SEVERITIES.map((s) => [s, 0])),
+        byType: { instant: 0, aggregated: 0 },
+      },
+      suppressed: { cooldown: 0, dedup: 0, severity: 0, having: 0 },
+    };
+    if (resolved.empty) return report;
+
+    // Stages wired like app.js + ChainRunner, on virtual time
+    const clock = new VirtualClock();
+    const active = { ...rule, enabled: true };
+    const loader = { getAll: () => [active] };
+    const evaluator = new RuleEvaluator(loader, { labels: this.labels });
+    const sequenceMatcher = new SequenceMatcher(loader, evaluator);
+    const anomalyDetector = new AnomalyDetector();
+    const aggregator = new Aggregator({ clock, labels: this.labels });
+    const noiseFilter = new NoiseFilter({ clock });
+    const registry = this.tokenRegistryFor(resolved.chain);
+
+    const record = (alert, passed) => {
+      if (!passed) return;
+      report.counts.total++;
+      report.counts.bySeverity[alert.severity] = (report.counts.bySeverity[alert.severity] || 0) + 1;
+      report.counts.byType[alert.type]++;
+
+      if (report.alerts.length >= maxAlerts) {
+        report.alertsTruncated = true;
+        return;
+      }
+      report.alerts.push(_describe(alert, clock.now()));
+    };
+    aggregator.on("alert", (alert) => record(alert, noiseFilter.shouldPass(alert)));
+    aggregator.on("alert:aggregated", (alert) => record(alert, noiseFilter.shouldPassAggregated(alert)));
+
+    for await (const rows of this._pages(resolved)) {
+      const events = [];
+      for (const row of rows) {
+        report.events.scanned++;
+        if (row.finality === "reverted") {
+          report.events.skippedReverted++;
+          continue;
+        }
+        events.push(eventFromRow(row));
+      }
+      await registry.annotate(events);
+
+      for (const event of events) {
+        clock.advanceTo(event.timestamp * 1000);
+        sequenceMatcher.advance(event.blockNumber, event.timestamp);
+        const matches = anomalyDetector.filterMatches([...evaluator.evaluate(event), ...sequenceMatcher.process(event)]);
+        for (const match of matches) {
+          report.events.matched++;
+          aggregator.process(match);
+        }
+        aggregator.advanceWatermark(event.timestamp);
+      }
+    }
+
+    // Close the windows still open at the end of the range
+    aggregator.flushAll();
+
+    const stats = noiseFilter.getStats();
+    report.suppressed = {
+      cooldown: stats.suppressed_cooldown,
+      dedup: stats.suppressed_dedup,
+      severity: stats.suppressed_severity,
+      having: aggregator.getStats().belowHaving,
+    };
+    return report;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Range + paging
+  // ---------------------------------------------------------------------------
+
+  async _resolveRange(rule, range) {
+    if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+      throw _error("Rule must be a JSON object");
+    }
+    const errors = RuleLoader.validate(rule);
+    if (errors.length > 0) {
+      throw _error(`Invalid rule: ${errors.join("; ")}`, errors);
+    }
+
+    const chain = range.chain || rule.chain;
+    if (!chain) throw _error("chain is required (the rule has none)");
+    if (rule.chain && range.chain && rule.chain !== range.chain) {
+      throw _error(`Rule is for chain "${rule.chain}", not "${range.chain}"`);
+    }
+    if (!config.chains[chain]) throw _error(`Unknown chain "${chain}"`);
+
+    range = { ...range, fromTime: _toUnix("from", range.fromTime), toTime: _toUnix("to", range.toTime) };
+    for (const key of ["fromBlock", "toBlock", "maxAlerts"]) {
+      const value = range[key];
+      if (value != null && (!Number.isInteger(value) || value < 0)) {
+        throw _error(`${key} must be a non-negative integer`);
+      }
+    }
+    if ((range.fromBlock != null || range.toBlock != null) && (range.fromTime != null || range.toTime != null)) {
+      throw _error("Give a block range or a time range, not both");
+    }
+
+    let fromBlock = range.fromBlock ?? 0;
+    let toBlock = range.toBlock ?? Number.MAX_SAFE_INTEGER;
+
+    if (range.fromTime != null || range.toTime != null) {
+      const span = await this.eventRepo.getBlockRangeByTime(
+        chain,
+        range.fromTime ?? 0,
+        range.toTime ?? Math.floor(Date.now() / 1000)
+      );
+      if (!span) return { chain, fromBlock: null, toBlock: null, empty: true };
+      ({ fromBlock, toBlock } = span);
+    }
+    if (fromBlock > toBlock) throw _error("The range ends before it starts");
+
+    // Clamp to what is stored, so an open range does not walk from block 0
+    const stats = await this.eventRepo.getStats(chain);
+    if (stats?.first_block == null) return { chain, fromBlock: null, toBlock: null, empty: true };
+    const first = Math.max(fromBlock, parseInt(stats.first_block, 10));
+    const last = Math.min(toBlock, parseInt(stats.latest_block, 10));
+
+    if (first > last) return { chain, fromBlock: null, toBlock: null, empty: true };
+    return { chain, fromBlock: first, toBlock: last, empty: false };
+  }
+
+  /**
+   * Stored events in ascending (block, log index) order, a block span at a
+   * time. getByBlockRange returns the newest rows first and caps the count, so
+   * a span that hits the cap is halved and read again.
+   */
+  async *_pages({ chain, fromBlock, toBlock }) {
+    let span = INITIAL_SPAN;
+    let from = fromBlock;
+
+    while (from <= toBlock) {
+      const to = Math.min(from + span - 1, toBlock);
+      const single = from === to;
+      const limit = single ? Number.MAX_SAFE_INTEGER : PAGE_SIZE + 1;
+      const rows = await this.eventRepo.getByBlockRange(chain, from, to, limit);
+
+      if (!single && rows.length > PAGE_SIZE) {
+        span = Math.max(1, Math.floor(span / 2));
+        continue;
+      }
+
+      rows.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+      if (rows.length > 0) yield rows;
+
+      from = to + 1;
+      if (rows.length < PAGE_SIZE / 4) span = Math.min(span * 2, MAX_SPAN);
+    }
+  }
+
+  _offlineRegistry(chain) {
+    if (!this._registries.has(chain)) {
+      this._registries.set(chain, new TokenRegistry(config.getChain(chain), null));
+    }
+    return this._registries.get(chain);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Alert → the compact form listed in the report */
+function _describe(alert, nowMs) {
+  const base = {
+    type: alert.type,
+    severity: alert.severity,
+    at: new Date(nowMs).toISOString(),
+    suppressed_count: alert.suppressed_count ?? 0,
+  };
+
+  if (alert.type === "aggregated") {
+    return {
+      ...base,
+      blocks: [alert.summary.first_block, alert.summary.last_block],
+      summary: alert.summary,
+    };
+  }
+
+  const { event } = alert;
+  return {
+    ...base,
+    blockNumber: event.blockNumber,
+    txHash: event.txHash,
+    eventId: event.id,
+    eventName: event.eventName,
+    contract: event.contract,
+    args: event.args,
+    amountUsd: event.amountUsd ?? null,
+    ...(alert.sequence && { sequence: { ...alert.sequence, eventIds: alert.events.map((e) => e.id) } }),
+  };
+}
+
+/** unix seconds or an ISO date string → unix seconds */
+function _toUnix(key, value) {
+  if (value == null) return null;
+  if (Number.isInteger(value) && value >= 0) return value;
+  if (typeof value === "string") {
+    if (/^\d+$/.test(value)) return Number(value);
+    const ms = Date.parse(value);
+    if (!Number.isNaN(ms)) return Math.floor(ms / 1000);
+  }
+  throw _error(`${key} must be unix seconds or an ISO date, got "${value}"`);
+}
+
+function _error(message, errors) {
+  const err = new Error(message);
+  err.code = "INVALID";
+  err.errors = errors || [message];
+  return err;
+}
+
+module.exports = Backtester;
@@ -0,0 +1,73 @@
+/**
+ * Genesis — Clocks
+ *
+ * The engine components that care about wall-clock time (NoiseFilter
+ * cooldowns; the Aggregator for events without a block timestamp) read it
+ * through a clock object instead of calling Date.now() / setTimeout directly:
+ *
+ *   systemClock   — wall-clock time (the live pipeline)
+ *   VirtualClock  — time that only moves when told to, e.g. to the block
+ *                   timestamp of each stored event during a backtest; timers
+ *                   fire in order as it advances
+ */
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (timer) => clearTimeout(timer),
+};
+
+class VirtualClock {
+  /**
+   * @param {number} [startMs=0] — initial time (ms since epoch)
+   */
+  constructor(startMs = 0) {
+    this._now = startMs;
+    this._seq = 0;
+
+    /** @type {{ id: number, due: number, fn: Function }[]} pending timers, sorted by due time */
+    this._timers = [];
+  }
+
+  now() {
+    return this._now;
+  }
+
+  setTimeout(fn, ms) {
+    const timer = { id: ++this._seq, due: this._now + Math.max(0, ms), fn };
+
+    // Keep the list sorted; equal due times fire in creation order
+    let i = this._timers.length;
+    while (i > 0 && this._timers[i - 1].due > timer.due) i--;
+    this._timers.splice(i, 0, timer);
+    return timer.id;
+  }
+
+  clearTimeout(id) {
+    const i = this._timers.findIndex((t) => t.id === id);
+    if (i !== -1) this._timers.splice(i, 1);
+  }
+
+  /**
+   * Move time forward to `ms`, firing every timer due on the way (at its own
+   * due time). Never moves backwards.
+   * @param {number} ms
+   */
+  advanceTo(ms) {
+    while (this._timers.length > 0 && this._timers[0].due <= ms) {
+      const timer = this._timers.shift();
+      this._now = Math.max(this._now, timer.due);
+      timer.fn();
+    }
+    this._now = Math.max(this._now, ms);
+  }
+
+  /** Fire every pending timer (including ones they schedule), advancing time as needed. */
+  runAll() {
+    while (this._timers.length > 0) {
+      this.advanceTo(this._timers[0].due);
+    }
+  }
+}
+
+module.exports = { systemClock, VirtualClock };
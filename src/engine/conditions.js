@@ -0,0 +1,644 @@
+/**
+ * Genesis — Rule Condition Language
+ *
+ * Compiles the `conditions` block of a rule into a predicate once, at load
+ * time, so evaluating an event is just a function call.
+ *
+ * Grammar (JSON):
+ *
+ *   { "<field>": <scalar> }                 exact match (case-insensitive)
+ *   { "<field>": [<v>, ...] }               any of (same as "in")
+ *   { "<field>": { "<op>": <operand> } }    every listed op must hold
+ *
+ *     ops: gt, gte, lt, lte, eq, neq        numeric (BigInt-safe) or string
+ *          in, not_in                       [v1, v2, ...]
+ *          in_list, not_in_list             "list_name" | ["list", ...]  (address lists)
+ *          between                          [min, max]  (inclusive)
+ *          regex                            "pattern" | { pattern, flags }
+ *          includes                         v | [v1, ...]  (array field holds any of them)
+ *
+ *   { "all": [<cond>, ...] }                every sub-condition holds
+ *   { "any": [<cond>, ...] }                at least one holds
+ *   { "not": <cond> }                       negation
+ *   { "expr": "<expression>" }              e.g. "amount0In > 10 * amount1Out"
+ *
+ * Keys of one object are ANDed, so the old flat map keeps working:
+ *   { "from": "0xabc...", "amount_raw": { "gte": "1000000" } }
+ *
+ * Expressions support + - * / %, comparisons (> >= < <= == !=), && || !,
+ * parentheses, string literals ('0xabc'), and abs() / min() / max().
+ * Integers stay BigInt, so 256-bit token amounts compare exactly.
+ *
+ * Fields resolve to event.args[name], except:
+ *   amount_raw            → args._rawValue || args.value
+ *   amount_usd            → event.amountUsd (set by TokenRegistry.annotate)
+ *   contract, chain, ...  → the event property of that name (if no arg has it)
+ *   a.b.c                 → path from the event root (e.g. args.amount0, tx.from);
+ *                           a path through an array collects from every item
+ *                           (siblingLogs.eventType → ["UNISWAP_V2_SWAP", ...])
+ * A condition on a missing field never matches.
+ *
+ * List operators look the value up at evaluation time in `opts.lists` (a
+ * LabelRegistry), so list edits apply without recompiling. Without one, or
+ * for a list that does not exist, every list is empty.
+ */
+
+const COMPARISON_OPS = ["gt", "gte", "lt", "lte", "eq", "neq"];
+const LIST_OPS = ["in", "not_in"];
+const ADDRESS_LIST_OPS = ["in_list", "not_in_list"];
+const FIELD_OPS = [...COMPARISON_OPS, ...LIST_OPS, ...ADDRESS_LIST_OPS, "between", "regex", "includes"];
+
+// Event properties reachable by bare name when no arg shadows them
+const EVENT_FIELDS = [
+  "contract", "chain", "chainId", "eventType", "eventName", "blockNumber", "txHash", "timestamp", "finality",
+  "gasUsed", "effectiveGasPrice", // TxEnricher
+];
+
+const EXPR_FUNCTIONS = {
+  abs: { arity: [1, 1], fn: (x) => (x < 0 ? -x : x) },
+  min: { arity: [1, Infinity], fn: (...xs) => xs.reduce((a, b) => (b < a ? b : a)) },
+  max: { arity: [1, Infinity], fn: (...xs) => xs.reduce((a, b) => (b > a ? b : a)) },
+};
+
+/** Thrown while evaluating an expression that references a missing field */
+const MISSING = Symbol("missing");
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Compile a conditions block into a predicate.
+ * @param {object} conditions
+ * @param {string} [path] — prefix for error messages (e.g. "aggregation.having")
+ * @param {object} [opts]
+ * @param {{ has: (list: string, address: string) => boolean }} [opts.lists] — for in_list / not_in_list
+ * @returns {(event: object) => boolean}
+ * @throws {Error} listing every problem when the block is invalid
+ */
+function compileConditions(conditions, path = "conditions", opts = {}) {
+  const errors = [];
+  const predicate = compileNode(conditions ?? {}, path, errors, opts.lists || null);
+  if (errors.length > 0) {
+    throw new Error(`Invalid conditions: ${errors.join("; ")}`);
+  }
+  return predicate;
+}
+
+/**
+ * Validate a conditions block without throwing.
+ * @param {object} conditions
+ * @param {string} [path] — prefix for error messages
+ * @returns {string[]} one message per problem, each prefixed with its path
+ *   (e.g. `conditions.any[1].amount0.between: expected [min, max]`)
+ */
+function validateConditions(conditions, path = "conditions") {
+  const errors = [];
+  compileNode(conditions ?? {}, path, errors);
+  return errors;
+}
+
+/**
+ * Resolve a field name against an event (see header for the rules).
+ * @param {object} event
+ * @param {string} name
+ */
+function resolveField(event, name) {
+  const args = event.args || {};
+
+  if (name === "amount_raw") return args._rawValue ?? args.value;
+  if (name === "amount_usd") return event.amountUsd;
+  if (name.includes(".")) {
+    return name.split(".").reduce((obj, key) => {
+      if (obj == null) return undefined;
+      if (Array.isArray(obj) && key !== "length" && !/^\d+$/.test(key)) {
+        return obj.flatMap((item) => (item == null || item[key] === undefined ? [] : [item[key]]));
+      }
+      return obj[key];
+    }, event);
+  }
+  if (args[name] !== undefined) return args[name];
+  if (EVENT_FIELDS.includes(name)) return event[name];
+  return undefined;
+}
+
+/**
+ * Values a field must equal for a conditions block to hold: exact matches,
+ * `eq` and `in` at the top level and inside `all`. Anything under `any`,
+ * `not` or `expr` never constrains a field. LogFetcher pushes these down
+ * into eth_getLogs topic filters for indexed params.
+ * @param {object} conditions
+ * @returns {Map<string, Array<string|number|bigint|boolean>>} field → allowed values
+ *   (empty array: contradictory — the block can never hold)
+ */
+function requiredValues(conditions) {
+  const required = new Map();
+  collectRequired(conditions, required);
+  return required;
+}
+
+function collectRequired(node, required) {
+  if (node === null || typeof node !== "object" || Array.isArray(node)) return;
+
+  for (const [key, spec] of Object.entries(node)) {
+    if (key === "all") {
+      if (Array.isArray(spec)) spec.forEach((child) => collectRequired(child, required));
+      continue;
+    }
+    if (key === "any" || key === "not" || key === "expr") continue;
+
+    let allowed = null;
+    if (isScalar(spec)) {
+      allowed = [spec];
+    } else if (Array.isArray(spec)) {
+      if (spec.every(isScalar)) allowed = spec;
+    } else if (spec !== null && typeof spec === "object") {
+      if (isScalar(spec.eq)) allowed = [spec.eq];
+      if (Array.isArray(spec.in) && spec.in.every(isScalar)) {
+        allowed = allowed ? allowed.filter((a) => spec.in.some((b) => looselyEqual(a, b))) : spec.in;
+      }
+    }
+    if (!allowed) continue;
+
+    const previous = required.get(key);
+    required.set(key, previous ? previous.filter((a) => allowed.some((b) => looselyEqual(a, b))) : [...allowed]);
+  }
+}
+
+/**
+ * Smallest value a field can have for a conditions block to hold, from
+ * `gt`, `gte` and `between` at the top level and inside `all` (the
+ * counterpart of requiredValues for ranges). NativeTransferScanner uses it
+ * to skip transfers no rule could match.
+ * @param {object} conditions
+ * @returns {Map<string, bigint|number>} field → lower bound (inclusive)
+ */
+function lowerBounds(conditions) {
+  const bounds = new Map();
+  collectLowerBounds(conditions, bounds);
+  return bounds;
+}
+
+function collectLowerBounds(node, bounds) {
+  if (node === null || typeof node !== "object" || Array.isArray(node)) return;
+
+  for (const [key, spec] of Object.entries(node)) {
+    if (key === "all") {
+      if (Array.isArray(spec)) spec.forEach((child) => collectLowerBounds(child, bounds));
+      continue;
+    }
+    if (key === "any" || key === "not" || key === "expr") continue;
+    if (spec === null || typeof spec !== "object" || Array.isArray(spec)) continue;
+
+    const candidates = [spec.gt, spec.gte, Array.isArray(spec.between) ? spec.between[0] : undefined]
+      .map((v) => (v === undefined ? null : toNumeric(v)))
+      .filter((v) => v !== null);
+    for (const bound of candidates) {
+      const previous = bounds.get(key);
+      if (previous === undefined || bound > previous) bounds.set(key, bound);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Compilation
+// ---------------------------------------------------------------------------
+
+function compileNode(node, path, errors, lists = null) {
+  if (node === null || typeof node !== "object" || Array.isArray(node)) {
+    errors.push(`${path}: expected an object`);
+    return () => false;
+  }
+
+  const clauses = [];
+  for (const [key, value] of Object.entries(node)) {
+    const keyPath = `${path}.${key}`;
+    switch (key) {
+      case "all":
+      case "any": {
+        if (!Array.isArray(value) || value.length === 0) {
+          errors.push(`${keyPath}: expected a non-empty array of conditions`);
+          continue;
+        }
+        const parts = value.map((child, i) => compileNode(child, `${keyPath}[${i}]`, errors, lists));
+        clauses.push(key === "all"
+          ? (event) => parts.every((p) => p(event))
+          : (event) => parts.some((p) => p(event)));
+        break;
+      }
+      case "not": {
+        const inner = compileNode(value, keyPath, errors, lists);
+        clauses.push((event) => !inner(event));
+        break;
+      }
+      case "expr":
+        clauses.push(compileExpressionClause(value, keyPath, errors));
+        break;
+      default:
+        // { "gt": 5 } would otherwise compare a field named "gt" and never match
+        if (FIELD_OPS.includes(key)) {
+          errors.push(`${keyPath}: "${key}" is an operator, not a field — use { "<field>": { "${key}": ... } } (or "args.${key}" for an arg of that name)`);
+          continue;
+        }
+        clauses.push(compileField(key, value, keyPath, errors, lists));
+    }
+  }
+
+  if (clauses.length === 0) return () => true;
+  if (clauses.length === 1) return clauses[0];
+  return (event) => clauses.every((c) => c(event));
+}
+
+function compileField(field, spec, path, errors, lists) {
+  // Shorthand forms
+  if (Array.isArray(spec)) return compileField(field, { in: spec }, path, errors, lists);
+  if (spec === null || typeof spec !== "object") return compileField(field, { eq: spec }, path, errors, lists);
+
+  const ops = Object.entries(spec);
+  if (ops.length === 0) {
+    errors.push(`${path}: expected at least one operator (${FIELD_OPS.join(", ")})`);
+    return () => false;
+  }
+
+  const checks = [];
+  for (const [op, operand] of ops) {
+    const check = compileOperator(op, operand, `${path}.${op}`, errors, lists);
+    if (check) checks.push(check);
+  }
+
+  return (event) => {
+    const value = resolveField(event, field);
+    if (value === undefined || value === null) return false;
+    return checks.every((check) => check(value));
+  };
+}
+
+function compileOperator(op, operand, path, errors, lists) {
+  if (COMPARISON_OPS.includes(op)) {
+    if (!isScalar(operand)) {
+      errors.push(`${path}: expected a number or string`);
+      return null;
+    }
+    if (op === "eq") return (v) => looselyEqual(v, operand);
+    if (op === "neq") return (v) => !looselyEqual(v, operand);
+
+    if (toNumeric(operand) === null) {
+      errors.push(`${path}: expected a numeric value, got ${JSON.stringify(operand)}`);
+      return null;
+    }
+    const test = { gt: (c) => c > 0, gte: (c) => c >= 0, lt: (c) => c < 0, lte: (c) => c <= 0 }[op];
+    return (v) => {
+      const c = compareNumeric(v, operand);
+      return c !== null && test(c);
+    };
+  }
+
+  if (LIST_OPS.includes(op)) {
+    if (!Array.isArray(operand) || operand.length === 0 || !operand.every(isScalar)) {
+      errors.push(`${path}: expected a non-empty array of numbers or strings`);
+      return null;
+    }
+    const found = (v) => operand.some((item) => looselyEqual(v, item));
+    return op === "in" ? found : (v) => !found(v);
+  }
+
+  if (ADDRESS_LIST_OPS.includes(op)) {
+    const names = Array.isArray(operand) ? operand : [operand];
+    if (names.length === 0 || !names.every((n) => typeof n === "string" && n !== "")) {
+      errors.push(`${path}: expected a list name or an array of list names`);
+      return null;
+    }
+    const listed = (v) => lists !== null && names.some((name) => lists.has(name, String(v)));
+    return op === "in_list" ? listed : (v) => !listed(v);
+  }
+
+  if (op === "between") {
+    if (!Array.isArray(operand) || operand.length !== 2 || operand.some((x) => toNumeric(x) === null)) {
+      errors.push(`${path}: expected [min, max] with numeric bounds`);
+      return null;
+    }
+    if (compareNumeric(operand[0], operand[1]) > 0) {
+      errors.push(`${path}: min ${operand[0]} is greater than max ${operand[1]}`);
+      return null;
+    }
+    return (v) => {
+      const lo = compareNumeric(v, operand[0]);
+      const hi = compareNumeric(v, operand[1]);
+      return lo !== null && hi !== null && lo >= 0 && hi <= 0;
+    };
+  }
+
+  if (op === "regex") {
+    const pattern = typeof operand === "string" ? operand : operand?.pattern;
+    const flags = typeof operand === "string" ? "" : operand?.flags || "";
+    if (typeof pattern !== "string") {
+      errors.push(`${path}: expected a pattern string or { pattern, flags }`);
+      return null;
+    }
+    let re;
+    try {
+      re = new RegExp(pattern, flags);
+    } catch (err) {
+      errors.push(`${path}: ${err.message}`);
+      return null;
+    }
+    return (v) => re.test(String(v));
+  }
+
+  if (op === "includes") {
+    const wanted = Array.isArray(operand) ? operand : [operand];
+    if (wanted.length === 0 || !wanted.every(isScalar)) {
+      errors.push(`${path}: expected a number or string, or a non-empty array of them`);
+      return null;
+    }
+    return (v) => Array.isArray(v) && v.some((item) => wanted.some((w) => looselyEqual(item, w)));
+  }
+
+  errors.push(`${path}: unknown operator "${op}" (expected one of: ${FIELD_OPS.join(", ")})`);
+  return null;
+}
+
+function compileExpressionClause(source, path, errors) {
+  if (typeof source !== "string" || source.trim() === "") {
+    errors.push(`${path}: expected an expression string`);
+    return () => false;
+  }
+
+  let ast;
+  try {
+    ast = parseExpression(source);
+  } catch (err) {
+    errors.push(`${path}: ${err.message}`);
+    return () => false;
+  }
+
+  if (!isBooleanNode(ast)) {
+    errors.push(`${path}: expression must be a comparison or logical test, e.g. "amount0In > 10 * amount1Out"`);
+    return () => false;
+  }
+
+  return (event) => {
+    try {
+      return evaluate(ast, event) === true;
+    } catch {
+      // Missing field, division by zero, non-numeric arithmetic → no match
+      return false;
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Value helpers
+// ---------------------------------------------------------------------------
+
+function isScalar(v) {
+  return typeof v === "number" || typeof v === "string" || typeof v === "bigint" || typeof v === "boolean";
+}
+
+/**
+ * Integers (including decimal strings of any size) → BigInt,
+ * other numbers → Number, anything else → null.
+ */
+function toNumeric(v) {
+  if (typeof v === "bigint") return v;
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  if (typeof v !== "string") return null;
+
+  const s = v.trim();
+  if (/^-?\d+$/.test(s)) return BigInt(s);
+  if (s !== "" && !isNaN(Number(s)) && !/^0x/i.test(s)) return Number(s);
+  return null;
+}
+
+/** @returns {number|null} -1 / 0 / 1, or null when either side is not numeric */
+function compareNumeric(a, b) {
+  const x = toNumeric(a);
+  const y = toNumeric(b);
+  if (x === null || y === null) return null;
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function looselyEqual(a, b) {
+  const c = compareNumeric(a, b);
+  if (c !== null) return c === 0;
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+// ---------------------------------------------------------------------------
+// Expression parser (recursive descent)
+// ---------------------------------------------------------------------------
+
+const TOKEN_RE = /\s*(?:(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)|'([^']*)'|"([^"]*)"|(>=|<=|==|!=|&&|\|\||[-+*/%()<>!,]))/y;
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN_RE.lastIndex = 0;
+
+  while (TOKEN_RE.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN_RE.lastIndex))) break;
+    const start = TOKEN_RE.lastIndex;
+    const m = TOKEN_RE.exec(source);
+    if (!m) {
+      throw new Error(`unexpected character "${source.slice(start).trim()[0]}" at position ${start}`);
+    }
+    if (m[1] !== undefined) tokens.push({ type: "num", value: m[1] });
+    else if (m[2] !== undefined) tokens.push({ type: "ident", value: m[2] });
+    else if (m[3] !== undefined || m[4] !== undefined) tokens.push({ type: "str", value: m[3] ?? m[4] });
+    else tokens.push({ type: "op", value: m[5] });
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression into an AST.
+ * @param {string} source
+ * @returns {object}
+ * @throws {Error} on syntax errors
+ */
+function parseExpression(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (...ops) => peek()?.type === "op" && ops.includes(peek().value);
+  const expect = (value) => {
+    if (!isOp(value)) {
+      throw new Error(`expected "${value}" but found ${peek() ? `"${peek().value}"` : "end of expression"}`);
+    }
+    pos++;
+  };
+
+  const binary = (next, ops) => () => {
+    let left = next();
+    while (isOp(...ops)) {
+      const op = tokens[pos++].value;
+      left = { type: "binary", op, left, right: next() };
+    }
+    return left;
+  };
+
+  const primary = () => {
+    const tok = tokens[pos++];
+    if (!tok) throw new Error("unexpected end of expression");
+
+    if (tok.type === "num") return { type: "literal", value: parseNumber(tok.value) };
+    if (tok.type === "str") return { type: "literal", value: tok.value };
+    if (tok.type === "ident") {
+      if (tok.value === "true" || tok.value === "false") return { type: "literal", value: tok.value === "true" };
+      if (isOp("(")) {
+        const fn = EXPR_FUNCTIONS[tok.value];
+        if (!fn) throw new Error(`unknown function "${tok.value}" (expected one of: ${Object.keys(EXPR_FUNCTIONS).join(", ")})`);
+        pos++;
+        const args = [];
+        if (!isOp(")")) {
+          args.push(logicalOr());
+          while (isOp(",")) {
+            pos++;
+            args.push(logicalOr());
+          }
+        }
+        expect(")");
+        if (args.length < fn.arity[0] || args.length > fn.arity[1]) {
+          throw new Error(`${tok.value}() takes ${fn.arity[0] === fn.arity[1] ? fn.arity[0] : `at least ${fn.arity[0]}`} argument(s), got ${args.length}`);
+        }
+        return { type: "call", name: tok.value, args };
+      }
+      return { type: "field", name: tok.value };
+    }
+    if (tok.value === "(") {
+      const inner = logicalOr();
+      expect(")");
+      return inner;
+    }
+    throw new Error(`unexpected "${tok.value}"`);
+  };
+
+  const unary = () => {
+    if (isOp("-", "!")) {
+      const op = tokens[pos++].value;
+      return { type: "unary", op, operand: unary() };
+    }
+    return primary();
+  };
+
+  const multiplicative = binary(unary, ["*", "/", "%"]);
+  const additive = binary(multiplicative, ["+", "-"]);
+  const comparison = () => {
+    const left = additive();
+    if (isOp(">", ">=", "<", "<=", "==", "!=")) {
+      const op = tokens[pos++].value;
+      return { type: "binary", op, left, right: additive() };
+    }
+    return left;
+  };
+  const logicalAnd = binary(comparison, ["&&"]);
+  const logicalOr = binary(logicalAnd, ["||"]);
+
+  const ast = logicalOr();
+  if (pos < tokens.length) {
+    throw new Error(`unexpected "${tokens[pos].value}" at token ${pos + 1}`);
+  }
+  return ast;
+}
+
+/** "1e18" → 10n ** 18n; "1.5" → 1.5; "42" → 42n */
+function parseNumber(text) {
+  const m = /^(\d+)(?:\.(\d+))?(?:[eE]([+-]?\d+))?$/.exec(text);
+  const frac = m[2] || "";
+  const exp = parseInt(m[3] || "0", 10) - frac.length;
+  if (exp >= 0) return BigInt(m[1] + frac) * 10n ** BigInt(exp);
+  return Number(text);
+}
+
+function isBooleanNode(node) {
+  if (node.type === "literal") return typeof node.value === "boolean";
+  if (node.type === "unary") return node.op === "!";
+  if (node.type === "binary") return [">", ">=", "<", "<=", "==", "!=", "&&", "||"].includes(node.op);
+  return false;
+}
+
+// ---------------------------------------------------------------------------
+// Expression evaluation
+// ---------------------------------------------------------------------------
+
+function evaluate(node, event) {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+
+    case "field": {
+      const raw = resolveField(event, node.name);
+      if (raw === undefined || raw === null) throw MISSING;
+      if (typeof raw === "boolean") return raw;
+      return toNumeric(raw) ?? raw;
+    }
+
+    case "call": {
+      const args = node.args.map((a) => numericOperand(evaluate(a, event)));
+      return EXPR_FUNCTIONS[node.name].fn(...unifyNumeric(args));
+    }
+
+    case "unary": {
+      const v = evaluate(node.operand, event);
+      return node.op === "!" ? !truthy(v) : -numericOperand(v);
+    }
+
+    case "binary": {
+      if (node.op === "&&") return truthy(evaluate(node.left, event)) && truthy(evaluate(node.right, event));
+      if (node.op === "||") return truthy(evaluate(node.left, event)) || truthy(evaluate(node.right, event));
+
+      const left = evaluate(node.left, event);
+      const right = evaluate(node.right, event);
+
+      if (node.op === "==") return looselyEqual(left, right);
+      if (node.op === "!=") return !looselyEqual(left, right);
+      if ([">", ">=", "<", "<="].includes(node.op)) {
+        const c = compareNumeric(left, right);
+        if (c === null) return false;
+        return { ">": c > 0, ">=": c >= 0, "<": c < 0, "<=": c <= 0 }[node.op];
+      }
+
+      return arithmetic(node.op, numericOperand(left), numericOperand(right));
+    }
+
+    default:
+      throw new Error(`unknown node type ${node.type}`);
+  }
+}
+
+function truthy(v) {
+  if (typeof v === "bigint") return v !== 0n;
+  return Boolean(v);
+}
+
+function numericOperand(v) {
+  const n = toNumeric(v);
+  if (n === null) throw new Error(`not a number: ${v}`);
+  return n;
+}
+
+/** Keep BigInt only when every operand is one */
+function unifyNumeric(values) {
+  return values.every((v) => typeof v === "bigint") ? values : values.map(Number);
+}
+
+function arithmetic(op, a, b) {
+  [a, b] = unifyNumeric([a, b]);
+
+  // Integer division would silently truncate — switch to Number when inexact
+  if (op === "/" && typeof a === "bigint" && a % b !== 0n) {
+    return Number(a) / Number(b);
+  }
+
+  switch (op) {
+    case "+": return a + b;
+    case "-": return a - b;
+    case "*": return a * b;
+    case "/": return a / b;
+    case "%": return a % b;
+    default: throw new Error(`unknown operator ${op}`);
+  }
+}
+
+module.exports = { compileConditions, validateConditions, parseExpression, resolveField, toNumeric, requiredValues, lowerBounds };
@@ -8,5 +8,9 @@ const Aggregator = require("./aggregator");
 const NoiseFilter = require("./noise-filter");
 const AnomalyDetector = require("./anomaly-detector");
 const WalletProfiler = require("./wallet-profiler");
+const SequenceMatcher = require("./sequence-matcher");
+const StateCheckpointer = require("./state-checkpointer");
+const LabelRegistry = require("./label-registry");
+const SanctionsScreener = require("./sanctions-screener");
 
-module.exports = { RuleLoader, RuleEvaluator, Aggregator, NoiseFilter, AnomalyDetector, WalletProfiler };
+module.exports = { RuleLoader, RuleEvaluator, Aggregator, NoiseFilter, AnomalyDetector, WalletProfiler, SequenceMatcher, StateCheckpointer, LabelRegistry, SanctionsScreener };
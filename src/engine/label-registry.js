@@ -0,0 +1,300 @@
+/**
+ * Genesis — Label Registry
+ *
+ * In-memory view of the address lists in SQLite (LabelRepository): answers
+ * "is 0xabc in cex_hot_wallets?" for `in_list` / `not_in_list` conditions
+ * and "what is 0xabc called?" for alert templates and the InsightFormatter.
+ *
+ * Lists are edited through the API server or scripts/import-labels.js —
+ * other processes — so watch() polls the repository's version() and
+ * reloads when it moves, emitting "labels:changed".
+ *
+ * Import formats (parse()):
+ *   JSON  [{ "address": "0x…", "label": "Binance 14", "category": "exchange", "tags": ["hot"] }, ...]
+ *         or { "entries": [...] } or { "0x…": "Binance 14", ... } / { "0x…": { "label": ... } }
+ *   CSV   address,label,category,tags      (header optional, tags split on ";" or "|")
+ */
+
+const EventEmitter = require("events");
+
+const DEFAULT_REFRESH_MS = 30_000;
+
+// Categories that win when an address is in several lists
+const CATEGORY_PRIORITY = ["sanctioned", "scam", "mixer"];
+
+class LabelRegistry extends EventEmitter {
+  /**
+   * @param {object} [opts]
+   * @param {import('../db/label-repository')} [opts.store] — null: lists added with set() only
+   * @param {number} [opts.refreshMs] — watch() poll interval
+   */
+  constructor({ store = null, refreshMs = DEFAULT_REFRESH_MS } = {}) {
+    super();
+    this.store = store;
+    this.refreshMs = refreshMs;
+
+    /** @type {Map<string, Map<string, object>>} list name → lowercase address → entry */
+    this.lists = new Map();
+    /** @type {Map<string, object[]>} lowercase address → entries across lists */
+    this.byAddress = new Map();
+
+    this._version = null;
+    this._interval = null;
+    this._warnedLists = new Set();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Loading
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Load every list from the store
+   * @returns {number} entries loaded
+   */
+  load() {
+    if (!this.store) return 0;
+
+    this._version = this.store.version();
+    const names = this.store.listLists().map((l) => l.name);
+    const entries = this.store.loadAll();
+    this._index(names, entries);
+
+    console.log(`  🏷️  [LabelRegistry] Loaded ${entries.length} label(s) in ${names.length} list(s)`);
+    return entries.length;
+  }
+
+  /**
+   * Reload if the store changed since the last load
+   * @returns {boolean} true when reloaded
+   */
+  refresh() {
+    if (!this.store) return false;
+    try {
+      if (this.store.version() === this._version) return false;
+      this.load();
+      this.emit("labels:changed", { lists: [...this.lists.keys()] });
+      return true;
+    } catch (err) {
+      console.warn(`  ⚠️  [LabelRegistry] Refresh failed: ${err.message}`);
+      return false;
+    }
+  }
+
+  /** Poll the store every refreshMs */
+  watch() {
+    if (this._interval || !this.store) return;
+    this._interval = setInterval(() => this.refresh(), this.refreshMs);
+    this._interval.unref?.();
+  }
+
+  stop() {
+    if (this._interval) clearInterval(this._interval);
+    this._interval = null;
+  }
+
+  /**
+   * Replace one list in memory (tests, the local demo without a DB)
+   * @param {string} name
+   * @param {object[]} entries
+   */
+  set(name, entries) {
+    const others = [...this.byAddress.values()].flat().filter((e) => e.list !== name);
+    this._index([...new Set([...this.lists.keys(), name])], [...others, ...entries.map((e) => ({ ...e, list: name }))]);
+  }
+
+  _index(names, entries) {
+    this.lists = new Map(names.map((name) => [name, new Map()]));
+    this.byAddress = new Map();
+
+    for (const entry of entries) {
+      const address = entry.address.toLowerCase();
+      if (!this.lists.has(entry.list)) this.lists.set(entry.list, new Map());
+      this.lists.get(entry.list).set(address, entry);
+      if (!this.byAddress.has(address)) this.byAddress.set(address, []);
+      this.byAddress.get(address).push(entry);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Query
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Is an address on a list? Unknown lists contain nothing (warned once).
+   * @param {string} list
+   * @param {string} address
+   * @returns {boolean}
+   */
+  has(list, address) {
+    const entries = this.lists.get(list);
+    if (!entries) {
+      if (!this._warnedLists.has(list)) {
+        this._warnedLists.add(list);
+        console.warn(`  ⚠️  [LabelRegistry] Unknown address list "${list}" — treated as empty`);
+      }
+      return false;
+    }
+    return typeof address === "string" && entries.has(address.toLowerCase());
+  }
+
+  hasList(list) {
+    return this.lists.has(list);
+  }
+
+  /**
+   * Everything known about an address, merged across lists
+   * @param {string} address
+   * @returns {{ address: string, label: string|null, category: string|null, tags: string[], lists: string[] }|null}
+   */
+  lookup(address) {
+    if (typeof address !== "string") return null;
+    const entries = this.byAddress.get(address.toLowerCase());
+    if (!entries) return null;
+
+    const categories = entries.map((e) => e.category).filter(Boolean);
+    return {
+      address: address.toLowerCase(),
+      label: entries.find((e) => e.label)?.label || null,
+      category: CATEGORY_PRIORITY.find((c) => categories.includes(c)) || categories[0] || null,
+      tags: [...new Set(entries.flatMap((e) => e.tags || []))],
+      lists: entries.map((e) => e.list),
+    };
+  }
+
+  /**
+   * "Binance 14 (0x28c6...1d60)" for labelled addresses, else the short form
+   * @param {string} address
+   */
+  format(address) {
+    if (!address) return "unknown";
+    const short = address.length < 10 ? address : `${address.slice(0, 6)}...${address.slice(-4)}`;
+    const label = this.lookup(address)?.label;
+    return label ? `${label} (${short})` : short;
+  }
+
+  /**
+   * Labels for every known address found anywhere in a value (an alert, an
+   * event) — attached to alerts as `alert.labels` for the templates
+   * @param {*} value
+   * @returns {Object<string, { label: string|null, category: string|null, tags: string[], lists: string[] }>}
+   */
+  labelsFor(value) {
+    const labels = {};
+    if (this.byAddress.size === 0) return labels;
+
+    const seen = new Set();
+    const visit = (v, depth) => {
+      if (typeof v === "string") {
+        for (const match of v.matchAll(/0x[0-9a-fA-F]{40}/g)) {
+          const info = this.lookup(match[0]);
+          if (info) {
+            const { address, ...rest } = info;
+            labels[address] = rest;
+          }
+        }
+        return;
+      }
+      if (v === null || typeof v !== "object" || depth > 6 || seen.has(v)) return;
+      seen.add(v);
+      for (const child of Array.isArray(v) ? v : Object.values(v)) visit(child, depth + 1);
+    };
+    visit(value, 0);
+    return labels;
+  }
+
+  getStats() {
+    return {
+      lists: Object.fromEntries([...this.lists].map(([name, entries]) => [name, entries.size])),
+      addresses: this.byAddress.size,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Import
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Parse an import file into entries (validated later by the repository)
+   * @param {string} text
+   * @param {"json"|"csv"} format
+   * @returns {{ address: string, label?: string, category?: string, tags?: string[] }[]}
+   */
+  static parse(text, format) {
+    if (format === "json") return _parseJson(text);
+    if (format === "csv") return _parseCsv(text);
+    throw new Error(`Unknown label format "${format}" (expected json or csv)`);
+  }
+}
+
+function _parseJson(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : Array.isArray(data?.entries) ? data.entries : null;
+  if (list) return list;
+
+  if (data && typeof data === "object") {
+    return Object.entries(data).map(([address, value]) =>
+      typeof value === "string" ? { address, label: value } : { address, ...value }
+    );
+  }
+  throw new Error("Expected an array of entries, { entries: [...] } or { address: label }");
+}
+
+function _parseCsv(text) {
+  const rows = text
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== "" && !line.trim().startsWith("#"))
+    .map(_splitCsvLine);
+  if (rows.length === 0) return [];
+
+  // Header row unless the first cell is already an address
+  let columns = ["address", "label", "category", "tags"];
+  if (!/^0x[0-9a-f]{40}$/i.test(rows[0][0])) {
+    columns = rows.shift().map((c) => {
+      const name = c.trim().toLowerCase();
+      return name === "name" ? "label" : name;
+    });
+  }
+
+  return rows.map((cells) => {
+    const entry = {};
+    columns.forEach((column, i) => {
+      const value = (cells[i] ?? "").trim();
+      if (value === "") return;
+      if (column === "tags") entry.tags = value.split(/[;|]/).map((t) => t.trim()).filter(Boolean);
+      else if (["address", "label", "category"].includes(column)) entry[column] = value;
+    });
+    return entry;
+  });
+}
+
+/** One CSV line → cells ("quoted, values" and "" escapes supported) */
+function _splitCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
+
+module.exports = LabelRegistry;
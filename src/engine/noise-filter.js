@@ -4,22 +4,53 @@
  * Anti-spam layer that sits between the Rule Evaluator and Notification Dispatcher.
  *
  * Techniques:
- *   1. Cooldowns — suppress duplicate alerts for the same rule within N seconds
+ *   1. Cooldowns — suppress repeat alerts for the same rule within N seconds
  *   2. Dedup — skip events with the same ID (reorg replays)
  *   3. Severity threshold — only pass alerts above a minimum severity
  *
+ * Cooldowns are tracked per suppression bucket: the rule plus the values of
+ * its suppression key, so one whale does not silence another:
+ *
+ *   "cooldown_sec": 120,
+ *   "suppression": { "key": ["from"], "max_per_window": 3, "window_sec": 600 }
+ *
+ * Up to max_per_window alerts (default 1) pass per bucket within window_sec
+ * (default cooldown_sec). Without a key the bucket is the whole rule — the
+ * classic per-rule cooldown. Alerts held back are counted, and the next alert
+ * delivered from the same bucket carries `suppressed_count` ("+7 similar
+ * suppressed").
+ *
+ * With a store (SuppressionRepository) the buckets survive restarts.
+ *
  * Future (Phase 5):
  *   4. Z-score anomaly detection
  *   5. ML-based noise classification
  */
 
+const { systemClock } = require("./clock");
+
+/** Buckets with a pending suppressed count are kept this long without activity */
+const PENDING_TTL_MS = 24 * 60 * 60 * 1000;
+
 class NoiseFilter {
-  constructor() {
+  /**
+   * @param {object} [opts]
+   * @param {object} [opts.clock] — time source for cooldowns (defaults to wall-clock; see ./clock)
+   * @param {import('../db/suppression-repository')} [opts.store] — persists suppression buckets
+   */
+  constructor(opts = {}) {
+    this.clock = opts.clock || systemClock;
+    this.store = opts.store || null;
+
     /**
-     * Cooldown tracker: rule_id → last alert timestamp
-     * @type {Map<string, number>}
+     * Suppression buckets: "<rule_id>::<key>" (instant) / "agg::<rule_id>::<key>" (aggregated)
+     * → { bucket, ruleId, windowMs, sentAt: ms[], suppressed, updatedAt }
+     * @type {Map<string, object>}
      */
-    this.cooldowns = new Map();
+    this.buckets = new Map();
+
+    /** Bucket count above which expired buckets are pruned */
+    this.maxBuckets = 10000;
 
     /**
      * Seen event IDs (dedup)
@@ -42,12 +73,33 @@ class NoiseFilter {
     };
   }
 
+  /**
+   * Restore suppression buckets from the store (call once after the database
+   * is migrated). Expired buckets are dropped on the way.
+   * @returns {number} buckets restored
+   */
+  load() {
+    if (!this.store) return 0;
+
+    for (const state of this.store.loadAll()) {
+      this.buckets.set(state.bucket, state);
+    }
+    this._prune();
+
+    if (this.buckets.size > 0) {
+      console.log(`  🔇 [NoiseFilter] Restored ${this.buckets.size} suppression bucket(s)`);
+    }
+    return this.buckets.size;
+  }
+
   // ---------------------------------------------------------------------------
   // Main filter
   // ---------------------------------------------------------------------------
 
   /**
    * Check if an alert should pass through or be suppressed.
+   * A passing alert gets `suppressed_count` when similar alerts were held
+   * back since the last one from its bucket.
    *
    * @param {{ rule: object, event: object, type: string, severity: string }} alert
    * @returns {boolean} true = allow, false = suppress
@@ -67,23 +119,15 @@ class NoiseFilter {
       return false;
     }
 
-    // 3. Cooldown check
-    if (rule.cooldown_sec > 0) {
-      const lastAlert = this.cooldowns.get(rule.rule_id) || 0;
-      const elapsed = (Date.now() - lastAlert) / 1000;
-
-      if (elapsed < rule.cooldown_sec) {
-        this.stats.suppressed_cooldown++;
-        return false;
-      }
+    // 3. Cooldown / budget check
+    if (!this._takeBudget(alert, rule.rule_id, event)) {
+      this.stats.suppressed_cooldown++;
+      return false;
     }
 
     // --- Passed all checks ---
     this.stats.passed++;
 
-    // Record cooldown
-    this.cooldowns.set(rule.rule_id, Date.now());
-
     // Record dedup
     if (event?.id) {
       const dedupKey = `${rule.rule_id}::${event.id}`;
@@ -101,9 +145,10 @@ class NoiseFilter {
 
   /**
    * Check if an aggregated alert should pass through.
-   * Aggregated alerts use rule-level cooldowns only (no per-event dedup).
+   * Aggregated alerts use cooldowns only (no per-event dedup); the
+   * suppression key is read from the window's first event.
    *
-   * @param {{ rule: object, summary: object, type: string, severity: string }} alert
+   * @param {{ rule: object, summary: object, events: object[], type: string, severity: string }} alert
    * @returns {boolean}
    */
   shouldPassAggregated(alert) {
@@ -115,22 +160,111 @@ class NoiseFilter {
       return false;
     }
 
-    // Cooldown check
-    if (rule.cooldown_sec > 0) {
-      const lastAlert = this.cooldowns.get(`agg::${rule.rule_id}`) || 0;
-      const elapsed = (Date.now() - lastAlert) / 1000;
-
-      if (elapsed < rule.cooldown_sec) {
-        this.stats.suppressed_cooldown++;
-        return false;
-      }
+    // Cooldown / budget check
+    if (!this._takeBudget(alert, `agg::${rule.rule_id}`, alert.events?.[0])) {
+      this.stats.suppressed_cooldown++;
+      return false;
     }
 
     this.stats.passed++;
-    this.cooldowns.set(`agg::${rule.rule_id}`, Date.now());
     return true;
   }
 
+  // ---------------------------------------------------------------------------
+  // Suppression buckets
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Spend one alert of the bucket's budget. On success the alert is stamped
+   * with the count held back since the previous one.
+   * @returns {boolean} false when the budget for the window is used up
+   */
+  _takeBudget(alert, prefix, event) {
+    const { rule } = alert;
+    const suppression = rule.suppression || {};
+    const windowMs = (suppression.window_sec ?? rule.cooldown_sec ?? 0) * 1000;
+    if (!(windowMs > 0)) return true;
+
+    const now = this.clock.now();
+    const key = this._suppressionKey(suppression.key, event);
+    const id = key ? `${prefix}::${key}` : prefix;
+
+    let state = this.buckets.get(id);
+    if (!state) {
+      state = { bucket: id, ruleId: rule.rule_id, windowMs, sentAt: [], suppressed: 0, updatedAt: now };
+      this.buckets.set(id, state);
+    }
+    state.windowMs = windowMs;
+    state.sentAt = state.sentAt.filter((t) => now - t < windowMs);
+    state.updatedAt = now;
+
+    if (state.sentAt.length >= (suppression.max_per_window ?? 1)) {
+      state.suppressed++;
+      this._persist(state);
+      return false;
+    }
+
+    if (state.suppressed > 0) {
+      alert.suppressed_count = state.suppressed;
+      state.suppressed = 0;
+    }
+    state.sentAt.push(now);
+    this._persist(state);
+
+    if (this.buckets.size > this.maxBuckets) this._prune();
+    return true;
+  }
+
+  /**
+   * Values of the suppression key fields for an event: "from=0xabc|contract=0xdef".
+   * Fields are resolved like Aggregator group_by ("contract", "chain" or an arg).
+   * @returns {string} empty when the rule has no key
+   */
+  _suppressionKey(fields, event) {
+    if (fields == null) return "";
+
+    return (Array.isArray(fields) ? fields : [fields])
+      .map((field) => {
+        let value;
+        if (field === "contract") value = event?.contract;
+        else if (field === "chain") value = event?.chain;
+        else value = event?.args?.[field];
+        return `${field}=${value == null ? "any" : String(value).toLowerCase()}`;
+      })
+      .join("|");
+  }
+
+  _persist(state) {
+    if (!this.store) return;
+    try {
+      this.store.save(state);
+    } catch {
+      // Logged by the repository; the in-memory decision still stands
+    }
+  }
+
+  /** Drop buckets whose window has passed and that have nothing pending. */
+  _prune() {
+    const now = this.clock.now();
+    const expired = [];
+
+    for (const [id, state] of this.buckets) {
+      const last = state.sentAt.length > 0 ? Math.max(...state.sentAt) : 0;
+      const windowOver = now - last >= state.windowMs;
+      const stale = now - state.updatedAt >= PENDING_TTL_MS;
+      if (windowOver && (state.suppressed === 0 || stale)) expired.push(id);
+    }
+
+    for (const id of expired) this.buckets.delete(id);
+    if (this.store && expired.length > 0) {
+      try {
+        this.store.remove(expired);
+      } catch (err) {
+        console.warn(`  ⚠️  [NoiseFilter] Could not prune stored buckets: ${err.message}`);
+      }
+    }
+  }
+
   // ---------------------------------------------------------------------------
   // Severity comparison
   // ---------------------------------------------------------------------------
@@ -163,6 +297,7 @@ class NoiseFilter {
     return {
       ...this.stats,
       total,
+      activeBuckets: this.buckets.size,
       suppressionRate: total > 0
         ? `${(((total - this.stats.passed) / total) * 100).toFixed(1)}%`
         : "0%",
@@ -170,7 +305,8 @@ class NoiseFilter {
   }
 
   reset() {
-    this.cooldowns.clear();
+    this.buckets.clear();
+    this.store?.clear();
     this.seenEvents.clear();
     this.stats = {
       passed: 0,
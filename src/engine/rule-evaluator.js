@@ -8,18 +8,36 @@
  *   - from / to (address match)
  *   - contract (address match)
  *   - amount_raw (gte, lte, gt, lt, eq — string BigInt comparisons)
+ *   - amount_usd (USD value from the TokenRegistry — correct decimals + price)
  *   - event_type (exact match)
- *   - Custom field matches on event.args
+ *   - Any event.args field, combined with all / any / not, plus in / not_in,
+ *     between, regex and arithmetic expressions (see ./conditions.js)
+ *   - Address lists: in_list / not_in_list, looked up in the LabelRegistry
  *
  * This is the core "filter before indexing deeply" logic.
+ *
+ * Sequence rules ("type": "sequence") are skipped here — they need state
+ * across events and are matched by ./sequence-matcher.js.
  */
 
+const { compileConditions } = require("./conditions");
+
 class RuleEvaluator {
   /**
    * @param {import('./rule-loader')} ruleLoader
+   * @param {object} [opts]
+   * @param {import('./label-registry')} [opts.labels] — address lists for in_list / not_in_list
    */
-  constructor(ruleLoader) {
+  constructor(ruleLoader, opts = {}) {
     this.ruleLoader = ruleLoader;
+    this.labels = opts.labels || null;
+
+    /**
+     * Compiled predicates, keyed by the rule's conditions object —
+     * a hot-reloaded rule brings a new object and is recompiled.
+     * @type {WeakMap<object, (event: object) => boolean>}
+     */
+    this._compiled = new WeakMap();
   }
 
   // ---------------------------------------------------------------------------
@@ -37,6 +55,7 @@ class RuleEvaluator {
     const matches = [];
 
     for (const rule of this.ruleLoader.getAll()) {
+      if (rule.type === "sequence") continue;
       if (this._matchesRule(event, rule)) {
         matches.push({ rule, event });
       }
@@ -59,6 +78,15 @@ class RuleEvaluator {
     return allMatches;
   }
 
+  /**
+   * Check one event against one rule-shaped filter
+   * ({ chain, event_type, contracts, finality, conditions }).
+   * @returns {boolean}
+   */
+  matches(event, rule) {
+    return this._matchesRule(event, rule);
+  }
+
   // ---------------------------------------------------------------------------
   // Matching logic
   // ---------------------------------------------------------------------------
@@ -95,94 +123,20 @@ class RuleEvaluator {
   // ---------------------------------------------------------------------------
 
   _matchesConditions(event, conditions) {
-    for (const [field, condition] of Object.entries(conditions)) {
-      // Special fields
-      if (field === "from") {
-        if (!this._matchAddress(event.args.from, condition)) return false;
-        continue;
-      }
-      if (field === "to") {
-        if (!this._matchAddress(event.args.to, condition)) return false;
-        continue;
-      }
-      if (field === "amount_raw") {
-        // Compare as BigInt against event.args.value or event.args._rawValue
-        const eventValue = event.args._rawValue || event.args.value;
-        if (!eventValue) return false;
-        if (!this._matchBigInt(eventValue, condition)) return false;
-        continue;
-      }
-
-      // Generic field match on event.args
-      const eventValue = event.args[field];
-      if (eventValue === undefined) return false;
-
-      if (typeof condition === "object") {
-        if (!this._matchComparison(eventValue, condition)) return false;
-      } else {
-        // Exact match
-        if (String(eventValue).toLowerCase() !== String(condition).toLowerCase()) return false;
-      }
-    }
-
-    return true;
-  }
-
-  // ---------------------------------------------------------------------------
-  // Comparison helpers
-  // ---------------------------------------------------------------------------
-
-  _matchAddress(eventAddr, ruleAddr) {
-    if (!eventAddr) return false;
-    if (typeof ruleAddr === "string") {
-      return eventAddr.toLowerCase() === ruleAddr.toLowerCase();
-    }
-    if (Array.isArray(ruleAddr)) {
-      return ruleAddr.some((a) => eventAddr.toLowerCase() === a.toLowerCase());
-    }
-    return false;
-  }
-
-  _matchBigInt(eventValue, condition) {
-    try {
-      const val = BigInt(eventValue);
-
-      for (const [op, threshold] of Object.entries(condition)) {
-        const thresholdBig = BigInt(threshold);
-
-        switch (op) {
-          case "gt":  if (!(val > thresholdBig)) return false; break;
-          case "gte": if (!(val >= thresholdBig)) return false; break;
-          case "lt":  if (!(val < thresholdBig)) return false; break;
-          case "lte": if (!(val <= thresholdBig)) return false; break;
-          case "eq":  if (!(val === thresholdBig)) return false; break;
-          default:
-            console.warn(`  ⚠️  [RuleEvaluator] Unknown operator: "${op}"`);
-            return false;
-        }
+    let predicate = this._compiled.get(conditions);
+
+    if (!predicate) {
+      try {
+        predicate = compileConditions(conditions, "conditions", { lists: this.labels });
+      } catch (err) {
+        // RuleLoader rejects these; only hand-built rules can get here
+        console.warn(`  ⚠️  [RuleEvaluator] ${err.message}`);
+        predicate = () => false;
       }
-      return true;
-    } catch {
-      return false;
+      this._compiled.set(conditions, predicate);
     }
-  }
 
-  _matchComparison(eventValue, condition) {
-    for (const [op, target] of Object.entries(condition)) {
-      const a = Number(eventValue);
-      const b = Number(target);
-      if (isNaN(a) || isNaN(b)) return false;
-
-      switch (op) {
-        case "gt":  if (!(a > b)) return false; break;
-        case "gte": if (!(a >= b)) return false; break;
-        case "lt":  if (!(a < b)) return false; break;
-        case "lte": if (!(a <= b)) return false; break;
-        case "eq":  if (!(a === b)) return false; break;
-        default: return false;
-      }
-    }
-    return true;
+    return predicate(event);
   }
 
   // ---------------------------------------------------------------------------
@@ -7,13 +7,20 @@
  *
  * Emits:
  *   "rules:loaded"  — { count, rules }
- *   "rules:changed" — { added, removed, updated }
+ *   "rules:changed" — { added, removed, updated } (rule ids)
  */
 
 const fs = require("fs");
 const path = require("path");
 const EventEmitter = require("events");
 
+const { validateConditions } = require("./conditions");
+const { validateSummary } = require("./summary-metrics");
+const { validateModelSpecs } = require("./anomaly-models");
+const { getRuleAbiErrors } = require("../pipeline/abi-registry");
+const { getEnrichErrors } = require("../pipeline/tx-enricher");
+const { NATIVE_TRANSFER } = require("../pipeline/event-model");
+
 const RULES_DIR = path.resolve(__dirname, "../../rules");
 
 // ---------------------------------------------------------------------------
@@ -21,13 +28,27 @@ const RULES_DIR = path.resolve(__dirname, "../../rules");
 // ---------------------------------------------------------------------------
 
 const REQUIRED_FIELDS = ["rule_id", "event_type"];
+const VALID_TYPES = ["event", "sequence"];
 const VALID_SEVERITIES = ["low", "medium", "high", "critical"];
 const VALID_FINALITIES = ["pending", "soft_confirmed", "finalized"];
+const VALID_WINDOWS = ["tumbling", "sliding", "session"];
+const MAX_SLIDING_OVERLAP = 100;
 
-function validateRule(rule, filename) {
+/**
+ * Check a rule against the schema.
+ * @param {object} rule
+ * @returns {string[]} problems found (empty when the rule is valid)
+ */
+function getRuleErrors(rule) {
   const errors = [];
 
-  for (const field of REQUIRED_FIELDS) {
+  if (rule.type != null && !VALID_TYPES.includes(rule.type)) {
+    errors.push(`Invalid type: "${rule.type}". Must be one of: ${VALID_TYPES.join(", ")}`);
+  }
+
+  // Sequence rules name their event types per step
+  const required = rule.type === "sequence" ? ["rule_id", "sequence"] : REQUIRED_FIELDS;
+  for (const field of required) {
     if (!rule[field]) {
       errors.push(`Missing required field: "${field}"`);
     }
@@ -45,10 +66,190 @@ function validateRule(rule, filename) {
     errors.push(`Invalid cooldown_sec: must be a non-negative number`);
   }
 
-  if (rule.aggregation?.window_sec != null && rule.aggregation.window_sec < 1) {
-    errors.push(`Invalid aggregation.window_sec: must be >= 1`);
+  if (rule.aggregation != null) {
+    errors.push(...getAggregationErrors(rule.aggregation));
+  }
+
+  if (rule.suppression != null) {
+    errors.push(...getSuppressionErrors(rule.suppression));
+  }
+
+  if (rule.conditions != null) {
+    errors.push(...validateConditions(rule.conditions));
+  }
+
+  if (rule.type === "sequence" && rule.sequence) {
+    errors.push(...getSequenceErrors(rule.sequence));
+  }
+
+  if (rule.anomaly != null) {
+    errors.push(...getAnomalyErrors(rule.anomaly));
+  }
+
+  if (rule.abi != null) {
+    errors.push(...getRuleAbiErrors(rule.abi));
+  }
+
+  if (rule.enrich != null) {
+    errors.push(...getEnrichErrors(rule.enrich));
+  }
+
+  if (rule.event_type === NATIVE_TRANSFER && rule.contracts != null) {
+    errors.push(`Invalid contracts: ${NATIVE_TRANSFER} has no contract — use "from" / "to" conditions`);
+  }
+
+  return errors;
+}
+
+/** anomaly: "mad" | { model, field, min_severity, ...model parameters } */
+function getAnomalyErrors(anomaly) {
+  if (Array.isArray(anomaly)) {
+    return [`Invalid anomaly: a rule uses one model`];
+  }
+
+  const errors = validateModelSpecs(anomaly, "anomaly", { valueOnly: true });
+  if (typeof anomaly === "object" && anomaly !== null) {
+    if (anomaly.field != null && (typeof anomaly.field !== "string" || anomaly.field.length === 0)) {
+      errors.push(`Invalid anomaly.field: must be a field name`);
+    }
+    if (anomaly.min_severity != null && !["medium", "high", "critical"].includes(anomaly.min_severity)) {
+      errors.push(`Invalid anomaly.min_severity: "${anomaly.min_severity}". Must be one of: medium, high, critical`);
+    }
+  }
+  return errors;
+}
+
+/** sequence: { correlate_by, within_blocks, within_sec, steps: [...], absent: [...] } */
+function getSequenceErrors(seq) {
+  if (typeof seq !== "object" || Array.isArray(seq)) {
+    return [`Invalid sequence: must be an object`];
+  }
+
+  const errors = [];
+  if (!Array.isArray(seq.steps) || seq.steps.length < 2) {
+    errors.push(`Invalid sequence.steps: must list at least 2 steps`);
+  }
+  for (const field of ["within_blocks", "within_sec"]) {
+    if (seq[field] != null && !(typeof seq[field] === "number" && seq[field] >= 0)) {
+      errors.push(`Invalid sequence.${field}: must be a non-negative number`);
+    }
+  }
+  if (seq.within_blocks == null && seq.within_sec == null) {
+    errors.push(`Invalid sequence: set within_blocks and/or within_sec`);
+  }
+  if (seq.correlate_by != null && typeof seq.correlate_by !== "string") {
+    errors.push(`Invalid sequence.correlate_by: must be a field name`);
+  }
+
+  const absent = seq.absent == null ? [] : Array.isArray(seq.absent) ? seq.absent : [seq.absent];
+  const check = (step, path) => {
+    if (typeof step !== "object" || step === null || Array.isArray(step)) {
+      errors.push(`Invalid ${path}: must be an object`);
+      return;
+    }
+    if (!step.event_type) errors.push(`Invalid ${path}: missing "event_type"`);
+    if (step.event_type === NATIVE_TRANSFER && step.contracts != null) {
+      errors.push(`Invalid ${path}.contracts: ${NATIVE_TRANSFER} has no contract — use "from" / "to" conditions`);
+    }
+    const correlate = step.correlate_by ?? seq.correlate_by;
+    if (typeof correlate !== "string" || correlate.length === 0) {
+      errors.push(`Invalid ${path}: missing "correlate_by" (on the step or the sequence)`);
+    }
+    if (step.finality && !VALID_FINALITIES.includes(step.finality)) {
+      errors.push(`Invalid ${path}.finality: "${step.finality}"`);
+    }
+    if (step.conditions != null) {
+      errors.push(...validateConditions(step.conditions, `${path}.conditions`));
+    }
+  };
+
+  (Array.isArray(seq.steps) ? seq.steps : []).forEach((step, i) => check(step, `sequence.steps[${i}]`));
+  absent.forEach((step, i) => check(step, `sequence.absent[${i}]`));
+
+  return errors;
+}
+
+/** aggregation: { window, window_sec, slide_sec, gap_sec, allowed_lateness_sec, summary, having, ... } */
+function getAggregationErrors(agg) {
+  const errors = [];
+
+  if (agg.window != null && !VALID_WINDOWS.includes(agg.window)) {
+    errors.push(`Invalid aggregation.window: "${agg.window}". Must be one of: ${VALID_WINDOWS.join(", ")}`);
+  }
+  for (const field of ["window_sec", "slide_sec", "gap_sec"]) {
+    if (agg[field] != null && !(typeof agg[field] === "number" && agg[field] >= 1)) {
+      errors.push(`Invalid aggregation.${field}: must be >= 1`);
+    }
+  }
+  if (agg.allowed_lateness_sec != null && !(typeof agg.allowed_lateness_sec === "number" && agg.allowed_lateness_sec >= 0)) {
+    errors.push(`Invalid aggregation.allowed_lateness_sec: must be a non-negative number`);
+  }
+
+  if (agg.window === "sliding" && agg.slide_sec >= 1) {
+    const size = agg.window_sec || 60;
+    if (agg.slide_sec > size) {
+      errors.push(`Invalid aggregation.slide_sec: must not exceed window_sec (${size})`);
+    } else if (size / agg.slide_sec > MAX_SLIDING_OVERLAP) {
+      errors.push(`Invalid aggregation.slide_sec: window_sec / slide_sec must be <= ${MAX_SLIDING_OVERLAP}`);
+    }
+  }
+
+  if (agg.summary != null) {
+    errors.push(...validateSummary(agg.summary));
+  }
+  if (agg.having != null) {
+    errors.push(...validateConditions(agg.having, "aggregation.having"));
+  }
+
+  return errors;
+}
+
+/** suppression: { key: "from" | ["from", "contract"], max_per_window: 3, window_sec: 600 } */
+function getSuppressionErrors(suppression) {
+  if (typeof suppression !== "object" || Array.isArray(suppression)) {
+    return [`Invalid suppression: must be an object`];
   }
 
+  const errors = [];
+  const keys = Array.isArray(suppression.key) ? suppression.key : [suppression.key];
+  if (suppression.key != null && !keys.every((k) => typeof k === "string" && k.length > 0)) {
+    errors.push(`Invalid suppression.key: must be a field name or a list of field names`);
+  }
+  if (suppression.max_per_window != null && !(Number.isInteger(suppression.max_per_window) && suppression.max_per_window >= 1)) {
+    errors.push(`Invalid suppression.max_per_window: must be an integer >= 1`);
+  }
+  if (suppression.window_sec != null && (typeof suppression.window_sec !== "number" || suppression.window_sec < 0)) {
+    errors.push(`Invalid suppression.window_sec: must be a non-negative number`);
+  }
+  return errors;
+}
+
+/**
+ * Replace each sequence rule with one rule-shaped entry per step (and absent
+ * event), so selective indexing fetches every event a sequence needs.
+ * @param {object[]} rules
+ * @returns {object[]}
+ */
+function expandSequenceRules(rules) {
+  return rules.flatMap((rule) => {
+    if (rule.type !== "sequence") return [rule];
+
+    const seq = rule.sequence || {};
+    const absent = seq.absent == null ? [] : Array.isArray(seq.absent) ? seq.absent : [seq.absent];
+    return [...(seq.steps || []), ...absent].map((step, i) => ({
+      rule_id: `${rule.rule_id}#${i}`,
+      chain: step.chain || rule.chain,
+      event_type: step.event_type,
+      contracts: step.contracts,
+      conditions: step.conditions,
+      enrich: rule.enrich,
+    }));
+  });
+}
+
+function validateRule(rule, filename) {
+  const errors = getRuleErrors(rule);
+
   if (errors.length > 0) {
     console.warn(`  ⚠️  [RuleLoader] Invalid rule in ${filename}:`);
     errors.forEach((e) => console.warn(`     - ${e}`));
@@ -63,32 +264,46 @@ function validateRule(rule, filename) {
 // ---------------------------------------------------------------------------
 
 class RuleLoader extends EventEmitter {
-  constructor() {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.dir] — rules directory (defaults to rules/)
+   */
+  constructor(opts = {}) {
     super();
+    this.dir = opts.dir || RULES_DIR;
 
     /** @type {Map<string, object>} rule_id → rule */
     this.rules = new Map();
     this._watcher = null;
   }
 
+  /**
+   * Validate a rule without loading it.
+   * @param {object} rule
+   * @returns {string[]} problems found (empty when the rule is valid)
+   */
+  static validate(rule) {
+    return getRuleErrors(rule);
+  }
+
   // ---------------------------------------------------------------------------
   // Load all rules from disk
   // ---------------------------------------------------------------------------
 
   load() {
-    if (!fs.existsSync(RULES_DIR)) {
-      console.warn(`  ⚠️  [RuleLoader] Rules directory not found: ${RULES_DIR}`);
+    if (!fs.existsSync(this.dir)) {
+      console.warn(`  ⚠️  [RuleLoader] Rules directory not found: ${this.dir}`);
       console.warn(`     Creating it now...`);
-      fs.mkdirSync(RULES_DIR, { recursive: true });
+      fs.mkdirSync(this.dir, { recursive: true });
       return;
     }
 
-    const files = fs.readdirSync(RULES_DIR).filter((f) => f.endsWith(".json"));
+    const files = fs.readdirSync(this.dir).filter((f) => f.endsWith(".json"));
     const loaded = [];
 
     for (const file of files) {
       try {
-        const filePath = path.join(RULES_DIR, file);
+        const filePath = path.join(this.dir, file);
         const raw = fs.readFileSync(filePath, "utf-8");
         const rule = JSON.parse(raw);
 
@@ -111,27 +326,39 @@ class RuleLoader extends EventEmitter {
     this.emit("rules:loaded", { count: loaded.length, rules: Array.from(this.rules.values()) });
   }
 
+  /**
+   * Re-read the rules directory and emit "rules:changed" with what moved.
+   * @returns {{ added: string[], removed: string[], updated: string[] }}
+   */
+  reload() {
+    const old = new Map(Array.from(this.rules, ([id, rule]) => [id, JSON.stringify(rule)]));
+    this.rules.clear();
+    this.load();
+
+    const added = [...this.rules.keys()].filter((id) => !old.has(id));
+    const removed = [...old.keys()].filter((id) => !this.rules.has(id));
+    const updated = [...this.rules.keys()].filter(
+      (id) => old.has(id) && old.get(id) !== JSON.stringify(this.rules.get(id))
+    );
+
+    const diff = { added, removed, updated };
+    this.emit("rules:changed", diff);
+    return diff;
+  }
+
   // ---------------------------------------------------------------------------
   // Hot-reload: watch for file changes
   // ---------------------------------------------------------------------------
 
   watch() {
-    if (!fs.existsSync(RULES_DIR)) return;
+    if (!fs.existsSync(this.dir)) return;
 
     try {
-      this._watcher = fs.watch(RULES_DIR, { persistent: false }, (eventType, filename) => {
+      this._watcher = fs.watch(this.dir, { persistent: false }, (eventType, filename) => {
         if (!filename?.endsWith(".json")) return;
 
         console.log(`  🔄 [RuleLoader] Rules changed — reloading...`);
-        const oldIds = new Set(this.rules.keys());
-        this.rules.clear();
-        this.load();
-        const newIds = new Set(this.rules.keys());
-
-        const added = [...newIds].filter((id) => !oldIds.has(id));
-        const removed = [...oldIds].filter((id) => !newIds.has(id));
-
-        this.emit("rules:changed", { added, removed });
+        this.reload();
       });
     } catch {
       // fs.watch not available on all platforms — graceful degradation
@@ -162,7 +389,7 @@ class RuleLoader extends EventEmitter {
   /** Extract unique contracts that rules care about (for selective indexing). */
   getWatchedContracts() {
     const contracts = new Set();
-    for (const rule of this.rules.values()) {
+    for (const rule of expandSequenceRules(this.getAll())) {
       if (rule.contracts) {
         for (const addr of rule.contracts) {
           contracts.add(addr.toLowerCase());
@@ -175,7 +402,7 @@ class RuleLoader extends EventEmitter {
   /** Extract unique event types that rules care about. */
   getWatchedEventTypes() {
     const types = new Set();
-    for (const rule of this.rules.values()) {
+    for (const rule of expandSequenceRules(this.getAll())) {
       if (rule.event_type) types.add(rule.event_type);
     }
     return Array.from(types);
@@ -193,4 +420,6 @@ class RuleLoader extends EventEmitter {
   }
 }
 
+RuleLoader.expandSequenceRules = expandSequenceRules;
+
 module.exports = RuleLoader;
@@ -0,0 +1,184 @@
+/**
+ * Genesis — Rule Store
+ *
+ * Create / update / delete rule files in the rules/ directory — the write
+ * side of RuleLoader. Every rule is checked with the same validation
+ * RuleLoader applies at load time, and files are replaced atomically
+ * (write to a temp file, then rename), so a monitor hot-reloading the
+ * directory never reads half a rule.
+ *
+ * Unlike RuleLoader, the store also sees disabled rules.
+ *
+ * Errors carry a `code`: "INVALID" (with `errors: string[]`), "NOT_FOUND"
+ * or "CONFLICT".
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const RuleLoader = require("./rule-loader");
+
+class RuleStore {
+  /**
+   * @param {string} dir — rules directory (use ruleLoader.dir)
+   */
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Read
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Every parseable rule file, enabled or not.
+   * @returns {{ rule: object, file: string }[]}
+   */
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+
+    const entries = [];
+    for (const file of fs.readdirSync(this.dir).filter((f) => f.endsWith(".json")).sort()) {
+      try {
+        const rule = JSON.parse(fs.readFileSync(path.join(this.dir, file), "utf-8"));
+        if (rule?.rule_id) entries.push({ rule, file });
+      } catch {
+        // Unparseable files are reported by RuleLoader; nothing to manage here
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * @param {string} ruleId
+   * @returns {{ rule: object, file: string }|null}
+   */
+  get(ruleId) {
+    return this.list().find((entry) => entry.rule.rule_id === ruleId) || null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Write
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Add a new rule file.
+   * @param {object} rule
+   * @returns {{ rule: object, file: string }}
+   */
+  create(rule) {
+    _assertValid(rule);
+    if (this.get(rule.rule_id)) {
+      throw _error("CONFLICT", `Rule "${rule.rule_id}" already exists`);
+    }
+
+    const file = this._fileNameFor(rule.rule_id);
+    this._write(file, rule);
+    return { rule, file };
+  }
+
+  /**
+   * Replace a rule (the whole document). The rule_id cannot change.
+   * @param {string} ruleId
+   * @param {object} rule
+   * @returns {{ rule: object, file: string, previous: object }}
+   */
+  update(ruleId, rule) {
+    const existing = this._require(ruleId);
+    _assertObject(rule);
+    const next = { rule_id: ruleId, ...rule };
+    if (next.rule_id !== ruleId) {
+      throw _error("INVALID", "rule_id cannot be changed", [`rule_id must stay "${ruleId}"`]);
+    }
+    _assertValid(next);
+
+    this._write(existing.file, next);
+    return { rule: next, file: existing.file, previous: existing.rule };
+  }
+
+  /**
+   * Turn a rule on or off without touching anything else.
+   * @param {string} ruleId
+   * @param {boolean} enabled
+   */
+  setEnabled(ruleId, enabled) {
+    const existing = this._require(ruleId);
+    return this.update(ruleId, { ...existing.rule, enabled });
+  }
+
+  /**
+   * Delete a rule file.
+   * @param {string} ruleId
+   * @returns {{ rule: object, file: string }} what was removed
+   */
+  remove(ruleId) {
+    const existing = this._require(ruleId);
+    fs.unlinkSync(path.join(this.dir, existing.file));
+    return existing;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internal
+  // ---------------------------------------------------------------------------
+
+  _require(ruleId) {
+    const existing = this.get(ruleId);
+    if (!existing) throw _error("NOT_FOUND", `Rule "${ruleId}" not found`);
+    return existing;
+  }
+
+  /** whale_usdt_transfer → whale-usdt-transfer.json (suffixed if taken) */
+  _fileNameFor(ruleId) {
+    const base = String(ruleId).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "rule";
+    let file = `${base}.json`;
+    for (let n = 2; fs.existsSync(path.join(this.dir, file)); n++) {
+      file = `${base}-${n}.json`;
+    }
+    return file;
+  }
+
+  /**
+   * Write via a temp file + rename. The temp name does not end in .json, so
+   * the RuleLoader watcher ignores it; rename is atomic on the same volume.
+   */
+  _write(file, rule) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const target = path.join(this.dir, file);
+    const tmp = path.join(this.dir, `.${file}.${process.pid}.tmp`);
+
+    try {
+      fs.writeFileSync(tmp, JSON.stringify(rule, null, 2) + "\n");
+      fs.renameSync(tmp, target);
+    } catch (err) {
+      fs.rmSync(tmp, { force: true });
+      throw err;
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function _assertObject(rule) {
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+    throw _error("INVALID", "Rule must be a JSON object", ["Rule must be a JSON object"]);
+  }
+}
+
+function _assertValid(rule) {
+  _assertObject(rule);
+  const errors = RuleLoader.validate(rule);
+  if (errors.length > 0) {
+    throw _error("INVALID", `Invalid rule: ${errors.join("; ")}`, errors);
+  }
+}
+
+function _error(code, message, errors) {
+  const err = new Error(message);
+  err.code = code;
+  if (errors) err.errors = errors;
+  return err;
+}
+
+module.exports = RuleStore;
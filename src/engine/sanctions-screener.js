@@ -0,0 +1,261 @@
+/**
+ * Genesis — Sanctions Screener
+ *
+ * Screens every decoded event against a local blocklist (OFAC SDN-style) on
+ * `args.from`, `args.to` and the emitting contract. A hit is a critical alert
+ * whether or not any rule matches: screenBatch() returns matches for the
+ * built-in SCREENING_RULE, which the Aggregator emits instantly like any
+ * other critical rule.
+ *
+ * Every hit carries the list version it was screened against, so a stored
+ * alert can be traced back to the exact list in force at the time:
+ *   - `version` — declared in the file, or "sha256:<first 12 hex>" of its contents
+ *   - `checksum` — sha256 of the file contents, always
+ *
+ * List file (SANCTIONS_LIST_PATH, re-read when it changes):
+ *   JSON  { "version": "2025-06-30", "source": "OFAC SDN",
+ *           "addresses": ["0x…", { "address": "0x…", "name": "Lazarus Group", "program": "DPRK3" }] }
+ *         or a bare array of the same entries
+ *   Text  one address per line, optionally ",name,program"; "# version: …" and
+ *         "# source: …" comment lines set the metadata
+ *
+ * Emits:
+ *   "list:loaded" — { version, checksum, source, count }
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+const EventEmitter = require("events");
+
+const ADDRESS_RE = /^0x[0-9a-fA-F]{40}$/;
+const WATCH_INTERVAL_MS = 5_000;
+
+/** Built-in rule every screening hit is reported under */
+const SCREENING_RULE = Object.freeze({
+  rule_id: "sanctions_screening",
+  name: "🚫 Sanctioned Address",
+  description: "Event sent from, sent to or emitted by an address on the sanctions list",
+  chain: "*",
+  event_type: "*",
+  severity: "critical",
+  enabled: true,
+});
+
+class SanctionsScreener extends EventEmitter {
+  /**
+   * @param {object} [opts]
+   * @param {string|null} [opts.listPath] — list file; null or missing = screening off
+   * @param {boolean} [opts.enabled] — false turns screening off entirely
+   */
+  constructor({ listPath = null, enabled = true } = {}) {
+    super();
+    this.listPath = listPath;
+    this.enabled = enabled !== false;
+
+    /** @type {Map<string, { name: string|null, program: string|null }>} lowercase address → entry */
+    this.addresses = new Map();
+    this.version = null;
+    this.checksum = null;
+    this.source = null;
+
+    this.stats = { screened: 0, hits: 0 };
+    this._watching = false;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Loading
+  // ---------------------------------------------------------------------------
+
+  /**
+   * (Re)load the list file. A list that fails to parse leaves the previous
+   * one in force.
+   * @returns {number} addresses on the list
+   */
+  load() {
+    if (!this.enabled || !this.listPath) return 0;
+
+    if (!fs.existsSync(this.listPath)) {
+      if (this.version === null) {
+        console.log(`  🚫 [Sanctions] No list at ${this.listPath} — screening off until it exists`);
+      }
+      return this.addresses.size;
+    }
+
+    try {
+      const text = fs.readFileSync(this.listPath, "utf-8");
+      const format = /\.json$/i.test(this.listPath) ? "json" : "text";
+      this.set(SanctionsScreener.parse(text, format), text);
+    } catch (err) {
+      console.error(`  💥 [Sanctions] Could not load ${this.listPath}: ${err.message}` +
+        (this.version ? ` — keeping list ${this.version}` : ""));
+    }
+    return this.addresses.size;
+  }
+
+  /**
+   * Replace the list in memory (load(), tests)
+   * @param {{ version?: string, source?: string, entries: object[] }} list
+   * @param {string} [text] — raw file contents for the checksum
+   */
+  set(list, text = JSON.stringify(list)) {
+    this.checksum = crypto.createHash("sha256").update(text).digest("hex");
+    this.version = list.version || `sha256:${this.checksum.slice(0, 12)}`;
+    this.source = list.source || null;
+    this.addresses = new Map(
+      list.entries.map((e) => [e.address.toLowerCase(), { name: e.name || null, program: e.program || null }])
+    );
+
+    console.log(`  🚫 [Sanctions] Screening against ${this.addresses.size} address(es) — list ${this.version}${this.source ? ` (${this.source})` : ""}`);
+    this.emit("list:loaded", { version: this.version, checksum: this.checksum, source: this.source, count: this.addresses.size });
+  }
+
+  /** Reload whenever the list file changes (or appears) */
+  watch() {
+    if (this._watching || !this.enabled || !this.listPath) return;
+    this._watching = true;
+    fs.watchFile(this.listPath, { persistent: false, interval: WATCH_INTERVAL_MS }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+      console.log(`  🔄 [Sanctions] List file changed — reloading...`);
+      this.load();
+    });
+  }
+
+  stop() {
+    if (!this._watching) return;
+    fs.unwatchFile(this.listPath);
+    this._watching = false;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Screening
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @param {string} address
+   * @returns {boolean}
+   */
+  isListed(address) {
+    return typeof address === "string" && this.addresses.has(address.toLowerCase());
+  }
+
+  /**
+   * Listed addresses an event touches
+   * @param {object} event — GenesisEvent
+   * @returns {{ address: string, role: "from"|"to"|"contract", name: string|null, program: string|null }[]}
+   */
+  screen(event) {
+    if (this.addresses.size === 0) return [];
+
+    const hits = [];
+    for (const [role, value] of [["from", event.args?.from], ["to", event.args?.to], ["contract", event.contract]]) {
+      if (typeof value !== "string") continue;
+      const address = value.toLowerCase();
+      const entry = this.addresses.get(address);
+      if (entry) hits.push({ address, role, ...entry });
+    }
+    return hits;
+  }
+
+  /**
+   * Screen a batch of events
+   * @param {object[]} events
+   * @returns {{ rule: object, event: object, screening: object }[]} one match per event with hits
+   */
+  screenBatch(events) {
+    if (this.addresses.size === 0) return [];
+
+    const matches = [];
+    for (const event of events) {
+      this.stats.screened++;
+      const hits = this.screen(event);
+      if (hits.length === 0) continue;
+
+      this.stats.hits++;
+      matches.push({
+        rule: SCREENING_RULE,
+        event,
+        screening: {
+          list_version: this.version,
+          list_checksum: this.checksum,
+          list_source: this.source,
+          hits,
+        },
+      });
+    }
+    return matches;
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled && this.addresses.size > 0,
+      version: this.version,
+      source: this.source,
+      addresses: this.addresses.size,
+      ...this.stats,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Parsing
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Parse a list file. Throws on an invalid address (with every problem in
+   * `err.errors`) so a broken update never silently shrinks the list.
+   * @param {string} text
+   * @param {"json"|"text"} format
+   * @returns {{ version: string|null, source: string|null, entries: { address: string, name?: string, program?: string }[] }}
+   */
+  static parse(text, format) {
+    const list = format === "json" ? _parseJson(text) : _parseText(text);
+
+    const errors = [];
+    list.entries.forEach((entry, i) => {
+      if (typeof entry.address !== "string" || !ADDRESS_RE.test(entry.address)) {
+        errors.push(`entry ${i + 1}: invalid address ${JSON.stringify(entry.address)}`);
+      }
+    });
+    if (errors.length > 0) {
+      const err = new Error(`Invalid sanctions list: ${errors.slice(0, 5).join("; ")}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ""}`);
+      err.code = "INVALID";
+      err.errors = errors;
+      throw err;
+    }
+    return list;
+  }
+}
+
+function _parseJson(text) {
+  const data = JSON.parse(text);
+  const items = Array.isArray(data) ? data : data?.addresses;
+  if (!Array.isArray(items)) throw new Error('Expected an array or { "addresses": [...] }');
+
+  return {
+    version: Array.isArray(data) ? null : data.version != null ? String(data.version) : null,
+    source: Array.isArray(data) ? null : data.source || null,
+    entries: items.map((item) => (typeof item === "string" ? { address: item.trim() } : { ...item })),
+  };
+}
+
+function _parseText(text) {
+  const list = { version: null, source: null, entries: [] };
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (line === "") continue;
+    if (line.startsWith("#")) {
+      const meta = line.match(/^#\s*(version|source)\s*:\s*(.+)$/i);
+      if (meta) list[meta[1].toLowerCase()] = meta[2].trim();
+      continue;
+    }
+
+    const [address, name, program] = line.split(",").map((cell) => cell.trim());
+    if (address.toLowerCase() === "address") continue; // CSV header
+    list.entries.push({ address, ...(name && { name }), ...(program && { program }) });
+  }
+  return list;
+}
+
+SanctionsScreener.SCREENING_RULE = SCREENING_RULE;
+
+module.exports = SanctionsScreener;
@@ -0,0 +1,283 @@
+/**
+ * Genesis — Sequence Matcher
+ *
+ * Stateful matcher for sequence rules: "event A, then event B by the same
+ * address within N blocks / seconds, optionally without event C".
+ *
+ *   {
+ *     "rule_id": "flash_swap_drain",
+ *     "type": "sequence",
+ *     "sequence": {
+ *       "correlate_by": "from",
+ *       "within_blocks": 3,
+ *       "steps": [
+ *         { "event_type": "AAVE_FLASHLOAN", "correlate_by": "target" },
+ *         { "event_type": "UNISWAP_SWAP", "correlate_by": "recipient" },
+ *         { "event_type": "ERC20_TRANSFER", "correlate_by": "to" }
+ *       ],
+ *       "absent": [{ "event_type": "AAVE_SUPPLY", "correlate_by": "onBehalfOf" }]
+ *     }
+ *   }
+ *
+ * Each step is a rule-shaped filter (event_type, contracts, conditions,
+ * finality) checked by RuleEvaluator.matches(); chain and finality default to
+ * the rule's. The step's correlate_by field (default sequence.correlate_by)
+ * gives the correlation key. Partial matches are kept per (rule, key) and
+ * advance when the key's next step arrives later in the chain. A sequence
+ * must complete within within_blocks and/or within_sec of its first event;
+ * an `absent` event for the same key cancels the key's partial matches.
+ * A completed sequence consumes the key's partial matches.
+ *
+ * A completed sequence is a match like RuleEvaluator's:
+ *   { rule, event (last step), events (every step), sequence: { key, steps } }
+ */
+
+const { resolveField } = require("./conditions");
+
+/** Partial matches kept per (rule, key); the oldest is dropped beyond this */
+const MAX_PARTIALS_PER_KEY = 16;
+
+class SequenceMatcher {
+  /**
+   * @param {import('./rule-loader')} ruleLoader
+   * @param {import('./rule-evaluator')} ruleEvaluator — step matching
+   */
+  constructor(ruleLoader, ruleEvaluator) {
+    this.ruleLoader = ruleLoader;
+    this.ruleEvaluator = ruleEvaluator;
+
+    /**
+     * Partial matches.
+     * Key: `${rule_id}::${correlation value}`
+     * Value: [{ rule, key, next, events[], firstBlock, firstTs }] — oldest first
+     * @type {Map<string, object[]>}
+     */
+    this.partials = new Map();
+
+    /**
+     * Normalized steps, keyed by the rule's sequence block
+     * @type {WeakMap<object, { steps: object[], absent: object[] }>}
+     */
+    this._compiled = new WeakMap();
+
+    this.stats = { started: 0, completed: 0, expired: 0, cancelled: 0 };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Main entry
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Feed one event (in chain order) to every sequence rule.
+   * @param {object} event
+   * @returns {{ rule: object, event: object, events: object[], sequence: object }[]} completed sequences
+   */
+  process(event) {
+    const matches = [];
+
+    for (const rule of this.ruleLoader.getAll()) {
+      if (rule.type !== "sequence") continue;
+      const match = this._processRule(rule, event);
+      if (match) matches.push(match);
+    }
+
+    return matches;
+  }
+
+  /**
+   * Feed a batch of events, in order.
+   * @param {object[]} events
+   */
+  processBatch(events) {
+    const matches = [];
+    for (const event of events) {
+      matches.push(...this.process(event));
+    }
+    return matches;
+  }
+
+  /**
+   * Drop partial matches that can no longer complete. Called per block.
+   * @param {number} blockNumber
+   * @param {number} timestamp — block timestamp (unix seconds)
+   */
+  advance(blockNumber, timestamp) {
+    for (const [id, bucket] of this.partials) {
+      const alive = bucket.filter((p) => !this._isExpired(p, blockNumber, timestamp));
+      this.stats.expired += bucket.length - alive.length;
+      if (alive.length === 0) this.partials.delete(id);
+      else if (alive.length !== bucket.length) this.partials.set(id, alive);
+    }
+  }
+
+  /**
+   * Forget partial matches that include blocks from `fromBlock` on (reorg).
+   * @param {number} fromBlock
+   */
+  rollback(fromBlock) {
+    let dropped = 0;
+    for (const [id, bucket] of this.partials) {
+      const kept = bucket.filter((p) => p.events.every((e) => e.blockNumber < fromBlock));
+      dropped += bucket.length - kept.length;
+      if (kept.length === 0) this.partials.delete(id);
+      else this.partials.set(id, kept);
+    }
+    if (dropped > 0) {
+      console.log(`  ↩️  [SequenceMatcher] Dropped ${dropped} partial match(es) from block ${fromBlock} on`);
+    }
+  }
+
+  /**
+   * Forget the partial matches of rules that were removed or changed.
+   * @param {string[]} ruleIds
+   */
+  forget(ruleIds) {
+    const ids = new Set(ruleIds);
+    for (const [id, bucket] of this.partials) {
+      if (ids.has(bucket[0].rule.rule_id)) this.partials.delete(id);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Matching
+  // ---------------------------------------------------------------------------
+
+  _processRule(rule, event) {
+    const { steps, absent } = this._compile(rule);
+
+    // 1. An absent event cancels its key's partial matches
+    for (const step of absent) {
+      const key = this._keyFor(step, event);
+      if (key === null) continue;
+      const id = `${rule.rule_id}::${key}`;
+      const bucket = this.partials.get(id);
+      if (bucket) {
+        this.stats.cancelled += bucket.length;
+        this.partials.delete(id);
+      }
+    }
+
+    // 2. Advance partial matches waiting for a step this event satisfies.
+    //    Last step first, so one event never advances a partial twice.
+    let completed = null;
+    for (let i = steps.length - 1; i >= 1 && !completed; i--) {
+      const key = this._keyFor(steps[i], event);
+      if (key === null) continue;
+
+      const id = `${rule.rule_id}::${key}`;
+      for (const partial of this.partials.get(id) || []) {
+        if (partial.next !== i) continue;
+        if (this._isExpired(partial, event.blockNumber, event.timestamp)) continue;
+        if (!_isAfter(event, partial.events[partial.events.length - 1])) continue;
+
+        partial.events.push(event);
+        partial.next++;
+
+        if (partial.next === steps.length) {
+          completed = partial;
+          break; // oldest partial wins
+        }
+      }
+    }
+
+    if (completed) {
+      this.partials.delete(`${rule.rule_id}::${completed.key}`);
+      this.stats.completed++;
+      return {
+        rule,
+        event,
+        events: completed.events,
+        sequence: {
+          key: completed.key,
+          steps: completed.events.length,
+          first_block: completed.firstBlock,
+          last_block: event.blockNumber,
+        },
+      };
+    }
+
+    // 3. Start a new partial match
+    const key = this._keyFor(steps[0], event);
+    if (key !== null) {
+      const id = `${rule.rule_id}::${key}`;
+      const bucket = this.partials.get(id) || [];
+      bucket.push({
+        rule, key, next: 1, events: [event],
+        firstBlock: event.blockNumber, firstTs: Number(event.timestamp) || 0,
+      });
+      if (bucket.length > MAX_PARTIALS_PER_KEY) bucket.shift();
+      this.partials.set(id, bucket);
+      this.stats.started++;
+    }
+
+    return null;
+  }
+
+  /**
+   * Correlation key of an event for a step, or null when the event does not
+   * satisfy the step (or lacks the correlation field).
+   */
+  _keyFor(step, event) {
+    if (!this.ruleEvaluator.matches(event, step)) return null;
+    const value = resolveField(event, step.correlate_by);
+    return value == null ? null : String(value).toLowerCase();
+  }
+
+  _isExpired(partial, blockNumber, timestamp) {
+    const seq = partial.rule.sequence;
+    if (seq.within_blocks != null && blockNumber - partial.firstBlock > seq.within_blocks) return true;
+    if (seq.within_sec != null && Number(timestamp) - partial.firstTs > seq.within_sec) return true;
+    return false;
+  }
+
+  /** Steps with the rule's chain, finality and correlate_by filled in. */
+  _compile(rule) {
+    const seq = rule.sequence;
+    let compiled = this._compiled.get(seq);
+    if (!compiled) {
+      const normalize = (step) => ({
+        ...step,
+        chain: step.chain || rule.chain,
+        finality: step.finality || rule.finality,
+        correlate_by: step.correlate_by || seq.correlate_by,
+      });
+      compiled = {
+        steps: seq.steps.map(normalize),
+        absent: _asList(seq.absent).map(normalize),
+      };
+      this._compiled.set(seq, compiled);
+    }
+    return compiled;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Stats & cleanup
+  // ---------------------------------------------------------------------------
+
+  getStats() {
+    let partials = 0;
+    for (const bucket of this.partials.values()) partials += bucket.length;
+    return { ...this.stats, keys: this.partials.size, partials };
+  }
+
+  destroy() {
+    this.partials.clear();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Strictly later in chain order (block, then log index) */
+function _isAfter(event, previous) {
+  if (event.blockNumber !== previous.blockNumber) return event.blockNumber > previous.blockNumber;
+  return (event.logIndex ?? 0) > (previous.logIndex ?? 0);
+}
+
+function _asList(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = SequenceMatcher;
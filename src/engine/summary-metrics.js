@@ -0,0 +1,301 @@
+/**
+ * Genesis — Aggregation Summary Metrics
+ *
+ * Computes the metrics listed in a rule's `aggregation.summary` over the
+ * events of a closed window. `summary` is either one of the classic names
+ * ("total_amount", "total_volume", "count") or a list mixing those names
+ * with metric objects:
+ *
+ *   { "metric": "sum", "field": "amount_usd" }              → sum_amount_usd
+ *   { "metric": "p95", "field": "amount_raw", "as": "big" } → big
+ *   { "metric": "distinct", "field": "to" }                 → distinct_to
+ *   { "metric": "top", "field": "to", "by": "amount_usd", "n": 3 }
+ *                                                           → top_to
+ *   { "metric": "net_flow", "by": "amount_usd" }            → net_flow
+ *
+ *   sum, avg, min, max   over a numeric field
+ *   p50, p95, pNN        nearest-rank percentile of a numeric field
+ *   distinct             number of distinct values of any field
+ *   top                  the n values of `field` with the largest total of
+ *                        `by` (or the most events when `by` is omitted)
+ *   net_flow             per address: inflow (`to`) minus outflow (`from`)
+ *                        of `by`, the n largest by absolute net
+ *
+ * Fields resolve like rule conditions (amount_usd, amount_raw, any arg,
+ * contract, ...). Integer values stay BigInt and are reported as decimal
+ * strings, so raw 256-bit amounts add up exactly. Events without a value for
+ * the field are skipped.
+ */
+
+const { resolveField, toNumeric } = require("./conditions");
+
+const LEGACY_SUMMARIES = ["total_amount", "total_volume", "count"];
+const NUMERIC_METRICS = ["sum", "avg", "min", "max"];
+const PERCENTILE_RE = /^p([1-9]\d?)$/;
+const DEFAULT_TOP_N = 5;
+const MAX_TOP_N = 100;
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate an aggregation.summary value.
+ * @param {string|Array} summary
+ * @returns {string[]} problems found, each prefixed with its path
+ */
+function validateSummary(summary) {
+  if (typeof summary === "string") {
+    return LEGACY_SUMMARIES.includes(summary)
+      ? []
+      : [`aggregation.summary: unknown summary "${summary}". Must be one of: ${LEGACY_SUMMARIES.join(", ")} or a list of metrics`];
+  }
+  if (!Array.isArray(summary)) {
+    return [`aggregation.summary: expected a summary name or a list of metrics`];
+  }
+
+  const errors = [];
+  const names = new Set();
+
+  summary.forEach((spec, i) => {
+    const path = `aggregation.summary[${i}]`;
+
+    if (typeof spec === "string") {
+      if (!LEGACY_SUMMARIES.includes(spec)) errors.push(`${path}: unknown summary "${spec}"`);
+      return;
+    }
+    if (spec === null || typeof spec !== "object" || Array.isArray(spec)) {
+      errors.push(`${path}: expected a summary name or a metric object`);
+      return;
+    }
+
+    const { metric } = spec;
+    const known = NUMERIC_METRICS.includes(metric) || PERCENTILE_RE.test(metric) ||
+      ["distinct", "top", "net_flow"].includes(metric);
+    if (!known) {
+      errors.push(`${path}.metric: unknown metric "${metric}". Use sum, avg, min, max, p50, p95, pNN, distinct, top or net_flow`);
+      return;
+    }
+
+    if (metric !== "net_flow" && !_isFieldName(spec.field)) {
+      errors.push(`${path}.field: required for "${metric}"`);
+    }
+    for (const key of ["by", "from", "to"]) {
+      if (spec[key] != null && !_isFieldName(spec[key])) errors.push(`${path}.${key}: expected a field name`);
+    }
+    if (spec.n != null && !(Number.isInteger(spec.n) && spec.n >= 1 && spec.n <= MAX_TOP_N)) {
+      errors.push(`${path}.n: must be an integer between 1 and ${MAX_TOP_N}`);
+    }
+    if (spec.as != null && !/^[A-Za-z_][\w]*$/.test(spec.as)) {
+      errors.push(`${path}.as: must be an identifier (letters, digits, _)`);
+    }
+
+    const name = metricName(spec);
+    if (names.has(name)) errors.push(`${path}: duplicate metric name "${name}" (set "as")`);
+    names.add(name);
+  });
+
+  return errors;
+}
+
+/**
+ * Classic summary names requested by a summary value.
+ * @param {string|Array} summary
+ * @returns {Set<string>}
+ */
+function legacySummaries(summary) {
+  const list = Array.isArray(summary) ? summary : [summary];
+  return new Set(list.filter((s) => typeof s === "string"));
+}
+
+/**
+ * Compute the metric objects of a summary over a window's events.
+ * @param {string|Array} summary
+ * @param {object[]} events — in block order
+ * @returns {object} metric name → value
+ */
+function computeMetrics(summary, events) {
+  const out = {};
+  if (!Array.isArray(summary)) return out;
+
+  for (const spec of summary) {
+    if (typeof spec !== "object" || spec === null) continue;
+
+    const { metric } = spec;
+    const name = metricName(spec);
+
+    if (metric === "distinct") {
+      out[name] = _distinct(events, spec.field);
+    } else if (metric === "top") {
+      out[name] = _top(events, spec);
+    } else if (metric === "net_flow") {
+      out[name] = _netFlow(events, spec);
+    } else {
+      out[name] = _numeric(metric, _values(events, spec.field));
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Output name of a metric: its `as`, else e.g. "p95_amount_usd", "top_to".
+ * @param {object} spec
+ */
+function metricName(spec) {
+  if (spec.as) return spec.as;
+  if (spec.metric === "net_flow") return "net_flow";
+  return `${spec.metric}_${String(spec.field).replace(/\W+/g, "_")}`;
+}
+
+// ---------------------------------------------------------------------------
+// Metrics
+// ---------------------------------------------------------------------------
+
+function _numeric(metric, values) {
+  if (values.length === 0) return null;
+
+  if (metric === "sum" || metric === "avg") {
+    const sum = values.reduce((a, b) => a + b);
+    if (metric === "sum") return _output(sum);
+    return _output(typeof sum === "bigint" ? sum / BigInt(values.length) : sum / values.length);
+  }
+
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  if (metric === "min") return _output(sorted[0]);
+  if (metric === "max") return _output(sorted[sorted.length - 1]);
+
+  // Nearest-rank percentile: always one of the observed values
+  const p = Number(PERCENTILE_RE.exec(metric)[1]);
+  return _output(sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)]);
+}
+
+function _distinct(events, field) {
+  const seen = new Set();
+  for (const event of events) {
+    const value = resolveField(event, field);
+    if (value != null) seen.add(String(value).toLowerCase());
+  }
+  return seen.size;
+}
+
+/** [{ value, count, total? }] — largest total (or count) first */
+function _top(events, spec) {
+  const groups = new Map();
+
+  for (const event of events) {
+    const key = resolveField(event, spec.field);
+    if (key == null) continue;
+
+    const id = String(key).toLowerCase();
+    const group = groups.get(id) || { value: String(key), count: 0, amounts: [] };
+    group.count++;
+    if (spec.by) {
+      const amount = toNumeric(resolveField(event, spec.by));
+      if (amount !== null) group.amounts.push(amount);
+    }
+    groups.set(id, group);
+  }
+
+  const rows = Array.from(groups.entries(), ([id, g]) => ({
+    id,
+    value: g.value,
+    count: g.count,
+    total: spec.by ? _sum(g.amounts) : null,
+  }));
+
+  rows.sort((a, b) =>
+    (spec.by ? _compareDesc(a.total, b.total) : b.count - a.count) ||
+    (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+  );
+
+  return rows.slice(0, spec.n || DEFAULT_TOP_N).map(({ value, count, total }) =>
+    spec.by ? { value, count, total: _output(total) } : { value, count }
+  );
+}
+
+/** [{ address, inflow, outflow, net }] — largest absolute net first */
+function _netFlow(events, spec) {
+  const by = spec.by || "amount_usd";
+  const flows = new Map();
+  const entry = (address) => {
+    const id = String(address).toLowerCase();
+    if (!flows.has(id)) flows.set(id, { address: String(address), inflow: [], outflow: [] });
+    return flows.get(id);
+  };
+
+  for (const event of events) {
+    const amount = toNumeric(resolveField(event, by));
+    if (amount === null) continue;
+
+    const from = resolveField(event, spec.from || "from");
+    const to = resolveField(event, spec.to || "to");
+    if (from != null) entry(from).outflow.push(amount);
+    if (to != null) entry(to).inflow.push(amount);
+  }
+
+  const rows = Array.from(flows.entries(), ([id, f]) => {
+    const inflow = _sum(f.inflow);
+    const outflow = _sum(f.outflow);
+    const [a, b] = _unify([inflow, outflow]);
+    return { id, address: f.address, inflow: a, outflow: b, net: a - b };
+  });
+
+  rows.sort((x, y) =>
+    _compareDesc(_abs(x.net), _abs(y.net)) ||
+    (x.id < y.id ? -1 : x.id > y.id ? 1 : 0)
+  );
+
+  return rows.slice(0, spec.n || DEFAULT_TOP_N).map(({ address, inflow, outflow, net }) => ({
+    address,
+    inflow: _output(inflow),
+    outflow: _output(outflow),
+    net: _output(net),
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Value helpers
+// ---------------------------------------------------------------------------
+
+/** Numeric values of a field, all BigInt or all Number */
+function _values(events, field) {
+  const values = [];
+  for (const event of events) {
+    const v = toNumeric(resolveField(event, field));
+    if (v !== null) values.push(v);
+  }
+  return _unify(values);
+}
+
+/** BigInt when every value is one, otherwise Number */
+function _unify(values) {
+  return values.every((v) => typeof v === "bigint") ? values : values.map(Number);
+}
+
+function _sum(values) {
+  const unified = _unify(values);
+  if (unified.length === 0) return 0n;
+  return unified.reduce((a, b) => a + b);
+}
+
+function _abs(v) {
+  return v < 0 ? -v : v;
+}
+
+function _compareDesc(a, b) {
+  const [x, y] = _unify([a, b]);
+  return x > y ? -1 : x < y ? 1 : 0;
+}
+
+/** BigInt → decimal string; Number → rounded to 6 decimals */
+function _output(v) {
+  if (typeof v === "bigint") return v.toString();
+  return Number(v.toFixed(6));
+}
+
+function _isFieldName(v) {
+  return typeof v === "string" && v.length > 0;
+}
+
+module.exports = { validateSummary, legacySummaries, computeMetrics, metricName };
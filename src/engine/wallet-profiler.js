@@ -50,6 +50,10 @@ class WalletProfiler extends EventEmitter {
       // Large movement relative to wallet's average
       large_movement_multiplier: 3,
     };
+
+    /** Changed since the last exportState() */
+    this._dirtyProfiles = new Set();
+    this._newPatterns = [];
   }
 
   // ─────────────────────────────────────────────────────────────────────────
@@ -120,6 +124,7 @@ class WalletProfiler extends EventEmitter {
     // ── Recalculate risk score ──
     this._updateRiskScore(profile);
 
+    this._dirtyProfiles.add(addr);
     return profile;
   }
 
@@ -297,10 +302,54 @@ class WalletProfiler extends EventEmitter {
       this.detectedPatterns = this.detectedPatterns.slice(-100);
     }
 
+    this._newPatterns.push(pattern);
+    if (this._newPatterns.length > this.maxPatterns) {
+      this._newPatterns = this._newPatterns.slice(-this.maxPatterns);
+    }
+
     // Emit for real-time consumption
     this.emit("pattern", pattern);
   }
 
+  // ─────────────────────────────────────────────────────────────────────────
+  //  Persistence
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Profiles changed and patterns detected since the last export, as JSON-safe
+   * objects (Sets become arrays).
+   * @param {{ full?: boolean }} [opts] — full: every profile and pattern
+   * @returns {{ profiles: object[], patterns: object[] }}
+   */
+  exportState({ full = false } = {}) {
+    const addresses = full ? [...this.profiles.keys()] : [...this._dirtyProfiles];
+    const profiles = addresses
+      .map((addr) => this.profiles.get(addr))
+      .filter(Boolean)
+      .map(serializeProfile);
+    const patterns = full ? [...this.detectedPatterns] : this._newPatterns;
+
+    this._dirtyProfiles.clear();
+    this._newPatterns = [];
+    return { profiles, patterns };
+  }
+
+  /**
+   * Restore profiles and patterns saved by exportState().
+   * @param {{ profiles?: object[], patterns?: object[] }} state
+   * @returns {{ profiles: number, patterns: number }} restored counts
+   */
+  importState({ profiles = [], patterns = [] }) {
+    for (const stored of profiles) {
+      if (!stored?.address) continue;
+      const profile = deserializeProfile(stored);
+      this.profiles.set(profile.address, profile);
+    }
+
+    this.detectedPatterns = [...this.detectedPatterns, ...patterns].slice(-this.maxPatterns);
+    return { profiles: profiles.length, patterns: patterns.length };
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   //  Query API
   // ─────────────────────────────────────────────────────────────────────────
@@ -387,6 +436,24 @@ function createEmptyProfile(address) {
   };
 }
 
+function serializeProfile(profile) {
+  return {
+    ...profile,
+    contractsTouched: [...profile.contractsTouched],
+    _flaggedCorrelations: [...(profile._flaggedCorrelations || [])],
+  };
+}
+
+function deserializeProfile(stored) {
+  return {
+    ...createEmptyProfile(stored.address.toLowerCase()),
+    ...stored,
+    address: stored.address.toLowerCase(),
+    contractsTouched: new Set(stored.contractsTouched || []),
+    _flaggedCorrelations: new Set(stored._flaggedCorrelations || []),
+  };
+}
+
 function getRiskLevel(score) {
   if (score <= 25) return "normal";
   if (score <= 50) return "elevated";
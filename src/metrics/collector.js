@@ -11,9 +11,13 @@ class MetricsCollector {
       // RPC Metrics
       rpc: {
         calls_made: 0,
-        calls_saved: 0, // Estimated calls we DIDN'T make due to selective indexing
         calls_failed: 0,
         total_latency_ms: 0,
+        get_logs_calls: 0,
+        logs_fetched: 0,
+        bytes_fetched: 0, // approximate JSON-RPC response size
+        // Head ranges fetched both filtered and unfiltered (LogFetcher sampling)
+        selectivity: { sampled_ranges: 0, baseline_logs: 0, baseline_bytes: 0, fetched_logs: 0, fetched_bytes: 0 },
       },
       
       // Event Processing
@@ -55,6 +59,9 @@ class MetricsCollector {
         by_token: {}, // { "0xdac...ec7": 5, ... }
       },
       
+      // Per-chain health (ChainRunner.getHealth snapshots)
+      chains: {}, // { "ethereum": { status, headBlock, lagBlocks, ... } }
+
       // Timestamps
       started_at: Date.now(),
       last_updated: Date.now(),
@@ -72,9 +79,21 @@ class MetricsCollector {
     this._update();
   }
 
-  recordRPCSaved(count = 1) {
-    // Called when selective indexing skips unnecessary calls
-    this.metrics.rpc.calls_saved += count;
+  recordGetLogs({ calls = 1, logs = 0, bytes = 0 } = {}) {
+    this.metrics.rpc.get_logs_calls += calls;
+    this.metrics.rpc.logs_fetched += logs;
+    this.metrics.rpc.bytes_fetched += bytes;
+    this._update();
+  }
+
+  recordSelectivitySample({ baselineLogs, baselineBytes, logs, bytes }) {
+    // Same range fetched without filters: what selective indexing did not download
+    const s = this.metrics.rpc.selectivity;
+    s.sampled_ranges++;
+    s.baseline_logs += baselineLogs;
+    s.baseline_bytes += baselineBytes;
+    s.fetched_logs += logs;
+    s.fetched_bytes += bytes;
     this._update();
   }
 
@@ -137,6 +156,20 @@ class MetricsCollector {
     this._update();
   }
 
+  // -------------------------------------------------------------------------
+  // Chain Health
+  // -------------------------------------------------------------------------
+
+  recordChainHealth(chain, health) {
+    this.metrics.chains[chain] = health;
+    this._update();
+  }
+
+  removeChain(chain) {
+    delete this.metrics.chains[chain];
+    this._update();
+  }
+
   // -------------------------------------------------------------------------
   // Aggregation Metrics
   // -------------------------------------------------------------------------
@@ -180,14 +213,15 @@ class MetricsCollector {
 
   getComputedMetrics() {
     const uptime_sec = Math.floor((Date.now() - this.metrics.started_at) / 1000);
-    const total_rpc = this.metrics.rpc.calls_made + this.metrics.rpc.calls_saved;
-    const rpc_savings_percent = total_rpc > 0 ? ((this.metrics.rpc.calls_saved / total_rpc) * 100).toFixed(1) : 0;
-    
     // Cost calculations (assuming $0.0005 per RPC call)
     const cost_per_call = 0.0005;
     const cost_actual = this.metrics.rpc.calls_made * cost_per_call;
-    const cost_without_optimization = total_rpc * cost_per_call;
-    const cost_saved = cost_without_optimization - cost_actual;
+
+    // Selective indexing savings, measured on the sampled ranges
+    const sel = this.metrics.rpc.selectivity;
+    const saved_percent = (baseline, fetched) => baseline > 0
+      ? (Math.max(0, (baseline - fetched) / baseline) * 100).toFixed(1)
+      : null;
     
     // Alert noise reduction
     const noise_reduction_percent = this.metrics.events.total_decoded > 0
@@ -204,22 +238,28 @@ class MetricsCollector {
       uptime_formatted: this._formatUptime(uptime_sec),
       
       rpc: {
-        total_calls: total_rpc,
+        total_calls: this.metrics.rpc.calls_made,
         calls_made: this.metrics.rpc.calls_made,
-        calls_saved: this.metrics.rpc.calls_saved,
-        savings_percent: rpc_savings_percent,
         avg_latency_ms: avg_rpc_latency,
         success_rate: this.metrics.rpc.calls_made > 0
           ? (((this.metrics.rpc.calls_made - this.metrics.rpc.calls_failed) / this.metrics.rpc.calls_made) * 100).toFixed(1)
           : 100,
       },
       
+      selective_indexing: {
+        get_logs_calls: this.metrics.rpc.get_logs_calls,
+        logs_fetched: this.metrics.rpc.logs_fetched,
+        bytes_fetched: this.metrics.rpc.bytes_fetched,
+        sampled_ranges: sel.sampled_ranges,
+        logs_saved: Math.max(0, sel.baseline_logs - sel.fetched_logs),
+        bytes_saved: Math.max(0, sel.baseline_bytes - sel.fetched_bytes),
+        logs_saved_percent: saved_percent(sel.baseline_logs, sel.fetched_logs),
+        bytes_saved_percent: saved_percent(sel.baseline_bytes, sel.fetched_bytes),
+      },
+
       cost: {
         actual_usd: cost_actual.toFixed(2),
-        without_optimization_usd: cost_without_optimization.toFixed(2),
-        saved_usd: cost_saved.toFixed(2),
         projected_monthly_usd: (cost_actual * 30 * 24 * 60 * 60 / Math.max(uptime_sec, 1)).toFixed(2),
-        projected_monthly_saved_usd: (cost_saved * 30 * 24 * 60 * 60 / Math.max(uptime_sec, 1)).toFixed(2),
       },
       
       events: {
@@ -296,11 +336,16 @@ class MetricsCollector {
 
   reset() {
     this.metrics = {
-      rpc: { calls_made: 0, calls_saved: 0, calls_failed: 0, total_latency_ms: 0 },
+      rpc: {
+        calls_made: 0, calls_failed: 0, total_latency_ms: 0,
+        get_logs_calls: 0, logs_fetched: 0, bytes_fetched: 0,
+        selectivity: { sampled_ranges: 0, baseline_logs: 0, baseline_bytes: 0, fetched_logs: 0, fetched_bytes: 0 },
+      },
       events: { total_decoded: 0, matched_rules: 0, filtered_out: 0, by_type: {} },
       alerts: { total_sent: 0, by_severity: {}, by_channel: {}, failed: 0, retried: 0 },
       blocks: { processed: 0, first_block: null, latest_block: null, reorgs_detected: 0 },
       aggregation: { windows_created: 0, events_aggregated: 0, alerts_deduplicated: 0 },
+      chains: {},
       started_at: Date.now(),
       last_updated: Date.now(),
     };
@@ -2,6 +2,14 @@
  * Genesis — Metrics API Server
  * 
  * Serves real-time metrics dashboard at http://localhost:3000
+ *
+ * Chain control (multi-chain mode, see app.js):
+ *   GET    /api/chains        — health of every running chain
+ *   POST   /api/chains/:slug  — start following a chain   (localhost only)
+ *   DELETE /api/chains/:slug  — stop following a chain    (localhost only)
+ *
+ * Reads are open to any origin (CORS *). Chain control gets no CORS headers
+ * and refuses requests carrying a non-local Origin or Host.
  */
 
 const http = require('http');
@@ -13,17 +21,30 @@ class MetricsServer {
   constructor(port = 3000) {
     this.port = port;
     this.server = null;
+    this.chainControl = null;
+  }
+
+  /**
+   * Expose runtime chain management.
+   * @param {{ list: () => object[], add: (slug: string) => Promise<object>, remove: (slug: string) => Promise<void> }} control
+   */
+  setChainControl(control) {
+    this.chainControl = control;
   }
 
   start() {
     this.server = http.createServer((req, res) => {
-      // CORS headers
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+      // CORS for reads only: a page on any site may read metrics, none may
+      // start or stop chains (those answer preflights without CORS headers)
+      const method = req.method === 'OPTIONS' ? (req.headers['access-control-request-method'] || 'GET') : req.method;
+      if (method === 'GET' || method === 'HEAD') {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+      }
 
       if (req.method === 'OPTIONS') {
-        res.writeHead(200);
+        res.writeHead(204);
         res.end();
         return;
       }
@@ -35,6 +56,8 @@ class MetricsServer {
         this.serveMetrics(res);
       } else if (req.url === '/api/metrics/stream') {
         this.serveMetricsStream(req, res);
+      } else if (this.chainControl && req.url.startsWith('/api/chains')) {
+        this.serveChains(req, res);
       } else {
         res.writeHead(404, { 'Content-Type': 'text/plain' });
         res.end('Not Found');
@@ -71,6 +94,51 @@ class MetricsServer {
     res.end(JSON.stringify(metrics, null, 2));
   }
 
+  async serveChains(req, res) {
+    const match = req.url.match(/^\/api\/chains(?:\/([a-z0-9_-]+))?\/?$/i);
+    if (!match) {
+      return this.sendJSON(res, 404, { error: 'Not Found' });
+    }
+    const slug = match[1];
+
+    if (req.method === 'GET' && !slug) {
+      return this.sendJSON(res, 200, { chains: this.chainControl.list() });
+    }
+    if (!slug || (req.method !== 'POST' && req.method !== 'DELETE')) {
+      return this.sendJSON(res, 405, { error: 'Method Not Allowed' });
+    }
+
+    // Starting/stopping chains is an operator action — never from the network,
+    // nor from a web page the operator has open: a bodiless cross-origin POST
+    // needs no preflight, and a DNS-rebound page arrives under its own host name
+    if (!isLoopback(req.socket.remoteAddress) || !isLocalHost(req.headers.host)) {
+      return this.sendJSON(res, 403, { error: 'Chain control is only allowed from localhost' });
+    }
+    if (!isLocalOrigin(req.headers.origin) || req.headers['sec-fetch-site'] === 'cross-site') {
+      return this.sendJSON(res, 403, { error: 'Chain control is not allowed from other sites' });
+    }
+
+    try {
+      if (req.method === 'POST') {
+        const health = await this.chainControl.add(slug);
+        this.sendJSON(res, 201, { chain: health });
+      } else {
+        await this.chainControl.remove(slug);
+        this.sendJSON(res, 200, { removed: slug });
+      }
+    } catch (err) {
+      let status = 500;
+      if (/Unknown chain/.test(err.message)) status = 404;
+      else if (/already running|not running/.test(err.message)) status = 409;
+      this.sendJSON(res, status, { error: err.message });
+    }
+  }
+
+  sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+
   serveMetricsStream(req, res) {
     // Server-Sent Events for real-time updates
     res.writeHead(200, {
@@ -104,4 +172,25 @@ class MetricsServer {
   }
 }
 
+function isLoopback(address) {
+  return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+/** "localhost:3000" / "127.0.0.1" / "[::1]:3000" */
+function isLocalHost(host) {
+  if (!host) return false;
+  const name = host.startsWith('[') ? host.slice(0, host.indexOf(']') + 1) : host.split(':')[0];
+  return name === 'localhost' || name === '127.0.0.1' || name === '[::1]';
+}
+
+/** No Origin (curl, scripts) or a page served from this machine */
+function isLocalOrigin(origin) {
+  if (!origin) return true;
+  try {
+    return isLocalHost(new URL(origin).host);
+  } catch {
+    return false; // "null" (sandboxed frames, file://)
+  }
+}
+
 module.exports = MetricsServer;
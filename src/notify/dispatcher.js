@@ -1,6 +1,10 @@
 /**
  * Notification Dispatcher
  * Routes alerts to configured channels with retry logic and idempotency
+ *
+ * With a LabelRegistry, alerts get `labels` (address → name, category,
+ * tags, lists) for every known address they mention, so the templates can
+ * show "Binance 14" instead of raw hex.
  */
 
 const TelegramChannel = require('./channels/telegram');
@@ -9,8 +13,14 @@ const ConsoleChannel = require('./channels/console');
 const RetryEngine = require('./retry');
 
 class NotificationDispatcher {
-  constructor(config) {
+  /**
+   * @param {object} config
+   * @param {object} [opts]
+   * @param {import('../engine/label-registry')} [opts.labels]
+   */
+  constructor(config, opts = {}) {
     this.config = config;
+    this.labels = opts.labels || null;
     
     // Initialize channels
     this.channels = {
@@ -45,6 +55,11 @@ class NotificationDispatcher {
       console.log('⏭️  Alert already sent (idempotent), skipping:', idempotencyKey);
       return { success: true, cached: true };
     }
+
+    if (this.labels && !alert.labels) {
+      const labels = this.labels.labelsFor(alert);
+      if (Object.keys(labels).length > 0) alert = { ...alert, labels };
+    }
     
     const results = {
       alert_id: alert.id,
@@ -83,6 +98,29 @@ class NotificationDispatcher {
     return results;
   }
 
+  /**
+   * Tell every channel that a previously sent alert no longer holds because
+   * all of its events were reverted by a reorg
+   * @param {Object} alert - stored alert (AlertRepository row)
+   * @param {Object} reorg - { fromBlock, toBlock, depth }
+   */
+  async dispatchRetraction(alert, reorg) {
+    return this.dispatch({
+      id: `retraction:${alert.alertId}`,
+      alert_type: 'retraction',
+      retracted_alert_id: alert.alertId,
+      retracted_alert_type: alert.type,
+      rule_name: alert.rule.name,
+      severity: alert.rule.severity,
+      chain: alert.chain,
+      event_count: alert.eventIds.length,
+      from_block: alert.fromBlock,
+      to_block: alert.toBlock,
+      reorg: { from_block: reorg.fromBlock, to_block: reorg.toBlock, depth: reorg.depth },
+      message: `Retracted: all ${alert.eventIds.length} event(s) behind this alert were removed by a chain reorganization.`
+    });
+  }
+
   /**
    * Send alert to a specific channel with retry
    */
@@ -104,7 +142,10 @@ class NotificationDispatcher {
    * Generate idempotency key for alert
    */
   generateIdempotencyKey(alert) {
-    if (alert.alert_type === 'aggregated') {
+    if (alert.alert_type === 'retraction') {
+      // One retraction per original alert
+      return `retract:${alert.retracted_alert_id}`;
+    } else if (alert.alert_type === 'aggregated') {
       // For aggregated alerts: rule + from_block + to_block + event_count
       return `agg:${alert.rule_name}:${alert.from_block}:${alert.to_block}:${alert.event_count}`;
     } else {
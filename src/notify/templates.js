@@ -50,11 +50,22 @@ function getExplorerUrl(chain, type, hash) {
 }
 
 /**
- * Shorten address for display
+ * Shorten address for display — "Binance 14 (0x28c6...1d60)" when the
+ * alert's `labels` (see NotificationDispatcher) know it
  */
-function shortAddress(address) {
+function shortAddress(address, labels) {
   if (!address || address.length < 10) return address;
-  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+  const short = `${address.slice(0, 6)}...${address.slice(-4)}`;
+  const label = labels?.[String(address).toLowerCase()]?.label;
+  return label ? `${label} (${short})` : short;
+}
+
+/**
+ * " (Binance 14)" after a full address, when labelled
+ */
+function labelSuffix(address, labels) {
+  const label = address && labels?.[String(address).toLowerCase()]?.label;
+  return label ? ` (${label})` : '';
 }
 
 /**
@@ -84,17 +95,101 @@ function getSeverityEmoji(severity) {
   return emojis[severity] || 'ℹ️';
 }
 
+/**
+ * "+7 similar suppressed" — alerts the noise filter held back since the last one
+ */
+function formatSuppressed(count) {
+  return `+${formatNumber(count)} similar suppressed`;
+}
+
+/**
+ * One line per aggregation metric: "p95_amount_usd: 12,500", "top_to: 0x12...ab (3), ..."
+ */
+function formatMetrics(metrics, labels) {
+  return Object.entries(metrics || {}).map(([name, value]) => {
+    if (Array.isArray(value)) {
+      const items = value.map((row) => {
+        const who = shortAddress(row.value ?? row.address, labels);
+        const amount = row.net ?? row.total ?? row.count;
+        return `${who} (${formatMetricValue(amount)})`;
+      });
+      return `${name}: ${items.join(', ') || '-'}`;
+    }
+    return `${name}: ${formatMetricValue(value)}`;
+  });
+}
+
+function formatMetricValue(value) {
+  if (value == null) return '-';
+  if (typeof value === 'number') {
+    return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+  }
+  return /^-?\d+$/.test(value) ? formatNumber(value) : String(value);
+}
+
+/**
+ * "3 steps by 0x12...ab, blocks 100 → 102" — a completed sequence rule
+ */
+function formatSequence(sequence, labels) {
+  const blocks = sequence.first_block === sequence.last_block
+    ? `block ${sequence.first_block}`
+    : `blocks ${sequence.first_block} → ${sequence.last_block}`;
+  return `${sequence.steps} steps by ${shortAddress(sequence.key, labels)}, ${blocks}`;
+}
+
+/**
+ * "from Lazarus Group (0x12...ab) — list 2025-06-30 (OFAC SDN)" — a sanctions screening hit
+ */
+function formatScreening(screening, labels) {
+  const hits = screening.hits
+    .map((hit) => {
+      const known = labels?.[hit.address]?.label;
+      const who = hit.name && !known ? `${hit.name} (${shortAddress(hit.address)})` : shortAddress(hit.address, labels);
+      return `${hit.role} ${who}`;
+    })
+    .join(', ');
+  const source = screening.list_source ? ` (${screening.list_source})` : '';
+  return `${hits} — list ${screening.list_version}${source}`;
+}
+
+/**
+ * "0x12...ab → Uniswap Router (0x7a...0d) · 0.5000 ETH · 182,340 gas @ 35.2 gwei · 6 other logs"
+ * — the transaction behind an enriched event (see TxEnricher), or null
+ */
+function formatTransaction(event, labels) {
+  const tx = event?.tx;
+  if (!tx) return null;
+
+  const parts = [];
+  if (tx.from) parts.push(`${shortAddress(tx.from, labels)} → ${tx.to ? shortAddress(tx.to, labels) : 'contract creation'}`);
+  if (tx.value != null && tx.value !== '0') parts.push(formatAmount(tx.value, 18, 'ETH'));
+  if (event.gasUsed != null) {
+    const gwei = event.effectiveGasPrice != null ? ` @ ${(Number(event.effectiveGasPrice) / 1e9).toFixed(1)} gwei` : '';
+    parts.push(`${formatNumber(event.gasUsed)} gas${gwei}`);
+  }
+  if (event.siblingLogs) parts.push(`${event.siblingLogs.length} other log(s)`);
+  return parts.join(' · ') || null;
+}
+
 /**
  * Format alert for Telegram (Markdown)
  */
 function formatTelegramAlert(alert) {
-  const emoji = getSeverityEmoji(alert.severity);
+  const emoji = alert.alert_type === 'retraction' ? '↩️' : getSeverityEmoji(alert.severity);
   const chain = alert.chain?.toUpperCase() || 'ETHEREUM';
   
-  let message = `${emoji} *${alert.rule_name}*\n`;
+  let message = `${emoji} *${alert.alert_type === 'retraction' ? 'RETRACTED: ' : ''}${alert.rule_name}*\n`;
   message += `━━━━━━━━━━━━━━━━━━━━\n`;
   
-  if (alert.alert_type === 'aggregated') {
+  if (alert.alert_type === 'retraction') {
+    // Earlier alert invalidated by a reorg
+    message += `Alert: \`${alert.retracted_alert_id}\`\n`;
+    message += `Chain: ${chain}\n`;
+    message += `Reorged blocks: ${alert.reorg.from_block} → ${alert.reorg.to_block}\n`;
+    message += `Events reverted: *${formatNumber(alert.event_count)}*\n`;
+    message += `\n${alert.message}\n`;
+    
+  } else if (alert.alert_type === 'aggregated') {
     // Aggregated alert
     message += `📊 *Aggregated Alert*\n`;
     message += `Events: *${formatNumber(alert.event_count)}*\n`;
@@ -111,6 +206,10 @@ function formatTelegramAlert(alert) {
       message += `💰 Total Value: *${totalUSD}*\n`;
     }
     
+    for (const line of formatMetrics(alert.summary?.metrics, alert.labels)) {
+      message += `📈 ${line}\n`;
+    }
+    
     if (alert.message) {
       message += `\n${alert.message}\n`;
     }
@@ -125,7 +224,7 @@ function formatTelegramAlert(alert) {
     if (event) {
       message += `Chain: ${chain}\n`;
       message += `Event: \`${event.event_name}\`\n`;
-      message += `Contract: \`${shortAddress(event.contract_address)}\`\n`;
+      message += `Contract: \`${shortAddress(event.contract_address, alert.labels)}\`\n`;
       message += `Block: ${event.block_number}\n`;
       
       // Add decoded data if available
@@ -135,22 +234,48 @@ function formatTelegramAlert(alert) {
           : event.decoded_data;
         
         if (data.from) {
-          message += `From: \`${shortAddress(data.from)}\`\n`;
+          message += `From: \`${shortAddress(data.from, alert.labels)}\`\n`;
         }
         if (data.to) {
-          message += `To: \`${shortAddress(data.to)}\`\n`;
+          message += `To: \`${shortAddress(data.to, alert.labels)}\`\n`;
         }
         if (data.value) {
           message += `Amount: ${formatAmount(data.value, 6, 'USDC')}\n`;
         }
       }
       
+      const transaction = formatTransaction(event, alert.labels);
+      if (transaction) {
+        message += `🧾 Tx: ${transaction}\n`;
+      }
+      if (alert.screening) {
+        message += `🚫 Sanctioned: ${formatScreening(alert.screening, alert.labels)}\n`;
+      }
+      if (alert.sequence) {
+        message += `🔗 Sequence: ${formatSequence(alert.sequence, alert.labels)}\n`;
+      }
+      if (alert.anomaly) {
+        message += `🔬 Model: ${alert.anomaly.explanation}\n`;
+      }
+      
       // Add explorer links
       const txUrl = getExplorerUrl(alert.chain, 'tx', event.tx_hash);
       message += `\n[View Transaction](${txUrl})`;
+    } else if (alert.anomaly) {
+      // Activity / gas anomalies describe a block, not one event
+      message += `Chain: ${chain}\n`;
+      if (alert.anomaly.block_number) {
+        message += `Block: ${alert.anomaly.block_number}\n`;
+      }
+      message += `\n${alert.message}\n`;
+      message += `🔬 Model: ${alert.anomaly.explanation}\n`;
     }
   }
   
+  if (alert.suppressed_count > 0) {
+    message += `\n_${formatSuppressed(alert.suppressed_count)}_`;
+  }
+  
   message += `\n━━━━━━━━━━━━━━━━━━━━\n`;
   message += `⏰ ${formatTime(alert.created_at || Math.floor(Date.now() / 1000))}`;
   
@@ -161,13 +286,20 @@ function formatTelegramAlert(alert) {
  * Format alert for console (colored text)
  */
 function formatConsoleAlert(alert) {
-  const emoji = getSeverityEmoji(alert.severity);
+  const emoji = alert.alert_type === 'retraction' ? '↩️' : getSeverityEmoji(alert.severity);
   const chain = alert.chain?.toUpperCase() || 'ETHEREUM';
   
-  let message = `\n${emoji} ${alert.rule_name}\n`;
+  let message = `\n${emoji} ${alert.alert_type === 'retraction' ? 'RETRACTED: ' : ''}${alert.rule_name}\n`;
   message += `${'='.repeat(50)}\n`;
   
-  if (alert.alert_type === 'aggregated') {
+  if (alert.alert_type === 'retraction') {
+    message += `Type: Retraction\n`;
+    message += `Alert: ${alert.retracted_alert_id}\n`;
+    message += `Chain: ${chain}\n`;
+    message += `Reorged blocks: ${alert.reorg.from_block} → ${alert.reorg.to_block}\n`;
+    message += `Events reverted: ${formatNumber(alert.event_count)}\n`;
+    message += `\n${alert.message}\n`;
+  } else if (alert.alert_type === 'aggregated') {
     message += `Type: Aggregated Alert\n`;
     message += `Events: ${formatNumber(alert.event_count)}\n`;
     message += `Chain: ${chain}\n`;
@@ -177,6 +309,10 @@ function formatConsoleAlert(alert) {
     }
     message += `\n`;
     
+    for (const line of formatMetrics(alert.summary?.metrics, alert.labels)) {
+      message += `${line}\n`;
+    }
+    
     if (alert.message) {
       message += `\n${alert.message}\n`;
     }
@@ -185,10 +321,30 @@ function formatConsoleAlert(alert) {
     if (event) {
       message += `Chain: ${chain}\n`;
       message += `Event: ${event.event_name}\n`;
-      message += `Contract: ${event.contract_address}\n`;
+      message += `Contract: ${event.contract_address}${labelSuffix(event.contract_address, alert.labels)}\n`;
       message += `Block: ${event.block_number}\n`;
       message += `Tx: ${event.tx_hash}\n`;
+      const transaction = formatTransaction(event, alert.labels);
+      if (transaction) {
+        message += `Transaction: ${transaction}\n`;
+      }
+    } else if (alert.anomaly) {
+      message += `Chain: ${chain}\n`;
+      message += `${alert.message}\n`;
     }
+    if (alert.screening) {
+      message += `Sanctioned: ${formatScreening(alert.screening, alert.labels)}\n`;
+    }
+    if (alert.sequence) {
+      message += `Sequence: ${formatSequence(alert.sequence, alert.labels)}\n`;
+    }
+    if (alert.anomaly) {
+      message += `Model: ${alert.anomaly.explanation}\n`;
+    }
+  }
+  
+  if (alert.suppressed_count > 0) {
+    message += `${formatSuppressed(alert.suppressed_count)}\n`;
   }
   
   message += `${'='.repeat(50)}\n`;
@@ -207,15 +363,48 @@ function formatWebhookAlert(alert) {
     severity: alert.severity,
     chain: alert.chain,
     timestamp: alert.created_at || Math.floor(Date.now() / 1000),
+    suppressed_count: alert.suppressed_count || 0,
     
     // Aggregated alert data
     ...(alert.alert_type === 'aggregated' && {
       event_count: alert.event_count,
       from_block: alert.from_block,
       to_block: alert.to_block,
+      metrics: alert.summary?.metrics || {},
       message: alert.message
     }),
     
+    // Retraction data
+    ...(alert.alert_type === 'retraction' && {
+      retracted_alert_id: alert.retracted_alert_id,
+      retracted_alert_type: alert.retracted_alert_type,
+      event_count: alert.event_count,
+      from_block: alert.from_block,
+      to_block: alert.to_block,
+      reorg: alert.reorg,
+      message: alert.message
+    }),
+    
+    // Sequence rule data
+    ...(alert.sequence && {
+      sequence: alert.sequence
+    }),
+
+    // Anomaly-gated rule data (model, score, explanation)
+    ...(alert.anomaly && {
+      anomaly: alert.anomaly
+    }),
+
+    // Sanctions screening hits (addresses, roles, list version)
+    ...(alert.screening && {
+      screening: alert.screening
+    }),
+
+    // Address labels (address → { label, category, tags, lists })
+    ...(alert.labels && {
+      labels: alert.labels
+    }),
+    
     // Single event alert data
     ...(alert.event && {
       event: {
@@ -227,6 +416,16 @@ function formatWebhookAlert(alert) {
         decoded_data: alert.event.decoded_data,
         explorer_url: getExplorerUrl(alert.chain, 'tx', alert.event.tx_hash)
       }
+    }),
+
+    // Transaction + receipt of an enriched event (rules with "enrich")
+    ...(alert.event?.tx && {
+      transaction: {
+        ...alert.event.tx,
+        gas_used: alert.event.gasUsed ?? null,
+        effective_gas_price: alert.event.effectiveGasPrice ?? null,
+        sibling_logs: alert.event.siblingLogs ?? null
+      }
     })
   };
 }
@@ -237,6 +436,10 @@ module.exports = {
   formatWebhookAlert,
   formatAmount,
   formatNumber,
+  formatSuppressed,
+  formatMetrics,
+  formatScreening,
+  formatTransaction,
   shortAddress,
   getExplorerUrl
 };
@@ -4,11 +4,19 @@
  * Follows the chain head and detects reorganizations.
  *
  * Emits:
- *   "block"  — { blockNumber, blockHash, parentHash, timestamp }
+ *   "block"  — { blockNumber, blockHash, parentHash, timestamp, baseFeePerGas, gasPrice, gasUsed, gasLimit }
+ *              gasPrice: median price paid by the block's transactions (wei),
+ *              with opts.gasPrices only — null otherwise or for an empty block
  *   "reorg"  — { fromBlock, toBlock, oldHash, newHash, depth }
  *
  * Design:
- *   - Polls via RPC pool (not WebSockets — more resilient)
+ *   - Every block is read once (eth_getBlockByNumber), with its transactions
+ *     when gas prices are wanted — no separate eth_gasPrice call
+ *   - Head source: eth_subscribe("newHeads") over WebSocket when the chain has
+ *     wsEndpoints, otherwise polling via the RPC pool. A dropped subscription
+ *     falls back to polling and is re-established in the background.
+ *   - Both sources feed the same serialized head handler, so skipped blocks
+ *     are filled in and reorgs are detected the same way
  *   - Keeps a short sliding window of recent block hashes
  *   - Detects reorgs by comparing parentHash linkage
  */
@@ -17,24 +25,50 @@ const EventEmitter = require("events");
 
 const WINDOW_SIZE = 64; // keep last N block hashes for reorg detection
 
+// Resubscribe backoff after a WebSocket drop (doubles up to the max)
+const RESUBSCRIBE_MIN_MS = 5_000;
+const RESUBSCRIBE_MAX_MS = 300_000;
+
+// While subscribed, poll once if no head arrived for this many block times
+// (catches a socket that stays open but stops delivering)
+const SILENT_HEAD_BLOCKS = 10;
+const MIN_SILENT_HEAD_MS = 30_000;
+
 class BlockTracker extends EventEmitter {
   /**
    * @param {import('./rpc-pool')} rpcPool
    * @param {object} chainConfig — chain entry from config.getChain()
+   * @param {object} [opts]
+   * @param {boolean} [opts.gasPrices] — fetch blocks with their transactions
+   *   and report the median gas price paid
    */
-  constructor(rpcPool, chainConfig) {
+  constructor(rpcPool, chainConfig, opts = {}) {
     super();
     this.rpcPool = rpcPool;
     this.chain = chainConfig;
+    this.gasPrices = opts.gasPrices === true;
     this.pollIntervalMs = chainConfig.blockTimeSec * 1000 * 0.8; // slightly faster than block time
     this.minPollMs = 1000; // never faster than 1s
     this.pollIntervalMs = Math.max(this.pollIntervalMs, this.minPollMs);
+    this.silentHeadMs = Math.max(chainConfig.blockTimeSec * 1000 * SILENT_HEAD_BLOCKS, MIN_SILENT_HEAD_MS);
 
     /** @type {Map<number, {hash: string, parentHash: string}>} */
     this.blockWindow = new Map();
     this.latestBlock = 0;
+
+    /** @type {"idle"|"polling"|"subscription"} current head source */
+    this.mode = "idle";
+
     this._timer = null;
+    this._watchdog = null;
+    this._resubscribeTimer = null;
+    this._resubscribeDelayMs = RESUBSCRIBE_MIN_MS;
+    this._lastHeadAt = 0;
     this._running = false;
+
+    // Heads are handled one at a time — a gap fill must finish before the
+    // next head (from either source) is looked at
+    this._headQueue = Promise.resolve();
   }
 
   // ---------------------------------------------------------------------------
@@ -45,77 +79,194 @@ class BlockTracker extends EventEmitter {
     if (this._running) return;
     this._running = true;
 
-    console.log(
-      `  📡 Block Tracker [${this.chain.slug}]: polling every ${(this.pollIntervalMs / 1000).toFixed(1)}s`
-    );
-
     // Initial fetch
     await this._poll();
 
-    // Start polling loop
-    this._timer = setInterval(() => this._poll(), this.pollIntervalMs);
+    if (this.rpcPool.hasWebSocket() && (await this._subscribe())) return;
+
+    // No WebSocket (or unreachable) — start polling loop
+    this._startPolling();
+    if (this.rpcPool.hasWebSocket()) this._scheduleResubscribe();
   }
 
   stop() {
     this._running = false;
+    this._stopPolling();
+    clearInterval(this._watchdog);
+    clearTimeout(this._resubscribeTimer);
+    this._watchdog = null;
+    this._resubscribeTimer = null;
+    this.rpcPool.unsubscribe();
+    this.mode = "idle";
+    console.log(`  🛑 Block Tracker [${this.chain.slug}]: stopped`);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Head sources
+  // ---------------------------------------------------------------------------
+
+  _startPolling() {
+    if (this._timer) return;
+    this.mode = "polling";
+    console.log(
+      `  📡 Block Tracker [${this.chain.slug}]: polling every ${(this.pollIntervalMs / 1000).toFixed(1)}s`
+    );
+    this._timer = setInterval(() => this._poll(), this.pollIntervalMs);
+  }
+
+  _stopPolling() {
     if (this._timer) {
       clearInterval(this._timer);
       this._timer = null;
     }
-    console.log(`  🛑 Block Tracker [${this.chain.slug}]: stopped`);
+  }
+
+  /** Switch to newHeads push. Returns false (and changes nothing) on failure. */
+  async _subscribe() {
+    const ok = await this.rpcPool.subscribeNewHeads(
+      (blockNumber) => this._onHead(blockNumber),
+      (err) => this._onSubscriptionLost(err)
+    );
+    if (!ok || !this._running) {
+      if (ok) this.rpcPool.unsubscribe();
+      return false;
+    }
+
+    this._stopPolling();
+    this.mode = "subscription";
+    this._resubscribeDelayMs = RESUBSCRIBE_MIN_MS;
+    this._lastHeadAt = Date.now();
+    console.log(`  📡 Block Tracker [${this.chain.slug}]: following newHeads subscription`);
+
+    clearInterval(this._watchdog);
+    this._watchdog = setInterval(() => {
+      if (Date.now() - this._lastHeadAt >= this.silentHeadMs) {
+        this._lastHeadAt = Date.now();
+        this._poll();
+      }
+    }, this.silentHeadMs);
+
+    // Heads mined between the initial poll and the subscription
+    this._poll();
+    return true;
+  }
+
+  _onSubscriptionLost(err) {
+    if (!this._running) return;
+    console.warn(`  ⚠️  [BlockTracker] newHeads subscription lost [${this.chain.slug}]: ${err.message} — falling back to polling`);
+
+    clearInterval(this._watchdog);
+    this._watchdog = null;
+    this._startPolling();
+    this._poll(); // fill whatever was missed while the socket was dying
+    this._scheduleResubscribe();
+  }
+
+  _scheduleResubscribe() {
+    if (!this._running || this._resubscribeTimer) return;
+
+    const delay = this._resubscribeDelayMs;
+    this._resubscribeDelayMs = Math.min(delay * 2, RESUBSCRIBE_MAX_MS);
+    this._resubscribeTimer = setTimeout(async () => {
+      this._resubscribeTimer = null;
+      if (!this._running) return;
+      if (!(await this._subscribe())) this._scheduleResubscribe();
+    }, delay);
   }
 
   // ---------------------------------------------------------------------------
-  // Polling
+  // Head handling
   // ---------------------------------------------------------------------------
 
-  async _poll() {
-    try {
-      const block = await this.rpcPool.callWithFailover(async (provider) => {
-        return await provider.getBlock("latest");
-      });
+  /** Run fn after every previously queued head has been handled. */
+  _enqueue(fn) {
+    const run = this._headQueue.then(fn);
+    this._headQueue = run.catch(() => {});
+    return run;
+  }
 
-      if (!block) {
-        console.warn(`  ⚠️  [BlockTracker] getBlock("latest") returned null`);
-        return;
-      }
+  /** Polling: look at the latest block. */
+  _poll() {
+    return this._enqueue(async () => {
+      try {
+        const block = await this._getBlock("latest");
 
-      // First poll — just record the starting block
-      if (this.latestBlock === 0) {
-        console.log(`  📍 [BlockTracker] Starting at block ${block.number}`);
-        this._processBlockData(block);
-        return;
+        if (!block) {
+          console.warn(`  ⚠️  [BlockTracker] getBlock("latest") returned null`);
+          return;
+        }
+
+        await this._handleHead(block);
+      } catch (err) {
+        console.error(`  ⚠️  [BlockTracker] Poll error: ${err.message}`);
       }
+    });
+  }
 
-      if (block.number <= this.latestBlock) return; // no new block
+  /** Subscription: a new head was announced. */
+  _onHead(blockNumber) {
+    this._lastHeadAt = Date.now();
 
-      // Log new blocks
-      console.log(`  📦 New block: #${block.number}`);
-      const skipped = block.number - this.latestBlock - 1;
-      if (skipped > 0) {
-        console.log(`  ⏩ [BlockTracker] Catching up: ${skipped} skipped block(s)`);
-      }
+    return this._enqueue(async () => {
+      if (!this._running) return;
+      try {
+        const block = await this._getBlock(blockNumber);
+        if (!block) return;
 
-      // Process every block between latestBlock+1 and block.number
-      // (handles cases where we skipped blocks due to slow polling)
-      if (block.number > this.latestBlock + 1) {
-        // Fetch missed blocks
-        for (let n = this.latestBlock + 1; n < block.number; n++) {
-          await this._processBlock(n);
+        // A head at a height we already have is a replacement block (reorg)
+        if (block.number <= this.latestBlock) {
+          const known = this.blockWindow.get(block.number);
+          if (known && known.hash !== block.hash) {
+            this._processBlockData(block);
+          }
+          return;
         }
+
+        await this._handleHead(block);
+      } catch (err) {
+        console.error(`  ⚠️  [BlockTracker] Failed to handle head ${blockNumber}: ${err.message}`);
       }
+    });
+  }
 
-      await this._processBlockData(block);
-    } catch (err) {
-      console.error(`  ⚠️  [BlockTracker] Poll error: ${err.message}`);
+  async _handleHead(block) {
+    // First head — just record the starting block
+    if (this.latestBlock === 0) {
+      console.log(`  📍 [BlockTracker] Starting at block ${block.number}`);
+      this._processBlockData(block);
+      return;
     }
+
+    if (block.number <= this.latestBlock) return; // no new block
+
+    // Log new blocks
+    console.log(`  📦 New block: #${block.number}`);
+    const skipped = block.number - this.latestBlock - 1;
+    if (skipped > 0) {
+      console.log(`  ⏩ [BlockTracker] Catching up: ${skipped} skipped block(s)`);
+    }
+
+    // Process every block between latestBlock+1 and block.number
+    // (handles cases where we skipped blocks due to slow polling or a
+    // dropped subscription)
+    if (block.number > this.latestBlock + 1) {
+      // Fetch missed blocks
+      for (let n = this.latestBlock + 1; n < block.number; n++) {
+        await this._processBlock(n);
+      }
+    }
+
+    this._processBlockData(block);
+  }
+
+  /** One block, with its transactions when gas prices are wanted (same single call) */
+  _getBlock(blockTag) {
+    return this.rpcPool.callWithFailover((provider) => provider.getBlock(blockTag, this.gasPrices));
   }
 
   async _processBlock(blockNumber) {
     try {
-      const block = await this.rpcPool.callWithFailover(async (provider) => {
-        return await provider.getBlock(blockNumber);
-      });
+      const block = await this._getBlock(blockNumber);
       if (block) {
         this._processBlockData(block);
       }
@@ -125,7 +276,7 @@ class BlockTracker extends EventEmitter {
   }
 
   _processBlockData(block) {
-    const { number, hash, parentHash, timestamp } = block;
+    const { number, hash, parentHash, timestamp, baseFeePerGas, gasUsed, gasLimit } = block;
 
     // --- Reorg detection ---
     if (this.blockWindow.has(number)) {
@@ -189,6 +340,10 @@ class BlockTracker extends EventEmitter {
       blockHash: hash,
       parentHash,
       timestamp,
+      baseFeePerGas: baseFeePerGas ?? null, // null before London / on legacy chains
+      gasPrice: this.gasPrices ? _medianGasPrice(block) : null,
+      gasUsed,
+      gasLimit,
     });
   }
 
@@ -205,9 +360,14 @@ class BlockTracker extends EventEmitter {
     return Math.min(depth, WINDOW_SIZE);
   }
 
-  /** Returns the current finality status for a given block number. */
-  getFinalityStatus(blockNumber) {
-    const confirmations = this.latestBlock - blockNumber;
+  /**
+   * Returns the finality status for a given block number.
+   * @param {number} blockNumber
+   * @param {number} [headBlock] — chain head to measure against (defaults to
+   *   the latest tracked block; backfills pass the head they started at)
+   */
+  getFinalityStatus(blockNumber, headBlock = this.latestBlock) {
+    const confirmations = headBlock - blockNumber;
     if (confirmations < 0) return "unknown";
     if (confirmations < this.chain.softConfirmBlocks) return "pending";
     if (confirmations < this.chain.finalityBlocks) return "soft_confirmed";
@@ -215,4 +375,26 @@ class BlockTracker extends EventEmitter {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Gas
+// ---------------------------------------------------------------------------
+
+/** Median gas price paid in a block fetched with its transactions (wei), or null */
+function _medianGasPrice(block) {
+  const prices = block.prefetchedTransactions
+    .map((tx) => _paidGasPrice(tx, block.baseFeePerGas))
+    .filter((price) => price != null)
+    .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return prices.length > 0 ? prices[prices.length >> 1] : null;
+}
+
+/** EIP-1559: base fee + tip, capped at maxFeePerGas; legacy: gasPrice */
+function _paidGasPrice(tx, baseFeePerGas) {
+  if (tx.maxFeePerGas != null && baseFeePerGas != null) {
+    const price = baseFeePerGas + (tx.maxPriorityFeePerGas ?? 0n);
+    return price < tx.maxFeePerGas ? price : tx.maxFeePerGas;
+  }
+  return tx.gasPrice ?? null;
+}
+
 module.exports = BlockTracker;
@@ -6,6 +6,8 @@
 
 const RpcPool = require("./rpc-pool");
 const BlockTracker = require("./block-tracker");
+const RpcEndpoint = require("./rpc-endpoint");
 const LogFetcher = require("./log-fetcher");
+const NativeTransferScanner = require("./native-transfer-scanner");
 
-module.exports = { RpcPool, BlockTracker, LogFetcher };
+module.exports = { RpcPool, RpcEndpoint, BlockTracker, LogFetcher, NativeTransferScanner };
@@ -9,30 +9,74 @@
  *   Everything else is ignored at the RPC level — never even downloaded.
  *   This is the source of the 70-90% RPC cost reduction.
  *
+ * Targets carry topic1–3 filters compiled from rule conditions on indexed
+ * params, so one range can take several eth_getLogs calls: one per filter
+ * shape, addressed and any-address targets kept apart (a wildcard rule no
+ * longer turns off address filtering for everyone). Logs, bytes and calls
+ * are recorded in MetricsCollector; a sample of head ranges is also fetched
+ * unfiltered to measure what the filters save.
+ *
+ * Historical ranges (backfill) are fetched in adaptive chunks: the chunk
+ * shrinks whenever the provider rejects a range as too large and grows
+ * back after each successful call.
+ *
  * Emits:
  *   "logs" — { blockNumber, logs: [...rawLogs] }
  */
 
 const { ethers } = require("ethers");
 const EventEmitter = require("events");
+const { eventTopic } = require("./watch-targets");
+const metricsCollector = require("../metrics/collector");
+
+// Adaptive chunking bounds for historical ranges (in blocks)
+const INITIAL_CHUNK_SIZE = 2000;
+const MIN_CHUNK_SIZE = 1;
+const MAX_CHUNK_SIZE = 10000;
+// Successful chunks before the "known too large" ceiling is forgotten
+const CEILING_RESET_AFTER = 10;
+
+// More filter shapes than this per range → fall back to topic0-only filters
+const MAX_FILTERS = 8;
+// Only ranges this short are sampled unfiltered (head blocks, not backfill)
+const SAMPLE_MAX_BLOCKS = 3;
+// JSON-RPC size of a log besides its data and topics (address, hashes, numbers, keys)
+const LOG_JSON_OVERHEAD = 330;
+
+// Provider messages that mean "this range returns too much — split it", e.g.
+//   Infura     query returned more than 10000 results
+//   Alchemy    Log response size exceeded. ... up to a 2K block range ...
+//              Query timeout exceeded. Consider reducing your block range.
+//   QuickNode  eth_getLogs is limited to a 10,000 blocks range
+//   Ankr       block range is too wide
+//   Chainstack Block range limit exceeded.
+//   geth/reth  exceed maximum block range: 5000 / query exceeds max results 20000
+// and nothing broader: "invalid block range" (from > to), rate limits and
+// plain timeouts must not be mistaken for a range to split.
+const RANGE_TOO_LARGE = /more than \d+ (results|logs)|too many (results|logs)|(block )?range (is )?too (large|wide)|block range (limit exceeded|greater than)|exceeds? (the )?max(imum)? (block range|results)|limited to an? [\d,]+k? ?(blocks? )?range|response size (exceeded|is larger)|timeout exceeded\. consider reducing/i;
 
 class LogFetcher extends EventEmitter {
   /**
    * @param {import('./rpc-pool')} rpcPool
    * @param {object} chainConfig
+   * @param {object} [opts]
+   * @param {number} [opts.selectivitySampleRate] — share of head ranges also fetched unfiltered (0 = never)
    */
-  constructor(rpcPool, chainConfig) {
+  constructor(rpcPool, chainConfig, opts = {}) {
     super();
     this.rpcPool = rpcPool;
     this.chain = chainConfig;
+    this.selectivitySampleRate = opts.selectivitySampleRate || 0;
 
     /**
      * Watch targets — the set of (address, topics) we care about.
      * Derived from active rules.
      *
-     * @type {Map<string, { address: string, topics: string[][] }>}
+     * @type {Map<string, { address: string|null, topic0s: string[], events: { topic0: string, topics: Array<string[]|null> }[], eventSignatures: string[] }>}
      */
     this.watchTargets = new Map();
+
+    this.fetchStats = { calls: 0, logs: 0, bytes: 0, sampled: 0 };
   }
 
   // ---------------------------------------------------------------------------
@@ -44,41 +88,25 @@ class LogFetcher extends EventEmitter {
    * @param {string} id — unique ID (usually rule_id)
    * @param {string} address — contract address (or null for any)
    * @param {string[]} eventSignatures — human-readable event sigs
+   * @param {Array<Array<string[]|null>>} [topicFilters] — topic1–3 filters per signature
+   *   (watch-targets indexedTopicFilters); missing = topic0 only
    */
-  addTarget(id, address, eventSignatures) {
+  addTarget(id, address, eventSignatures, topicFilters = []) {
     // Compute topic0 hashes from event signatures
-    // ethers.id computes keccak256 of the full canonical signature
-    // For "Transfer(address,address,uint256)" → topic0
-    const topic0s = eventSignatures.map((sig) => {
-      // "event Transfer(address indexed from, address indexed to, uint256 value)"
-      // Step 1: strip "event " keyword
-      let s = sig.replace(/^event\s+/, "").trim();
-      // "Transfer(address indexed from, address indexed to, uint256 value)"
-
-      // Step 2: extract function name and params
-      const parenIdx = s.indexOf("(");
-      const name = s.slice(0, parenIdx);
-      const paramStr = s.slice(parenIdx + 1, s.lastIndexOf(")"));
-
-      // Step 3: parse each param, keep only the type
-      const params = paramStr.split(",").map((p) => {
-        const parts = p.trim().split(/\s+/);
-        // parts could be: ["address", "indexed", "from"] or ["uint256", "value"] or ["address"]
-        // The type is always the first part
-        return parts[0];
-      });
-
-      // Step 4: build canonical signature with no spaces
-      const canonical = `${name}(${params.join(",")})`;
-      const topic0 = ethers.id(canonical);
-
+    const events = eventSignatures.map((sig, i) => {
+      const { canonical, topic0 } = eventTopic(sig);
+      const topics = topicFilters[i] || [];
       console.log(`    📎 [LogFetcher] topic0: ${sig} → ${canonical} → ${topic0.slice(0, 10)}...`);
-      return topic0;
+      topics.forEach((values, t) => {
+        if (values) console.log(`    📎 [LogFetcher] topic${t + 1}: ${values.length} value(s) (${values[0].slice(0, 10)}...)`);
+      });
+      return { topic0, topics };
     });
 
     this.watchTargets.set(id, {
       address: address?.toLowerCase() || null,
-      topic0s,
+      topic0s: events.map((e) => e.topic0),
+      events,
       eventSignatures,
     });
 
@@ -105,14 +133,16 @@ class LogFetcher extends EventEmitter {
   async fetchLogs(fromBlock, toBlock) {
     if (this.watchTargets.size === 0) return [];
 
-    // Build a single filter that covers all watch targets
-    const filter = this._buildFilter(fromBlock, toBlock);
-    if (!filter) return [];
+    const filters = this._buildFilters(fromBlock, toBlock);
+    if (filters.length === 0) return [];
 
     try {
-      const logs = await this.rpcPool.callWithFailover(async (provider) => {
-        return await provider.getLogs(filter);
-      });
+      const { logs, bytes, rangeError } = await this._getLogs(filters);
+      if (rangeError) throw rangeError;
+
+      if (toBlock - fromBlock < SAMPLE_MAX_BLOCKS && Math.random() < this.selectivitySampleRate) {
+        await this._sampleSelectivity(fromBlock, toBlock, logs.length, bytes);
+      }
 
       if (logs.length > 0) {
         this.emit("logs", {
@@ -131,50 +161,200 @@ class LogFetcher extends EventEmitter {
     }
   }
 
+  /**
+   * Fetch logs for a historical range in adaptive chunks.
+   *
+   * Starts with INITIAL_CHUNK_SIZE blocks per eth_getLogs call. When the
+   * provider rejects a chunk as too large, falls back to the last size that
+   * worked (or halves). After each success the chunk doubles, but only up to
+   * halfway towards the smallest size rejected recently, so it settles just
+   * under the provider's limit. The ceiling is forgotten after
+   * CEILING_RESET_AFTER successes in a row, since log density changes over a
+   * long range. Chunks are delivered in block order.
+   *
+   * @param {number} fromBlock
+   * @param {number} toBlock
+   * @param {(logs: ethers.Log[], range: { fromBlock: number, toBlock: number }) => Promise<void>} onChunk
+   * @param {object} [opts]
+   * @param {number} [opts.chunkSize] — initial chunk size in blocks
+   * @returns {Promise<{ chunks: number, logs: number, retries: number }>}
+   */
+  async fetchLogsAdaptive(fromBlock, toBlock, onChunk, opts = {}) {
+    let chunkSize = Math.min(opts.chunkSize || INITIAL_CHUNK_SIZE, MAX_CHUNK_SIZE);
+    const stats = { chunks: 0, logs: 0, retries: 0 };
+
+    let ceiling = Infinity; // smallest chunk size rejected recently
+    let lastGood = 0;       // last chunk size that succeeded
+    let streak = 0;         // successful chunks since the last rejection
+    let cursor = fromBlock;
+    while (cursor <= toBlock) {
+      const end = Math.min(cursor + chunkSize - 1, toBlock);
+      const result = await this._fetchChunk(cursor, end);
+
+      if (result.tooLarge) {
+        const size = end - cursor + 1;
+        if (size <= MIN_CHUNK_SIZE) {
+          throw new Error(
+            `[LogFetcher] Provider rejects even a single block (${cursor}): ${result.error.message}`
+          );
+        }
+        ceiling = Math.min(ceiling, size);
+        streak = 0;
+        chunkSize = lastGood > 0 && lastGood < size
+          ? lastGood
+          : Math.max(MIN_CHUNK_SIZE, Math.floor(size / 2));
+        stats.retries++;
+        console.log(`  ✂️  [LogFetcher] Range ${cursor}→${end} too large — shrinking chunk to ${chunkSize} block(s)`);
+        continue;
+      }
+
+      stats.chunks++;
+      stats.logs += result.logs.length;
+      await onChunk(result.logs, { fromBlock: cursor, toBlock: end });
+
+      lastGood = end - cursor + 1;
+      cursor = end + 1;
+      if (++streak >= CEILING_RESET_AFTER) ceiling = Infinity;
+      const towardsCeiling = Number.isFinite(ceiling)
+        ? Math.floor((chunkSize + ceiling) / 2)
+        : Infinity;
+      chunkSize = Math.max(chunkSize, Math.min(MAX_CHUNK_SIZE, chunkSize * 2, towardsCeiling));
+    }
+
+    return stats;
+  }
+
+  /**
+   * Fetch a single chunk. "Too many results" errors are reported back to the
+   * caller instead of failing over — they are not a provider fault, so the
+   * provider must not be marked unhealthy for them.
+   */
+  async _fetchChunk(fromBlock, toBlock) {
+    if (this.watchTargets.size === 0) return { logs: [] };
+
+    const filters = this._buildFilters(fromBlock, toBlock);
+    if (filters.length === 0) return { logs: [] };
+
+    const { logs, rangeError } = await this._getLogs(filters);
+    if (rangeError) return { tooLarge: true, error: rangeError };
+
+    if (logs.length > 0) {
+      this.emit("logs", {
+        chain: this.chain.slug,
+        fromBlock,
+        toBlock,
+        count: logs.length,
+        logs,
+      });
+    }
+
+    return { logs };
+  }
+
   // ---------------------------------------------------------------------------
   // Filter construction
   // ---------------------------------------------------------------------------
 
   /**
-   * Build an eth_getLogs filter from all active watch targets.
+   * Build the eth_getLogs filters for all active watch targets.
    *
    * Strategy:
-   *   - If all targets watch the same address → use single address
-   *   - If mixed → use address array (or null for "any")
-   *   - topic[0] is always the union of all watched event signatures
+   *   - (address, topic0, topic1–3) specs covered by a broader one are dropped
+   *     (an any-address rule makes the same event on one contract redundant)
+   *   - specs with the same topic1–3 filter share a call: topic[0] is the
+   *     union of their event signatures, address the union of their contracts
+   *   - any-address specs get their own call, without an address filter
+   *   - past MAX_FILTERS calls, topic1–3 filters are dropped again
+   *
+   * @returns {object[]} filters, at least one per non-empty target set
    */
-  _buildFilter(fromBlock, toBlock) {
-    const addresses = new Set();
-    const topic0Set = new Set();
-    let hasWildcardAddress = false;
-
+  _buildFilters(fromBlock, toBlock) {
+    const specs = [];
     for (const target of this.watchTargets.values()) {
-      if (target.address) {
-        addresses.add(target.address);
-      } else {
-        hasWildcardAddress = true;
-      }
-      for (const t of target.topic0s) {
-        topic0Set.add(t);
+      for (const { topic0, topics } of target.events) {
+        specs.push({ address: target.address, topic0, topics });
       }
     }
 
-    if (topic0Set.size === 0) return null;
+    // Identical specs cover each other — keep the first
+    const kept = specs.filter((spec, i) =>
+      !specs.some((other, j) => j !== i && _covers(other, spec) && (j < i || !_covers(spec, other)))
+    );
 
-    const filter = {
-      fromBlock,
-      toBlock,
-      topics: [Array.from(topic0Set)],
-    };
+    const filters = _groupSpecs(kept, fromBlock, toBlock);
+    if (filters.length <= MAX_FILTERS) return filters;
+    return _groupSpecs(kept.map((spec) => ({ ...spec, topics: [] })), fromBlock, toBlock);
+  }
 
-    // Address filter: skip if any target watches "any address"
-    if (!hasWildcardAddress && addresses.size > 0) {
-      filter.address = addresses.size === 1
-        ? Array.from(addresses)[0]
-        : Array.from(addresses);
+  /**
+   * Run every filter and merge the results in chain order. Logs matched by
+   * two filters are returned once.
+   * @returns {Promise<{ logs: ethers.Log[], bytes: number, rangeError?: Error }>}
+   */
+  async _getLogs(filters) {
+    let rangeError = null;
+    const results = await Promise.all(filters.map((filter) =>
+      this.rpcPool.callWithFailover(async (provider) => {
+        try {
+          return await this._timedGetLogs(provider, filter);
+        } catch (err) {
+          if (_isRangeTooLarge(err)) {
+            rangeError = err;
+            return [];
+          }
+          throw err;
+        }
+      })
+    ));
+    if (rangeError) return { logs: [], bytes: 0, rangeError };
+
+    const byKey = new Map();
+    for (const log of results.flat()) {
+      byKey.set(`${log.blockHash}:${log.index}`, log);
     }
+    const logs = [...byKey.values()].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+    const bytes = logs.reduce((sum, log) => sum + _logBytes(log), 0);
 
-    return filter;
+    this.fetchStats.calls += filters.length;
+    this.fetchStats.logs += logs.length;
+    this.fetchStats.bytes += bytes;
+    metricsCollector.recordGetLogs({ calls: filters.length, logs: logs.length, bytes });
+
+    return { logs, bytes };
+  }
+
+  /** One eth_getLogs call, recorded in MetricsCollector with its latency */
+  async _timedGetLogs(provider, filter) {
+    const started = Date.now();
+    try {
+      const logs = await provider.getLogs(filter);
+      metricsCollector.recordRPCCall(Date.now() - started);
+      return logs;
+    } catch (err) {
+      metricsCollector.recordRPCCall(Date.now() - started, true);
+      throw err;
+    }
+  }
+
+  /**
+   * Fetch the range again without any filter — what "index everything"
+   * would have downloaded — and record it next to what the filters fetched.
+   */
+  async _sampleSelectivity(fromBlock, toBlock, logs, bytes) {
+    try {
+      const baseline = await this.rpcPool.callWithFailover((provider) =>
+        this._timedGetLogs(provider, { fromBlock, toBlock })
+      );
+      this.fetchStats.sampled++;
+      metricsCollector.recordSelectivitySample({
+        baselineLogs: baseline.length,
+        baselineBytes: baseline.reduce((sum, log) => sum + _logBytes(log), 0),
+        logs,
+        bytes,
+      });
+    } catch (err) {
+      console.warn(`  ⚠️  [LogFetcher] Selectivity sample ${fromBlock}→${toBlock} failed: ${err.message}`);
+    }
   }
 
   // ---------------------------------------------------------------------------
@@ -185,6 +365,8 @@ class LogFetcher extends EventEmitter {
     return {
       chain: this.chain.slug,
       activeTargets: this.watchTargets.size,
+      filters: this._buildFilters(0, 0).length,
+      fetched: { ...this.fetchStats },
       watchedAddresses: [...new Set(
         Array.from(this.watchTargets.values())
           .map((t) => t.address)
@@ -194,4 +376,56 @@ class LogFetcher extends EventEmitter {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Does spec `a` fetch every log spec `b` does? */
+function _covers(a, b) {
+  if (a.topic0 !== b.topic0) return false;
+  if (a.address && a.address !== b.address) return false;
+  for (let i = 0; i < a.topics.length; i++) {
+    const allowed = a.topics[i];
+    if (!allowed) continue;
+    if (!b.topics[i] || !b.topics[i].every((t) => allowed.includes(t))) return false;
+  }
+  return true;
+}
+
+/** Specs → one filter per (topic1–3 filter, addressed / any address) */
+function _groupSpecs(specs, fromBlock, toBlock) {
+  const groups = new Map();
+  for (const spec of specs) {
+    const key = `${spec.address ? "address" : "any"}|${JSON.stringify(spec.topics)}`;
+    if (!groups.has(key)) groups.set(key, { topics: spec.topics, addresses: new Set(), topic0s: new Set() });
+    const group = groups.get(key);
+    if (spec.address) group.addresses.add(spec.address);
+    group.topic0s.add(spec.topic0);
+  }
+
+  return [...groups.values()].map(({ topics, addresses, topic0s }) => {
+    const filter = { fromBlock, toBlock, topics: [[...topic0s], ...topics] };
+    if (addresses.size > 0) {
+      filter.address = addresses.size === 1 ? [...addresses][0] : [...addresses];
+    }
+    return filter;
+  });
+}
+
+/** Approximate JSON-RPC response size of a log */
+function _logBytes(log) {
+  return LOG_JSON_OVERHEAD + (log.data?.length || 2) + 69 * (log.topics?.length || 0);
+}
+
+/** ethers v6 nests the JSON-RPC error message; check every layer. */
+function _isRangeTooLarge(err) {
+  const messages = [
+    err?.message,
+    err?.shortMessage,
+    err?.error?.message,
+    err?.info?.error?.message,
+  ].filter(Boolean);
+  return messages.some((m) => RANGE_TOO_LARGE.test(m));
+}
+
 module.exports = LogFetcher;
@@ -0,0 +1,454 @@
+/**
+ * Genesis — Native Transfer Scanner
+ *
+ * Native value transfers (ETH, POL...) emit no log, so eth_getLogs never
+ * sees a whale moving 10,000 ETH. This scanner reads the blocks themselves
+ * and turns value transfers into NATIVE_TRANSFER GenesisEvents:
+ *
+ *   contract  0xeeee…eeee (NATIVE_TOKEN — priced through tokens.json)
+ *   args      { from, to, value, kind, depth }
+ *             kind: "tx" (the transaction's own value), "call" or "create"
+ *             (internal, from a trace); depth 0 = the transaction itself
+ *   logIndex  negative (-1, -2, ...) — unique in the transaction, never a log
+ *
+ * Sources, per `traces`:
+ *   "off"        block transactions only (eth_getBlockByNumber); status from
+ *                receipts, so failed transactions are skipped
+ *   "callTracer" + internal transfers from debug_traceBlockByNumber with the
+ *                callTracer (geth, erigon, reth, anvil) — one call per block
+ *   "structLog"  + internal transfers from debug_traceTransaction with the
+ *                default struct logger, one call per transaction (Hardhat,
+ *                which has no callTracer) — dev chains only
+ *   "auto"       callTracer when the node has it, else structLog on local
+ *                chains, else off
+ * Calls that revert (and everything inside them) move no value and are
+ * skipped. SELFDESTRUCT balances are not reported (the amount is not in the
+ * trace of every node).
+ *
+ * Selective like LogFetcher: it only runs while a rule watches
+ * NATIVE_TRANSFER, and only keeps transfers one of those rules could match —
+ * their `from` / `to` values and value floor (conditions on `value` /
+ * `amount_raw`), never below `minValueWei`.
+ *
+ * Emits:
+ *   "transfers" — { chain, blockNumber, count }
+ */
+
+const EventEmitter = require("events");
+const { ethers } = require("ethers");
+const { createEvent, NATIVE_TRANSFER, NATIVE_TOKEN } = require("../pipeline/event-model");
+const { requiredValues, lowerBounds } = require("../engine/conditions");
+const metricsCollector = require("../metrics/collector");
+
+const TRACE_MODES = ["auto", "callTracer", "structLog", "off"];
+
+// Struct-log opcodes that start a call frame
+const CALL_OPS = new Set(["CALL", "CALLCODE", "DELEGATECALL", "STATICCALL", "CREATE", "CREATE2"]);
+
+class NativeTransferScanner extends EventEmitter {
+  /**
+   * @param {import('./rpc-pool')} rpcPool
+   * @param {object} chainConfig
+   * @param {object} [opts]
+   * @param {string} [opts.traces] — "auto" | "callTracer" | "structLog" | "off"
+   * @param {string|number} [opts.minValueWei] — smallest transfer kept
+   * @param {number} [opts.concurrency] — struct-log traces in flight at once
+   * @param {{ getReceipts: Function }} [opts.receipts] — TxEnricher (cached
+   *   receipt lookups) for the status of untraced transactions
+   */
+  constructor(rpcPool, chainConfig, opts = {}) {
+    super();
+    this.rpcPool = rpcPool;
+    this.chain = chainConfig;
+    this.receipts = opts.receipts || null;
+    this.minValue = BigInt(opts.minValueWei ?? 1);
+    this.concurrency = opts.concurrency ?? 5;
+
+    const traces = opts.traces || "auto";
+    if (!TRACE_MODES.includes(traces)) {
+      throw new Error(`[NativeTransferScanner] Unknown traces mode "${traces}" (expected one of: ${TRACE_MODES.join(", ")})`);
+    }
+    this.traceMode = traces; // "auto" resolves on the first block
+    this._probe = null;      // traces fetched while resolving "auto", reused for that block
+
+    /** @type {{ from: Set<string>|null, to: Set<string>|null, minValue: bigint }[]} one per NATIVE_TRANSFER rule */
+    this.filters = [];
+
+    this.stats = { blocks: 0, transfers: 0, internal: 0, skipped: 0 };
+  }
+
+  /** True while at least one rule watches NATIVE_TRANSFER */
+  get active() {
+    return this.filters.length > 0;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rules
+  // ---------------------------------------------------------------------------
+
+  /**
+   * What to keep, from the NATIVE_TRANSFER rules' conditions.
+   * @param {object[]} rules — active rules after expandSequenceRules (any chain; filtered here)
+   */
+  setRules(rules) {
+    const wasActive = this.active;
+    this.filters = rules
+      .filter((rule) => rule.event_type === NATIVE_TRANSFER && (rule.chain || this.chain.slug) === this.chain.slug)
+      .map((rule) => {
+        const required = requiredValues(rule.conditions || {});
+        const bounds = lowerBounds(rule.conditions || {});
+        const floor = [bounds.get("value"), bounds.get("amount_raw"), bounds.get("args.value")]
+          .filter((b) => b !== undefined)
+          .reduce((max, b) => (b > max ? b : max), 0n);
+        const addresses = (field) => {
+          const values = required.get(field) ?? required.get(`args.${field}`);
+          return values ? new Set(values.map((v) => String(v).toLowerCase())) : null;
+        };
+        return { from: addresses("from"), to: addresses("to"), minValue: _ceil(floor) };
+      });
+
+    if (this.active && !wasActive) {
+      console.log(`  💸 [NativeTransferScanner] Scanning ${this.chain.slug} blocks for native transfers (traces: ${this.traceMode})`);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Scanning
+  // ---------------------------------------------------------------------------
+
+  /**
+   * NATIVE_TRANSFER events of a block range, in block order.
+   * @param {number} fromBlock
+   * @param {number} toBlock
+   * @param {object} [opts]
+   * @param {string|((blockNumber: number) => string)} [opts.finality] — status for the events
+   * @returns {Promise<object[]>}
+   */
+  async scanRange(fromBlock, toBlock, opts = {}) {
+    if (!this.active) return [];
+
+    const events = [];
+    for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+      const finality = typeof opts.finality === "function" ? opts.finality(blockNumber) : opts.finality;
+      events.push(...(await this.scanBlock(blockNumber, finality)));
+    }
+    return events;
+  }
+
+  /**
+   * NATIVE_TRANSFER events of one block.
+   * @param {number} blockNumber
+   * @param {string} [finality]
+   * @returns {Promise<object[]>}
+   */
+  async scanBlock(blockNumber, finality) {
+    const block = await this._send("eth_getBlockByNumber", [ethers.toQuantity(blockNumber), true]);
+    if (!block) return [];
+
+    const transfers = await this._transfers(block);
+    const kept = transfers.filter((t) => this._wanted(t));
+    this.stats.blocks++;
+    this.stats.transfers += kept.length;
+    this.stats.internal += kept.filter((t) => t.depth > 0).length;
+    this.stats.skipped += transfers.length - kept.length;
+
+    const events = kept.map((t) => this._toEvent(t, block, finality));
+    if (events.length > 0) {
+      this.emit("transfers", { chain: this.chain.slug, blockNumber, count: events.length });
+    }
+    return events;
+  }
+
+  getStats() {
+    return {
+      chain: this.chain.slug,
+      active: this.active,
+      rules: this.filters.length,
+      traces: this.traceMode,
+      ...this.stats,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Transfer extraction
+  // ---------------------------------------------------------------------------
+
+  /** Every value transfer of a block that actually happened */
+  async _transfers(block) {
+    const mode = await this._resolveTraceMode(block);
+
+    if (mode === "callTracer") {
+      const probed = this._probe?.hash === block.hash ? this._probe.traces : null;
+      this._probe = null;
+      const traces = probed || (await this._traceBlock(block));
+      if (traces) {
+        return traces.flatMap((trace, i) => {
+          const tx = block.transactions[i];
+          return tx ? _callTracerTransfers(tx.hash, trace.result ?? trace) : [];
+        });
+      }
+      // The node stopped tracing (or never could) — fall back for this block
+    }
+
+    if (this.traceMode === "structLog") {
+      // Traces finish in any order — slot them by transaction index
+      const perTx = new Array(block.transactions.length);
+      await _mapLimit(block.transactions, this.concurrency, async (tx, i) => {
+        const trace = await this._send("debug_traceTransaction", [
+          tx.hash,
+          { disableStorage: true, disableMemory: true, enableMemory: false, enableReturnData: false },
+        ]);
+        perTx[i] = _structLogTransfers(tx, trace);
+      });
+      return perTx.flat();
+    }
+
+    return this._topLevelTransfers(block);
+  }
+
+  /**
+   * Transactions' own value, status checked against their receipts (only
+   * those that could be kept are looked up). A failed lookup throws, so the
+   * block is retried; only a receipt the node says does not exist skips.
+   */
+  async _topLevelTransfers(block) {
+    const candidates = block.transactions
+      .filter((tx) => BigInt(tx.value) > 0n)
+      .map((tx) => _transfer(tx.hash, tx.from, tx.to || _createdAddress(tx), BigInt(tx.value), tx.to ? "tx" : "create", 0, -1))
+      .filter((t) => this._wanted(t));
+    if (candidates.length === 0) return [];
+
+    const receipts = this.receipts
+      ? await this.receipts.getReceipts(block.hash, candidates.map((t) => t.txHash))
+      : new Map();
+
+    return candidates.filter((t) => {
+      const receipt = receipts.get(t.txHash);
+      if (receipt) return receipt.status === 1;
+      console.warn(`  ⚠️  [NativeTransferScanner] Node has no receipt for ${t.txHash} in block ${block.hash} — transfer skipped`);
+      return false;
+    });
+  }
+
+  /** callTracer traces of every transaction in the block, or null when unsupported */
+  _traceBlock(block) {
+    return this._send("debug_traceBlockByNumber", [block.number, { tracer: "callTracer" }], () => {
+      this.traceMode = this.chain.local ? "structLog" : "off";
+      console.warn(`  ⚠️  [NativeTransferScanner] ${this.chain.slug}: callTracer not supported — traces: ${this.traceMode}`);
+      return null;
+    });
+  }
+
+  /** "auto" → what the node supports, probed once on the first block */
+  async _resolveTraceMode(block) {
+    if (this.traceMode !== "auto") return this.traceMode;
+    // _traceBlock downgrades the mode when the node rejects the callTracer
+    this.traceMode = "callTracer";
+    const probe = await this._traceBlock(block);
+    if (probe) this._probe = { hash: block.hash, traces: probe };
+    console.log(`  💸 [NativeTransferScanner] ${this.chain.slug}: traces resolved to ${this.traceMode}`);
+    return this.traceMode;
+  }
+
+  _wanted(t) {
+    if (t.value < this.minValue) return false;
+    return this.filters.some((f) =>
+      t.value >= f.minValue &&
+      (!f.from || f.from.has(t.from)) &&
+      (!f.to || (t.to !== null && f.to.has(t.to)))
+    );
+  }
+
+  _toEvent(t, block, finality) {
+    return createEvent({
+      chain: this.chain.slug,
+      chainId: this.chain.chainId,
+      log: {
+        address: NATIVE_TOKEN,
+        blockNumber: Number(block.number),
+        blockHash: block.hash,
+        transactionHash: t.txHash,
+        index: t.logIndex,
+      },
+      eventName: "NativeTransfer",
+      eventType: NATIVE_TRANSFER,
+      args: { from: t.from, to: t.to, value: t.value.toString(), kind: t.kind, depth: t.depth },
+      timestamp: Number(block.timestamp),
+      finality,
+      explorerUrl: this.chain.explorerUrl,
+    });
+  }
+
+  /**
+   * One JSON-RPC call through the pool, recorded in MetricsCollector.
+   * `onUnsupported` answers for a node that lacks the method — decided
+   * inside the failover callback, where the node's error is still visible.
+   */
+  _send(method, params, onUnsupported = null) {
+    return this.rpcPool.callWithFailover(async (provider) => {
+      const started = Date.now();
+      try {
+        const result = await provider.send(method, params);
+        metricsCollector.recordRPCCall(Date.now() - started);
+        return result;
+      } catch (err) {
+        metricsCollector.recordRPCCall(Date.now() - started, true);
+        if (onUnsupported && _isUnsupported(err)) return onUnsupported(err);
+        throw err;
+      }
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Trace parsing
+// ---------------------------------------------------------------------------
+
+function _transfer(txHash, from, to, value, kind, depth, logIndex) {
+  return {
+    txHash,
+    from: from ? from.toLowerCase() : null,
+    to: to ? to.toLowerCase() : null,
+    value,
+    kind,
+    depth,
+    logIndex,
+  };
+}
+
+/**
+ * callTracer frame tree → transfers, skipping reverted frames (and their
+ * children). logIndex counts down from -1 in call order.
+ */
+function _callTracerTransfers(txHash, root) {
+  const transfers = [];
+  const walk = (frame, depth) => {
+    if (!frame || frame.error) return;
+    const value = frame.value ? BigInt(frame.value) : 0n;
+    const type = String(frame.type || "").toUpperCase();
+    if (value > 0n && (type === "CALL" || type === "CREATE" || type === "CREATE2")) {
+      const kind = depth === 0 ? (type === "CALL" ? "tx" : "create") : type === "CALL" ? "call" : "create";
+      transfers.push(_transfer(txHash, frame.from, frame.to, value, kind, depth, -(transfers.length + 1)));
+    }
+    for (const child of frame.calls || []) walk(child, depth + 1);
+  };
+  walk(root, 0);
+  return transfers;
+}
+
+/**
+ * Default struct-logger trace → transfers. The log has no addresses or
+ * results, so the call stack is rebuilt from the opcodes: a frame ends when
+ * execution is back at the caller's depth, whose stack top is the result
+ * (0 = the call failed, its value and everything inside it undone; for
+ * CREATE, the new contract's address).
+ */
+function _structLogTransfers(tx, trace) {
+  if (!trace || trace.failed) return [];
+
+  const value = BigInt(tx.value);
+  const root = { address: (tx.to || _createdAddress(tx)).toLowerCase(), transfers: [] };
+  if (value > 0n) root.transfers.push({ frame: { address: tx.from.toLowerCase() }, to: root.address, value, kind: tx.to ? "tx" : "create", depth: 0 });
+
+  const frames = [root]; // frames[k] runs at depth k + 1
+  let site = null;       // call issued by the previous step
+
+  const settle = (call, result, parent, inner) => {
+    if (result === 0n) return; // failed / reverted: nothing moved
+    if (call.creates) {
+      call.to = _address(result);
+      if (call.callee) call.callee.address = call.to;
+    }
+    if (call.value > 0n) {
+      parent.transfers.push({ frame: call.caller, to: call.to, value: call.value, kind: call.creates ? "create" : "call", depth: frames.length });
+    }
+    parent.transfers.push(...inner);
+  };
+
+  for (const step of trace.structLogs || []) {
+    if (site) {
+      if (step.depth > site.depth) {
+        // Entered the callee's code
+        site.callee = { address: site.creates ? null : site.codeAddress, transfers: [], call: site };
+        frames.push(site.callee);
+      } else {
+        // No code ran (EOA, precompile, insufficient balance) — result is already on the stack
+        settle(site, _word(step.stack, 0), frames[frames.length - 1], []);
+      }
+      site = null;
+    }
+
+    while (frames.length > step.depth && frames.length > 1) {
+      const frame = frames.pop();
+      settle(frame.call, _word(step.stack, 0), frames[frames.length - 1], frame.transfers);
+    }
+
+    if (CALL_OPS.has(step.op)) site = _callSite(step, frames[frames.length - 1]);
+  }
+
+  return root.transfers.map((t, i) =>
+    _transfer(tx.hash, t.frame.address, t.to, t.value, t.kind, t.depth, -(i + 1))
+  );
+}
+
+/** Address of the contract a creation transaction deploys */
+function _createdAddress(tx) {
+  return ethers.getCreateAddress({ from: tx.from, nonce: BigInt(tx.nonce) });
+}
+
+/** A CALL-family step → { depth, caller, to, codeAddress, value, creates } */
+function _callSite(step, caller) {
+  const s = step.stack || [];
+  const arg = (i) => _word(s, i);
+  switch (step.op) {
+    case "CALL":
+      return { depth: step.depth, caller, to: _address(arg(1)), codeAddress: _address(arg(1)), value: arg(2), creates: false };
+    case "CALLCODE":
+      // Runs the target's code as the caller: value stays with the caller
+      return { depth: step.depth, caller, to: caller.address, codeAddress: caller.address, value: 0n, creates: false };
+    case "DELEGATECALL":
+      return { depth: step.depth, caller, to: caller.address, codeAddress: caller.address, value: 0n, creates: false };
+    case "STATICCALL":
+      return { depth: step.depth, caller, to: _address(arg(1)), codeAddress: _address(arg(1)), value: 0n, creates: false };
+    default: // CREATE, CREATE2
+      return { depth: step.depth, caller, to: null, codeAddress: null, value: arg(0), creates: true };
+  }
+}
+
+/** i-th word from the top of a struct-log stack (top = last entry) */
+function _word(stack, i) {
+  const entry = stack?.[stack.length - 1 - i];
+  if (entry == null) return 0n;
+  return BigInt(String(entry).startsWith("0x") ? entry : `0x${entry}`);
+}
+
+function _address(word) {
+  return `0x${(word & ((1n << 160n) - 1n)).toString(16).padStart(40, "0")}`;
+}
+
+/** bigint | number bound → bigint (rounded up) */
+function _ceil(bound) {
+  if (typeof bound === "bigint") return bound;
+  return BigInt(Math.ceil(bound));
+}
+
+/** Method or tracer missing on this node (not a transient failure) */
+function _isUnsupported(err) {
+  const code = err?.error?.code ?? err?.info?.error?.code;
+  const message = [err?.message, err?.error?.message, err?.info?.error?.message].filter(Boolean).join(" ");
+  return code === -32601 || /not supported|method not found|does not exist|unsupported|tracer/i.test(message);
+}
+
+/** Run fn(item, index) over items, at most `limit` at a time */
+async function _mapLimit(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+}
+
+module.exports = NativeTransferScanner;
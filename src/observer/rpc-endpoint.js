@@ -0,0 +1,299 @@
+/**
+ * Genesis — RPC Endpoint
+ *
+ * One JSON-RPC endpoint of an RpcPool, with what the pool needs to route
+ * around it:
+ *   - token bucket    — requests wait for a token, so a free-tier limit is
+ *                       never exceeded (chains.json "rateLimit")
+ *   - circuit breaker — closed → open after `failureThreshold` consecutive
+ *                       failures; open skips the endpoint for `cooldownMs`
+ *                       (doubling on every reopen, up to `maxCooldownMs`);
+ *                       half-open then lets one probe request through,
+ *                       which closes or reopens it
+ *   - latency         — EWMA of successful calls and health checks
+ *   - per-method metrics — calls, errors and a latency histogram for every
+ *                       JSON-RPC method sent through the provider
+ *
+ * Endpoint specs in chains.json are a URL, or
+ *   { "url": "...", "weight": 2, "rateLimit": { "rps": 10, "burst": 20 } }
+ */
+
+const { ethers } = require("ethers");
+
+// Latency histogram upper bounds (ms); the last bucket is +Inf
+const LATENCY_BUCKETS_MS = [25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+// Weight of the newest sample in the latency EWMA
+const LATENCY_ALPHA = 0.2;
+
+const CircuitState = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half_open",
+};
+
+class RpcEndpoint {
+  /**
+   * @param {string|{ url: string, weight?: number, rateLimit?: { rps: number, burst?: number } }} spec
+   * @param {object} chainConfig
+   * @param {object} [opts]
+   * @param {{ rps: number, burst?: number }} [opts.rateLimit] — default for specs without one
+   * @param {number} [opts.failureThreshold] — consecutive failures that open the circuit
+   * @param {number} [opts.cooldownMs] — first open period
+   * @param {number} [opts.maxCooldownMs] — cap for the doubling open period
+   */
+  constructor(spec, chainConfig, opts = {}) {
+    const { url, weight = 1, rateLimit = opts.rateLimit } = typeof spec === "string" ? { url: spec } : spec;
+    this.url = url;
+    this.host = _host(url);
+    this.weight = weight > 0 ? weight : 1;
+
+    this.provider = new InstrumentedProvider(url, this, {
+      staticNetwork: ethers.Network.from(chainConfig.chainId),
+      batchMaxCount: 1,             // disable batching for low latency
+    });
+
+    // --- Token bucket (null = unlimited) ---
+    this.bucket = rateLimit?.rps > 0
+      ? { rps: rateLimit.rps, burst: rateLimit.burst ?? rateLimit.rps, tokens: rateLimit.burst ?? rateLimit.rps, updatedAt: Date.now() }
+      : null;
+    this.throttled = { requests: 0, waitedMs: 0 };
+
+    // --- Circuit breaker ---
+    this.failureThreshold = opts.failureThreshold ?? 3;
+    this.baseCooldownMs = opts.cooldownMs ?? 30_000;
+    this.maxCooldownMs = opts.maxCooldownMs ?? 300_000;
+    this.state = CircuitState.CLOSED;
+    this.consecutiveFailures = 0;
+    this.cooldownMs = this.baseCooldownMs;
+    this.retryAt = 0;
+    this.probing = false; // a half-open probe is in flight
+    this.opens = 0;
+
+    // --- Health ---
+    this.latencyMs = 0;       // EWMA; 0 = no sample yet
+    this.lastCheck = 0;
+    this.headBlock = null;    // from the last health check
+    this.lagBlocks = 0;       // behind the pool's best head at the last health check
+    this.errors = 0;          // failures counted by the breaker
+
+    /** @type {Map<string, { calls: number, errors: number, totalMs: number, histogram: number[] }>} */
+    this.methods = new Map();
+  }
+
+  /** False while the circuit is open (kept for callers of the old pool entries) */
+  get healthy() {
+    return this.state !== CircuitState.OPEN;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Circuit breaker
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Whether a request may be routed here now. An open circuit whose cooldown
+   * has passed turns half-open and admits a single probe.
+   */
+  canRoute(now = Date.now()) {
+    if (this.state === CircuitState.OPEN && now >= this.retryAt) {
+      this.state = CircuitState.HALF_OPEN;
+      this.probing = false;
+    }
+    if (this.state === CircuitState.HALF_OPEN) return !this.probing;
+    return this.state === CircuitState.CLOSED;
+  }
+
+  /** Mark a routed request as the half-open probe (the only one let through) */
+  beginRequest() {
+    if (this.state === CircuitState.HALF_OPEN) this.probing = true;
+  }
+
+  /**
+   * @param {number} [latencyMs] — folded into the latency EWMA when given
+   * @returns {boolean} true when this closed the circuit
+   */
+  recordSuccess(latencyMs) {
+    if (latencyMs != null) this._sampleLatency(latencyMs);
+    this.consecutiveFailures = 0;
+    if (this.state === CircuitState.CLOSED) return false;
+
+    this.state = CircuitState.CLOSED;
+    this.probing = false;
+    this.cooldownMs = this.baseCooldownMs;
+    return true;
+  }
+
+  /** @returns {boolean} true when this opened the circuit */
+  recordFailure(now = Date.now()) {
+    this.errors++;
+    this.consecutiveFailures++;
+
+    if (this.state === CircuitState.HALF_OPEN) {
+      // The probe failed — back off longer
+      this.cooldownMs = Math.min(this.cooldownMs * 2, this.maxCooldownMs);
+      return this._open(now);
+    }
+    if (this.state === CircuitState.CLOSED && this.consecutiveFailures >= this.failureThreshold) {
+      return this._open(now);
+    }
+    return false;
+  }
+
+  /** A passing health check: an open circuit gets its probe now */
+  recordHealthy(latencyMs, headBlock) {
+    this._sampleLatency(latencyMs);
+    this.headBlock = headBlock;
+    this.lastCheck = Date.now();
+    if (this.state === CircuitState.OPEN) this.retryAt = 0;
+  }
+
+  _open(now) {
+    this.state = CircuitState.OPEN;
+    this.probing = false;
+    this.retryAt = now + this.cooldownMs;
+    this.opens++;
+    return true;
+  }
+
+  _sampleLatency(ms) {
+    this.latencyMs = this.latencyMs === 0 ? ms : Math.round(LATENCY_ALPHA * ms + (1 - LATENCY_ALPHA) * this.latencyMs);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rate limiting
+  // ---------------------------------------------------------------------------
+
+  /** Tokens available now (Infinity without a limit) */
+  tokens(now = Date.now()) {
+    if (!this.bucket) return Infinity;
+    this._refill(now);
+    return this.bucket.tokens;
+  }
+
+  /** Wait for a token, then take it */
+  async acquire() {
+    if (!this.bucket) return;
+
+    let waited = 0;
+    for (;;) {
+      this._refill(Date.now());
+      if (this.bucket.tokens >= 1) {
+        this.bucket.tokens -= 1;
+        break;
+      }
+      const waitMs = Math.ceil(((1 - this.bucket.tokens) / this.bucket.rps) * 1000);
+      waited += waitMs;
+      await new Promise((resolve) => setTimeout(resolve, waitMs));
+    }
+
+    if (waited > 0) {
+      this.throttled.requests++;
+      this.throttled.waitedMs += waited;
+    }
+  }
+
+  _refill(now) {
+    const b = this.bucket;
+    b.tokens = Math.min(b.burst, b.tokens + ((now - b.updatedAt) / 1000) * b.rps);
+    b.updatedAt = now;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Per-method metrics
+  // ---------------------------------------------------------------------------
+
+  recordCall(method, latencyMs, failed) {
+    let m = this.methods.get(method);
+    if (!m) {
+      m = { calls: 0, errors: 0, totalMs: 0, histogram: new Array(LATENCY_BUCKETS_MS.length + 1).fill(0) };
+      this.methods.set(method, m);
+    }
+    m.calls++;
+    m.totalMs += latencyMs;
+    if (failed) m.errors++;
+    const bucket = LATENCY_BUCKETS_MS.findIndex((le) => latencyMs <= le);
+    m.histogram[bucket === -1 ? LATENCY_BUCKETS_MS.length : bucket]++;
+  }
+
+  /** Snapshot for health / metrics output — never the full URL (it carries API keys) */
+  getStats(now = Date.now()) {
+    const methods = {};
+    for (const [method, m] of this.methods) {
+      const histogram = {};
+      LATENCY_BUCKETS_MS.forEach((le, i) => (histogram[le] = m.histogram[i]));
+      histogram["+Inf"] = m.histogram[LATENCY_BUCKETS_MS.length];
+      methods[method] = {
+        calls: m.calls,
+        errors: m.errors,
+        avgLatencyMs: m.calls > 0 ? Math.round(m.totalMs / m.calls) : 0,
+        latencyHistogramMs: histogram,
+      };
+    }
+
+    return {
+      host: this.host,
+      healthy: this.healthy,
+      circuit: this.state,
+      retryInSec: this.state === CircuitState.OPEN ? Math.max(0, Math.ceil((this.retryAt - now) / 1000)) : 0,
+      opens: this.opens,
+      weight: this.weight,
+      latencyMs: this.latencyMs,
+      headBlock: this.headBlock,
+      lagBlocks: this.lagBlocks,
+      errors: this.errors,
+      rateLimit: this.bucket
+        ? { rps: this.bucket.rps, burst: this.bucket.burst, tokens: Math.floor(this.tokens(now)), ...this.throttled }
+        : null,
+      methods,
+    };
+  }
+
+  destroy() {
+    this.provider.destroy();
+  }
+}
+
+/**
+ * JsonRpcProvider that takes a token before every request and reports each
+ * JSON-RPC method's latency and outcome to its endpoint.
+ */
+class InstrumentedProvider extends ethers.JsonRpcProvider {
+  constructor(url, endpoint, options) {
+    super(url, undefined, options);
+    this._endpoint = endpoint;
+  }
+
+  async _send(payload) {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    for (let i = 0; i < requests.length; i++) await this._endpoint.acquire();
+
+    const started = Date.now();
+    try {
+      const results = await super._send(payload);
+      const latency = Date.now() - started;
+      for (const request of requests) {
+        const result = results.find((r) => r.id === request.id);
+        this._endpoint.recordCall(request.method, latency, !result || result.error != null);
+      }
+      return results;
+    } catch (err) {
+      const latency = Date.now() - started;
+      for (const request of requests) this._endpoint.recordCall(request.method, latency, true);
+      throw err;
+    }
+  }
+}
+
+/** host[:port] only — the path and query carry API keys */
+function _host(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "unknown";
+  }
+}
+
+RpcEndpoint.CircuitState = CircuitState;
+RpcEndpoint.LATENCY_BUCKETS_MS = LATENCY_BUCKETS_MS;
+
+module.exports = RpcEndpoint;
@@ -3,28 +3,66 @@
  *
  * Manages multiple RPC providers for a single chain.
  * Features:
- *   - Round-robin with automatic failover
- *   - Health checks (marks dead providers, retries periodically)
- *   - Latency tracking
+ *   - Latency-weighted routing: smooth weighted round-robin over the
+ *     endpoints whose circuit is closed, each weighted by its configured
+ *     `weight` × how fast it is relative to the fastest one
+ *   - Per-endpoint token-bucket rate limits and circuit breakers with
+ *     half-open probing (see RpcEndpoint)
+ *   - Failover: a call that fails on one endpoint is retried on the others;
+ *     answers from the node itself (reverts, unknown methods, bad params)
+ *     are returned as-is and never count against the endpoint
+ *   - Health checks feed routing: latency samples, an immediate probe for
+ *     open circuits, and endpoints lagging the best head are only used when
+ *     nothing else is available
+ *   - Per-method call counts, errors and latency histograms (getStats)
+ *   - Optional WebSocket eth_subscribe("newHeads") for push-based block
+ *     tracking (chainConfig.wsEndpoints; JSON-RPC calls stay on HTTP).
+ *     There is no "logs" subscription: logs come from eth_getLogs per head,
+ *     which covers a reconnect gap and keeps ranges to checkpoint and replay
  *
  * Usage:
- *   const pool = new RpcPool(chainConfig);
- *   const provider = pool.getProvider();   // best healthy provider
- *   const provider = pool.getAll();        // all healthy providers
+ *   const pool = new RpcPool(chainConfig, config.rpcPool);
+ *   const provider = pool.getProvider();   // next endpoint by weight, or null
+ *   await pool.callWithFailover((provider) => provider.getBlockNumber());
+ *   await pool.subscribeNewHeads(onHead, onLost);  // false → keep polling
  */
 
 const { ethers } = require("ethers");
 const EventEmitter = require("events");
+const RpcEndpoint = require("./rpc-endpoint");
+
+// How long a WebSocket endpoint gets to open before the next one is tried
+const WS_CONNECT_TIMEOUT_MS = 10_000;
+
+// Blocks behind the best head before an endpoint is only used as a last resort
+const DEFAULT_MAX_LAG_BLOCKS = 5;
 
 class RpcPool extends EventEmitter {
   /**
    * @param {object} chainConfig — a chain entry from config.getChain()
+   * @param {object} [opts] — config.rpcPool
+   * @param {number} [opts.failureThreshold] — consecutive failures that open a circuit
+   * @param {number} [opts.cooldownMs] — first open period of a circuit
+   * @param {number} [opts.maxCooldownMs] — cap for the doubling open period
+   * @param {number} [opts.maxLagBlocks] — head lag that takes an endpoint out of rotation
    */
-  constructor(chainConfig) {
+  constructor(chainConfig, opts = {}) {
     super();
     this.chain = chainConfig;
+    this.opts = opts;
+    this.maxLagBlocks = opts.maxLagBlocks ?? DEFAULT_MAX_LAG_BLOCKS;
+
+    /** @type {RpcEndpoint[]} */
     this.providers = [];
-    this._index = 0;
+
+    /** @type {Map<RpcEndpoint, number>} smooth weighted round-robin state */
+    this._current = new Map();
+
+    /** @type {string[]} WebSocket endpoints, tried in order by subscribeNewHeads() */
+    this.wsEndpoints = (chainConfig.wsEndpoints || []).filter((url) => url && url.length >= 10);
+
+    /** @type {{ url: string, provider: ethers.WebSocketProvider }|null} live subscription socket */
+    this.ws = null;
 
     this._initProviders();
   }
@@ -33,23 +71,15 @@ class RpcPool extends EventEmitter {
   // Initialisation
   // ---------------------------------------------------------------------------
   _initProviders() {
-    for (const url of this.chain.rpcEndpoints) {
+    for (const spec of this.chain.rpcEndpoints) {
+      const url = typeof spec === "string" ? spec : spec?.url;
       // Skip empty URLs (missing API keys)
       if (!url || url.length < 10) continue;
 
-      const provider = new ethers.JsonRpcProvider(url, undefined, {
-        staticNetwork: ethers.Network.from(this.chain.chainId),
-        batchMaxCount: 1,             // disable batching for low latency
-      });
-
-      this.providers.push({
-        url,
-        provider,
-        healthy: true,
-        latencyMs: 0,
-        lastCheck: 0,
-        errors: 0,
-      });
+      this.providers.push(new RpcEndpoint(spec, this.chain, {
+        ...this.opts,
+        rateLimit: this.chain.rpcRateLimit, // chain default for endpoints without their own
+      }));
     }
 
     if (this.providers.length === 0) {
@@ -58,8 +88,10 @@ class RpcPool extends EventEmitter {
       );
     }
 
+    const limited = this.providers.filter((p) => p.bucket).length;
     console.log(
-      `  ⛓️  RPC Pool [${this.chain.name}]: ${this.providers.length} provider(s) loaded`
+      `  ⛓️  RPC Pool [${this.chain.name}]: ${this.providers.length} provider(s) loaded` +
+      (limited > 0 ? ` (${limited} rate-limited)` : "")
     );
   }
 
@@ -67,104 +99,267 @@ class RpcPool extends EventEmitter {
   // Public API
   // ---------------------------------------------------------------------------
 
-  /** Returns the best healthy provider (round-robin among healthy ones). */
+  /**
+   * Next provider by weight, or null when every circuit is open. Outcomes of
+   * calls made on it directly are not seen by the circuit breaker — prefer
+   * callWithFailover().
+   * @returns {ethers.JsonRpcProvider|null}
+   */
   getProvider() {
-    const healthy = this.providers.filter((p) => p.healthy);
-    if (healthy.length === 0) {
-      // All dead — force-reset and try the first one (silent — auto-recovery is expected)
-      this.providers.forEach((p) => (p.healthy = true));
-      return this.providers[0].provider;
-    }
-    const entry = healthy[this._index % healthy.length];
-    this._index++;
-    return entry.provider;
+    return this._pick()?.provider ?? null;
   }
 
-  /** Returns all healthy provider entries. */
+  /** Endpoints whose circuit is not open. */
   getHealthy() {
     return this.providers.filter((p) => p.healthy);
   }
 
-  /** Mark a provider as failed — will be skipped until health check passes. */
+  /** Count a failed call against a provider's circuit breaker. */
   markFailed(provider, error) {
-    const entry = this.providers.find((p) => p.provider === provider);
-    if (entry) {
-      entry.healthy = false;
-      entry.errors++;
-      entry.lastCheck = Date.now();
-
-      // Only log non-transient errors verbosely; transient ones (ECONNRESET, ETIMEDOUT) are expected on free RPCs
-      const msg = error?.message || String(error);
-      const isTransient = /ECONNRESET|ETIMEDOUT|ENOTFOUND|rate|limit|429|503/i.test(msg);
-
-      if (isTransient) {
-        // Quiet one-liner for expected drops
-        const healthy = this.providers.filter((p) => p.healthy).length;
-        if (healthy > 0) {
-          // Another provider will handle it — no need to alarm the user
-        } else {
-          console.warn(`  ⚠️  [RPC] All providers temporarily down — auto-retrying...`);
-        }
-      } else {
-        // Unexpected error — log in full
-        console.warn(`  ❌ [RpcPool] Provider failed (${_shortUrl(entry.url)}): ${msg}`);
-      }
+    const entry = this._entry(provider);
+    if (!entry) return;
 
-      this.emit("provider:failed", { url: entry.url, chain: this.chain.slug, error });
+    // shortMessage: ethers' full message embeds the request URL (and its API key)
+    const msg = error?.shortMessage || error?.message || String(error);
+    const opened = entry.recordFailure();
+    if (opened) {
+      const healthy = this.getHealthy().length;
+      console.warn(
+        `  🔴 [RpcPool] Circuit open for ${entry.host} [${this.chain.slug}] after ${entry.consecutiveFailures} failure(s) — ` +
+        `probing again in ${Math.ceil(entry.cooldownMs / 1000)}s (${healthy}/${this.providers.length} available): ${msg}`
+      );
+      this.emit("circuit", { url: entry.url, chain: this.chain.slug, state: entry.state });
+    } else if (!/ECONNRESET|ETIMEDOUT|ENOTFOUND|rate|limit|429|503/i.test(msg)) {
+      // Transient errors (ECONNRESET, ETIMEDOUT, 429) are expected on free RPCs — only log the unexpected
+      console.warn(`  ❌ [RpcPool] Provider failed (${entry.host}): ${msg}`);
     }
+
+    this.emit("provider:failed", { url: entry.url, chain: this.chain.slug, error });
   }
 
-  /** Run a health check on all providers. Re-enables recovered ones. */
+  /**
+   * Check every endpoint (eth_blockNumber) and feed the result into routing:
+   * latency samples, head lag, failures for the circuit breaker, and an
+   * immediate probe for open circuits that answered.
+   */
   async healthCheck() {
-    const results = await Promise.allSettled(
+    const results = await Promise.all(
       this.providers.map(async (entry) => {
         const start = Date.now();
         try {
-          await entry.provider.getBlockNumber();
-          entry.healthy = true;
-          entry.latencyMs = Date.now() - start;
-          entry.lastCheck = Date.now();
+          const head = await entry.provider.getBlockNumber();
+          entry.recordHealthy(Date.now() - start, head);
+          return head;
         } catch (err) {
-          entry.healthy = false;
-          entry.latencyMs = -1;
           entry.lastCheck = Date.now();
-          entry.errors++;
+          if (entry.recordFailure()) {
+            this.emit("circuit", { url: entry.url, chain: this.chain.slug, state: entry.state });
+          }
+          return null;
         }
-        return entry;
       })
     );
 
-    const healthy = this.providers.filter((p) => p.healthy).length;
+    const best = Math.max(...results.filter((h) => h != null), -1);
+    for (const entry of this.providers) {
+      entry.lagBlocks = best >= 0 && entry.headBlock != null ? Math.max(0, best - entry.headBlock) : 0;
+    }
+
+    const healthy = results.filter((h) => h != null).length;
+    const lagging = this.providers.filter((p) => p.lagBlocks > this.maxLagBlocks).length;
     console.log(
-      `  🏥 [RpcPool] Health check [${this.chain.slug}]: ${healthy}/${this.providers.length} healthy`
+      `  🏥 [RpcPool] Health check [${this.chain.slug}]: ${healthy}/${this.providers.length} healthy` +
+      (lagging > 0 ? `, ${lagging} lagging` : "")
     );
     this.emit("healthcheck", {
       chain: this.chain.slug,
       healthy,
       total: this.providers.length,
+      lagging,
     });
   }
 
-  /** Execute a call with automatic failover across providers. */
+  /**
+   * Execute a call with automatic failover across providers. Endpoint
+   * failures (transport errors, timeouts, HTTP 429 / 5xx, rate-limit
+   * answers) move on to the next endpoint; errors the node returns for the
+   * request itself are thrown straight away.
+   */
   async callWithFailover(fn) {
     const tried = new Set();
+    let lastError = null;
+
     while (tried.size < this.providers.length) {
-      const provider = this.getProvider();
-      if (tried.has(provider)) continue;
-      tried.add(provider);
+      const entry = this._pick(tried);
+      if (!entry) break;
+      tried.add(entry);
+      entry.beginRequest();
+
+      const started = Date.now();
       try {
-        return await fn(provider);
+        const result = await fn(entry.provider);
+        this._recordSuccess(entry, Date.now() - started);
+        return result;
       } catch (err) {
-        this.markFailed(provider, err);
+        if (_isNodeAnswer(err)) {
+          // The endpoint works — the request does not
+          this._recordSuccess(entry, null);
+          throw err;
+        }
+        lastError = err;
+        this.markFailed(entry.provider, err);
       }
     }
-    throw new Error(`[RpcPool] All ${this.providers.length} providers failed for ${this.chain.slug}`);
+
+    if (tried.size === 0) {
+      const retryIn = Math.min(...this.providers.map((p) => p.retryAt)) - Date.now();
+      const err = new Error(
+        `[RpcPool] No provider available for ${this.chain.slug}: all circuits open (next probe in ${Math.max(0, Math.ceil(retryIn / 1000))}s)`
+      );
+      err.code = "RPC_UNAVAILABLE";
+      throw err;
+    }
+    const err = new Error(
+      `[RpcPool] All ${tried.size} providers failed for ${this.chain.slug}: ${lastError?.shortMessage || lastError?.message}`
+    );
+    err.code = "RPC_FAILED";
+    throw err;
+  }
+
+  /** Per-endpoint routing state and per-method metrics. */
+  getStats() {
+    const now = Date.now();
+    return this.providers.map((entry) => entry.getStats(now));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Routing
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Choose the endpoint for the next request:
+   *   1. a half-open circuit waiting for its probe
+   *   2. smooth weighted round-robin over the closed ones — up to date and
+   *      with a token in their bucket when any are, else all of them
+   */
+  _pick(exclude) {
+    const now = Date.now();
+    const routable = this.providers.filter((p) => !exclude?.has(p) && p.canRoute(now));
+    if (routable.length === 0) return null;
+
+    const probe = routable.find((p) => p.state === RpcEndpoint.CircuitState.HALF_OPEN);
+    if (probe) return probe;
+
+    let candidates = routable;
+    for (const prefer of [(p) => p.lagBlocks <= this.maxLagBlocks, (p) => p.tokens(now) >= 1]) {
+      const preferred = candidates.filter(prefer);
+      if (preferred.length > 0) candidates = preferred;
+    }
+    if (candidates.length === 1) return candidates[0];
+
+    // Effective weight: configured weight × relative speed (unsampled = as fast as the best)
+    const sampled = candidates.filter((p) => p.latencyMs > 0).map((p) => p.latencyMs);
+    const fastest = sampled.length > 0 ? Math.max(Math.min(...sampled), 1) : 1;
+    let total = 0;
+    let best = null;
+    for (const entry of candidates) {
+      const speed = entry.latencyMs > 0 ? fastest / Math.max(entry.latencyMs, 1) : 1;
+      const effective = entry.weight * speed;
+      total += effective;
+      const current = (this._current.get(entry) || 0) + effective;
+      this._current.set(entry, current);
+      if (!best || current > this._current.get(best)) best = entry;
+    }
+    this._current.set(best, this._current.get(best) - total);
+    return best;
+  }
+
+  _recordSuccess(entry, latencyMs) {
+    if (entry.recordSuccess(latencyMs)) {
+      console.log(`  🟢 [RpcPool] ${entry.host} [${this.chain.slug}] recovered — circuit closed`);
+      this.emit("circuit", { url: entry.url, chain: this.chain.slug, state: entry.state });
+    }
+  }
+
+  _entry(provider) {
+    return this.providers.find((p) => p.provider === provider);
+  }
+
+  // ---------------------------------------------------------------------------
+  // WebSocket subscriptions
+  // ---------------------------------------------------------------------------
+
+  /** True when the chain has at least one WebSocket endpoint configured. */
+  hasWebSocket() {
+    return this.wsEndpoints.length > 0;
+  }
+
+  /**
+   * Subscribe to new chain heads over WebSocket (eth_subscribe "newHeads").
+   * Endpoints are tried in order; the first one that opens is used.
+   *
+   * @param {(blockNumber: number) => void} onHead — called for every new head
+   *   (including a replacement head at an already seen height after a reorg)
+   * @param {(error: Error) => void} onLost — called once if the socket closes
+   *   or errors after subscribing; subscribe again to resume
+   * @returns {Promise<boolean>} false when no endpoint could be reached
+   */
+  async subscribeNewHeads(onHead, onLost) {
+    this.unsubscribe();
+
+    for (const url of this.wsEndpoints) {
+      let provider = null;
+      try {
+        provider = new ethers.WebSocketProvider(url, undefined, {
+          staticNetwork: ethers.Network.from(this.chain.chainId),
+        });
+        await _waitForOpen(provider.websocket, WS_CONNECT_TIMEOUT_MS);
+      } catch (err) {
+        console.warn(`  ⚠️  [RpcPool] WebSocket ${_shortUrl(url)} unavailable: ${err.message}`);
+        if (provider) _destroyQuietly(provider);
+        continue;
+      }
+
+      const ws = { url, provider };
+      this.ws = ws;
+
+      let lost = false;
+      const handleLoss = (error) => {
+        if (lost || this.ws !== ws) return;
+        lost = true;
+        this.ws = null;
+        _destroyQuietly(provider);
+        this.emit("ws:disconnected", { url, chain: this.chain.slug, error });
+        onLost(error);
+      };
+      provider.websocket.onclose = (event) =>
+        handleLoss(new Error(`WebSocket closed (code ${event?.code ?? "?"})`));
+      provider.websocket.onerror = (event) =>
+        handleLoss(event?.error || new Error(event?.message || "WebSocket error"));
+
+      await provider.on("block", (blockNumber) => onHead(blockNumber));
+
+      console.log(`  🔌 [RpcPool] Subscribed to newHeads on ${_shortUrl(url)} [${this.chain.slug}]`);
+      this.emit("ws:connected", { url, chain: this.chain.slug });
+      return true;
+    }
+
+    return false;
+  }
+
+  /** Close the subscription socket (if any) without reporting it as lost. */
+  unsubscribe() {
+    if (!this.ws) return;
+    const { provider } = this.ws;
+    this.ws = null;
+    _destroyQuietly(provider);
   }
 
   /** Clean shutdown. */
   destroy() {
+    this.unsubscribe();
     for (const entry of this.providers) {
-      entry.provider.destroy();
+      entry.destroy();
     }
     this.providers = [];
   }
@@ -173,6 +368,16 @@ class RpcPool extends EventEmitter {
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
+/**
+ * An error the node returned for the request itself (revert, unknown
+ * method, invalid params): another endpoint would answer the same.
+ */
+function _isNodeAnswer(err) {
+  if (["CALL_EXCEPTION", "INVALID_ARGUMENT", "BAD_DATA", "NOT_IMPLEMENTED"].includes(err?.code)) return true;
+  const rpcCode = err?.error?.code ?? err?.info?.error?.code;
+  return rpcCode === 3 || rpcCode === -32601 || rpcCode === -32602;
+}
+
 function _shortUrl(url) {
   try {
     const u = new URL(url);
@@ -182,4 +387,40 @@ function _shortUrl(url) {
   }
 }
 
+/** Resolve once the socket is open; reject on error, close or timeout. */
+function _waitForOpen(socket, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    if (socket.readyState === 1) return resolve();
+
+    const timer = setTimeout(() => done(new Error(`no connection after ${timeoutMs / 1000}s`)), timeoutMs);
+    const done = (err) => {
+      clearTimeout(timer);
+      socket.removeEventListener("open", onOpen);
+      socket.removeEventListener("error", onError);
+      socket.removeEventListener("close", onClose);
+      err ? reject(err) : resolve();
+    };
+    const onOpen = () => done();
+    const onError = (event) => done(event?.error || new Error(event?.message || "connection error"));
+    const onClose = () => done(new Error("connection closed"));
+
+    socket.addEventListener("open", onOpen);
+    socket.addEventListener("error", onError);
+    socket.addEventListener("close", onClose);
+  });
+}
+
+/**
+ * Close a WebSocket provider. Aborting a socket that is still connecting
+ * emits a late "error", so a no-op handler stays attached.
+ */
+function _destroyQuietly(provider) {
+  try {
+    provider.websocket.onerror = () => {};
+    provider.destroy();
+  } catch {
+    // already closed
+  }
+}
+
 module.exports = RpcPool;
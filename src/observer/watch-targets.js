@@ -0,0 +1,223 @@
+/**
+ * Genesis — Watch Targets
+ *
+ * Turns the active rules into the (contract, topic0) pairs LogFetcher asks
+ * eth_getLogs for. Pure functions, so the same derivation backs both the
+ * live LogFetcher (ChainRunner.syncWatchTargets) and the rule API, which
+ * reports what a rule change starts or stops fetching before any monitor
+ * has reloaded.
+ *
+ * Event signatures come from the AbiRegistry, so the topic0 fetched for a
+ * rule is exactly the one the Decoder will parse — including ABIs attached
+ * to the rule's contracts and their proxy implementations.
+ *
+ * Conditions that pin an indexed param to fixed values ("from": "0xabc…",
+ * { "to": { "in": [...] } }, also inside `all`) become topic1–3 filters, so
+ * a rule for "transfers from X" downloads X's transfers only. Params of
+ * dynamic types (string, bytes, arrays) are never pushed down.
+ *
+ * NATIVE_TRANSFER rules have no log to fetch — NativeTransferScanner reads
+ * them from the blocks — so they produce no targets.
+ */
+
+const { ethers } = require("ethers");
+const { expandSequenceRules } = require("../engine/rule-loader");
+const { requiredValues, toNumeric } = require("../engine/conditions");
+const { NATIVE_TRANSFER } = require("../pipeline/event-model");
+
+const ADDRESS_RE = /^0x[0-9a-fA-F]{40}$/;
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * topic0 of an event signature, parsed the way the Decoder parses it.
+ * "event Transfer(address indexed from, address indexed to, uint256 value)"
+ *   → keccak256("Transfer(address,address,uint256)")
+ * @param {string|object} signature — human-readable signature or JSON ABI entry
+ * @returns {{ canonical: string, topic0: string }}
+ */
+function eventTopic(signature) {
+  const fragment = ethers.EventFragment.from(signature);
+  return { canonical: fragment.format("sighash"), topic0: fragment.topicHash };
+}
+
+/**
+ * Event signatures a rule's event type stands for on one contract (or any).
+ * Empty when no ABI declares the type — nothing is fetched for it.
+ * @param {import('../pipeline/abi-registry')} abiRegistry
+ * @param {string} eventType — e.g. "AAVE_LIQUIDATIONCALL"
+ * @param {{ chain?: string, address?: string|null }} [where]
+ * @returns {string[]}
+ */
+function getAbiForEventType(abiRegistry, eventType, where = {}) {
+  return abiRegistry.eventsForType(eventType, where).map((e) => e.signature);
+}
+
+/**
+ * topic1–3 filters implied by a rule's conditions for one event signature.
+ * @param {string} signature
+ * @param {object} [conditions]
+ * @returns {Array<string[]|null>} per indexed param: allowed topics, or null
+ *   for any; trailing nulls trimmed (empty = topic0 only)
+ */
+function indexedTopicFilters(signature, conditions) {
+  if (!conditions) return [];
+  const required = requiredValues(conditions);
+  if (required.size === 0) return [];
+
+  const topics = ethers.EventFragment.from(signature).inputs
+    .filter((param) => param.indexed)
+    .map((param) => {
+      const values = required.get(param.name) ?? required.get(`args.${param.name}`);
+      if (!values || values.length === 0) return null; // contradictory conditions: keep fetching, never match
+      const encoded = values.map((value) => _encodeTopic(param, value));
+      return encoded.includes(null) ? null : [...new Set(encoded)].sort();
+    });
+
+  while (topics.length > 0 && topics[topics.length - 1] === null) topics.pop();
+  return topics;
+}
+
+/**
+ * Watch targets for one chain.
+ * @param {object[]} rules — active rules (any chain; filtered here); sequence
+ *   rules watch the event of every step
+ * @param {string} chainSlug
+ * @param {import('../pipeline/abi-registry')} abiRegistry — rules' `abi` must already be applied
+ * @returns {{ id: string, address: string|null, eventSignatures: string[], topics: Array<Array<string[]|null>> }[]}
+ *   topics[i] — indexedTopicFilters() of eventSignatures[i]
+ */
+function buildWatchTargets(rules, chainSlug, abiRegistry) {
+  const targets = [];
+
+  for (const rule of expandSequenceRules(rules)) {
+    if (rule.chain && rule.chain !== chainSlug) continue;
+    if (rule.event_type === NATIVE_TRANSFER) continue;
+
+    if (rule.contracts && rule.contracts.length > 0) {
+      for (const addr of rule.contracts) {
+        const abi = getAbiForEventType(abiRegistry, rule.event_type, { chain: chainSlug, address: addr });
+        if (abi.length === 0) continue;
+        targets.push({
+          id: `rule_${rule.rule_id}_${addr.slice(0, 8)}`,
+          address: addr,
+          eventSignatures: abi,
+          topics: abi.map((signature) => indexedTopicFilters(signature, rule.conditions)),
+        });
+      }
+    } else {
+      const abi = getAbiForEventType(abiRegistry, rule.event_type, { chain: chainSlug });
+      if (abi.length === 0) continue;
+      targets.push({
+        id: `rule_${rule.rule_id}`,
+        address: null,
+        eventSignatures: abi,
+        topics: abi.map((signature) => indexedTopicFilters(signature, rule.conditions)),
+      });
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Rule event types no ABI declares on a chain — such rules fetch nothing
+ * and can never match.
+ * @param {object[]} rules
+ * @param {string} chainSlug
+ * @param {import('../pipeline/abi-registry')} abiRegistry
+ * @returns {{ rule_id: string, event_type: string, address: string|null }[]}
+ */
+function findUnresolvedEventTypes(rules, chainSlug, abiRegistry) {
+  const unresolved = [];
+
+  for (const rule of expandSequenceRules(rules)) {
+    if (rule.chain && rule.chain !== chainSlug) continue;
+    if (rule.event_type === NATIVE_TRANSFER) continue;
+    const addresses = rule.contracts && rule.contracts.length > 0 ? rule.contracts : [null];
+    for (const address of addresses) {
+      if (getAbiForEventType(abiRegistry, rule.event_type, { chain: chainSlug, address }).length === 0) {
+        unresolved.push({ rule_id: rule.rule_id, event_type: rule.event_type, address });
+      }
+    }
+  }
+
+  return unresolved;
+}
+
+/**
+ * What LogFetcher would start and stop fetching when the active rules go
+ * from `before` to `after`. A (contract, topic) pair still wanted by another
+ * rule is neither started nor stopped.
+ *
+ * @param {object[]} before — active rules before the change
+ * @param {object[]} after — active rules after the change
+ * @param {string[]} chains — chain slugs to compare
+ * @param {import('../pipeline/abi-registry')} abiRegistry — `after` rules' `abi` is applied here
+ * @returns {{ started: object[], stopped: object[], unresolved: object[] }}
+ *   started / stopped: { chain, address (null = any contract), topic0, event, topics? (topic1–3 filters) };
+ *   unresolved: { chain, rule_id, event_type, address } — nothing fetched for these
+ */
+function diffWatchTargets(before, after, chains, abiRegistry) {
+  const started = [];
+  const stopped = [];
+  const unresolved = [];
+
+  abiRegistry.applyRules(before);
+  const old = new Map(chains.map((chain) => [chain, _pairs(buildWatchTargets(before, chain, abiRegistry), chain)]));
+
+  abiRegistry.applyRules(after);
+  for (const chain of chains) {
+    const now = _pairs(buildWatchTargets(after, chain, abiRegistry), chain);
+
+    for (const [key, pair] of now) if (!old.get(chain).has(key)) started.push(pair);
+    for (const [key, pair] of old.get(chain)) if (!now.has(key)) stopped.push(pair);
+    unresolved.push(...findUnresolvedEventTypes(after, chain, abiRegistry).map((u) => ({ chain, ...u })));
+  }
+
+  return { started, stopped, unresolved };
+}
+
+/** targets → Map<"address|topic0|topics", { chain, address, topic0, event, topics? }> */
+function _pairs(targets, chain) {
+  const pairs = new Map();
+  for (const target of targets) {
+    const address = target.address?.toLowerCase() || null;
+    target.eventSignatures.forEach((signature, i) => {
+      const { canonical, topic0 } = eventTopic(signature);
+      const topics = target.topics?.[i] || [];
+      pairs.set(`${address || "*"}|${topic0}|${JSON.stringify(topics)}`, {
+        chain,
+        address,
+        topic0,
+        event: canonical,
+        ...(topics.length > 0 && { topics }),
+      });
+    });
+  }
+  return pairs;
+}
+
+/** One condition value → the topic an indexed param of that value has, or null */
+function _encodeTopic(param, value) {
+  try {
+    if (param.type === "address") {
+      return typeof value === "string" && ADDRESS_RE.test(value) ? abiCoder.encode(["address"], [value.toLowerCase()]) : null;
+    }
+    if (/^u?int\d*$/.test(param.type)) {
+      const n = toNumeric(value);
+      return typeof n === "bigint" || Number.isInteger(n) ? abiCoder.encode([param.type], [BigInt(n)]) : null;
+    }
+    if (param.type === "bool") {
+      const b = value === true || value === "true" ? true : value === false || value === "false" ? false : null;
+      return b === null ? null : abiCoder.encode(["bool"], [b]);
+    }
+    if (/^bytes\d+$/.test(param.type)) {
+      return typeof value === "string" && /^0x[0-9a-fA-F]*$/.test(value) ? abiCoder.encode([param.type], [value.toLowerCase()]) : null;
+    }
+  } catch {
+    // out of range for the type — not pushed down
+  }
+  return null;
+}
+
+module.exports = { eventTopic, getAbiForEventType, indexedTopicFilters, buildWatchTargets, findUnresolvedEventTypes, diffWatchTargets };
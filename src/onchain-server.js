@@ -20,9 +20,11 @@ const cors = require("cors");
 const path = require("path");
 const ContractListener = require("./contract-listener");
 const InsightFormatter = require("./ai/insight-formatter");
-const { Database, EventRepository, AlertRepository } = require("./db");
+const { Database, EventRepository, AlertRepository, DetectorStateRepository, LabelRepository } = require("./db");
 const AnomalyDetector = require("./engine/anomaly-detector");
 const WalletProfiler = require("./engine/wallet-profiler");
+const StateCheckpointer = require("./engine/state-checkpointer");
+const LabelRegistry = require("./engine/label-registry");
 
 // ── SQLite Database ──────────────────────────────────────────────────────
 const db = new Database({
@@ -30,6 +32,8 @@ const db = new Database({
 });
 let eventRepo = null;
 let alertRepo = null;
+let stateCheckpointer = null;
+let labelRegistry = null;
 
 const app = express();
 app.use(cors());
@@ -474,6 +478,22 @@ async function start() {
     eventRepo = new EventRepository(db);
     alertRepo = new AlertRepository(db);
     console.log("  🗄️  [Database] SQLite connected — events & alerts will be persisted");
+
+    // Warm-start anomaly baselines + wallet profiles from the last run
+    stateCheckpointer = new StateCheckpointer({
+      store: new DetectorStateRepository(db),
+      scope: "localhost",
+      anomalyDetector,
+      walletProfiler,
+    });
+    stateCheckpointer.restore();
+    stateCheckpointer.start();
+
+    // Address labels for insights (lists managed through the API server)
+    labelRegistry = new LabelRegistry({ store: new LabelRepository(db) });
+    labelRegistry.load();
+    labelRegistry.watch();
+    formatter.labels = labelRegistry;
   } catch (err) {
     console.error(`  ⚠️  [Database] SQLite init failed (continuing without persistence): ${err.message}`);
   }
@@ -502,6 +522,8 @@ start().catch((err) => {
 // Graceful shutdown
 process.on("SIGINT", async () => {
   await listener.stop();
+  stateCheckpointer?.stop();
+  labelRegistry?.stop();
   if (db._isConnected) {
     await db.close();
     console.log("  🗄️  [Database] SQLite closed gracefully");
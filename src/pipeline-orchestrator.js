@@ -19,12 +19,14 @@
 
 const { createEventId, FinalityStatus } = require("./pipeline/event-model");
 const FinalityTracker = require("./pipeline/finality");
-const { RuleLoader, RuleEvaluator, Aggregator, NoiseFilter, AnomalyDetector, WalletProfiler } = require("./engine");
+const { RuleLoader, RuleEvaluator, Aggregator, NoiseFilter, AnomalyDetector, WalletProfiler, StateCheckpointer } = require("./engine");
 
 class PipelineOrchestrator {
   /**
    * @param {object} opts
    * @param {object} opts.deployment — parsed localhost.json
+   * @param {import('./db/detector-state-repository')} [opts.stateStore] — warm-start + checkpoint
+   *   the anomaly baselines and wallet profiles (scope "localhost")
    */
   constructor(opts = {}) {
     const deployment = opts.deployment || {};
@@ -60,6 +62,19 @@ class PipelineOrchestrator {
     // ── 7. Wallet Profiler ──
     this.walletProfiler = new WalletProfiler();
 
+    // ── 8. Detector state (survives restarts when a store is given) ──
+    this.stateCheckpointer = null;
+    if (opts.stateStore) {
+      this.stateCheckpointer = new StateCheckpointer({
+        store: opts.stateStore,
+        scope: "localhost",
+        anomalyDetector: this.anomalyDetector,
+        walletProfiler: this.walletProfiler,
+      });
+      this.stateCheckpointer.restore();
+      this.stateCheckpointer.start();
+    }
+
     // ── Tracking ──
     this.processedCount = 0;
     this.ruleMatchCount = 0;
@@ -240,6 +255,7 @@ class PipelineOrchestrator {
         filtered = true;
       }
     }
+    this.aggregator.advanceWatermark(normalized.timestamp);
 
     // ── Stage 5: Anomaly detection ──
     // event.amount may be a locale-formatted string like "500,000.00" — strip commas before parsing
@@ -340,6 +356,7 @@ class PipelineOrchestrator {
 
   /** Cleanup */
   destroy() {
+    this.stateCheckpointer?.stop();
     this.aggregator.destroy();
     this.ruleLoader.stop();
   }
@@ -0,0 +1,589 @@
+/**
+ * Genesis — ABI Registry
+ *
+ * The one source of ABIs for both halves of selective indexing: the topic0
+ * filters LogFetcher sends to eth_getLogs (watch-targets.js) and the
+ * interfaces Decoder parses the returned logs with.
+ *
+ *   families  — named ABIs whose events any contract may emit:
+ *                 the built-ins in src/config/abis/   aave-v3.json → AAVE_LIQUIDATIONCALL
+ *                 every Hardhat artifact              GenesisVault → GENESIS_VAULT_LARGEMOVEMENT
+ *                 a rule's inline `abi`               { "name": "MyVault", "events": [...] }
+ *   contracts — an ABI attached to one address on one chain: through the API
+ *               (contract_abis table), a Hardhat deployment file, or a rule's
+ *               `abi` + `contracts`. Logs from that address decode with it first.
+ *   proxies   — EIP-1967 proxies resolved to their implementation (directly or
+ *               through a beacon) with storage reads. A proxy decodes with the
+ *               ABI attached to its implementation.
+ *
+ * Event types are "<FAMILY PREFIX>_<EVENT NAME>", upper-cased. An event that
+ * is identical to a built-in one (an ERC-20 Transfer in a token's artifact)
+ * keeps the built-in type, so ERC20_TRANSFER rules match every token.
+ *
+ * API-attached ABIs are written by the API server — another process — so
+ * watch() polls the store's version() like LabelRegistry and emits
+ * "abis:changed".
+ *
+ * Emits:
+ *   "abis:changed" — { contracts } after a reload from the store
+ */
+
+const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+const { ethers } = require("ethers");
+
+const DEFAULT_REFRESH_MS = 30_000;
+
+/** config.abis key → event-type prefix the rules already use */
+const BUILTIN_FAMILIES = [
+  ["erc20", "ERC20"],
+  ["erc721", "ERC721"],
+  ["uniswapV2", "UNISWAP_V2"],
+  ["uniswapV3", "UNISWAP"],
+  ["aaveV3", "AAVE"],
+  ["pausable", "PAUSABLE"],
+];
+
+// EIP-1967 storage slots, derived rather than pasted:
+//   implementation 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc
+//   beacon         0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50
+const IMPLEMENTATION_SLOT = _eip1967Slot("eip1967.proxy.implementation");
+const BEACON_SLOT = _eip1967Slot("eip1967.proxy.beacon");
+const BEACON_IMPLEMENTATION = "0x5c60da1b"; // implementation()
+
+const NAME_RE = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+
+/** keccak256(id) - 1 as a 32-byte word */
+function _eip1967Slot(id) {
+  return ethers.toBeHex(BigInt(ethers.id(id)) - 1n, 32);
+}
+
+class AbiRegistry extends EventEmitter {
+  /**
+   * @param {object} [opts]
+   * @param {object} [opts.abis] — the config.abis object (built-in families)
+   * @param {import('../db/abi-repository')} [opts.store] — API-attached contract ABIs
+   * @param {string|null} [opts.artifactsDir] — Hardhat artifacts/ directory
+   * @param {string|null} [opts.deploymentsDir] — Hardhat deployments/ directory
+   * @param {object} [opts.chains] — config.chains, to map a deployment's chainId to a slug
+   * @param {number} [opts.refreshMs] — watch() poll interval
+   */
+  constructor({ abis = {}, store = null, artifactsDir = null, deploymentsDir = null, chains = {}, refreshMs = DEFAULT_REFRESH_MS } = {}) {
+    super();
+    this.store = store;
+    this.artifactsDir = artifactsDir;
+    this.deploymentsDir = deploymentsDir;
+    this.chains = chains;
+    this.refreshMs = refreshMs;
+
+    /** @type {Map<string, object>} family name → family */
+    this.families = new Map();
+    /** @type {Map<string, object[]>} topic0 → family events (decode candidates for any address) */
+    this.byTopic = new Map();
+    /** @type {Map<string, { family: object, source: string }>} "chain:address" → attached ABI */
+    this.contracts = new Map();
+    /** @type {Map<string, string>} "chain:proxy" → lowercase implementation address */
+    this.proxies = new Map();
+
+    this._builtinTypes = new Map(); // "topic0|indexed count" → built-in event type
+    this._rulesKey = null;
+    this._version = null;
+    this._interval = null;
+
+    for (const [key, prefix] of BUILTIN_FAMILIES) {
+      if (abis[key]) this.register(prefix, abis[key], { source: "builtin", prefix });
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Loading
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Load Hardhat artifacts and deployments, then the API-attached ABIs
+   * @returns {number} contract ABIs attached
+   */
+  load() {
+    if (this.artifactsDir) this.loadArtifacts(this.artifactsDir);
+    if (this.deploymentsDir) this.loadDeployments(this.deploymentsDir);
+    this._loadStore();
+
+    console.log(
+      `  📜 [AbiRegistry] ${this.families.size} ABI famil${this.families.size === 1 ? "y" : "ies"}, ` +
+      `${this.contracts.size} contract ABI(s), ${this.byTopic.size} topic(s)`
+    );
+    return this.contracts.size;
+  }
+
+  /**
+   * Register every contract artifact under a directory as a family named
+   * after the contract (*.dbg.json, ABIs without events and names taken by a
+   * built-in family are skipped).
+   * @param {string} dir — e.g. artifacts/ or artifacts/contracts/
+   * @returns {number} families registered
+   */
+  loadArtifacts(dir) {
+    if (!fs.existsSync(dir)) return 0;
+
+    let count = 0;
+    for (const file of _walk(dir)) {
+      if (!file.endsWith(".json") || file.endsWith(".dbg.json")) continue;
+      try {
+        const artifact = JSON.parse(fs.readFileSync(file, "utf-8"));
+        if (!artifact.contractName || !Array.isArray(artifact.abi)) continue;
+        if (!artifact.abi.some((entry) => entry.type === "event")) continue;
+        if (this.families.get(artifact.contractName)?.source === "builtin") continue; // e.g. OpenZeppelin's ERC20
+        this.register(artifact.contractName, artifact.abi, { source: `artifact:${path.relative(dir, file)}` });
+        count++;
+      } catch (err) {
+        console.warn(`  ⚠️  [AbiRegistry] Skipped artifact ${file}: ${err.message}`);
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Attach artifact ABIs to deployed addresses. A deployment file looks like
+   * deployments/localhost.json: { chainId, contracts: { GenesisVault: { address } } };
+   * contracts without an artifact of the same name are skipped.
+   * @param {string} dir
+   * @returns {number} contracts attached
+   */
+  loadDeployments(dir) {
+    if (!fs.existsSync(dir)) return 0;
+
+    let count = 0;
+    for (const file of fs.readdirSync(dir).filter((f) => f.endsWith(".json"))) {
+      try {
+        const deployment = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8"));
+        const chain = Object.values(this.chains).find((c) => c.chainId === deployment.chainId)?.slug;
+        if (!chain) continue;
+
+        for (const [name, contract] of Object.entries(deployment.contracts || {})) {
+          const family = this.families.get(name);
+          if (!family || !contract?.address) continue;
+          this.contracts.set(_key(chain, contract.address), { family, source: `deployment:${file}` });
+          count++;
+        }
+      } catch (err) {
+        console.warn(`  ⚠️  [AbiRegistry] Skipped deployment ${file}: ${err.message}`);
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Reload API-attached ABIs if the store changed since the last load
+   * @returns {boolean} true when reloaded
+   */
+  refresh() {
+    if (!this.store) return false;
+    try {
+      if (this.store.version() === this._version) return false;
+      this._loadStore();
+      this.emit("abis:changed", { contracts: this.contracts.size });
+      return true;
+    } catch (err) {
+      console.warn(`  ⚠️  [AbiRegistry] Refresh failed: ${err.message}`);
+      return false;
+    }
+  }
+
+  /** Poll the store every refreshMs */
+  watch() {
+    if (this._interval || !this.store) return;
+    this._interval = setInterval(() => this.refresh(), this.refreshMs);
+    this._interval.unref?.();
+  }
+
+  stop() {
+    if (this._interval) clearInterval(this._interval);
+    this._interval = null;
+  }
+
+  _loadStore() {
+    if (!this.store) return;
+    this._version = this.store.version();
+
+    for (const [key, entry] of this.contracts) {
+      if (entry.source === "api") this.contracts.delete(key);
+    }
+    for (const row of this.store.list()) {
+      try {
+        this.contracts.set(_key(row.chain, row.address), { family: _family(row.name, row.abi, this), source: "api" });
+      } catch (err) {
+        console.warn(`  ⚠️  [AbiRegistry] Skipped stored ABI for ${row.chain}:${row.address}: ${err.message}`);
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Registration
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Register (or replace) a family: its events decode from any address
+   * @param {string} name — e.g. "GenesisVault"; also the event-type prefix unless opts.prefix
+   * @param {Array<string|object>} abi — JSON ABI entries or human-readable signatures
+   * @param {{ source?: string, prefix?: string }} [opts]
+   * @returns {object} the family
+   */
+  register(name, abi, { source = "code", prefix } = {}) {
+    const family = _family(name, abi, this, prefix);
+    family.source = source;
+    if (source === "builtin") {
+      for (const event of family.events) this._builtinTypes.set(_shapeKey(event.fragment), event.eventType);
+    }
+    this.families.set(name, family);
+    this._indexTopics();
+    return family;
+  }
+
+  /**
+   * Attach an ABI to one contract
+   * @param {string} chain — chain slug, or "*" for every chain
+   * @param {string} address
+   * @param {string|Array<string|object>} abi — a family name, or ABI entries
+   * @param {{ name?: string, source?: string }} [opts] — name: event-type prefix for ABI entries
+   */
+  setContractAbi(chain, address, abi, { name = "CONTRACT", source = "code" } = {}) {
+    const family = typeof abi === "string" ? this.families.get(abi) : _family(name, abi, this);
+    if (!family) throw _error("NOT_FOUND", `No ABI family named "${abi}"`);
+    this.contracts.set(_key(chain, address), { family, source });
+    return family;
+  }
+
+  /** @returns {boolean} true when an ABI was attached */
+  removeContractAbi(chain, address) {
+    return this.contracts.delete(_key(chain, address));
+  }
+
+  /**
+   * Apply the `abi` of every rule: inline ABIs become families, and rules
+   * with `contracts` attach theirs to those addresses. Cheap when nothing
+   * changed, so every ChainRunner can call it on rules:changed.
+   * @param {object[]} rules
+   * @returns {string[]} problems (unknown family names)
+   */
+  applyRules(rules) {
+    const withAbi = rules.filter((rule) => rule.abi != null);
+    const key = JSON.stringify(withAbi.map((r) => [r.rule_id, r.chain, r.contracts, r.abi]));
+    if (key === this._rulesKey) return [];
+    this._rulesKey = key;
+
+    for (const [name, family] of this.families) {
+      if (family.source.startsWith("rule:")) this.families.delete(name);
+    }
+    for (const [k, entry] of this.contracts) {
+      if (entry.source.startsWith("rule:")) this.contracts.delete(k);
+    }
+
+    const problems = [];
+    for (const rule of withAbi) {
+      const source = `rule:${rule.rule_id}`;
+      let family;
+      if (typeof rule.abi === "string") {
+        family = this.families.get(rule.abi);
+        if (!family) {
+          problems.push(`Rule "${rule.rule_id}": no ABI family named "${rule.abi}"`);
+          continue;
+        }
+      } else {
+        const existing = this.families.get(rule.abi.name);
+        if (existing && !existing.source.startsWith("rule:")) {
+          problems.push(`Rule "${rule.rule_id}": ABI name "${rule.abi.name}" is taken by ${existing.source} — reference it by name instead`);
+          continue;
+        }
+        try {
+          family = _family(rule.abi.name, rule.abi.events, this);
+        } catch (err) {
+          problems.push(`Rule "${rule.rule_id}": ${err.message}`);
+          continue;
+        }
+        family.source = source;
+        this.families.set(rule.abi.name, family);
+      }
+      for (const address of rule.contracts || []) {
+        this.contracts.set(_key(rule.chain || "*", address), { family, source });
+      }
+    }
+    this._indexTopics();
+
+    for (const problem of problems) console.warn(`  ⚠️  [AbiRegistry] ${problem}`);
+    return problems;
+  }
+
+  _indexTopics() {
+    this.byTopic = new Map();
+    for (const family of this.families.values()) {
+      for (const event of family.events) {
+        const entries = this.byTopic.get(event.topic0) || [];
+        // The same event in several families (ERC-20 Transfer in every token artifact) is decoded once
+        if (entries.some((e) => e.eventType === event.eventType && _shapeKey(e.fragment) === _shapeKey(event.fragment))) continue;
+        entries.push(event);
+        this.byTopic.set(event.topic0, entries);
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Proxies (EIP-1967)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Resolve EIP-1967 proxies among `addresses` (those with an ABI of their
+   * own are skipped). Reads the implementation slot, then the beacon slot.
+   * @param {string} chain
+   * @param {string[]} addresses
+   * @param {(fn: (provider: object) => Promise<any>) => Promise<any>} call — RpcPool.callWithFailover
+   * @returns {Promise<boolean>} true when any proxy → implementation mapping changed
+   */
+  async resolveProxies(chain, addresses, call) {
+    let changed = false;
+
+    for (const address of new Set(addresses.map((a) => a.toLowerCase()))) {
+      if (this._contractEntry(chain, address)) continue;
+      const key = _key(chain, address);
+      try {
+        const implementation = await _readImplementation(address, call);
+        if (implementation === (this.proxies.get(key) || null)) continue;
+
+        if (implementation) {
+          this.proxies.set(key, implementation);
+          console.log(`  🪞 [AbiRegistry] ${chain}:${address} is a proxy → implementation ${implementation}`);
+        } else {
+          this.proxies.delete(key);
+        }
+        changed = true;
+      } catch (err) {
+        console.warn(`  ⚠️  [AbiRegistry] Could not read proxy slots of ${chain}:${address}: ${err.message}`);
+      }
+    }
+    return changed;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Query
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Events a rule's event type stands for, on one contract (or any)
+   * @param {string} eventType
+   * @param {{ chain?: string, address?: string|null }} [where]
+   * @returns {{ eventType: string, signature: string, topic0: string }[]} one per topic0
+   */
+  eventsForType(eventType, { chain, address = null } = {}) {
+    const found = new Map();
+    const add = (events) => {
+      for (const e of events) {
+        if (e.eventType === eventType && !found.has(e.topic0)) found.set(e.topic0, e);
+      }
+    };
+
+    if (address) {
+      const attached = this._contractEntry(chain, address) || this._implementationEntry(chain, address);
+      if (attached) add(attached.family.events);
+    } else if (chain) {
+      // Any contract: include ABIs attached to this chain's contracts
+      for (const [key, entry] of this.contracts) {
+        if (key.startsWith(`${chain}:`) || key.startsWith("*:")) add(entry.family.events);
+      }
+    }
+    for (const family of this.families.values()) add(family.events);
+
+    return [...found.values()].map(({ eventType: type, signature, topic0 }) => ({ eventType: type, signature, topic0 }));
+  }
+
+  /**
+   * Decode candidates for a log: the ABI attached to the emitting contract
+   * (or its proxy implementation) first, then every family.
+   * @param {string} chain
+   * @param {string} address — log.address
+   * @param {string} topic0
+   * @returns {{ iface: ethers.Interface, eventName: string, eventType: string }[]}
+   */
+  candidatesFor(chain, address, topic0) {
+    const attached = address && (this._contractEntry(chain, address) || this._implementationEntry(chain, address));
+    const own = attached ? attached.family.events.filter((e) => e.topic0 === topic0) : [];
+    const shared = this.byTopic.get(topic0) || [];
+    return own.length > 0 ? [...own, ...shared.filter((e) => !own.includes(e))] : shared;
+  }
+
+  /** Every topic0 some ABI can decode (attached ABIs included) */
+  knownTopics(chain) {
+    const topics = new Set(this.byTopic.keys());
+    for (const [key, entry] of this.contracts) {
+      if (!chain || key.startsWith(`${chain}:`) || key.startsWith("*:")) {
+        for (const e of entry.family.events) topics.add(e.topic0);
+      }
+    }
+    return [...topics];
+  }
+
+  /**
+   * The ABI a contract decodes with
+   * @returns {{ name: string, source: string, implementation: string|null, events: object[] }|null}
+   */
+  describeContract(chain, address) {
+    const own = this._contractEntry(chain, address);
+    const implementation = this.proxies.get(_key(chain, address)) || null;
+    const entry = own || this._implementationEntry(chain, address);
+    if (!entry) return null;
+    return {
+      name: entry.family.name,
+      source: entry.source,
+      implementation: own ? null : implementation,
+      events: entry.family.events.map(_describeEvent),
+    };
+  }
+
+  getStats() {
+    return {
+      families: [...this.families.values()].map((f) => ({ name: f.name, source: f.source, events: f.events.map((e) => e.eventType) })),
+      contracts: [...this.contracts].map(([key, entry]) => {
+        const [chain, address] = key.split(":");
+        return { chain, address, name: entry.family.name, source: entry.source };
+      }),
+      proxies: [...this.proxies].map(([key, implementation]) => {
+        const [chain, address] = key.split(":");
+        return { chain, address, implementation };
+      }),
+    };
+  }
+
+  _contractEntry(chain, address) {
+    return this.contracts.get(_key(chain, address)) || this.contracts.get(_key("*", address)) || null;
+  }
+
+  _implementationEntry(chain, address) {
+    const implementation = this.proxies.get(_key(chain, address));
+    return implementation ? this._contractEntry(chain, implementation) : null;
+  }
+
+  /** @returns {string} event-type prefix of a family name: "GenesisVault" → "GENESIS_VAULT" */
+  static prefixFor(name) {
+    return name
+      .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+      .replace(/[^A-Za-z0-9]+/g, "_")
+      .toUpperCase();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Problems with an ABI: must parse with ethers and declare at least one event
+ * @param {*} abi — JSON ABI entries or human-readable signatures
+ * @param {string} [path]
+ * @returns {string[]}
+ */
+function getAbiErrors(abi, path = "abi") {
+  if (!Array.isArray(abi) || abi.length === 0) {
+    return [`${path}: expected a non-empty array of ABI entries or event signatures`];
+  }
+  const errors = [];
+  let events = 0;
+  abi.forEach((entry, i) => {
+    try {
+      if (ethers.Fragment.from(entry).type === "event") events++;
+    } catch (err) {
+      errors.push(`${path}[${i}]: ${err.shortMessage || err.message}`);
+    }
+  });
+  if (errors.length === 0 && events === 0) errors.push(`${path}: declares no events`);
+  return errors;
+}
+
+/**
+ * Problems with a rule's `abi`: a family name, or { name, events }
+ * @param {*} abi
+ * @returns {string[]}
+ */
+function getRuleAbiErrors(abi) {
+  if (typeof abi === "string") {
+    return NAME_RE.test(abi) ? [] : [`Invalid abi: "${abi}" is not an ABI family name`];
+  }
+  if (abi === null || typeof abi !== "object" || Array.isArray(abi)) {
+    return [`Invalid abi: must be a family name or { "name": ..., "events": [...] }`];
+  }
+  const errors = [];
+  if (typeof abi.name !== "string" || !NAME_RE.test(abi.name)) {
+    errors.push(`Invalid abi.name: use letters, digits, "_" and "-" (max 64), starting with a letter`);
+  }
+  errors.push(...getAbiErrors(abi.events, "Invalid abi.events"));
+  return errors;
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function _family(name, abi, registry, prefix = AbiRegistry.prefixFor(name)) {
+  const errors = getAbiErrors(abi);
+  if (errors.length > 0) throw _error("INVALID", `Invalid ABI for "${name}": ${errors.join("; ")}`, errors);
+
+  const iface = new ethers.Interface(abi);
+  const events = [];
+  iface.forEachEvent((fragment) => {
+    events.push({
+      iface,
+      fragment,
+      eventName: fragment.name,
+      eventType: registry._builtinTypes.get(_shapeKey(fragment)) || `${prefix}_${fragment.name.toUpperCase()}`,
+      signature: fragment.format("full"),
+      topic0: fragment.topicHash,
+    });
+  });
+  return { name, prefix, events, source: "code" };
+}
+
+/** topic0 alone can't tell an ERC-20 Transfer from an ERC-721 one — the indexed count can */
+function _shapeKey(fragment) {
+  return `${fragment.topicHash}|${fragment.inputs.filter((p) => p.indexed).length}`;
+}
+
+function _describeEvent(e) {
+  return { eventType: e.eventType, signature: e.signature, topic0: e.topic0 };
+}
+
+async function _readImplementation(address, call) {
+  const slotAddress = (word) => {
+    const value = word && word !== "0x" ? BigInt(word) : 0n;
+    return value === 0n ? null : ethers.getAddress("0x" + value.toString(16).padStart(40, "0").slice(-40)).toLowerCase();
+  };
+
+  const implementation = slotAddress(await call((provider) => provider.getStorage(address, IMPLEMENTATION_SLOT)));
+  if (implementation) return implementation;
+
+  const beacon = slotAddress(await call((provider) => provider.getStorage(address, BEACON_SLOT)));
+  if (!beacon) return null;
+  return slotAddress(await call((provider) => provider.call({ to: beacon, data: BEACON_IMPLEMENTATION })));
+}
+
+function _walk(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    return entry.isDirectory() ? _walk(full) : [full];
+  });
+}
+
+function _key(chain, address) {
+  return `${chain}:${String(address).toLowerCase()}`;
+}
+
+function _error(code, message, errors) {
+  const err = new Error(message);
+  err.code = code;
+  if (errors) err.errors = errors;
+  return err;
+}
+
+AbiRegistry.getAbiErrors = getAbiErrors;
+AbiRegistry.getRuleAbiErrors = getRuleAbiErrors;
+AbiRegistry.IMPLEMENTATION_SLOT = IMPLEMENTATION_SLOT;
+AbiRegistry.BEACON_SLOT = BEACON_SLOT;
+
+module.exports = AbiRegistry;
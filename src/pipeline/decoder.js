@@ -3,11 +3,12 @@
  *
  * Decodes raw blockchain logs into canonical GenesisEvents.
  *
- * Supports:
- *   - ERC-20 Transfer
- *   - ERC-721 Transfer
- *   - Uniswap V2 Swap / Mint / Burn
- *   - Extensible: add new ABIs in src/config/abis/
+ * ABIs come from the AbiRegistry — the same source the watch targets derive
+ * their topic0 filters from:
+ *   - the built-in families in src/config/abis/ (ERC-20, ERC-721,
+ *     Uniswap V2/V3, Aave V3, Pausable) and Hardhat artifacts, for any address
+ *   - an ABI attached to the emitting contract (or to the implementation
+ *     behind an EIP-1967 proxy), tried first
  *
  * Returns null for logs that don't match any known ABI — they're silently
  * dropped (this IS the selective indexing — we only decode what we understand).
@@ -15,74 +16,23 @@
 
 const { ethers } = require("ethers");
 const { createEvent, FinalityStatus } = require("./event-model");
+const AbiRegistry = require("./abi-registry");
 
 class Decoder {
   /**
    * @param {object} chainConfig — chain entry from config.getChain()
-   * @param {object} abis — the config.abis object
+   * @param {import('./abi-registry')|object} abiRegistry — shared AbiRegistry, or
+   *   a config.abis object for a decoder with the built-in families only
    */
-  constructor(chainConfig, abis) {
+  constructor(chainConfig, abiRegistry) {
     this.chain = chainConfig;
-    this.interfaces = new Map(); // topic0 → [ { iface, eventName, eventType }, ... ]
+    this.abiRegistry = abiRegistry instanceof AbiRegistry ? abiRegistry : new AbiRegistry({ abis: abiRegistry });
 
-    this._registerAbis(abis);
-  }
-
-  // ---------------------------------------------------------------------------
-  // ABI Registration
-  // ---------------------------------------------------------------------------
-
-  _registerAbis(abis) {
-    // ERC-20
-    if (abis.erc20) {
-      this._register(abis.erc20, "ERC20");
-    }
-    // ERC-721
-    if (abis.erc721) {
-      this._register(abis.erc721, "ERC721");
-    }
-    // Uniswap V2
-    if (abis.uniswapV2) {
-      this._register(abis.uniswapV2, "UNISWAP_V2");
-    }
-    // Uniswap V3
-    if (abis.uniswapV3) {
-      this._register(abis.uniswapV3, "UNISWAP");
-    }
-    // Aave V3
-    if (abis.aaveV3) {
-      this._register(abis.aaveV3, "AAVE");
-    }
-    // Pausable
-    if (abis.pausable) {
-      this._register(abis.pausable, "PAUSABLE");
-    }
-
-    const totalEntries = Array.from(this.interfaces.values()).reduce((sum, arr) => sum + arr.length, 0);
     console.log(
-      `  🔍 [Decoder] Registered ${totalEntries} event handler(s) across ${this.interfaces.size} unique topic(s) for ${this.chain.slug}`
+      `  🔍 [Decoder] ${this.abiRegistry.knownTopics(this.chain.slug).length} known topic(s) for ${this.chain.slug}`
     );
   }
 
-  _register(abiFragments, category) {
-    const iface = new ethers.Interface(abiFragments);
-
-    for (const fragment of iface.fragments) {
-      if (fragment.type !== "event") continue;
-      const topic0 = iface.getEvent(fragment.name).topicHash;
-      
-      // Build event type: category_eventname (e.g., "ERC20_TRANSFER", "UNISWAP_SWAP")
-      const eventType = `${category}_${fragment.name.toUpperCase()}`;
-      const entry = { iface, eventName: fragment.name, eventType };
-
-      if (!this.interfaces.has(topic0)) {
-        this.interfaces.set(topic0, [entry]);
-      } else {
-        this.interfaces.get(topic0).push(entry);
-      }
-    }
-  }
-
   // ---------------------------------------------------------------------------
   // Decode a single raw log → GenesisEvent | null
   // ---------------------------------------------------------------------------
@@ -97,11 +47,11 @@ class Decoder {
     if (!log.topics || log.topics.length === 0) return null;
 
     const topic0 = log.topics[0];
-    const candidates = this.interfaces.get(topic0);
+    const candidates = this.abiRegistry.candidatesFor(this.chain.slug, log.address, topic0);
 
-    if (!candidates) return null;
+    if (candidates.length === 0) return null;
 
-    // Try each registered interface for this topic0.
+    // Try each candidate for this topic0 — the contract's own ABI first.
     // ERC-20 and ERC-721 Transfer share the same topic0 but have different
     // indexed param counts (ERC-20: 2 indexed → 3 topics, ERC-721: 3 indexed → 4 topics).
     // We try each and take the first one that parses successfully.
@@ -129,11 +79,11 @@ class Decoder {
     let args = {};
 
     if (parsed) {
-      // Build a clean args object from the decoded values
-      for (const [key, value] of Object.entries(parsed.args)) {
-        if (/^\d+$/.test(key)) continue;
-        args[key] = typeof value === "bigint" ? value.toString() : value;
-      }
+      // Build a clean args object from the decoded values — by the fragment's
+      // param names (an ethers Result only enumerates positional keys)
+      parsed.fragment.inputs.forEach((param, i) => {
+        args[param.name || String(i)] = _plain(parsed.args[i], param);
+      });
     } else {
       // --- Manual fallback for non-standard events (e.g. USDT Solidity 0.4.x) ---
       // USDT emits Transfer with from/to in BOTH topics AND data.
@@ -216,8 +166,26 @@ class Decoder {
 
   /** Returns the set of topic0 hashes this decoder can handle. */
   getKnownTopics() {
-    return Array.from(this.interfaces.keys());
+    return this.abiRegistry.knownTopics(this.chain.slug);
+  }
+}
+
+/**
+ * Decoded value → JSON-safe value: bigints as strings, tuples as objects,
+ * indexed dynamic values (string / bytes / arrays) as their topic hash
+ */
+function _plain(value, param) {
+  if (ethers.Indexed.isIndexed(value)) return value.hash;
+  if (typeof value === "bigint") return value.toString();
+  if (param.isArray()) return Array.from(value, (item) => _plain(item, param.arrayChildren));
+  if (param.isTuple()) {
+    const out = {};
+    param.components.forEach((component, i) => {
+      out[component.name || String(i)] = _plain(value[i], component);
+    });
+    return out;
   }
+  return value;
 }
 
 module.exports = Decoder;
@@ -100,6 +100,53 @@ function createEvent({
   };
 }
 
+/**
+ * Rebuild a GenesisEvent from an EventRepository row (args may still be a
+ * JSON string with the SQLite driver).
+ *
+ * @param {object} row — EventRepository._mapRow() output
+ * @returns {GenesisEvent}
+ */
+function eventFromRow(row) {
+  let args = row.args;
+  if (typeof args === "string") {
+    try {
+      args = JSON.parse(args);
+    } catch {
+      args = {};
+    }
+  }
+
+  return {
+    id: row.eventId,
+    chain: row.chain,
+    chainId: row.chainId,
+    blockNumber: row.blockNumber,
+    blockHash: row.blockHash,
+    timestamp: row.timestamp,
+    txHash: row.txHash,
+    logIndex: row.logIndex,
+    contract: row.address,
+    eventName: row.eventName,
+    eventType: row.eventType,
+    args: args || {},
+    finality: row.finality,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Native value transfers (NativeTransferScanner)
+// ---------------------------------------------------------------------------
+
+/** Event type of a native (ETH / POL) value transfer — not a log */
+const NATIVE_TRANSFER = "NATIVE_TRANSFER";
+
+/**
+ * `contract` of native transfers: the usual "native token" pseudo-address,
+ * so tokens.json can price them and per-contract baselines / group_by work
+ */
+const NATIVE_TOKEN = "0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee";
+
 // ---------------------------------------------------------------------------
 // Finality status enum
 // ---------------------------------------------------------------------------
@@ -113,5 +160,8 @@ const FinalityStatus = {
 module.exports = {
   createEventId,
   createEvent,
+  eventFromRow,
   FinalityStatus,
+  NATIVE_TRANSFER,
+  NATIVE_TOKEN,
 };
@@ -100,17 +100,21 @@ class FinalityTracker extends EventEmitter {
   }
 
   /**
-   * Called when a reorg is detected — reverts all events in the reorged range.
-   * @param {{ fromBlock: number, toBlock: number }} reorg
+   * Called when a reorg is detected — reverts events in the reorged range.
+   * When `canonicalHashes` (blockNumber → hash) is given, events whose block
+   * is still canonical are kept; otherwise the whole range is reverted.
+   * @param {{ fromBlock: number, toBlock: number, canonicalHashes?: Map<number, string> }} reorg
    */
   onReorg(reorg) {
     const reverted = [];
+    const canonical = reorg.canonicalHashes;
 
     for (const [id, entry] of this.tracked) {
       const { event } = entry;
       if (
         event.blockNumber >= reorg.fromBlock &&
-        event.blockNumber <= reorg.toBlock
+        event.blockNumber <= reorg.toBlock &&
+        (!canonical || canonical.get(event.blockNumber) !== event.blockHash)
       ) {
         entry.currentStatus = FinalityStatus.REVERTED;
         event.finality = FinalityStatus.REVERTED;
@@ -2,8 +2,12 @@
  * Genesis — Pipeline Layer Index
  */
 
-const { createEvent, createEventId, FinalityStatus } = require("./event-model");
+const { createEvent, createEventId, eventFromRow, FinalityStatus } = require("./event-model");
 const Decoder = require("./decoder");
 const FinalityTracker = require("./finality");
+const ReorgRollback = require("./rollback");
+const TokenRegistry = require("./token-registry");
+const AbiRegistry = require("./abi-registry");
+const TxEnricher = require("./tx-enricher");
 
-module.exports = { createEvent, createEventId, FinalityStatus, Decoder, FinalityTracker };
+module.exports = { createEvent, createEventId, eventFromRow, FinalityStatus, Decoder, FinalityTracker, ReorgRollback, TokenRegistry, AbiRegistry, TxEnricher };
@@ -0,0 +1,137 @@
+/**
+ * Genesis — Reorg Rollback
+ *
+ * Turns a BlockTracker "reorg" into consistent state everywhere:
+ *
+ *   1. Ask the RPC for the canonical hash of every block in the range
+ *   2. Revert the orphaned events in memory (FinalityTracker) and in the DB
+ *      (events.finality = 'reverted' + a finality_history row each)
+ *   3. Retract alerts whose events were ALL reverted, and tell the
+ *      notification channels about it
+ *   4. Replay the range so events from the replacement blocks go through
+ *      the normal pipeline
+ *
+ * BlockTracker's depth is an upper bound (it counts how far back its window
+ * reaches), so step 1 matters: events in blocks that did not change keep
+ * their status.
+ *
+ * Emits:
+ *   "rollback" — { chain, fromBlock, toBlock, revertedEvents, retractedAlerts }
+ */
+
+const EventEmitter = require("events");
+
+class ReorgRollback extends EventEmitter {
+  /**
+   * @param {object} deps
+   * @param {object} deps.chainConfig — chain entry from config.getChain()
+   * @param {import('../observer/rpc-pool')} deps.rpcPool
+   * @param {import('./finality')} deps.finalityTracker
+   * @param {import('../db/event-repository')} deps.eventRepo
+   * @param {import('../db/alert-repository')} deps.alertRepo
+   * @param {import('../notify/dispatcher')} [deps.dispatcher] — omit to record retractions without notifying
+   * @param {(fromBlock: number, toBlock: number) => Promise<void>} [deps.replay] — re-fetch and process the canonical range
+   */
+  constructor({ chainConfig, rpcPool, finalityTracker, eventRepo, alertRepo, dispatcher = null, replay = null }) {
+    super();
+    this.chain = chainConfig;
+    this.rpcPool = rpcPool;
+    this.finalityTracker = finalityTracker;
+    this.eventRepo = eventRepo;
+    this.alertRepo = alertRepo;
+    this.dispatcher = dispatcher;
+    this.replay = replay;
+  }
+
+  /**
+   * Roll back a reorged block range.
+   * @param {{ fromBlock: number, toBlock: number, depth?: number }} reorg
+   * @returns {Promise<{ revertedEvents: number, retractedAlerts: number }>}
+   */
+  async handle(reorg) {
+    const { fromBlock, toBlock } = reorg;
+    const canonicalHashes = await this._fetchCanonicalHashes(fromBlock, toBlock);
+
+    // In-memory first, so pending finality upgrades never touch orphans
+    this.finalityTracker.onReorg({ ...reorg, canonicalHashes });
+
+    const reverted = await this.eventRepo.revertOrphaned(this.chain.slug, fromBlock, toBlock, canonicalHashes);
+    const retracted = reverted.length > 0 ? await this._retractAlerts(reorg) : 0;
+
+    console.warn(
+      `  ↩️  [Rollback] Blocks ${fromBlock}→${toBlock}: ${reverted.length} event(s) reverted, ${retracted} alert(s) retracted`
+    );
+
+    if (this.replay) {
+      await this.replay(fromBlock, toBlock);
+    }
+
+    const summary = {
+      chain: this.chain.slug,
+      fromBlock,
+      toBlock,
+      revertedEvents: reverted.length,
+      retractedAlerts: retracted,
+    };
+    this.emit("rollback", summary);
+    return summary;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internal
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @returns {Promise<Map<number, string>>} blockNumber → canonical hash
+   *   (heights that no longer exist are left out)
+   */
+  async _fetchCanonicalHashes(fromBlock, toBlock) {
+    const hashes = new Map();
+    for (let n = fromBlock; n <= toBlock; n++) {
+      const block = await this.rpcPool.callWithFailover((provider) => provider.getBlock(n));
+      if (block) hashes.set(n, block.hash);
+    }
+    return hashes;
+  }
+
+  /**
+   * Retract every active alert in the range whose events are all reverted.
+   * Alerts with at least one surviving event stay as they are.
+   * @returns {Promise<number>} number of alerts retracted
+   */
+  async _retractAlerts(reorg) {
+    const alerts = await this.alertRepo.getActiveInBlockRange(this.chain.slug, reorg.fromBlock, reorg.toBlock);
+    let retracted = 0;
+
+    for (const alert of alerts) {
+      if (!Array.isArray(alert.eventIds) || alert.eventIds.length === 0) continue;
+
+      const finality = await this.eventRepo.getFinalityByIds(alert.eventIds);
+      const allReverted = alert.eventIds.every((id) => finality.get(id) === "reverted");
+      if (!allReverted) continue;
+
+      let notified = false;
+      if (this.dispatcher) {
+        try {
+          await this.dispatcher.dispatchRetraction(alert, reorg);
+          notified = true;
+        } catch (err) {
+          console.error(`  💥 [Rollback] Failed to notify retraction of ${alert.alertId}: ${err.message}`);
+        }
+      }
+
+      await this.alertRepo.retract(alert.alertId, {
+        reason: "reorg",
+        fromBlock: reorg.fromBlock,
+        toBlock: reorg.toBlock,
+        revertedEventCount: alert.eventIds.length,
+        notified,
+      });
+      retracted++;
+    }
+
+    return retracted;
+  }
+}
+
+module.exports = ReorgRollback;
@@ -0,0 +1,319 @@
+/**
+ * Genesis — Token Registry
+ *
+ * Symbol, decimals and USD price for the tokens an event moves, so rules can
+ * say `amount_usd: { gte: 100000 }` instead of hand-computing base units.
+ *
+ * Sources, per chain:
+ *   1. src/config/tokens.json — { "<chain>": { "<address>": { symbol, decimals, price, anomaly } } }
+ *      price is { "usd": 1 } (fixed) or { "chainlink": "<feed address>" },
+ *      optionally with the feed's "heartbeatSec";
+ *      anomaly (optional) picks the AnomalyDetector models for the token
+ *   2. On-chain decimals() / symbol() through the RpcPool for anything else
+ *      (cached; contracts that revert are remembered as unknown)
+ *
+ * The native coin (NATIVE_TRANSFER events) is NATIVE_TOKEN, 0xeeee…eeee: list
+ * it in the file to price it, otherwise it is the chain's `nativeSymbol`
+ * with 18 decimals, unpriced.
+ *
+ * A Chainlink round whose updatedAt is older than the feed's heartbeat (plus
+ * HEARTBEAT_GRACE_SEC) is stale: the token is left unpriced rather than
+ * valued at a price the feed stopped confirming.
+ *
+ * Without an RpcPool (backtests) only the file is used: fixed prices work,
+ * Chainlink-priced and unlisted tokens stay unpriced.
+ *
+ * annotate(events) attaches, before rule evaluation:
+ *   event.amounts   — [{ token, raw, symbol, decimals, amount, usd }]
+ *   event.amountUsd — USD value of the event (largest priced leg)
+ *
+ * The legs of one event describe the same value moving (the two sides of a
+ * swap, debt vs. collateral of a liquidation), so they are not summed.
+ */
+
+const { ethers } = require("ethers");
+const path = require("path");
+const fs = require("fs");
+const { NATIVE_TOKEN } = require("./event-model");
+
+const TOKENS_FILE = path.resolve(__dirname, "../config/tokens.json");
+
+const VIEW_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+];
+
+const DEFAULT_PRICE_TTL_SEC = 60;
+const DEFAULT_HEARTBEAT_SEC = 3600;
+
+// Rounds land a little after the heartbeat elapses
+const HEARTBEAT_GRACE_SEC = 300;
+
+/**
+ * Where the amounts of each event type live.
+ * `token` is an address taken from the event; `pool: 0|1` means token0/token1
+ * of the emitting pool contract.
+ */
+const AMOUNT_LEGS = {
+  ERC20_TRANSFER: (e) => [{ token: e.contract, raw: e.args._rawValue ?? e.args.value }],
+  ERC20_APPROVAL: (e) => [{ token: e.contract, raw: e.args.value }],
+  AAVE_SUPPLY: (e) => [{ token: e.args.reserve, raw: e.args.amount }],
+  AAVE_WITHDRAW: (e) => [{ token: e.args.reserve, raw: e.args.amount }],
+  AAVE_FLASHLOAN: (e) => [{ token: e.args.asset, raw: e.args.amount }],
+  AAVE_LIQUIDATIONCALL: (e) => [
+    { token: e.args.debtAsset, raw: e.args.debtToCover },
+    { token: e.args.collateralAsset, raw: e.args.liquidatedCollateralAmount },
+  ],
+  UNISWAP_SWAP: (e) => [{ pool: 0, raw: e.args.amount0 }, { pool: 1, raw: e.args.amount1 }],
+  UNISWAP_MINT: (e) => [{ pool: 0, raw: e.args.amount0 }, { pool: 1, raw: e.args.amount1 }],
+  UNISWAP_BURN: (e) => [{ pool: 0, raw: e.args.amount0 }, { pool: 1, raw: e.args.amount1 }],
+  UNISWAP_V2_SWAP: (e) => [
+    { pool: 0, raw: _sum(e.args.amount0In, e.args.amount0Out) },
+    { pool: 1, raw: _sum(e.args.amount1In, e.args.amount1Out) },
+  ],
+  UNISWAP_V2_MINT: (e) => [{ pool: 0, raw: e.args.amount0 }, { pool: 1, raw: e.args.amount1 }],
+  UNISWAP_V2_BURN: (e) => [{ pool: 0, raw: e.args.amount0 }, { pool: 1, raw: e.args.amount1 }],
+  NATIVE_TRANSFER: (e) => [{ token: e.contract, raw: e.args.value }],
+};
+
+class TokenRegistry {
+  /**
+   * @param {object} chainConfig — chain entry from config.getChain()
+   * @param {import('../observer/rpc-pool')|null} rpcPool — null for file-only lookups
+   * @param {object} [opts]
+   * @param {string} [opts.file] — token metadata JSON (defaults to src/config/tokens.json)
+   * @param {number} [opts.priceTtlSec] — how long a feed price is reused
+   * @param {number} [opts.heartbeatSec] — Chainlink heartbeat for feeds without
+   *   their own "heartbeatSec" in the file
+   */
+  constructor(chainConfig, rpcPool, opts = {}) {
+    this.chain = chainConfig;
+    this.rpcPool = rpcPool;
+    this.priceTtlMs = (opts.priceTtlSec ?? DEFAULT_PRICE_TTL_SEC) * 1000;
+    this.heartbeatSec = opts.heartbeatSec ?? DEFAULT_HEARTBEAT_SEC;
+
+    /** @type {Map<string, object>} lowercase address → { address, symbol, decimals, price } from the file */
+    this.known = new Map();
+
+    /** @type {Map<string, Promise<object|null>>} lowercase address → token metadata */
+    this.tokens = new Map();
+
+    /** @type {Map<string, Promise<string[]|null>>} lowercase pool → [token0, token1] */
+    this.pools = new Map();
+
+    /** @type {Map<string, { usd: number, updatedAt: number, at: number, warned: boolean }>} lowercase token → last feed round */
+    this.prices = new Map();
+
+    this._loadFile(opts.file || TOKENS_FILE);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Attach amount legs and USD value to events (in place).
+   * Never throws — a lookup failure just leaves the field unset.
+   * @param {object[]} events
+   */
+  async annotate(events) {
+    for (const event of events) {
+      const spec = AMOUNT_LEGS[event.eventType];
+      if (!spec || !event.args) continue;
+
+      try {
+        const legs = [];
+        for (const leg of spec(event)) {
+          if (leg.raw == null) continue;
+          const token = leg.pool != null ? (await this.getPoolTokens(event.contract))?.[leg.pool] : leg.token;
+          if (!token) continue;
+          legs.push(await this._resolveLeg(token, leg.raw));
+        }
+        if (legs.length === 0) continue;
+
+        event.amounts = legs;
+        const priced = legs.filter((l) => l.usd != null);
+        if (priced.length > 0) {
+          event.amountUsd = Math.max(...priced.map((l) => l.usd));
+        }
+      } catch (err) {
+        console.warn(`  ⚠️  [TokenRegistry] Could not price ${event.id}: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Token metadata — from the file, else on-chain.
+   * @param {string} address
+   * @returns {Promise<{ address: string, symbol: string|null, decimals: number|null, price?: object }|null>}
+   */
+  getToken(address) {
+    const key = address.toLowerCase();
+    if (this.known.has(key)) return Promise.resolve(this.known.get(key));
+    if (key === NATIVE_TOKEN) {
+      return Promise.resolve({ address, symbol: this.chain.nativeSymbol ?? null, decimals: 18 });
+    }
+
+    if (!this.tokens.has(key)) {
+      const lookup = this._fetchToken(address).catch((err) => {
+        // Transient RPC failure — allow a retry on the next event
+        this.tokens.delete(key);
+        throw err;
+      });
+      this.tokens.set(key, lookup);
+    }
+    return this.tokens.get(key);
+  }
+
+  /**
+   * token0 / token1 of a Uniswap-style pool.
+   * @param {string} pool
+   * @returns {Promise<string[]|null>}
+   */
+  getPoolTokens(pool) {
+    const key = pool.toLowerCase();
+    if (!this.pools.has(key)) {
+      const lookup = (async () => {
+        const token0 = await this._read(pool, (c) => c.token0());
+        const token1 = await this._read(pool, (c) => c.token1());
+        return token0 && token1 ? [token0, token1] : null;
+      })().catch((err) => {
+        this.pools.delete(key);
+        throw err;
+      });
+      this.pools.set(key, lookup);
+    }
+    return this.pools.get(key);
+  }
+
+  /**
+   * USD price of one whole token, or null when there is no feed or its
+   * latest round is stale.
+   * @param {string} address
+   * @returns {Promise<number|null>}
+   */
+  async getPriceUsd(address) {
+    const token = await this.getToken(address);
+    const price = token?.price;
+    if (!price) return null;
+    if (typeof price.usd === "number") return price.usd;
+    if (!price.chainlink) return null;
+
+    const key = address.toLowerCase();
+    const cached = this.prices.get(key);
+    if (cached && Date.now() - cached.at < this.priceTtlMs) return this._freshUsd(token, cached);
+
+    const feedDecimals = await this._read(price.chainlink, (c) => c.decimals());
+    const round = await this._read(price.chainlink, (c) => c.latestRoundData());
+    if (feedDecimals == null || !round) return cached ? this._freshUsd(token, cached) : null;
+
+    const updatedAt = Number(round.updatedAt);
+    const entry = {
+      usd: Number(ethers.formatUnits(round.answer, feedDecimals)),
+      updatedAt,
+      at: Date.now(),
+      warned: cached?.updatedAt === updatedAt && cached.warned, // one warning per stale round
+    };
+    this.prices.set(key, entry);
+    return this._freshUsd(token, entry);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internal
+  // ---------------------------------------------------------------------------
+
+  _loadFile(file) {
+    if (!fs.existsSync(file)) return;
+
+    try {
+      const all = JSON.parse(fs.readFileSync(file, "utf-8"));
+      for (const [address, meta] of Object.entries(all[this.chain.slug] || {})) {
+        this.known.set(address.toLowerCase(), {
+          address,
+          symbol: meta.symbol ?? null,
+          decimals: meta.decimals ?? null,
+          price: meta.price,
+          anomaly: meta.anomaly, // AnomalyDetector model spec(s), optional
+        });
+      }
+      console.log(`  🪙 [TokenRegistry] ${this.known.size} token(s) configured for ${this.chain.slug}`);
+    } catch (err) {
+      console.warn(`  ⚠️  [TokenRegistry] Failed to load ${file}: ${err.message}`);
+    }
+  }
+
+  /** The round's price, or null (warned once per round) when it is older than the heartbeat */
+  _freshUsd(token, round) {
+    const heartbeatSec = token.price.heartbeatSec ?? this.heartbeatSec;
+    const ageSec = Math.floor(Date.now() / 1000) - round.updatedAt;
+    if (ageSec <= heartbeatSec + HEARTBEAT_GRACE_SEC) return round.usd;
+
+    if (!round.warned) {
+      round.warned = true;
+      console.warn(
+        `  ⚠️  [TokenRegistry] ${token.symbol || token.address} price is stale on ${this.chain.slug}: ` +
+        `last Chainlink update ${Math.round(ageSec / 60)} min ago (heartbeat ${heartbeatSec}s) — left unpriced`
+      );
+    }
+    return null;
+  }
+
+  async _fetchToken(address) {
+    const decimals = await this._read(address, (c) => c.decimals());
+    const symbol = await this._read(address, (c) => c.symbol());
+    return {
+      address,
+      symbol: symbol ?? null,
+      decimals: decimals == null ? null : Number(decimals),
+    };
+  }
+
+  async _resolveLeg(token, rawValue) {
+    const raw = _abs(rawValue);
+    const meta = await this.getToken(token);
+    const leg = { token, raw, symbol: meta?.symbol ?? null, decimals: meta?.decimals ?? null, amount: null, usd: null };
+
+    if (leg.decimals == null) return leg;
+    leg.amount = Number(ethers.formatUnits(raw, leg.decimals));
+
+    const price = await this.getPriceUsd(token);
+    if (price != null) leg.usd = leg.amount * price;
+    return leg;
+  }
+
+  /**
+   * Call a view function. Returns null when the contract does not implement it
+   * (revert / undecodable result); RPC failures propagate.
+   */
+  _read(address, fn) {
+    if (!this.rpcPool) return Promise.resolve(null);
+    return this.rpcPool.callWithFailover(async (provider) => {
+      const contract = new ethers.Contract(address, VIEW_ABI, provider);
+      try {
+        return await fn(contract);
+      } catch (err) {
+        if (err.code === "CALL_EXCEPTION" || err.code === "BAD_DATA") return null;
+        throw err;
+      }
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function _abs(value) {
+  const n = BigInt(value);
+  return (n < 0n ? -n : n).toString();
+}
+
+function _sum(a, b) {
+  if (a == null && b == null) return null;
+  return (BigInt(a ?? 0) + BigInt(b ?? 0)).toString();
+}
+
+module.exports = TokenRegistry;
@@ -0,0 +1,405 @@
+/**
+ * Genesis — Transaction Enricher
+ *
+ * Transaction and receipt data for events whose rules ask for it, so rules
+ * can see who sent the transaction, what it cost and what else it emitted:
+ *
+ *   { "event_type": "AAVE_FLASHLOAN", "enrich": ["receipt"],
+ *     "conditions": { "siblingLogs.eventType": { "includes": "UNISWAP_V2_SWAP" } } }
+ *
+ * Opt-in per rule — `"enrich": true` (both) or a list of:
+ *   "receipt" — eth_getTransactionReceipt (or eth_getBlockReceipts)
+ *     event.tx.{ from, to, index, status }, event.gasUsed,
+ *     event.effectiveGasPrice, event.siblingLogs
+ *   "tx"      — eth_getTransactionByHash
+ *     event.tx.{ from, to, value, nonce, gasLimit, gasPrice, maxFeePerGas,
+ *     maxPriorityFeePerGas, type, method (4-byte selector) }
+ *
+ * siblingLogs are the other logs of the same receipt, decoded where an ABI
+ * is known: [{ logIndex, address, topic0, eventType, eventName, args }]
+ * (eventType / eventName / args null otherwise). Quantities are decimal
+ * strings, like decoded args.
+ *
+ * Batching: events of one transaction share one lookup, and a block with at
+ * least `blockReceiptsMin` transactions to enrich takes one
+ * eth_getBlockReceipts call instead (remembered as unsupported when the
+ * provider rejects it). Lookups are cached per (block hash, tx hash) — a
+ * reorged transaction is fetched again.
+ *
+ * Like TokenRegistry.annotate, enrich() never throws: a failed lookup just
+ * leaves the fields unset, and conditions on them don't match.
+ */
+
+const { ethers } = require("ethers");
+
+const ENRICH_PARTS = ["tx", "receipt"];
+
+const DEFAULT_CACHE_SIZE = 5000;
+const DEFAULT_CONCURRENCY = 10;
+const DEFAULT_BLOCK_RECEIPTS_MIN = 5;
+
+class TxEnricher {
+  /**
+   * @param {object} chainConfig — chain entry from config.getChain()
+   * @param {import('../observer/rpc-pool')} rpcPool
+   * @param {object} [opts]
+   * @param {import('./decoder')} [opts.decoder] — decodes sibling logs
+   * @param {boolean} [opts.enabled] — false: rules' `enrich` is ignored
+   * @param {number} [opts.cacheSize] — transactions kept
+   * @param {number} [opts.concurrency] — lookups in flight at once
+   * @param {number} [opts.blockReceiptsMin] — transactions in one block before
+   *   eth_getBlockReceipts is used (0 = never)
+   */
+  constructor(chainConfig, rpcPool, opts = {}) {
+    this.chain = chainConfig;
+    this.rpcPool = rpcPool;
+    this.decoder = opts.decoder || null;
+    this.enabled = opts.enabled !== false;
+    this.cacheSize = opts.cacheSize ?? DEFAULT_CACHE_SIZE;
+    this.concurrency = opts.concurrency ?? DEFAULT_CONCURRENCY;
+    this.blockReceiptsMin = opts.blockReceiptsMin ?? DEFAULT_BLOCK_RECEIPTS_MIN;
+
+    /** @type {Map<string, { any: Set<string>, contracts: Map<string, Set<string>> }>} eventType → parts */
+    this.needs = new Map();
+
+    /** @type {Map<string, Promise<object|null>>} "blockHash:txHash" → receipt */
+    this.receipts = new Map();
+
+    /** @type {Map<string, Promise<object|null>>} "blockHash:txHash" → transaction */
+    this.txs = new Map();
+
+    this.blockReceiptsSupported = this.blockReceiptsMin > 0;
+    this.stats = { enriched: 0, receiptCalls: 0, blockReceiptCalls: 0, txCalls: 0, cacheHits: 0, failures: 0 };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rules
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Which event types (and contracts) need which parts, from the rules'
+   * `enrich`.
+   * @param {object[]} rules — active rules after expandSequenceRules (any
+   *   chain; filtered here), so a sequence enriches the events of every step
+   */
+  setRules(rules) {
+    this.needs = new Map();
+
+    for (const entry of rules) {
+      const parts = enrichParts(entry.enrich);
+      if (parts.length === 0) continue;
+      if ((entry.chain || this.chain.slug) !== this.chain.slug || !entry.event_type) continue;
+
+      if (!this.needs.has(entry.event_type)) {
+        this.needs.set(entry.event_type, { any: new Set(), contracts: new Map() });
+      }
+      const need = this.needs.get(entry.event_type);
+      if (!entry.contracts || entry.contracts.length === 0) {
+        parts.forEach((part) => need.any.add(part));
+        continue;
+      }
+      for (const address of entry.contracts) {
+        const key = address.toLowerCase();
+        if (!need.contracts.has(key)) need.contracts.set(key, new Set());
+        parts.forEach((part) => need.contracts.get(key).add(part));
+      }
+    }
+  }
+
+  /**
+   * Parts an event needs
+   * @param {object} event
+   * @returns {Set<string>}
+   */
+  partsFor(event) {
+    const need = this.needs.get(event.eventType);
+    if (!need) return new Set();
+    return new Set([...need.any, ...(need.contracts.get(event.contract) || [])]);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Enrichment
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Attach transaction / receipt fields to the events that need them (in place).
+   * @param {object[]} events
+   */
+  async enrich(events) {
+    if (!this.enabled || !this.rpcPool || this.needs.size === 0) return;
+
+    const pending = events
+      .map((event) => ({ event, parts: this.partsFor(event) }))
+      .filter(({ parts }) => parts.size > 0);
+    if (pending.length === 0) return;
+
+    this._prefetchBlockReceipts(pending.filter(({ parts }) => parts.has("receipt")).map(({ event }) => event));
+
+    await _mapLimit(pending, this.concurrency, async ({ event, parts }) => {
+      try {
+        const [receipt, tx] = await Promise.all([
+          parts.has("receipt") ? this.getReceipt(event.blockHash, event.txHash) : null,
+          parts.has("tx") ? this.getTransaction(event.blockHash, event.txHash) : null,
+        ]);
+        if (!receipt && !tx) return;
+
+        event.tx = { ...event.tx, hash: event.txHash, ...(tx || {}) };
+        if (receipt) {
+          Object.assign(event.tx, { from: receipt.from, to: receipt.to, index: receipt.index, status: receipt.status });
+          event.gasUsed = receipt.gasUsed;
+          event.effectiveGasPrice = receipt.effectiveGasPrice;
+          event.siblingLogs = receipt.logs.filter((log) => log.logIndex !== event.logIndex);
+        }
+        this.stats.enriched++;
+      } catch (err) {
+        this.stats.failures++;
+        console.warn(`  ⚠️  [TxEnricher] Could not enrich ${event.id}: ${err.message}`);
+      }
+    });
+  }
+
+  /**
+   * A transaction's receipt, logs decoded (cached)
+   * @param {string} blockHash
+   * @param {string} txHash
+   * @returns {Promise<object|null>} null when the node doesn't know the transaction
+   */
+  getReceipt(blockHash, txHash) {
+    return this._cached(this.receipts, `${blockHash}:${txHash}`, async () => {
+      this.stats.receiptCalls++;
+      const raw = await this.rpcPool.callWithFailover((provider) =>
+        provider.send("eth_getTransactionReceipt", [txHash])
+      );
+      return raw && raw.blockHash === blockHash ? this._formatReceipt(raw) : null;
+    });
+  }
+
+  /**
+   * Receipts of several transactions of one block — one eth_getBlockReceipts
+   * call when there are enough of them. Used by NativeTransferScanner for
+   * transaction status.
+   * @param {string} blockHash
+   * @param {string[]} txHashes
+   * @returns {Promise<Map<string, object|null>>} txHash → receipt (null when
+   *   the node has none for that block); rejects when a lookup fails
+   */
+  async getReceipts(blockHash, txHashes) {
+    this._prefetchBlockReceipts(txHashes.map((txHash) => ({ blockHash, txHash })));
+
+    const receipts = new Map();
+    await _mapLimit(txHashes, this.concurrency, async (txHash) => {
+      receipts.set(txHash, await this.getReceipt(blockHash, txHash));
+    });
+    return receipts;
+  }
+
+  /**
+   * A transaction's fields (cached)
+   * @param {string} blockHash
+   * @param {string} txHash
+   * @returns {Promise<object|null>}
+   */
+  getTransaction(blockHash, txHash) {
+    return this._cached(this.txs, `${blockHash}:${txHash}`, async () => {
+      this.stats.txCalls++;
+      const raw = await this.rpcPool.callWithFailover((provider) =>
+        provider.send("eth_getTransactionByHash", [txHash])
+      );
+      return raw ? _formatTransaction(raw) : null;
+    });
+  }
+
+  getStats() {
+    return {
+      chain: this.chain.slug,
+      enabled: this.enabled,
+      eventTypes: [...this.needs.keys()],
+      cached: { receipts: this.receipts.size, txs: this.txs.size },
+      blockReceipts: this.blockReceiptsSupported,
+      ...this.stats,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internal
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Blocks with many transactions to enrich: fetch all their receipts in one
+   * eth_getBlockReceipts call and seed the cache with them.
+   * @param {{ blockHash: string, txHash: string }[]} events
+   */
+  _prefetchBlockReceipts(events) {
+    if (!this.blockReceiptsSupported) return;
+
+    const byBlock = new Map();
+    for (const event of events) {
+      if (this.receipts.has(`${event.blockHash}:${event.txHash}`)) continue;
+      if (!byBlock.has(event.blockHash)) byBlock.set(event.blockHash, new Set());
+      byBlock.get(event.blockHash).add(event.txHash);
+    }
+
+    for (const [blockHash, txHashes] of byBlock) {
+      if (txHashes.size < this.blockReceiptsMin) continue;
+
+      const block = (async () => {
+        this.stats.blockReceiptCalls++;
+        const raws = await this.rpcPool.callWithFailover(async (provider) => {
+          try {
+            return await provider.send("eth_getBlockReceipts", [blockHash]);
+          } catch (err) {
+            if (!_isUnsupported(err)) throw err;
+            this.blockReceiptsSupported = false;
+            console.warn(`  ⚠️  [TxEnricher] ${this.chain.slug}: eth_getBlockReceipts not supported — fetching receipts per transaction`);
+            return null;
+          }
+        });
+        const receipts = new Map();
+        for (const raw of raws || []) {
+          if (raw.blockHash === blockHash) receipts.set(raw.transactionHash, this._formatReceipt(raw));
+        }
+        return receipts;
+      })();
+
+      for (const txHash of txHashes) {
+        const key = `${blockHash}:${txHash}`;
+        this._cached(this.receipts, key, async () => {
+          const receipt = (await block.catch(() => null))?.get(txHash);
+          if (receipt) return receipt;
+          // Not in the block response (failed, unsupported) — ask for it alone
+          this.receipts.delete(key);
+          return this.getReceipt(blockHash, txHash);
+        });
+      }
+    }
+  }
+
+  /** Cached lookup; failures are dropped from the cache so the next event retries */
+  _cached(cache, key, fetch) {
+    if (cache.has(key)) {
+      this.stats.cacheHits++;
+      const hit = cache.get(key);
+      cache.delete(key); // most recently used last
+      cache.set(key, hit);
+      return hit;
+    }
+
+    const lookup = fetch().catch((err) => {
+      if (cache.get(key) === lookup) cache.delete(key);
+      throw err;
+    });
+    cache.set(key, lookup);
+    while (cache.size > this.cacheSize) {
+      cache.delete(cache.keys().next().value);
+    }
+    return lookup;
+  }
+
+  _formatReceipt(raw) {
+    return {
+      from: raw.from?.toLowerCase() ?? null,
+      to: raw.to?.toLowerCase() ?? null,
+      index: _number(raw.transactionIndex),
+      status: _number(raw.status),
+      gasUsed: _quantity(raw.gasUsed),
+      effectiveGasPrice: _quantity(raw.effectiveGasPrice),
+      logs: (raw.logs || []).map((log) => this._formatLog(log)),
+    };
+  }
+
+  /** Receipt log → sibling log, decoded when an ABI is known */
+  _formatLog(raw) {
+    const log = {
+      address: raw.address,
+      topics: raw.topics || [],
+      data: raw.data,
+      blockNumber: _number(raw.blockNumber),
+      blockHash: raw.blockHash,
+      transactionHash: raw.transactionHash,
+      index: _number(raw.logIndex),
+    };
+    const decoded = this.decoder ? this.decoder.decode(log) : null;
+    return {
+      logIndex: log.index,
+      address: raw.address?.toLowerCase() ?? null,
+      topic0: log.topics[0] ?? null,
+      eventType: decoded?.eventType ?? null,
+      eventName: decoded?.eventName ?? null,
+      args: decoded?.args ?? null,
+    };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * A rule's `enrich` → the parts it asks for
+ * @param {boolean|string[]|undefined} enrich
+ * @returns {string[]}
+ */
+function enrichParts(enrich) {
+  if (enrich === true) return [...ENRICH_PARTS];
+  if (Array.isArray(enrich)) return ENRICH_PARTS.filter((part) => enrich.includes(part));
+  return [];
+}
+
+/**
+ * Problems with a rule's `enrich` (empty when valid)
+ * @param {*} enrich
+ * @returns {string[]}
+ */
+function getEnrichErrors(enrich) {
+  if (typeof enrich === "boolean") return [];
+  if (!Array.isArray(enrich) || enrich.length === 0 || !enrich.every((part) => ENRICH_PARTS.includes(part))) {
+    return [`Invalid enrich: use true or a list of ${ENRICH_PARTS.map((p) => `"${p}"`).join(", ")}`];
+  }
+  return [];
+}
+
+function _formatTransaction(raw) {
+  const tx = {
+    from: raw.from?.toLowerCase() ?? null,
+    to: raw.to?.toLowerCase() ?? null,
+    value: _quantity(raw.value),
+    nonce: _number(raw.nonce),
+    gasLimit: _quantity(raw.gas),
+    gasPrice: _quantity(raw.gasPrice),
+    type: _number(raw.type),
+    method: raw.input && raw.input.length >= 10 ? raw.input.slice(0, 10) : null,
+  };
+  if (raw.maxFeePerGas != null) tx.maxFeePerGas = _quantity(raw.maxFeePerGas);
+  if (raw.maxPriorityFeePerGas != null) tx.maxPriorityFeePerGas = _quantity(raw.maxPriorityFeePerGas);
+  return tx;
+}
+
+/** Hex quantity → decimal string */
+function _quantity(hex) {
+  return hex == null ? null : ethers.toBigInt(hex).toString();
+}
+
+function _number(hex) {
+  return hex == null ? null : Number(ethers.toBigInt(hex));
+}
+
+/** Method missing on this node (not a transient failure) */
+function _isUnsupported(err) {
+  const code = err?.error?.code ?? err?.info?.error?.code;
+  const message = [err?.message, err?.error?.message, err?.info?.error?.message].filter(Boolean).join(" ");
+  return code === -32601 || code === -32600 || /method not found|not supported|does not exist|unsupported/i.test(message);
+}
+
+/** Run fn over items, at most `limit` at a time */
+async function _mapLimit(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) await fn(items[next++]);
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+}
+
+TxEnricher.enrichParts = enrichParts;
+TxEnricher.getEnrichErrors = getEnrichErrors;
+
+module.exports = TxEnricher;
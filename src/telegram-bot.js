@@ -822,14 +822,14 @@ class TelegramBot extends EventEmitter {
   async _ensureTables() {
     if (!this.db?._isConnected) return;
     try {
-      this.db.db.run(`
+      this.db.query(`
         CREATE TABLE IF NOT EXISTS telegram_users (
           chat_id TEXT PRIMARY KEY,
           username TEXT,
           registered_at INTEGER DEFAULT (strftime('%s','now'))
         )
       `);
-      this.db.db.run(`
+      this.db.query(`
         CREATE TABLE IF NOT EXISTS telegram_preferences (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           chat_id TEXT NOT NULL,
@@ -842,8 +842,7 @@ class TelegramBot extends EventEmitter {
           FOREIGN KEY (chat_id) REFERENCES telegram_users(chat_id)
         )
       `);
-      this.db.db.run(`CREATE INDEX IF NOT EXISTS idx_tg_prefs_chat ON telegram_preferences(chat_id)`);
-      this.db.save();
+      this.db.query(`CREATE INDEX IF NOT EXISTS idx_tg_prefs_chat ON telegram_preferences(chat_id)`);
     } catch (err) { /* non-fatal */ }
   }
 
@@ -851,16 +850,13 @@ class TelegramBot extends EventEmitter {
     if (!this.db?._isConnected) return;
     try {
       await this._ensureTables();
-      const userStmt = this.db.db.prepare("SELECT chat_id, username, registered_at FROM telegram_users");
-      while (userStmt.step()) {
-        const row = userStmt.getAsObject();
+      const users = this.db.query("SELECT chat_id, username, registered_at FROM telegram_users");
+      for (const row of users.rows) {
         this._ensureUser(row.chat_id, row.username);
       }
-      userStmt.free();
 
-      const prefStmt = this.db.db.prepare("SELECT id, chat_id, alert_type, alert_type_name, threshold, chain, chain_id, created_at FROM telegram_preferences");
-      while (prefStmt.step()) {
-        const row = prefStmt.getAsObject();
+      const prefs = this.db.query("SELECT id, chat_id, alert_type, alert_type_name, threshold, chain, chain_id, created_at FROM telegram_preferences");
+      for (const row of prefs.rows) {
         const user = this._ensureUser(row.chat_id);
         const prefId = row.id;
         if (prefId >= this._prefIdCounter) this._prefIdCounter = prefId + 1;
@@ -874,7 +870,6 @@ class TelegramBot extends EventEmitter {
           createdAt: row.created_at * 1000,
         });
       }
-      prefStmt.free();
 
       const totalPrefs = this._totalPrefCount();
       if (this.users.size > 0 || totalPrefs > 0) {
@@ -887,18 +882,16 @@ class TelegramBot extends EventEmitter {
     if (!this.db?._isConnected) return;
     try {
       const user = this.users.get(String(chatId));
-      this.db.db.run("INSERT OR REPLACE INTO telegram_users (chat_id, username) VALUES (?, ?)", [String(chatId), user?.username || "unknown"]);
-      this.db.db.run("INSERT INTO telegram_preferences (id, chat_id, alert_type, alert_type_name, threshold, chain, chain_id) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      this.db.query("INSERT OR REPLACE INTO telegram_users (chat_id, username) VALUES (?, ?)", [String(chatId), user?.username || "unknown"]);
+      this.db.query("INSERT INTO telegram_preferences (id, chat_id, alert_type, alert_type_name, threshold, chain, chain_id) VALUES (?, ?, ?, ?, ?, ?, ?)",
         [pref.id, String(chatId), pref.alertType, pref.alertTypeName, pref.threshold, pref.chain, pref.chainId]);
-      this.db.save();
     } catch (err) { /* non-fatal */ }
   }
 
   async _deleteFromDb(chatId, prefId) {
     if (!this.db?._isConnected) return;
     try {
-      this.db.db.run("DELETE FROM telegram_preferences WHERE id = ? AND chat_id = ?", [prefId, String(chatId)]);
-      this.db.save();
+      this.db.query("DELETE FROM telegram_preferences WHERE id = ? AND chat_id = ?", [prefId, String(chatId)]);
     } catch (err) { /* non-fatal */ }
   }
 